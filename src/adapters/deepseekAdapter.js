@@ -1,12 +1,21 @@
 import { OpenAI } from 'openai';
+import { collectChatCompletionStream, requestSignal } from '../utils/streaming.js';
 
 /**
  * DeepSeek Adapter
  * DeepSeek's API is OpenAI-compatible, so we reuse the OpenAI SDK.
  */
 export class DeepSeekAdapter {
+  static provider = {
+    name: 'deepseek',
+    label: 'DeepSeek',
+    envKey: 'DEEPSEEK_API_KEY',
+    defaultModel: 'deepseek-chat',
+    capabilities: { streaming: true, jsonMode: true, structuredOutput: 'json_object', webSearch: false, vision: false }
+  };
+
   constructor() {
-    this.serviceName = 'deepseek';
+    this.serviceName = DeepSeekAdapter.provider.name;
     this._client = null; // lazy-initialized on first use
   }
 
@@ -21,22 +30,44 @@ export class DeepSeekAdapter {
     return this._client;
   }
 
-  async generateContent({ systemPrompt, userPrompt, model, maxTokens, temperature }) {
+  async generateContent({ systemPrompt, userPrompt, model, maxTokens, temperature, onToken, followUpMessages = [], responseSchema = null, signal = null }) {
     const resolvedModel = model || 'deepseek-chat';
 
     const messages = [];
     if (systemPrompt) messages.push({ role: 'system', content: systemPrompt });
     messages.push({ role: 'user', content: userPrompt });
+    // Follow-up turns (e.g. a correction request after an invalid answer)
+    messages.push(...followUpMessages);
 
     try {
-      const response = await this.client.chat.completions.create({
+      const request = {
         model: resolvedModel,
         messages,
         max_tokens: maxTokens || 4096,
         temperature: temperature ?? 0.3,
         stream: false
-      }, {
-        signal: AbortSignal.timeout(60000) // 60-second timeout
+      };
+
+      // DeepSeek has JSON mode but no schema enforcement; the prompt still describes the shape
+      if (responseSchema) request.response_format = { type: 'json_object' };
+      const structuredOutput = responseSchema ? 'json_object' : null;
+
+      // Streaming mode — forward deltas to the caller, return the same shape as a buffered call
+      if (onToken) {
+        const stream = await this.client.chat.completions.create({
+          ...request,
+          stream: true,
+          stream_options: { include_usage: true }
+        }, {
+          signal: requestSignal(60000, signal)
+        });
+        const streamed = await collectChatCompletionStream(stream, onToken);
+        if (!streamed.content?.trim()) throw new Error('Empty response from DeepSeek AI service');
+        return { ...streamed, structuredOutput };
+      }
+
+      const response = await this.client.chat.completions.create(request, {
+        signal: requestSignal(60000, signal) // 60-second timeout
       });
 
       const content = response.choices[0]?.message?.content;
@@ -45,7 +76,8 @@ export class DeepSeekAdapter {
       return {
         content,
         tokensUsed: response.usage?.total_tokens || null,
-        rawResponse: response
+        rawResponse: response,
+        structuredOutput
       };
     } catch (error) {
       if (error.name === 'AbortError' || error.name === 'TimeoutError') throw new Error('DeepSeek API request timed out after 30 seconds.');
@@ -1,4 +1,6 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import { GoogleGenerativeAI, GoogleGenerativeAIAbortError } from '@google/generative-ai';
+import { collectGeminiStream } from '../utils/streaming.js';
+import { toGeminiResponseSchema } from '../utils/chartSchema.js';
 
 const MODEL_MAP = {
     // Perplexity names → Gemini equivalents
@@ -14,14 +16,25 @@ const MODEL_MAP = {
 
 const DEFAULT_MODEL = 'gemini-2.5-flash';
 
+// responseMimeType/responseSchema only exist on the v1beta API
+const API_VERSION = 'v1beta';
+
 /**
  * Gemini Adapter
  * Dedicated adapter that uses GEMINI_API_KEY.
  * Accepts any model name (including Perplexity names) and maps them to valid Gemini models.
  */
 export class GeminiAdapter {
+    static provider = {
+        name: 'gemini',
+        label: 'Gemini',
+        envKey: 'GEMINI_API_KEY',
+        defaultModel: DEFAULT_MODEL,
+        capabilities: { streaming: true, jsonMode: true, structuredOutput: 'json_schema', webSearch: false, vision: true },
+    };
+
     constructor() {
-        this.serviceName = 'gemini';
+        this.serviceName = GeminiAdapter.provider.name;
         this._genAI = null; // lazy-initialized on first use
     }
 
@@ -33,26 +46,56 @@ export class GeminiAdapter {
         return this._genAI;
     }
 
-    async generateContent({ systemPrompt, userPrompt, model }) {
+    async generateContent(params) {
+        const { systemPrompt, userPrompt, model, onToken, followUpMessages = [], responseSchema = null, signal = null } = params;
         const modelName = MODEL_MAP[model] ?? model ?? DEFAULT_MODEL;
-        const genModel = this.genAI.getGenerativeModel({ model: modelName });
+        const { generationConfig, structuredOutput } = this._buildGenerationConfig(responseSchema);
+        const genModel = this.genAI.getGenerativeModel(
+            { model: modelName, ...(generationConfig && { generationConfig }) },
+            { apiVersion: API_VERSION }
+        );
 
         const combinedPrompt = systemPrompt
             ? `${systemPrompt}\n\nUser request: ${userPrompt}`
             : userPrompt;
 
+        // Follow-up turns (e.g. a correction request) need the multi-turn contents form
+        const request = followUpMessages.length > 0
+            ? {
+                contents: [
+                    { role: 'user', parts: [{ text: combinedPrompt }] },
+                    ...followUpMessages.map(m => ({ role: m.role === 'assistant' ? 'model' : 'user', parts: [{ text: m.content }] })),
+                ],
+            }
+            : combinedPrompt;
+
         try {
             // 30-second timeout using AbortController
             const controller = new AbortController();
             const timeoutId = setTimeout(() => controller.abort(), 60000);
+            // The caller's signal aborts too (client disconnected)
+            signal?.addEventListener('abort', () => controller.abort(signal.reason), { once: true });
 
             try {
-                const result = await genModel.generateContent(combinedPrompt, {
-                    signal: controller.signal
-                });
-                clearTimeout(timeoutId);
-                const response = await result.response;
-                const content = response.text();
+                let result;
+                let content;
+                if (onToken) {
+                    // Streaming mode — forward text deltas, then use the aggregated response for usage
+                    const streamed = await collectGeminiStream(
+                        await genModel.generateContentStream(request, { signal: controller.signal }),
+                        onToken
+                    );
+                    clearTimeout(timeoutId);
+                    result = { response: streamed.response };
+                    content = streamed.content;
+                } else {
+                    result = await genModel.generateContent(request, {
+                        signal: controller.signal
+                    });
+                    clearTimeout(timeoutId);
+                    const response = await result.response;
+                    content = response.text();
+                }
 
                 if (!content?.trim()) {
                     throw new Error('Empty response from Gemini AI service');
@@ -62,13 +105,14 @@ export class GeminiAdapter {
                     content,
                     tokensUsed: this._extractTokenUsage(result),
                     rawResponse: result,
+                    structuredOutput,
                 };
             } catch (innerError) {
                 clearTimeout(timeoutId);
                 throw innerError;
             }
         } catch (error) {
-            if (error.name === 'AbortError') {
+            if (error.name === 'AbortError' || error instanceof GoogleGenerativeAIAbortError) {
                 throw new Error('Gemini API request timed out after 30 seconds.');
             }
             if (error.status === 401 || error.message?.includes('API key')) {
@@ -111,6 +155,21 @@ export class GeminiAdapter {
         return new Error(`Gemini API error: ${error.message}`);
     }
 
+    /**
+     * JSON mode plus the chart schema when it fits Gemini's schema subset
+     * (free-form objects like a partial chartConfig don't, so modifications get JSON mode only)
+     */
+    _buildGenerationConfig(responseSchema) {
+        if (!responseSchema) {
+            return { generationConfig: null, structuredOutput: null };
+        }
+        const schema = toGeminiResponseSchema(responseSchema);
+        return {
+            generationConfig: { responseMimeType: 'application/json', ...(schema && { responseSchema: schema }) },
+            structuredOutput: schema ? 'json_schema' : 'json_object',
+        };
+    }
+
     _extractTokenUsage(result) {
         try {
             const u = result.response?.usageMetadata;
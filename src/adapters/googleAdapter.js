@@ -1,11 +1,25 @@
-import { GoogleGenerativeAI } from "@google/generative-ai";
+import { GoogleGenerativeAI, GoogleGenerativeAIAbortError } from "@google/generative-ai";
+import { collectGeminiStream } from '../utils/streaming.js';
+import { toGeminiResponseSchema } from '../utils/chartSchema.js';
+
+// responseMimeType/responseSchema only exist on the v1beta API
+const API_VERSION = 'v1beta';
+
 /**
  * Google Gemini AI Adapter
  * Handles Google-specific API calls and response formatting
  */
 export class GoogleAdapter {
+  static provider = {
+    name: 'google',
+    label: 'Google Gemini',
+    envKey: 'GEMINI_API_KEY',
+    defaultModel: 'gemini-2.5-flash',
+    capabilities: { streaming: true, jsonMode: true, structuredOutput: 'json_schema', webSearch: false, vision: true }
+  };
+
   constructor() {
-    this.serviceName = 'google';
+    this.serviceName = GoogleAdapter.provider.name;
     this._genAI = null; // lazy-initialized on first use
   }
 
@@ -23,21 +37,53 @@ export class GoogleAdapter {
    * @returns {Promise<Object>} - API response
    */
   async generateContent(params) {
-    const { systemPrompt, userPrompt, model, maxTokens, temperature } = params;
+    const { systemPrompt, userPrompt, model, maxTokens, temperature, onToken, followUpMessages = [], responseSchema = null, signal = null } = params;
 
     // Select appropriate model based on context
     const modelName = this.getModelName(model);
-    const genModel = this.genAI.getGenerativeModel({ model: modelName });
+    const { generationConfig, structuredOutput } = this.buildGenerationConfig(responseSchema);
+    const genModel = this.genAI.getGenerativeModel(
+      { model: modelName, ...(generationConfig && { generationConfig }) },
+      { apiVersion: API_VERSION }
+    );
 
     // For Google, we combine system and user prompts
     const combinedPrompt = systemPrompt ? `${systemPrompt}\n\nUser request: ${userPrompt}` : userPrompt;
 
+    // Follow-up turns (e.g. a correction request) need the multi-turn contents form
+    const request = followUpMessages.length > 0
+      ? {
+        contents: [
+          { role: 'user', parts: [{ text: combinedPrompt }] },
+          ...followUpMessages.map(m => ({ role: m.role === 'assistant' ? 'model' : 'user', parts: [{ text: m.content }] }))
+        ]
+      }
+      : combinedPrompt;
+
     // 30-second timeout using AbortController
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), 60000);
+    // The caller's signal aborts too (client disconnected)
+    signal?.addEventListener('abort', () => controller.abort(signal.reason), { once: true });
 
     try {
-      const result = await genModel.generateContent(combinedPrompt, {
+      // Streaming mode — forward text deltas as they arrive
+      if (onToken) {
+        const streamed = await collectGeminiStream(
+          await genModel.generateContentStream(request, { signal: controller.signal }),
+          onToken
+        );
+        clearTimeout(timeoutId);
+        const result = { response: streamed.response };
+        return {
+          content: streamed.content,
+          tokensUsed: this.extractTokenUsage(result),
+          rawResponse: result,
+          structuredOutput
+        };
+      }
+
+      const result = await genModel.generateContent(request, {
         signal: controller.signal
       });
       clearTimeout(timeoutId);
@@ -47,11 +93,12 @@ export class GoogleAdapter {
       return {
         content: responseText,
         tokensUsed: this.extractTokenUsage(result),
-        rawResponse: result
+        rawResponse: result,
+        structuredOutput
       };
     } catch (error) {
       clearTimeout(timeoutId);
-      if (error.name === 'AbortError') {
+      if (error.name === 'AbortError' || error instanceof GoogleGenerativeAIAbortError) {
         throw new Error('Google Gemini API request timed out after 30 seconds.');
       }
       throw error;
@@ -78,6 +125,17 @@ export class GoogleAdapter {
     }
   }
 
+  /**
+   * Get available Google Gemini models
+   * @returns {Array} - List of available models
+   */
+  getAvailableModels() {
+    return [
+      { id: 'gemini-2.5-flash', name: 'Gemini 2.5 Flash', description: 'Fast — best for new charts', cost_tier: 'standard' },
+      { id: 'gemini-2.5-pro', name: 'Gemini 2.5 Pro', description: 'Most capable — best for modifications', cost_tier: 'premium' }
+    ];
+  }
+
   /**
    * Get additional metadata specific to Google
    * @param {Object} response - API response
@@ -125,6 +183,23 @@ export class GoogleAdapter {
     return requestedModel || 'gemini-2.5-flash';
   }
 
+  /**
+   * JSON mode plus the chart schema when it fits Gemini's schema subset
+   * (free-form objects like a partial chartConfig don't, so modifications get JSON mode only)
+   * @param {Object|null} responseSchema - Chart response JSON Schema
+   * @returns {Object} - { generationConfig, structuredOutput }
+   */
+  buildGenerationConfig(responseSchema) {
+    if (!responseSchema) {
+      return { generationConfig: null, structuredOutput: null };
+    }
+    const schema = toGeminiResponseSchema(responseSchema);
+    return {
+      generationConfig: { responseMimeType: 'application/json', ...(schema && { responseSchema: schema }) },
+      structuredOutput: schema ? 'json_schema' : 'json_object'
+    };
+  }
+
   /**
    * Extract token usage from Google response
    * @param {Object} result - Google API result
@@ -0,0 +1,204 @@
+import { OpenAI } from 'openai';
+import { collectChatCompletionStream, requestSignal } from '../utils/streaming.js';
+import { toOpenAIResponseFormat } from '../utils/chartSchema.js';
+
+const DEFAULT_MODEL = 'llama3.1';
+const DEFAULT_TIMEOUT_MS = 120000; // Local models on CPU are much slower than hosted APIs
+const MODELS_CACHE_TTL_MS = 60 * 1000;
+
+/**
+ * Local / self-hosted adapter
+ * Talks to any OpenAI-compatible server (Ollama, llama.cpp server, vLLM, LM Studio)
+ * so charts can be generated without an external API key.
+ *
+ * LOCAL_LLM_BASE_URL  e.g. http://localhost:11434/v1 (Ollama), http://localhost:8080/v1 (llama.cpp)
+ * LOCAL_LLM_MODEL     default model name (falls back to the first model the server reports)
+ * LOCAL_LLM_API_KEY   only if the server enforces one (vLLM --api-key)
+ * LOCAL_LLM_TIMEOUT_MS
+ * LOCAL_LLM_STRUCTURED_OUTPUT=false for servers without `response_format: json_schema` support
+ */
+export class LocalAdapter {
+  static provider = {
+    name: 'local',
+    label: 'Local (OpenAI-compatible)',
+    envKey: 'LOCAL_LLM_BASE_URL', // "Configured" = a server URL is set; no API key required
+    defaultModel: null, // Resolved per request from LOCAL_LLM_MODEL or the server's model list
+    capabilities: { streaming: true, jsonMode: true, structuredOutput: 'json_schema', webSearch: false, vision: false }
+  };
+
+  constructor() {
+    this.serviceName = LocalAdapter.provider.name;
+    this._client = null; // lazy-initialized on first use
+    this._modelsCache = null;
+  }
+
+  get baseURL() {
+    return (process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, '');
+  }
+
+  get timeoutMs() {
+    return parseInt(process.env.LOCAL_LLM_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS;
+  }
+
+  // Lazy client getter — defers instantiation until env vars are loaded
+  get client() {
+    if (!this._client) {
+      this._client = new OpenAI({
+        // The SDK requires a non-empty key even when the server ignores it
+        apiKey: process.env.LOCAL_LLM_API_KEY || 'not-needed',
+        baseURL: this.baseURL,
+        maxRetries: 0
+      });
+    }
+    return this._client;
+  }
+
+  /**
+   * Generate content using the local server
+   * @param {Object} params - Generation parameters
+   * @returns {Promise<Object>} - API response
+   */
+  async generateContent(params) {
+    const { systemPrompt, userPrompt, model, maxTokens, temperature, topP, onToken, followUpMessages = [], responseSchema = null, signal = null } = params;
+    const resolvedModel = await this.resolveModel(model);
+
+    const messages = [];
+    if (systemPrompt) messages.push({ role: 'system', content: systemPrompt });
+    messages.push({ role: 'user', content: userPrompt });
+    messages.push(...followUpMessages);
+
+    const request = {
+      model: resolvedModel,
+      messages,
+      max_tokens: maxTokens || 2500,
+      temperature: temperature ?? 0.2,
+      top_p: topP || 0.9
+    };
+
+    const structuredOutput = responseSchema && process.env.LOCAL_LLM_STRUCTURED_OUTPUT !== 'false' ? 'json_schema' : null;
+    if (structuredOutput) request.response_format = toOpenAIResponseFormat(responseSchema);
+
+    if (onToken) {
+      const stream = await this.client.chat.completions.create({
+        ...request,
+        stream: true,
+        stream_options: { include_usage: true }
+      }, {
+        signal: requestSignal(this.timeoutMs, signal)
+      });
+      return { ...await collectChatCompletionStream(stream, onToken), structuredOutput };
+    }
+
+    const response = await this.client.chat.completions.create(request, {
+      signal: requestSignal(this.timeoutMs, signal)
+    });
+
+    const content = response.choices[0]?.message?.content;
+    if (!content?.trim()) throw new Error('Empty response from local model server');
+
+    return {
+      content,
+      tokensUsed: response.usage?.total_tokens || null,
+      rawResponse: response,
+      structuredOutput
+    };
+  }
+
+  /**
+   * The server is healthy if it answers the model list — no tokens spent
+   * @returns {Promise<boolean>}
+   */
+  async healthCheck() {
+    try {
+      const models = await this.fetchModels(true);
+      return models.length > 0;
+    } catch (error) {
+      console.error('Local model server health check failed:', error.message);
+      return false;
+    }
+  }
+
+  async validateApiKey() {
+    return await this.healthCheck();
+  }
+
+  /**
+   * Models reported by the server's /v1/models endpoint
+   * @returns {Promise<Array>} - List of available models
+   */
+  async getAvailableModels() {
+    try {
+      return await this.fetchModels();
+    } catch (error) {
+      console.warn('Could not list local models:', error.message);
+      // Still let the UI offer the configured model when the server is down
+      return process.env.LOCAL_LLM_MODEL
+        ? [{ id: process.env.LOCAL_LLM_MODEL, name: process.env.LOCAL_LLM_MODEL, description: 'Configured local model (server unreachable)', cost_tier: 'free' }]
+        : [];
+    }
+  }
+
+  getAdditionalMetadata(response, model) {
+    return {
+      model_used: response.rawResponse?.model || model || process.env.LOCAL_LLM_MODEL || null,
+      base_url: this.baseURL,
+      finish_reason: response.rawResponse?.choices?.[0]?.finish_reason || null
+    };
+  }
+
+  enhanceError(error) {
+    if (error.name === 'APIConnectionError' || error.code === 'ECONNREFUSED' || error.cause?.code === 'ECONNREFUSED') {
+      const unreachable = new Error(`Local model server is unreachable at ${this.baseURL}`);
+      unreachable.status = 503;
+      return unreachable;
+    }
+    if (error.status === 404) return new Error(`Local model server does not have the requested model: ${error.message}`);
+    if (error.status >= 500) return new Error('Local model server error');
+    return new Error(`Local model error: ${error.message}`);
+  }
+
+  // ========== PRIVATE HELPER METHODS ==========
+
+  /**
+   * Fetch and briefly cache the server's model list
+   * @param {boolean} fresh - Bypass the cache
+   * @returns {Promise<Array>}
+   */
+  async fetchModels(fresh = false) {
+    if (!fresh && this._modelsCache && Date.now() < this._modelsCache.expiresAt) {
+      return this._modelsCache.models;
+    }
+
+    const page = await this.client.models.list({ signal: AbortSignal.timeout(5000) });
+    const models = (page.data || []).map(m => ({
+      id: m.id,
+      name: m.id,
+      description: m.owned_by ? `Served by ${m.owned_by}` : 'Local model',
+      cost_tier: 'free'
+    }));
+
+    this._modelsCache = { models, expiresAt: Date.now() + MODELS_CACHE_TTL_MS };
+    return models;
+  }
+
+  /**
+   * Requested model → LOCAL_LLM_MODEL → first model the server reports → llama3.1
+   * @param {string} requestedModel - Model from the request
+   * @returns {Promise<string>}
+   */
+  async resolveModel(requestedModel) {
+    if (requestedModel) return requestedModel;
+    if (process.env.LOCAL_LLM_MODEL) return process.env.LOCAL_LLM_MODEL;
+    try {
+      const models = await this.fetchModels();
+      if (models.length > 0) return models[0].id;
+    } catch {
+      // Fall through to the default name; the completion call will surface the real error
+    }
+    return DEFAULT_MODEL;
+  }
+}
+
+export function createLocalAdapter() {
+  return new LocalAdapter();
+}
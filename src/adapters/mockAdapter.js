@@ -0,0 +1,241 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+// Failure modes that can be injected into a replayed response
+export const MOCK_MODES = {
+  REPLAY: 'replay',         // Fixture content as recorded
+  TRUNCATED: 'truncated',   // JSON cut off mid-object (exercises attemptJSONRepair)
+  FENCED: 'fenced',         // Wrapped in ```json fences (exercises cleanResponse)
+  HTML: 'html',             // HTML with raw newlines inside a JSON string (exercises fixHTMLInJSON)
+  RATE_LIMIT: 'rate_limit', // 429 from the "provider"
+  TIMEOUT: 'timeout'        // Request aborted after AI_MOCK_TIMEOUT_MS
+};
+
+const STREAM_CHUNK_SIZE = 32;
+
+// Returned when no fixture matches and recording is off
+const DEFAULT_CHART = {
+  chartType: 'bar',
+  chartData: {
+    labels: ['Q1', 'Q2', 'Q3', 'Q4'],
+    datasets: [{ label: 'Mock data', data: [12, 19, 7, 15], backgroundColor: ['#4F46E5', '#06B6D4', '#F59E0B', '#10B981'] }]
+  },
+  chartConfig: { responsive: true, plugins: { title: { display: true, text: 'Mock chart' } } },
+  user_message: 'Mock chart generated from the built-in default fixture'
+};
+
+/**
+ * Key a fixture by the user prompt. The system prompt is left out on purpose so
+ * new prompt versions don't invalidate every recorded fixture.
+ * @param {string} userPrompt - Prompt sent to the adapter
+ * @returns {string} - 16-char hex hash (fixture file name without .json)
+ */
+export function hashPrompt(userPrompt) {
+  return crypto.createHash('sha256').update(userPrompt || '').digest('hex').slice(0, 16);
+}
+
+/**
+ * Mock Adapter
+ * Deterministic provider for offline end-to-end tests — replays recorded responses from
+ * AI_MOCK_FIXTURES_DIR (<prompt hash>.json) and can inject provider failure modes.
+ *
+ * The failure mode is picked by the model name (`"model": "truncated"`) or AI_MOCK_MODE.
+ * Malformed-output modes only apply to the first attempt, so correction turns get the clean
+ * fixture; pass maxRetries: 0 to see the failure surface.
+ *
+ * With AI_MOCK_RECORD_FROM=<provider>, prompts without a fixture are sent to that real
+ * provider and its answer is saved as a new fixture.
+ */
+export class MockAdapter {
+  static provider = {
+    name: 'mock',
+    label: 'Mock (recorded fixtures)',
+    envKey: 'AI_MOCK_FIXTURES_DIR', // Only enabled where a fixtures directory is configured
+    defaultModel: MOCK_MODES.REPLAY,
+    capabilities: { streaming: true, jsonMode: false, structuredOutput: false, webSearch: false, vision: false } // Plain text, so the repair heuristics run
+  };
+
+  constructor() {
+    this.serviceName = MockAdapter.provider.name;
+  }
+
+  get fixturesDir() {
+    return path.resolve(process.env.AI_MOCK_FIXTURES_DIR || 'fixtures/ai');
+  }
+
+  async generateContent(params) {
+    const { userPrompt, model, onToken, followUpMessages = [], signal = null } = params;
+    const mode = this.resolveMode(model);
+    signal?.throwIfAborted();
+
+    // Provider-level failures happen before any content is produced
+    if (mode === MOCK_MODES.RATE_LIMIT) {
+      const error = new Error('Mock rate limit exceeded');
+      error.status = 429;
+      throw error;
+    }
+    if (mode === MOCK_MODES.TIMEOUT) {
+      await new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, parseInt(process.env.AI_MOCK_TIMEOUT_MS, 10) || 100);
+        signal?.addEventListener('abort', () => {
+          clearTimeout(timer);
+          reject(signal.reason);
+        }, { once: true });
+      });
+      throw new DOMException('The operation was aborted due to timeout', 'TimeoutError');
+    }
+
+    const hash = hashPrompt(userPrompt);
+    const fixture = await this.loadFixture(hash) || await this.recordFixture(hash, params);
+
+    const isCorrection = followUpMessages.length > 0;
+    const content = isCorrection ? fixture.content : this.injectFailure(fixture.content, mode);
+
+    if (onToken) {
+      for (let i = 0; i < content.length; i += STREAM_CHUNK_SIZE) {
+        onToken(content.slice(i, i + STREAM_CHUNK_SIZE));
+      }
+    }
+
+    return {
+      content,
+      tokensUsed: fixture.tokensUsed ?? null,
+      rawResponse: { fixture: hash, mode, recorded_from: fixture.recorded_from || null }
+    };
+  }
+
+  async validateApiKey() {
+    try {
+      await fs.access(this.fixturesDir);
+      return true;
+    } catch {
+      console.error(`Mock fixtures directory not found: ${this.fixturesDir}`);
+      return false;
+    }
+  }
+
+  /**
+   * "Models" are the failure modes
+   * @returns {Array} - List of available models
+   */
+  getAvailableModels() {
+    return Object.values(MOCK_MODES).map(mode => ({
+      id: mode,
+      name: mode,
+      description: mode === MOCK_MODES.REPLAY ? 'Replay recorded fixtures unchanged' : `Replay with injected failure: ${mode}`,
+      cost_tier: 'free'
+    }));
+  }
+
+  getAdditionalMetadata(response) {
+    return {
+      fixture: response.rawResponse?.fixture || null,
+      mock_mode: response.rawResponse?.mode || null,
+      recorded_from: response.rawResponse?.recorded_from || null
+    };
+  }
+
+  enhanceError(error) {
+    if (error.status === 429) return new Error('Mock rate limit exceeded. Please try again.');
+    if (error.name === 'TimeoutError') return new Error('Mock API request timed out.');
+    return new Error(`Mock adapter error: ${error.message}`);
+  }
+
+  // ========== PRIVATE HELPER METHODS ==========
+
+  resolveMode(model) {
+    const mode = Object.values(MOCK_MODES).includes(model) ? model : process.env.AI_MOCK_MODE;
+    return Object.values(MOCK_MODES).includes(mode) ? mode : MOCK_MODES.REPLAY;
+  }
+
+  /**
+   * @param {string} hash - Prompt hash
+   * @returns {Promise<Object|null>} - { content, tokensUsed, ... } or null when there's no fixture
+   */
+  async loadFixture(hash) {
+    try {
+      const raw = await fs.readFile(path.join(this.fixturesDir, `${hash}.json`), 'utf-8');
+      return JSON.parse(raw);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw new Error(`Mock fixture ${hash}.json is unreadable: ${error.message}`);
+    }
+  }
+
+  /**
+   * Forward to the real provider named in AI_MOCK_RECORD_FROM and save its answer.
+   * Without recording, fall back to _default.json or the built-in chart.
+   * @param {string} hash - Prompt hash
+   * @param {Object} params - Original generateContent params
+   * @returns {Promise<Object>} - Fixture
+   */
+  async recordFixture(hash, params) {
+    const source = process.env.AI_MOCK_RECORD_FROM;
+    if (!source) {
+      console.warn(`No mock fixture for prompt ${hash}, using the default chart`);
+      return await this.loadFixture('_default') || { content: JSON.stringify(DEFAULT_CHART), tokensUsed: null };
+    }
+
+    // Imported lazily — the registry itself loads this adapter
+    const { default: providerRegistry } = await import('../services/providerRegistry.js');
+    const provider = providerRegistry.get(source);
+    if (!provider || source === this.serviceName) {
+      throw new Error(`AI_MOCK_RECORD_FROM must name a real provider, got '${source}'`);
+    }
+
+    const { onToken, followUpMessages, ...request } = params;
+    const response = await provider.adapter.generateContent({
+      ...request,
+      model: Object.values(MOCK_MODES).includes(request.model) ? provider.defaultModel : request.model
+    });
+
+    const fixture = {
+      prompt_hash: hash,
+      prompt_preview: (params.userPrompt || '').slice(0, 200),
+      content: response.content,
+      tokensUsed: response.tokensUsed ?? null,
+      recorded_from: source,
+      recorded_at: new Date().toISOString()
+    };
+    await fs.mkdir(this.fixturesDir, { recursive: true });
+    await fs.writeFile(path.join(this.fixturesDir, `${hash}.json`), JSON.stringify(fixture, null, 2));
+    console.log(`📼 Recorded mock fixture ${hash}.json from ${source}`);
+    return fixture;
+  }
+
+  /**
+   * Corrupt a well-formed response the way real providers do
+   * @param {string} content - Fixture content
+   * @param {string} mode - One of MOCK_MODES
+   * @returns {string}
+   */
+  injectFailure(content, mode) {
+    switch (mode) {
+      case MOCK_MODES.TRUNCATED:
+        return content.slice(0, Math.floor(content.length * 0.6));
+      case MOCK_MODES.FENCED:
+        return '```json\n' + content + '\n```';
+      case MOCK_MODES.HTML: {
+        let parsed;
+        try {
+          parsed = JSON.parse(content);
+        } catch {
+          return content; // Already malformed — nothing to inject into
+        }
+        parsed.templateContent = {
+          ...parsed.templateContent,
+          body: '<div class="summary">\n  <h2>Highlights</h2>\n  <ul>\n    <li>First point</li>\n  </ul>\n</div>'
+        };
+        // Escaped newlines only occur inside strings, so un-escaping them yields raw newlines in string values
+        return JSON.stringify(parsed).replace(/(?<!\\)\\n/g, '\n');
+      }
+      default:
+        return content;
+    }
+  }
+}
+
+export function createMockAdapter() {
+  return new MockAdapter();
+}
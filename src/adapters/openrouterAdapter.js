@@ -1,12 +1,22 @@
 import { OpenAI } from 'openai';
+import { collectChatCompletionStream, requestSignal } from '../utils/streaming.js';
+import { toOpenAIResponseFormat } from '../utils/chartSchema.js';
 
 /**
  * OpenRouter AI Adapter
  * Handles OpenRouter-specific API calls and response formatting
  */
 export class OpenRouterAdapter {
+  static provider = {
+    name: 'openrouter',
+    label: 'OpenRouter',
+    envKey: 'OPENROUTER_API_KEY',
+    defaultModel: 'deepseek/deepseek-chat-v3-0324:free',
+    capabilities: { streaming: true, jsonMode: true, structuredOutput: false, webSearch: false, vision: true }
+  };
+
   constructor() {
-    this.serviceName = 'openrouter';
+    this.serviceName = OpenRouterAdapter.provider.name;
     this._client = null; // lazy-initialized on first use
   }
 
@@ -31,7 +41,7 @@ export class OpenRouterAdapter {
    * @returns {Promise<Object>} - API response
    */
   async generateContent(params) {
-    const { systemPrompt, userPrompt, model, maxTokens, temperature, topP } = params;
+    const { systemPrompt, userPrompt, model, maxTokens, temperature, topP, onToken, followUpMessages = [], responseSchema = null, signal = null } = params;
 
     const messages = [];
 
@@ -43,14 +53,35 @@ export class OpenRouterAdapter {
     // Add user message
     messages.push({ role: "user", content: userPrompt });
 
-    const response = await this.client.chat.completions.create({
+    // Add follow-up turns (e.g. a correction request after an invalid answer)
+    messages.push(...followUpMessages);
+
+    const request = {
       model: model || 'openai/gpt-4o-mini',
       messages: messages,
       max_tokens: maxTokens || 2000,
       temperature: temperature || 0.3,
       top_p: topP || 0.9
-    }, {
-      signal: AbortSignal.timeout(60000) // 60-second timeout
+    };
+
+    // OpenRouter forwards response_format to upstreams that support it and silently drops it
+    // for the rest, so responses are not reported as structured — repair stays on
+    if (responseSchema) request.response_format = toOpenAIResponseFormat(responseSchema);
+
+    // Streaming mode — forward deltas to the caller as they arrive
+    if (onToken) {
+      const stream = await this.client.chat.completions.create({
+        ...request,
+        stream: true,
+        stream_options: { include_usage: true }
+      }, {
+        signal: requestSignal(60000, signal)
+      });
+      return await collectChatCompletionStream(stream, onToken);
+    }
+
+    const response = await this.client.chat.completions.create(request, {
+      signal: requestSignal(60000, signal) // 60-second timeout
     });
 
     return {
@@ -1,12 +1,22 @@
 import { OpenAI } from 'openai';
+import { collectChatCompletionStream, requestSignal } from '../utils/streaming.js';
+import { toOpenAIResponseFormat } from '../utils/chartSchema.js';
 
 /**
  * Perplexity AI Adapter
  * Handles Perplexity-specific API calls and response formatting
  */
 export class PerplexityAdapter {
+  static provider = {
+    name: 'perplexity',
+    label: 'Perplexity',
+    envKey: 'PERPLEXITY_API_KEY',
+    defaultModel: 'sonar-pro',
+    capabilities: { streaming: true, jsonMode: true, structuredOutput: 'json_schema', webSearch: true, vision: false }
+  };
+
   constructor() {
-    this.serviceName = 'perplexity';
+    this.serviceName = PerplexityAdapter.provider.name;
     this._client = null; // lazy-initialized on first use
   }
 
@@ -27,7 +37,7 @@ export class PerplexityAdapter {
    * @returns {Promise<Object>} - API response
    */
   async generateContent(params) {
-    const { systemPrompt, userPrompt, model, maxTokens, temperature, topP } = params;
+    const { systemPrompt, userPrompt, model, maxTokens, temperature, topP, onToken, followUpMessages = [], responseSchema = null, signal = null } = params;
 
     const messages = [];
 
@@ -39,6 +49,9 @@ export class PerplexityAdapter {
     // Add user message
     messages.push({ role: "user", content: userPrompt });
 
+    // Add follow-up turns (e.g. a correction request after an invalid answer)
+    messages.push(...followUpMessages);
+
     try {
       // Determine optimal max_tokens based on request type and model
       let optimalMaxTokens = maxTokens;
@@ -59,16 +72,29 @@ export class PerplexityAdapter {
         }
       }
 
-      const response = await this.client.chat.completions.create({
+      const request = {
         model: model || 'sonar-pro',
         messages: messages,
         max_tokens: optimalMaxTokens,
         temperature: temperature || 0.3,
         top_p: topP || 0.9,
         stream: false  // Ensure we get complete responses
-      }, {
-        signal: AbortSignal.timeout(60000) // 60-second timeout
-      });
+      };
+
+      if (responseSchema) request.response_format = toOpenAIResponseFormat(responseSchema);
+
+      // Streaming mode — the collected stream is shaped like a buffered completion,
+      // so the truncation/non-JSON checks below apply to both paths
+      const response = onToken
+        ? (await collectChatCompletionStream(
+          await this.client.chat.completions.create({ ...request, stream: true }, {
+            signal: requestSignal(60000, signal)
+          }),
+          onToken
+        )).rawResponse
+        : await this.client.chat.completions.create(request, {
+          signal: requestSignal(60000, signal) // 60-second timeout
+        });
 
       const content = response.choices[0]?.message?.content;
 
@@ -97,7 +123,8 @@ export class PerplexityAdapter {
       return {
         content: content,
         tokensUsed: response.usage?.total_tokens || null,
-        rawResponse: response
+        rawResponse: response,
+        structuredOutput: responseSchema ? 'json_schema' : null
       };
 
     } catch (error) {
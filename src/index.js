@@ -5,14 +5,16 @@ import cors from 'cors';
 import helmet from 'helmet';
 import cookieParser from 'cookie-parser';
 import rateLimit from 'express-rate-limit';
-import { generateChartDataWithGemini, modifyChartDataWithGemini } from './services/geminiService.js';
-import { generateChartDataWithOpenRouter, modifyChartDataWithOpenRouter } from './services/openrouterService.js';
-import { generateChartDataWithDeepSeek, modifyChartDataWithDeepSeek } from './services/deepseekService.js';
-import perplexityRoutes from './routes/perplexityRoutes.js';
-import openrouterRoutes from './routes/openrouterRoutes.js';
-import deepseekRoutes from './routes/deepseekRoutes.js';
-import geminiRoutes from './routes/geminiRoutes.js';
+import providerRegistry from './services/providerRegistry.js';
+import providerRoutes from './routes/providerRoutes.js';
 import imageProxyRoutes from './routes/imageProxyRoutes.js';
+import { initSSE, sendSSE, wantsEventStream, abortOnDisconnect } from './utils/streaming.js';
+import { ChartValidationError } from './utils/chartSchema.js';
+import { resolveProviderChain, runWithFallback, notConfiguredError } from './services/providerFallback.js';
+import { lockDataset } from './utils/datasetLock.js';
+import usageService from './services/usageService.js';
+import chartDataService from './services/chartDataService.js';
+import { requireCredits, withCreditHold } from './middleware/usageMiddleware.js';
 import { requireAuth, requireAdmin, rateLimitMiddleware, getSecurityStats, blockIP, unblockIP } from './middleware/authMiddleware.js'
 
 // Check required environment variables
@@ -37,6 +39,13 @@ console.log('✅ All required environment variables are configured');
 const app = express();
 const port = process.env.PORT || 5000;
 
+// Behind a load balancer or CDN, TRUST_PROXY (a hop count, or the proxies' addresses/subnets)
+// makes req.ip the client's address from X-Forwarded-For; unset, forwarded headers are ignored
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY.trim();
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
 app.use(helmet({
   contentSecurityPolicy: {
     directives: {
@@ -78,8 +87,8 @@ app.use(
     origin: allowedOrigins,
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
-    exposedHeaders: ['X-Total-Count']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Share-Password'],
+    exposedHeaders: ['X-Total-Count', 'X-Next-Cursor', 'Content-Disposition']
   })
 )
 
@@ -123,22 +132,41 @@ import dataRoutes from './routes/dataRoutes.js'
 import templateRoutes from './routes/templateRoutes.js'
 import formatRoutes from './routes/formatRoutes.js'
 import chartStylePresetRoutes from './routes/chartStylePresetRoutes.js'
+import usageRoutes from './routes/usageRoutes.js'
+import promptRoutes from './routes/promptRoutes.js'
+import shareRoutes from './routes/shareRoutes.js'
 app.use('/auth', authRoutes)
 
 // Chart processing endpoints (require auth + stricter AI rate limit)
-app.use('/api/gemini', requireAuth, aiLimiter, geminiRoutes);
-app.use('/api/perplexity', requireAuth, aiLimiter, perplexityRoutes);
-app.use('/api/openrouter', requireAuth, aiLimiter, openrouterRoutes);
-app.use('/api/deepseek', requireAuth, aiLimiter, deepseekRoutes);
+// Generated from the provider registry: /api/providers/:name/{models,validate,status,process-chart}
+app.use('/api/providers', requireAuth, aiLimiter, providerRoutes);
+
+// Legacy per-provider paths (/api/gemini/models, ...) map onto the generic routes
+for (const { name } of providerRegistry.list()) {
+  app.use(`/api/${name}`, requireAuth, aiLimiter, (req, res, next) => {
+    req.url = `/${name}${req.url}`;
+    providerRoutes(req, res, next);
+  });
+}
 
 // Format and chart style preset routes (have both public and authenticated endpoints - must be BEFORE auth-protected routes)
 app.use('/api/data', formatRoutes);
 app.use('/api/data', chartStylePresetRoutes);
 
+// Public share pages: Open Graph landing page, oEmbed provider, preview image and iframe embed
+app.use('/share', shareRoutes);
+
 // Protected API endpoints (require authentication)
-app.use('/api/data', requireAuth, dataRoutes);
+// dataRoutes applies requireAuth itself, after its public /shared/:shareId route
+app.use('/api/data', dataRoutes);
 app.use('/api/data', requireAuth, templateRoutes);
 
+// AI usage and credit quota for the current user
+app.use('/api/usage', requireAuth, usageRoutes);
+
+// Prompt registry administration (versions, rollouts, A/B)
+app.use('/admin/prompts', requireAuth, requireAdmin, promptRoutes);
+
 // Utilities (no requireAuth because img tags cannot send Auth headers, protected via ALLOWED_PROXY_DOMAINS whitelist)
 app.use('/api/proxy', imageProxyRoutes);
 
@@ -174,19 +202,31 @@ app.post('/admin/security/unblock-ip', requireAuth, requireAdmin, (req, res) =>
 
 
 
+// `service` values this endpoint has always resolved to a different provider. Before the
+// provider registry, 'perplexity' here ran Gemini with GEMINI_API_KEY; existing clients rely
+// on that, so it's kept. Perplexity itself is at /api/providers/perplexity/process-chart.
+const LEGACY_SERVICE_ALIASES = { perplexity: 'gemini' };
+
 // Enhanced main endpoint that supports both Google and Perplexity
 // Protected: requires authentication + AI rate limiting
-app.post('/api/process-chart-enhanced', requireAuth, aiLimiter, async (req, res) => {
+// Streaming: send `Accept: text/event-stream` (or `stream: true` in the body) to receive
+// `phase` / `token` progress events followed by a single `result` (or `error`) event
+app.post('/api/process-chart-enhanced', requireAuth, aiLimiter, requireCredits, async (req, res) => {
   const {
     input,
-    service = 'deepseek', // default AI: 'gemini' | 'deepseek' | 'openrouter' | 'google'
-    model,
+    service: requestedService, // any provider registered in providerRegistry
+    model: requestedModel,
     conversationId,
+    projectId, // optional; otherwise the conversation's project supplies defaults
     currentChartState,
     messageHistory,
     templateStructure, // NEW: Template structure metadata for generating template text content
-    formatStructure
+    formatStructure,
+    dataset // Optional user-supplied data ({ columns, rows } or row objects) — values are locked, AI only styles/narrates
   } = req.body;
+  // Without a service in the request: the project's default provider, else deepseek
+  let service = LEGACY_SERVICE_ALIASES[requestedService] || requestedService || 'deepseek';
+  let model = requestedModel;
 
   try {
 
@@ -194,29 +234,88 @@ app.post('/api/process-chart-enhanced', requireAuth, aiLimiter, async (req, res)
       return res.status(400).json({ error: 'Input text is required' });
     }
 
-    // Service registry — add new services here, no if/else needed
-    const SERVICE_REGISTRY = {
-      perplexity: { generate: generateChartDataWithGemini, modify: modifyChartDataWithGemini, apiKey: 'GEMINI_API_KEY' },
-      gemini: { generate: generateChartDataWithGemini, modify: modifyChartDataWithGemini, apiKey: 'GEMINI_API_KEY' },
-      openrouter: { generate: generateChartDataWithOpenRouter, modify: modifyChartDataWithOpenRouter, apiKey: 'OPENROUTER_API_KEY' },
-      deepseek: { generate: generateChartDataWithDeepSeek, modify: modifyChartDataWithDeepSeek, apiKey: 'DEEPSEEK_API_KEY' },
-      google: { generate: generateChartDataWithGemini, modify: modifyChartDataWithGemini, apiKey: 'GEMINI_API_KEY' },
-    };
+    // Project defaults: provider and model when the request names none, and the style for new charts
+    let projectDefaults;
+    try {
+      projectDefaults = await chartDataService.getProjectDefaults(req.user.id, { projectId, conversationId });
+    } catch (error) {
+      if (error.message === 'Project not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      throw error;
+    }
+    if (projectDefaults) {
+      if (!requestedService && projectDefaults.provider) service = projectDefaults.provider;
+      if (!requestedModel && projectDefaults.model && service === projectDefaults.provider) model = projectDefaults.model;
+    }
 
-    const svc = SERVICE_REGISTRY[service] ?? SERVICE_REGISTRY.gemini;
+    // Hybrid mode (new charts only): normalize the user's numbers before any provider is called
+    let lockedData = null;
+    if (dataset != null) {
+      if (currentChartState && conversationId) {
+        return res.status(400).json({ error: 'dataset is only supported for new charts' });
+      }
+      try {
+        lockedData = lockDataset(dataset);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    }
 
-    const apiKeyValue = process.env[svc.apiKey];
-    const isPlaceholder = !apiKeyValue || apiKeyValue.startsWith('your_') || apiKeyValue === '';
+    // Ordered provider chain: requested service first, then per-request `fallback` or AI_FALLBACK_CHAIN
+    const primary = providerRegistry.has(service) ? service : 'gemini';
+    const chain = resolveProviderChain(primary, model, req.body.fallback, name => providerRegistry.has(name));
 
-    if (isPlaceholder) {
-      return res.status(500).json({ error: `API key for '${service}' is not configured. Set ${svc.apiKey} in .env` });
+    if (!chain.some(step => providerRegistry.isConfigured(step.service))) {
+      const { envKey } = providerRegistry.get(primary);
+      return res.status(500).json({ error: `API key for '${service}' is not configured. Set ${envKey} in .env` });
     }
 
-    console.log(`🤖 Processing chart request using: ${service.toUpperCase()} (Model: ${model || 'default'})`);
+    const streaming = wantsEventStream(req);
+    // A client that disconnects (closed tab, dropped EventSource) stops the provider call,
+    // the fallback chain and any correction turns
+    const signal = abortOnDisconnect(res);
+    // `fresh: true` skips the response cache (when AI_CACHE_ENABLED) and stores the new answer
+    const options = {
+      fresh: req.body.fresh === true,
+      promptBucketKey: req.user.id,
+      lockedData,
+      projectStyle: projectDefaults?.style || null,
+      signal
+    };
+    if (streaming) {
+      initSSE(res);
+      options.onEvent = (type, data) => {
+        if (!signal.aborted) sendSSE(res, type, data);
+      };
+    }
 
-    const aiResponse = (currentChartState && conversationId)
-      ? await svc.modify(input, currentChartState, messageHistory || [], model, templateStructure, formatStructure)
-      : await svc.generate(input, model, templateStructure, formatStructure);
+    // The credit hold covers the whole chain and is released once every step's ledger row is written
+    const { result: aiResponse, service: answeredBy, skipped } = await withCreditHold(req, () => runWithFallback(chain, async (step) => {
+      const provider = providerRegistry.get(step.service);
+      if (!providerRegistry.isConfigured(step.service)) {
+        throw notConfiguredError(step.service, provider.envKey);
+      }
+
+      const stepModel = step.model || provider.defaultModel || undefined;
+      console.log(`🤖 Processing chart request using: ${step.service.toUpperCase()} (Model: ${stepModel || 'default'})`);
+
+      // Every provider tried is recorded in the usage ledger, including ones that failed over
+      const isModificationStep = !!(currentChartState && conversationId);
+      return await usageService.track({
+        userId: req.user.id,
+        provider: step.service,
+        model: stepModel,
+        operation: isModificationStep ? 'modify' : 'generate',
+        conversationId
+      }, () => isModificationStep
+        ? provider.processor.modifyChart(input, currentChartState, messageHistory || [], stepModel, templateStructure, formatStructure, options)
+        : provider.processor.generateChart(input, stepModel, templateStructure, formatStructure, options));
+    }, {
+      // Streaming clients discard tokens received so far when the provider changes
+      onFallback: (skippedEntry, next) => options.onEvent?.('phase', { phase: 'fallback', ...skippedEntry, next: next.service }),
+      signal
+    }));
 
     // Determine if this is a creation or modification
     const isModification = !!(currentChartState && conversationId);
@@ -231,8 +330,15 @@ app.post('/api/process-chart-enhanced', requireAuth, aiLimiter, async (req, res)
       user_message: aiResponse.user_message,
       action: aiResponse.action || (isModification ? 'modify' : 'create'),
       changes: aiResponse.changes || [],
-      service: service,
-      _metadata: aiResponse._metadata,
+      service: answeredBy,
+      _metadata: {
+        ...aiResponse._metadata,
+        provider_chain: {
+          requested: service,
+          answered_by: answeredBy,
+          skipped
+        }
+      },
       // Include template content if generated
       templateContent: aiResponse.templateContent || null,
       // Include format content if generated
@@ -242,16 +348,40 @@ app.post('/api/process-chart-enhanced', requireAuth, aiLimiter, async (req, res)
       subtitle: aiResponse.subtitle || null,
       xAxisTitle: aiResponse.xAxisTitle || null,
       yAxisTitle: aiResponse.yAxisTitle || null,
+      // Project style preset config for the chart type (creation only), to lay over the defaults
+      styleConfig: aiResponse.styleConfig || null,
     };
 
+    if (streaming) {
+      sendSSE(res, 'result', result);
+      return res.end();
+    }
+
     res.json(result);
 
   } catch (error) {
+    if (res.destroyed) {
+      console.log(`Chart request with ${service || 'google'} stopped: client disconnected`);
+      return;
+    }
     console.error(`Error processing chart request with ${service || 'google'}:`, error);
-    res.status(500).json({
+    const payload = {
       error: `Failed to process chart request with ${service || 'google'}`,
       details: error.message
-    });
+    };
+    // The model answered, but with a chart that breaks the schema — report exactly what was wrong
+    if (error instanceof ChartValidationError) {
+      payload.violations = error.violations;
+    }
+    if (error.skipped?.length) {
+      payload.skipped = error.skipped;
+    }
+    // Once the event stream has started we can no longer change the status code
+    if (res.headersSent) {
+      sendSSE(res, 'error', payload);
+      return res.end();
+    }
+    res.status(error instanceof ChartValidationError ? 502 : 500).json(payload);
   }
 });
 
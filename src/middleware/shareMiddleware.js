@@ -0,0 +1,22 @@
+import rateLimit from 'express-rate-limit';
+import { sharePassword } from '../utils/sharePages.js';
+
+// Wrong-password attempts on one share link, per IP. Every attempt costs a scrypt check,
+// so guesses are capped; requests without a password and correct passwords aren't counted.
+export const sharePasswordLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // wrong passwords per share and IP per windowMs
+  keyGenerator: (req) => `${req.ip}:${req.params.shareId}`,
+  skip: (req) => !sharePassword(req),
+  skipSuccessfulRequests: true,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    res.setHeader('Cache-Control', 'no-store');
+    res.status(429).json({
+      error: 'Too many password attempts',
+      retryAfter: 900,
+      message: 'Too many wrong passwords for this link. Please try again later.'
+    });
+  }
+});
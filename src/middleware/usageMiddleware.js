@@ -0,0 +1,66 @@
+import usageService from '../services/usageService.js';
+
+// Monthly AI credit quota — runs after requireAuth, before any adapter is called.
+// Holds a credit for the request until its AI call's ledger rows are written (see withCreditHold).
+// Fails closed: if usage can't be checked the request gets 503, unless AI_QUOTA_FAIL_OPEN=true.
+export async function requireCredits(req, res, next) {
+  let quota;
+  try {
+    const isModification = !!(req.body?.currentChartState && req.body?.conversationId);
+    quota = await usageService.reserveCredits(req.user, { operation: isModification ? 'modify' : 'generate' });
+  } catch (error) {
+    if (process.env.AI_QUOTA_FAIL_OPEN === 'true') {
+      console.error('Credit quota check failed, allowing request (AI_QUOTA_FAIL_OPEN):', error.message);
+      return next();
+    }
+    console.error('Credit quota check failed:', error.message);
+    return res.status(503).json({ error: 'AI credit check is unavailable. Please try again shortly.' });
+  }
+
+  if (!quota.allowed) {
+    return res.status(429).json({
+      error: 'Monthly AI credit quota exceeded',
+      plan: quota.plan,
+      limit: quota.limit,
+      used: quota.used,
+      resets_at: quota.resets_at
+    });
+  }
+
+  if (quota.reservationId) {
+    let released = false;
+    req.creditHold = {
+      inFlight: false,
+      release() {
+        if (released) return;
+        released = true;
+        usageService.releaseReservation(quota.reservationId);
+      }
+    };
+    // A request that never reaches a provider (bad input, unknown project) is released when it ends
+    res.once('close', () => {
+      if (!req.creditHold.inFlight) req.creditHold.release();
+    });
+  }
+  req.creditQuota = quota;
+  next();
+}
+
+/**
+ * Run a request's tracked AI call(s) under its credit hold and release the hold once they settle.
+ * 'close' can't be used for this: it also fires when the client disconnects mid-generation,
+ * before the usage ledger rows are written.
+ * @param {Object} req - Express request that went through requireCredits
+ * @param {Function} call - async () => result of usageService.track (or a chain of them)
+ * @returns {Promise<*>} - The call's result
+ */
+export async function withCreditHold(req, call) {
+  const hold = req.creditHold;
+  if (!hold) return call();
+  hold.inFlight = true;
+  try {
+    return await call();
+  } finally {
+    hold.release();
+  }
+}
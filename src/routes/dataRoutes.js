@@ -1,10 +1,17 @@
 import express from 'express';
 import { requireAuth } from '../middleware/authMiddleware.js';
-import chartDataService from '../services/chartDataService.js';
+import chartDataService, { SHARE_ACCESS_ERRORS } from '../services/chartDataService.js';
+import chartRenderService from '../services/chartRenderService.js';
+import shareAnalyticsService from '../services/shareAnalyticsService.js';
+import searchService from '../services/searchService.js';
+import conversationBundleService from '../services/conversationBundleService.js';
 import templateService from '../services/templateService.js';
 import formatService from '../services/formatService.js';
 import { supabaseAdminClient } from '../supabase/client.js';
 import sharp from 'sharp';
+import { importChartData } from '../utils/dataImport.js';
+import { shareMetadata, publicBaseUrl, sharePassword, shareCacheControl } from '../utils/sharePages.js';
+import { sharePasswordLimiter } from '../middleware/shareMiddleware.js';
 
 const router = express.Router();
 
@@ -13,18 +20,34 @@ const router = express.Router();
 // =============================================
 
 // Get shared chart data (UNAUTHENTICATED)
-router.get('/shared/:shareId', async (req, res) => {
+// Protected links need the password as X-Share-Password
+router.get('/shared/:shareId', sharePasswordLimiter, async (req, res) => {
   try {
     const { shareId } = req.params;
     if (!shareId) {
       return res.status(400).json({ error: 'Share ID is required' });
     }
 
-    const sharedChart = await chartDataService.getSharedChart(shareId);
+    const sharedChart = await chartDataService.getSharedChart(shareId, { password: sharePassword(req) });
+    shareAnalyticsService.recordView(shareId, req);
+    res.setHeader('Vary', 'X-Share-Password');
+    res.setHeader('Cache-Control', shareCacheControl(req, sharedChart, { countsViews: true }));
+
+    // Image-only links never expose the data or template content
+    if (sharedChart.scope === 'image') {
+      return res.json({
+        scope: 'image',
+        chart_type: sharedChart.chart_type,
+        created_at: sharedChart.created_at,
+        title: shareMetadata(sharedChart).title,
+        image_url: `${publicBaseUrl(req)}/share/${encodeURIComponent(shareId)}/preview.png`
+      });
+    }
     res.json(sharedChart);
   } catch (error) {
-    if (error.message === 'Shared chart not found') {
-      return res.status(404).json({ error: 'Shared chart not found' });
+    res.setHeader('Cache-Control', 'no-store');
+    if (SHARE_ACCESS_ERRORS[error.message]) {
+      return res.status(SHARE_ACCESS_ERRORS[error.message]).json({ error: error.message });
     }
     console.error('Error fetching shared chart:', error);
     res.status(500).json({ error: 'Failed to fetch shared chart' });
@@ -34,24 +57,110 @@ router.get('/shared/:shareId', async (req, res) => {
 // Apply auth middleware to all remaining routes
 router.use(requireAuth);
 
+// Paginated lists keep returning plain arrays; paging details travel in headers (exposed via CORS)
+function setPageHeaders(res, total, nextCursor) {
+  res.setHeader('X-Total-Count', String(total));
+  if (nextCursor) res.setHeader('X-Next-Cursor', nextCursor);
+}
+
 // =============================================
 // CONVERSATION ROUTES
 // =============================================
 
-// Get user's conversations
+// Get user's conversations (one page; total in X-Total-Count, next page's cursor in X-Next-Cursor)
+// Query: cursor, limit, sort=updated_at|created_at|title, order=asc|desc, project=<id>|none,
+// from, to, dateField=updated_at|created_at, chartType, archived=false|true|all
 router.get('/conversations', async (req, res) => {
   try {
-    const { limit = 50 } = req.query;
+    const { cursor, limit, sort, order, project, from, to, dateField, chartType, archived } = req.query;
     const userId = req.user.id;
 
-    const conversations = await chartDataService.getUserConversations(userId, parseInt(limit));
-    res.json(conversations);
+    const { items, total, nextCursor } = await chartDataService.getUserConversations(userId, {
+      cursor, limit, sort, order, project, from, to, dateField, chartType, archived
+    });
+    setPageHeaders(res, total, nextCursor);
+    res.json(items);
   } catch (error) {
     console.error('Error fetching conversations:', error);
+    if (error.message.startsWith('Invalid list options')) {
+      return res.status(400).json({ error: error.message });
+    }
     res.status(500).json({ error: 'Failed to fetch conversations' });
   }
 });
 
+// Search the user's conversations, messages and charts
+// Query: q, type (comma-separated: conversation,message,chart), limit (default 20, max 100),
+// mode=similar with like=<snapshotId> (charts like this one) or q (charts matching a description)
+router.get('/search', async (req, res) => {
+  try {
+    const { q, type, limit, mode, like } = req.query;
+    const results = await searchService.search(req.user.id, {
+      q,
+      types: type ? String(type).split(',').map(t => t.trim()) : undefined,
+      limit,
+      mode,
+      like
+    });
+    res.json(results);
+  } catch (error) {
+    console.error('Error searching:', error);
+    if (error.message.startsWith('Invalid search')) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.message === 'Snapshot not found or unauthorized') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message === 'Semantic search is not configured') {
+      return res.status(503).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to search' });
+  }
+});
+
+// Export a conversation as a self-contained zip: conversation.json (metadata, messages, every
+// snapshot with its template/format content) plus the format-assets images it references
+router.get('/conversations/:id/export', async (req, res) => {
+  try {
+    const { filename, buffer } = await conversationBundleService.exportConversation(req.params.id, req.user.id);
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(buffer);
+  } catch (error) {
+    console.error('Error exporting conversation:', error);
+    if (error.message === 'Conversation not found or unauthorized') {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to export conversation' });
+  }
+});
+
+// Import a bundle from /conversations/:id/export into the caller's account
+// Body: the zip itself (Content-Type: application/zip), or JSON { base64Data, title? }; ?title= overrides the title
+router.post('/conversations/import', express.raw({ type: ['application/zip', 'application/octet-stream'], limit: '50mb' }), async (req, res) => {
+  try {
+    const buffer = Buffer.isBuffer(req.body)
+      ? req.body
+      : typeof req.body?.base64Data === 'string'
+        ? Buffer.from(req.body.base64Data.replace(/^data:[^;]+;base64,/, ''), 'base64')
+        : null;
+    if (!buffer?.length) {
+      return res.status(400).json({ error: 'Send the bundle as an application/zip body or as base64Data' });
+    }
+
+    const result = await conversationBundleService.importConversation(buffer, req.user.id, {
+      title: req.query.title || req.body?.title || null
+    });
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Error importing conversation:', error);
+    if (error.message.startsWith('Invalid bundle')) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to import conversation' });
+  }
+});
+
 // Get specific conversation
 router.get('/conversations/:id', async (req, res) => {
   try {
@@ -69,17 +178,20 @@ router.get('/conversations/:id', async (req, res) => {
 // Create new conversation
 router.post('/conversations', async (req, res) => {
   try {
-    const { title, description } = req.body;
+    const { title, description, projectId } = req.body;
     const userId = req.user.id;
 
     if (!title) {
       return res.status(400).json({ error: 'Title is required' });
     }
 
-    const conversation = await chartDataService.createConversation(userId, title, description);
+    const conversation = await chartDataService.createConversation(userId, title, description, projectId);
     res.status(201).json(conversation);
   } catch (error) {
     console.error('Error creating conversation:', error);
+    if (error.message === 'Project not found') {
+      return res.status(404).json({ error: error.message });
+    }
     res.status(500).json({ error: 'Failed to create conversation' });
   }
 });
@@ -126,11 +238,12 @@ router.delete('/conversations', async (req, res) => {
   }
 });
 
-// Get conversation messages
+// Get conversation messages, one page at a time (total in X-Total-Count, next page's cursor in X-Next-Cursor)
+// Query: cursor, limit (default 100, max 500), order=asc|desc, role
 router.get('/conversations/:id/messages', async (req, res) => {
   try {
     const { id } = req.params;
-    const { limit = 100 } = req.query;
+    const { cursor, limit, order, role } = req.query;
     const userId = req.user?.id;
 
     // Verify conversation exists and belongs to user before fetching messages
@@ -144,13 +257,18 @@ router.get('/conversations/:id/messages', async (req, res) => {
     if (convError || !conversation) {
       // Return empty array instead of error for missing/deleted conversations
       // This prevents console errors on frontend for stale local storage entries
+      setPageHeaders(res, 0, null);
       return res.json([]);
     }
 
-    const messages = await chartDataService.getConversationMessages(id, parseInt(limit));
-    res.json(messages || []);
+    const { items, total, nextCursor } = await chartDataService.getConversationMessages(id, { cursor, limit, order, role });
+    setPageHeaders(res, total, nextCursor);
+    res.json(items);
   } catch (error) {
     console.error('❌ Error fetching messages:', error.message);
+    if (error.message.startsWith('Invalid list options')) {
+      return res.status(400).json({ error: error.message });
+    }
     res.status(500).json({
       error: 'Failed to fetch messages',
       details: error.message
@@ -165,7 +283,7 @@ router.get('/conversations/:id/messages', async (req, res) => {
 // Save chart snapshot (POST for create, PUT for update)
 router.post('/chart-snapshots', async (req, res) => {
   try {
-    const { conversationId, chartType, chartData, chartConfig, templateStructure, templateContent, snapshotId } = req.body;
+    const { conversationId, chartType, chartData, chartConfig, templateStructure, templateContent, snapshotId, promptVersion } = req.body;
 
     if (!conversationId || !chartType || !chartData) {
       return res.status(400).json({ error: 'Missing required fields' });
@@ -178,7 +296,8 @@ router.post('/chart-snapshots', async (req, res) => {
       chartConfig,
       templateStructure || null,
       templateContent || null,
-      snapshotId || null
+      snapshotId || null,
+      promptVersion || null
     );
 
     res.status(snapshotId ? 200 : 201).json({ id: resultId });
@@ -196,7 +315,7 @@ router.post('/chart-snapshots', async (req, res) => {
 router.put('/chart-snapshots/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const { conversationId, chartType, chartData, chartConfig, templateStructure, templateContent } = req.body;
+    const { conversationId, chartType, chartData, chartConfig, templateStructure, templateContent, promptVersion } = req.body;
 
     if (!id || !conversationId || !chartType || !chartData) {
       return res.status(400).json({ error: 'Missing required fields' });
@@ -209,7 +328,8 @@ router.put('/chart-snapshots/:id', async (req, res) => {
       chartConfig,
       templateStructure || null,
       templateContent || null,
-      id
+      id,
+      promptVersion || null
     );
 
     res.json({ id: updatedSnapshotId });
@@ -223,7 +343,68 @@ router.put('/chart-snapshots/:id', async (req, res) => {
   }
 });
 
-// Generate or fetch a share link for a chart snapshot
+// Render a chart snapshot server-side
+// Query: format=png|svg|pdf (default png), width, height (pixels, default 800x500), theme=light|dark
+router.get('/chart-snapshots/:id/render', async (req, res) => {
+  try {
+    const { format = 'png', width, height, theme } = req.query;
+    const rendered = await chartRenderService.renderSnapshot(req.params.id, req.user.id, { format, width, height, theme });
+
+    res.setHeader('Content-Type', rendered.contentType);
+    res.setHeader('Content-Disposition', `inline; filename="chart-${req.params.id}.${rendered.format}"`);
+    res.setHeader('Cache-Control', 'private, max-age=60');
+    res.send(rendered.buffer);
+  } catch (error) {
+    console.error('Error rendering chart snapshot:', error);
+    if (error.message.startsWith('Invalid render')) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.message === 'Snapshot not found or unauthorized') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message === 'Chart has no data to render') {
+      return res.status(422).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to render chart', details: error.message });
+  }
+});
+
+// Structural diff between two snapshots (chart type, labels, datasets, values, colors, config, template/format text)
+router.get('/chart-snapshots/:a/diff/:b', async (req, res) => {
+  try {
+    const diff = await chartDataService.getSnapshotDiff(req.params.a, req.params.b, req.user.id);
+    res.json(diff);
+  } catch (error) {
+    console.error('Error diffing snapshots:', error);
+    if (error.message === 'Snapshot not found or unauthorized') {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to diff snapshots' });
+  }
+});
+
+// Branch from a past snapshot
+// Body: { mode: 'conversation' (default, new conversation) | 'branch' (named branch in the same conversation), name }
+router.post('/chart-snapshots/:id/branch', async (req, res) => {
+  try {
+    const { mode, name } = req.body || {};
+    const result = await chartDataService.branchFromSnapshot(req.params.id, req.user.id, { mode, name });
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Error branching from snapshot:', error);
+    if (error.message.startsWith('Invalid branch options')) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.message === 'Snapshot not found or unauthorized') {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to branch from snapshot' });
+  }
+});
+
+// Generate a share link for a chart snapshot
+// Body (all optional): { scope: 'data'|'image', password, expiresAt, expiresIn (seconds) }
+// Without options the snapshot's existing plain link is returned if it has one
 router.post('/chart-snapshots/:id/share', async (req, res) => {
   try {
     const { id } = req.params;
@@ -233,14 +414,64 @@ router.post('/chart-snapshots/:id/share', async (req, res) => {
       return res.status(400).json({ error: 'Snapshot ID is required' });
     }
 
-    const shareInfo = await chartDataService.generateShareLink(id, userId);
+    const { scope, password, expiresAt, expiresIn } = req.body || {};
+    const shareInfo = await chartDataService.generateShareLink(id, userId, { scope, password, expiresAt, expiresIn });
     res.json(shareInfo);
   } catch (error) {
     console.error('Error generating share link:', error);
+    if (error.message.startsWith('Invalid share options')) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.message === 'Snapshot not found or unauthorized') {
+      return res.status(404).json({ error: error.message });
+    }
     res.status(500).json({ error: 'Failed to generate share link' });
   }
 });
 
+// View analytics across all share links of a snapshot
+// Query: days (window, default 30, max 365)
+router.get('/chart-snapshots/:id/share/stats', async (req, res) => {
+  try {
+    const stats = await shareAnalyticsService.getSnapshotStats(req.params.id, req.user.id, { days: req.query.days });
+    res.json(stats);
+  } catch (error) {
+    console.error('Error fetching share stats:', error);
+    if (error.message.startsWith('Invalid stats window')) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.message === 'Snapshot not found or unauthorized') {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to fetch share stats' });
+  }
+});
+
+// List the user's active share links
+router.get('/shares', async (req, res) => {
+  try {
+    const shares = await chartDataService.getUserShares(req.user.id);
+    res.json(shares);
+  } catch (error) {
+    console.error('Error fetching share links:', error);
+    res.status(500).json({ error: 'Failed to fetch share links' });
+  }
+});
+
+// Revoke a share link (by its record id from GET /shares)
+router.delete('/shares/:id', async (req, res) => {
+  try {
+    const share = await chartDataService.revokeShare(req.params.id, req.user.id);
+    res.json({ success: true, share });
+  } catch (error) {
+    console.error('Error revoking share link:', error);
+    if (error.message === 'Share link not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to revoke share link' });
+  }
+});
+
 // Get current chart snapshot for conversation
 router.get('/conversations/:id/current-snapshot', async (req, res) => {
   try {
@@ -254,13 +485,36 @@ router.get('/conversations/:id/current-snapshot', async (req, res) => {
   }
 });
 
+// Undo / redo: move the conversation's current chart back or forward through its history
+// Returns { action, snapshot, previous_snapshot_id, can_undo, can_redo }; use `snapshot` as the next currentChartState
+function chartHistoryStep(direction) {
+  return async (req, res) => {
+    try {
+      const result = await chartDataService.stepChartHistory(req.params.id, req.user.id, direction);
+      res.json(result);
+    } catch (error) {
+      console.error(`Error during chart ${direction}:`, error);
+      if (error.message === 'Conversation not found or unauthorized') {
+        return res.status(404).json({ error: error.message });
+      }
+      if (error.message === `Nothing to ${direction}`) {
+        return res.status(409).json({ error: error.message });
+      }
+      res.status(500).json({ error: `Failed to ${direction}` });
+    }
+  };
+}
+
+router.post('/conversations/:id/undo', chartHistoryStep('undo'));
+router.post('/conversations/:id/redo', chartHistoryStep('redo'));
+
 // Get chart history for conversation
 router.get('/conversations/:id/chart-history', async (req, res) => {
   try {
     const { id } = req.params;
-    const { limit = 10 } = req.query;
+    const { limit = 10, branch = null } = req.query;
 
-    const history = await chartDataService.getChartHistory(id, parseInt(limit));
+    const history = await chartDataService.getChartHistory(id, parseInt(limit), branch);
     res.json(history);
   } catch (error) {
     console.error('Error fetching chart history:', error);
@@ -268,6 +522,35 @@ router.get('/conversations/:id/chart-history', async (req, res) => {
   }
 });
 
+// =============================================
+// DATA IMPORT ROUTES
+// =============================================
+
+// Messages from importChartData that describe a bad upload rather than a server fault
+const IMPORT_CLIENT_ERRORS = /^(Missing file|Unsupported file format|Invalid (XLSX|JSON) file|Invalid chartType|Invalid value column|Unknown column|No data rows|No numeric columns)|numeric columns$/;
+
+// Import CSV / TSV / XLSX / JSON rows as chart data (no AI call)
+// Body: { base64Data | content, filename?, format?, sheet?, labelColumn?, valueColumns?, chartType? }
+// Returns the same { chartType, chartData } shape as /api/process-chart-enhanced, ready for POST /chart-snapshots
+router.post('/import', async (req, res) => {
+  try {
+    const { base64Data, content, filename, format, sheet, labelColumn, valueColumns, chartType } = req.body;
+
+    const result = importChartData(
+      { base64Data, content, filename, format, sheet },
+      { labelColumn, valueColumns, chartType }
+    );
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error importing chart data:', error);
+    if (IMPORT_CLIENT_ERRORS.test(error.message)) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to import data', details: error.message });
+  }
+});
+
 // =============================================
 // MESSAGE ROUTES
 // =============================================
@@ -342,33 +625,110 @@ router.put('/user-preferences', async (req, res) => {
 // PROJECT ROUTES
 // =============================================
 
-// Get user projects
+// Project errors thrown by chartDataService → HTTP status
+function projectErrorStatus(error) {
+  if (error.message.startsWith('Invalid project')) return 400;
+  if (error.message === 'Project not found') return 404;
+  return 500;
+}
+
+// Get user projects, with conversation/template/format counts
+// Query: archived=false|true|all (default false)
 router.get('/projects', async (req, res) => {
   try {
     const userId = req.user.id;
-    const projects = await chartDataService.getUserProjects(userId);
+    const projects = await chartDataService.getUserProjects(userId, { archived: req.query.archived });
     res.json(projects);
   } catch (error) {
     console.error('Error fetching projects:', error);
-    res.status(500).json({ error: 'Failed to fetch projects' });
+    const status = projectErrorStatus(error);
+    res.status(status).json({ error: status === 500 ? 'Failed to fetch projects' : error.message });
   }
 });
 
 // Create new project
+// Body: name, description, defaultProvider, defaultModel, stylePresetId, brandPalette
 router.post('/projects', async (req, res) => {
   try {
-    const { name, description } = req.body;
+    const { name, description, defaultProvider, defaultModel, stylePresetId, brandPalette } = req.body;
     const userId = req.user.id;
 
     if (!name) {
       return res.status(400).json({ error: 'Name is required' });
     }
 
-    const project = await chartDataService.createProject(userId, name, description);
+    const project = await chartDataService.createProject(userId, name, description, {
+      defaultProvider, defaultModel, stylePresetId, brandPalette
+    });
     res.status(201).json(project);
   } catch (error) {
     console.error('Error creating project:', error);
-    res.status(500).json({ error: 'Failed to create project' });
+    const status = projectErrorStatus(error);
+    res.status(status).json({ error: status === 500 ? 'Failed to create project' : error.message });
+  }
+});
+
+// Get a project with its conversations, templates and formats
+router.get('/projects/:id', async (req, res) => {
+  try {
+    const project = await chartDataService.getProjectById(req.params.id, req.user.id);
+    res.json(project);
+  } catch (error) {
+    console.error('Error fetching project:', error);
+    const status = projectErrorStatus(error);
+    res.status(status).json({ error: status === 500 ? 'Failed to fetch project' : error.message });
+  }
+});
+
+// Update a project: name, description, archived (true/false) and its chart defaults
+router.patch('/projects/:id', async (req, res) => {
+  try {
+    const { name, description, archived, defaultProvider, defaultModel, stylePresetId, brandPalette } = req.body;
+    const project = await chartDataService.updateProject(req.params.id, req.user.id, {
+      name, description, archived, defaultProvider, defaultModel, stylePresetId, brandPalette
+    });
+    res.json(project);
+  } catch (error) {
+    console.error('Error updating project:', error);
+    const status = projectErrorStatus(error);
+    res.status(status).json({ error: status === 500 ? 'Failed to update project' : error.message });
+  }
+});
+
+// Delete a project (its conversations, templates and formats are kept, outside any project)
+router.delete('/projects/:id', async (req, res) => {
+  try {
+    const released = await chartDataService.deleteProject(req.params.id, req.user.id);
+    res.json({ success: true, released });
+  } catch (error) {
+    console.error('Error deleting project:', error);
+    const status = projectErrorStatus(error);
+    res.status(status).json({ error: status === 500 ? 'Failed to delete project' : error.message });
+  }
+});
+
+// Move conversations, templates and formats into a project
+// Body: { conversations: [ids], templates: [ids], formats: [ids] }
+router.post('/projects/:id/items', async (req, res) => {
+  try {
+    const moved = await chartDataService.moveToProject(req.params.id, req.user.id, req.body);
+    res.json({ moved });
+  } catch (error) {
+    console.error('Error moving items to project:', error);
+    const status = projectErrorStatus(error);
+    res.status(status).json({ error: status === 500 ? 'Failed to move items to project' : error.message });
+  }
+});
+
+// Take items out of a project (same body as above; an empty body empties the project)
+router.delete('/projects/:id/items', async (req, res) => {
+  try {
+    const removed = await chartDataService.removeFromProject(req.params.id, req.user.id, req.body || {});
+    res.json({ removed });
+  } catch (error) {
+    console.error('Error removing items from project:', error);
+    const status = projectErrorStatus(error);
+    res.status(status).json({ error: status === 500 ? 'Failed to remove items from project' : error.message });
   }
 });
 
@@ -0,0 +1,83 @@
+import express from 'express';
+import promptRegistry from '../services/promptRegistry.js';
+
+const router = express.Router();
+
+// Map registry errors to status codes
+function sendPromptError(res, error, fallbackMessage) {
+  if (error.message.startsWith('Unknown prompt')) {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.message === 'Prompt content is required' || error.message.startsWith('candidatePercentage')) {
+    return res.status(400).json({ error: error.message });
+  }
+  res.status(500).json({ error: fallbackMessage, details: error.message });
+}
+
+/**
+ * GET /admin/prompts
+ * Every prompt with its versions (without content) and current rollout
+ */
+router.get('/', async (req, res) => {
+  try {
+    const prompts = await promptRegistry.listPrompts();
+    res.json({ prompts });
+  } catch (error) {
+    console.error('Error listing prompts:', error);
+    sendPromptError(res, error, 'Failed to list prompts');
+  }
+});
+
+/**
+ * GET /admin/prompts/:name/versions/:version
+ * Full content of one version
+ */
+router.get('/:name/versions/:version', async (req, res) => {
+  try {
+    const template = await promptRegistry.getVersion(req.params.name, req.params.version);
+    if (!template) {
+      return res.status(404).json({ error: `Unknown prompt version: ${req.params.name}@${req.params.version}` });
+    }
+    res.json(template);
+  } catch (error) {
+    console.error('Error fetching prompt version:', error);
+    sendPromptError(res, error, 'Failed to fetch prompt version');
+  }
+});
+
+/**
+ * POST /admin/prompts/:name/versions
+ * Body: { content, sections?, variables?, notes? }
+ * Creates the next version; it serves no traffic until a rollout references it
+ */
+router.post('/:name/versions', async (req, res) => {
+  try {
+    const { content, sections, variables, notes } = req.body;
+    const template = await promptRegistry.createVersion(req.params.name, { content, sections, variables, notes }, req.user.id);
+    res.status(201).json(template);
+  } catch (error) {
+    console.error('Error creating prompt version:', error);
+    sendPromptError(res, error, 'Failed to create prompt version');
+  }
+});
+
+/**
+ * PUT /admin/prompts/:name/rollout
+ * Body: { activeVersion, candidateVersion?, candidatePercentage? }
+ * Switch the active version or A/B test a candidate on a share of users
+ */
+router.put('/:name/rollout', async (req, res) => {
+  try {
+    const { activeVersion, candidateVersion, candidatePercentage } = req.body;
+    if (activeVersion == null) {
+      return res.status(400).json({ error: 'activeVersion is required' });
+    }
+    const rollout = await promptRegistry.updateRollout(req.params.name, { activeVersion, candidateVersion, candidatePercentage }, req.user.id);
+    res.json(rollout);
+  } catch (error) {
+    console.error('Error updating prompt rollout:', error);
+    sendPromptError(res, error, 'Failed to update prompt rollout');
+  }
+});
+
+export default router;
@@ -0,0 +1,283 @@
+import express from 'express';
+import providerRegistry from '../services/providerRegistry.js';
+import usageService from '../services/usageService.js';
+import chartDataService from '../services/chartDataService.js';
+import { requireCredits, withCreditHold } from '../middleware/usageMiddleware.js';
+import { ChartValidationError } from '../utils/chartSchema.js';
+import { abortOnDisconnect } from '../utils/streaming.js';
+
+const router = express.Router();
+
+// ========== GENERIC AI PROVIDER ROUTES ==========
+// One set of routes for every adapter in the provider registry:
+//   GET  /api/providers
+//   GET  /api/providers/:name/models
+//   GET  /api/providers/:name/validate
+//   GET  /api/providers/:name/status
+//   POST /api/providers/:name/process-chart
+//   GET  /api/providers/:name/models/:vendor
+//   GET  /api/providers/:name/account   (adapters with getAccountInfo(), e.g. OpenRouter)
+//   POST /api/providers/:name/test      (disabled in production)
+
+/**
+ * GET /api/providers
+ * List registered providers with their capabilities
+ */
+router.get('/', (req, res) => {
+  const providers = providerRegistry.list().map(p => providerRegistry.describe(p.name));
+  res.json({ providers, total: providers.length });
+});
+
+// Resolve :name to a registered provider for every route below
+router.param('name', (req, res, next, name) => {
+  const provider = providerRegistry.get(name);
+  if (!provider) {
+    return res.status(404).json({
+      error: `Unknown AI provider: ${name}`,
+      available_providers: providerRegistry.list().map(p => p.name)
+    });
+  }
+  req.provider = provider;
+  next();
+});
+
+/**
+ * POST /api/providers/:name/process-chart
+ * Generate or modify a chart with a single provider
+ */
+router.post('/:name/process-chart', requireCredits, async (req, res) => {
+  const { provider } = req;
+  try {
+    const { input, model, conversationId, projectId, currentChartState, messageHistory, templateStructure, formatStructure, fresh } = req.body;
+
+    if (!input) return res.status(400).json({ error: 'Input text is required' });
+    if (!providerRegistry.isConfigured(provider.name)) {
+      return res.status(500).json({ error: `${provider.label} API key not configured` });
+    }
+
+    // The project's default model applies when it's for this provider
+    const projectDefaults = await chartDataService.getProjectDefaults(req.user.id, { projectId, conversationId });
+    const projectModel = projectDefaults?.provider === provider.name ? projectDefaults.model : null;
+    const resolvedModel = model || projectModel || provider.defaultModel || undefined;
+    const isModification = !!(currentChartState && conversationId);
+    // Stop generating if the client goes away before the answer
+    const signal = abortOnDisconnect(res);
+    const aiResponse = await withCreditHold(req, () => usageService.track({
+      userId: req.user.id,
+      provider: provider.name,
+      model: resolvedModel,
+      operation: isModification ? 'modify' : 'generate',
+      conversationId
+    }, () => isModification
+      ? provider.processor.modifyChart(input, currentChartState, messageHistory || [], resolvedModel, templateStructure || null, formatStructure || null, { promptBucketKey: req.user.id, signal })
+      : provider.processor.generateChart(input, resolvedModel, templateStructure || null, formatStructure || null, { fresh: fresh === true, promptBucketKey: req.user.id, projectStyle: projectDefaults?.style || null, signal })));
+
+    res.json({
+      chartType: aiResponse.chartType,
+      chartData: aiResponse.chartData || aiResponse.data,
+      chartConfig: aiResponse.chartConfig || aiResponse.options,
+      user_message: aiResponse.user_message || `Chart ${isModification ? 'modified' : 'generated'} using ${provider.label}`,
+      action: aiResponse.action || (isModification ? 'modify' : 'create'),
+      changes: aiResponse.changes || [],
+      suggestions: aiResponse.suggestions || [],
+      templateContent: aiResponse.templateContent || null,
+      formatContent: aiResponse.formatContent || null,
+      styleConfig: aiResponse.styleConfig || null,
+      service: provider.name,
+      _metadata: aiResponse._metadata
+    });
+
+  } catch (error) {
+    if (res.destroyed) return;
+    console.error(`${provider.label} chart request error:`, error.message);
+    const payload = { error: `Failed to process chart request with ${provider.label}`, details: error.message, service: provider.name };
+    if (error instanceof ChartValidationError) {
+      payload.violations = error.violations;
+    }
+    if (error.message === 'Project not found') {
+      return res.status(404).json(payload);
+    }
+    res.status(error instanceof ChartValidationError ? 502 : 500).json(payload);
+  }
+});
+
+/**
+ * GET /api/providers/:name/models
+ * Optional ?vendor= filter for aggregators whose models carry a `provider` field (e.g. OpenRouter)
+ */
+router.get('/:name/models', async (req, res) => {
+  try {
+    const { provider } = req;
+    let models = await providerRegistry.getModels(provider.name);
+
+    if (req.query.vendor) {
+      models = models.filter(m => m.provider?.toLowerCase() === String(req.query.vendor).toLowerCase());
+    }
+
+    const response = { models, total: models.length, recommended: provider.defaultModel };
+
+    // Group by upstream vendor when the provider is an aggregator
+    if (models.some(m => m.provider)) {
+      response.by_provider = models.reduce((acc, m) => {
+        (acc[m.provider] ||= []).push(m);
+        return acc;
+      }, {});
+      response.providers = Object.keys(response.by_provider);
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('Error fetching provider models:', error);
+    res.status(500).json({ error: 'Failed to fetch models', details: error.message });
+  }
+});
+
+/**
+ * GET /api/providers/:name/models/:vendor
+ * Models from one upstream vendor of an aggregator (same as ?vendor=, but 404s when there are none)
+ */
+router.get('/:name/models/:vendor', async (req, res) => {
+  try {
+    const { vendor } = req.params;
+    const allModels = await providerRegistry.getModels(req.provider.name);
+    const vendorModels = allModels.filter(m => m.provider?.toLowerCase() === vendor.toLowerCase());
+
+    if (vendorModels.length === 0) {
+      return res.status(404).json({
+        error: `No models found for provider: ${vendor}`,
+        available_providers: [...new Set(allModels.map(m => m.provider).filter(Boolean))]
+      });
+    }
+
+    res.json({
+      provider: vendor,
+      models: vendorModels,
+      total: vendorModels.length,
+      recommended: vendorModels.find(m => m.cost_tier === 'low')?.id || vendorModels[0].id
+    });
+  } catch (error) {
+    console.error('Error fetching provider models:', error);
+    res.status(500).json({ error: 'Failed to fetch provider models', details: error.message });
+  }
+});
+
+/**
+ * GET /api/providers/:name/validate
+ */
+router.get('/:name/validate', async (req, res) => {
+  const { provider } = req;
+  try {
+    if (!providerRegistry.isConfigured(provider.name)) {
+      return res.status(400).json({ valid: false, error: `${provider.label} API key not configured` });
+    }
+    const { healthy, latency_ms } = await providerRegistry.checkHealth(provider.name);
+    healthy
+      ? res.json({ valid: true, message: `${provider.label} API key is valid`, latency_ms, timestamp: new Date().toISOString() })
+      : res.status(401).json({ valid: false, error: `${provider.label} API key is invalid or service unavailable` });
+  } catch (error) {
+    res.status(500).json({ valid: false, error: 'Validation failed', details: error.message });
+  }
+});
+
+/**
+ * GET /api/providers/:name/status
+ * Configuration and capability info; ?check=true also runs the health check
+ */
+router.get('/:name/status', async (req, res) => {
+  const { provider } = req;
+  try {
+    const configured = providerRegistry.isConfigured(provider.name);
+    const models = await providerRegistry.getModels(provider.name);
+
+    const status = {
+      service: provider.name,
+      label: provider.label,
+      status: configured ? 'configured' : 'not_configured',
+      api_key_configured: configured,
+      available_models: models.length,
+      default_model: provider.defaultModel,
+      capabilities: provider.capabilities,
+      timestamp: new Date().toISOString()
+    };
+
+    if (configured && req.query.check === 'true') {
+      status.health = await providerRegistry.checkHealth(provider.name);
+    }
+
+    // Providers with account endpoints (credits, limits) expose them here
+    if (configured && typeof provider.adapter.getAccountInfo === 'function') {
+      status.account_info = await provider.adapter.getAccountInfo();
+    }
+
+    res.json(status);
+  } catch (error) {
+    console.error(`Error getting ${provider.label} status:`, error);
+    res.status(500).json({ error: 'Failed to get service status', details: error.message });
+  }
+});
+
+/**
+ * GET /api/providers/:name/account
+ * Account information (credits, limits) for providers whose adapter exposes getAccountInfo()
+ */
+router.get('/:name/account', async (req, res) => {
+  const { provider } = req;
+  if (typeof provider.adapter.getAccountInfo !== 'function') {
+    return res.status(404).json({ error: `${provider.label} has no account endpoint` });
+  }
+  try {
+    if (!providerRegistry.isConfigured(provider.name)) {
+      return res.status(400).json({ error: `${provider.label} API key not configured` });
+    }
+
+    const accountInfo = await provider.adapter.getAccountInfo();
+    if (!accountInfo) {
+      return res.status(404).json({ success: false, error: 'Unable to fetch account information' });
+    }
+
+    res.json({ success: true, account: accountInfo, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error(`Error fetching ${provider.label} account info:`, error);
+    res.status(500).json({ success: false, error: 'Failed to fetch account information', details: error.message });
+  }
+});
+
+/**
+ * POST /api/providers/:name/test
+ * Test endpoint for development and debugging (disabled in production)
+ */
+router.post('/:name/test', async (req, res) => {
+  if (process.env.NODE_ENV === 'production') {
+    return res.status(404).json({ error: 'Not found' });
+  }
+
+  const { provider } = req;
+  try {
+    const {
+      query = 'Create a simple bar chart showing monthly sales data',
+      model = provider.defaultModel || undefined
+    } = req.body || {};
+
+    if (!providerRegistry.isConfigured(provider.name)) {
+      return res.status(400).json({ error: `${provider.label} API key not configured for testing` });
+    }
+
+    const testResponse = await provider.processor.generateChart(query, model);
+
+    res.json({
+      test: 'success',
+      query,
+      model_used: testResponse._metadata?.model || model,
+      response_type: testResponse.chartType,
+      has_data: !!(testResponse.data || testResponse.chartData),
+      provider: testResponse._metadata?.provider || testResponse._metadata?.service,
+      tokens_used: testResponse._metadata?.tokens_used,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Error in ${provider.label} test:`, error);
+    res.status(500).json({ test: 'failed', error: error.message, timestamp: new Date().toISOString() });
+  }
+});
+
+export default router;
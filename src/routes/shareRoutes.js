@@ -0,0 +1,194 @@
+import express from 'express';
+import chartDataService, { SHARE_ACCESS_ERRORS } from '../services/chartDataService.js';
+import chartRenderService from '../services/chartRenderService.js';
+import shareAnalyticsService from '../services/shareAnalyticsService.js';
+import { sharePasswordLimiter } from '../middleware/shareMiddleware.js';
+import { DEFAULT_WIDTH, DEFAULT_HEIGHT, THEMES } from '../utils/chartRenderer.js';
+import {
+  shareMetadata,
+  renderLandingPage,
+  renderEmbedPage,
+  escapeHtml,
+  publicBaseUrl,
+  sharePassword,
+  shareCacheControl,
+  SITE_NAME,
+  OG_IMAGE_WIDTH,
+  OG_IMAGE_HEIGHT
+} from '../utils/sharePages.js';
+
+const router = express.Router();
+
+// =============================================
+// PUBLIC SHARE PAGES (UNAUTHENTICATED)
+// =============================================
+
+// Embed pages are meant to be framed by any site; everything they need is inline
+const EMBED_CSP = "default-src 'none'; style-src 'unsafe-inline'; img-src data:; frame-ancestors *";
+
+function shareUrls(req, shareId) {
+  const page = `${publicBaseUrl(req)}/share/${encodeURIComponent(shareId)}`;
+  return {
+    page,
+    image: `${page}/preview.png`,
+    embed: `${page}/embed`,
+    oembed: `${publicBaseUrl(req)}/share/oembed?url=${encodeURIComponent(page)}&format=json`
+  };
+}
+
+function chartOf(snapshot) {
+  return {
+    chartType: snapshot.chart_type,
+    chartData: snapshot.chart_data,
+    chartConfig: snapshot.chart_config
+  };
+}
+
+/**
+ * Chart markup for the pages: inline SVG for 'data' links, a PNG for 'image' links so the
+ * values can't be read out of the document
+ */
+async function chartMarkup(snapshot, title, options = {}) {
+  if (snapshot.scope === 'image') {
+    const { buffer, width, height } = await chartRenderService.renderChart(chartOf(snapshot), { ...options, format: 'png' });
+    return `<img src="data:image/png;base64,${buffer.toString('base64')}" width="${width}" height="${height}" alt="${escapeHtml(title)}">`;
+  }
+  const { buffer } = await chartRenderService.renderChart(chartOf(snapshot), { ...options, format: 'svg' });
+  return buffer.toString();
+}
+
+// Caching follows the link's protection (see shareCacheControl)
+function setCaching(req, res, snapshot, options) {
+  res.setHeader('Vary', 'X-Share-Password');
+  res.setHeader('Cache-Control', shareCacheControl(req, snapshot, options));
+}
+
+function sendError(res, error, fallback) {
+  res.setHeader('Cache-Control', 'no-store');
+  if (SHARE_ACCESS_ERRORS[error.message]) {
+    return res.status(SHARE_ACCESS_ERRORS[error.message]).json({ error: error.message });
+  }
+  if (error.message.startsWith('Invalid render')) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error.message === 'Chart has no data to render') {
+    return res.status(422).json({ error: error.message });
+  }
+  res.status(500).json({ error: fallback, details: error.message });
+}
+
+// oEmbed provider (https://oembed.com)
+// Query: url (a /share/:shareId link), maxwidth, maxheight, format=json, theme=light|dark
+// Password-protected links can't be embedded: an iframe has no way to send X-Share-Password,
+// so they get 401 here. The other routes accept the header for clients that can send it.
+router.get('/oembed', async (req, res) => {
+  try {
+    const { url, maxwidth, maxheight, format = 'json', theme = 'light' } = req.query;
+    if (format !== 'json') {
+      return res.status(501).json({ error: 'Only the json oEmbed format is supported' });
+    }
+    const match = typeof url === 'string' && /\/share\/([^/?#]+)/.exec(url);
+    if (!match || match[1] === 'oembed') {
+      return res.status(404).json({ error: 'URL is not a shared chart link' });
+    }
+    if (!Object.hasOwn(THEMES, theme)) {
+      return res.status(400).json({ error: `Invalid render theme: use ${Object.keys(THEMES).join(', ')}` });
+    }
+    const shareId = decodeURIComponent(match[1]);
+    const snapshot = await chartDataService.getSharedChart(shareId);
+    const { title } = shareMetadata(snapshot);
+    const urls = shareUrls(req, shareId);
+
+    // Default embed size, scaled down (keeping the aspect ratio) to the consumer's limits
+    const limits = [Number(maxwidth) / DEFAULT_WIDTH, Number(maxheight) / DEFAULT_HEIGHT].filter(n => n > 0);
+    const scale = Math.min(1, ...limits);
+    const width = Math.max(100, Math.round(DEFAULT_WIDTH * scale));
+    const height = Math.max(100, Math.round(DEFAULT_HEIGHT * scale));
+
+    setCaching(req, res, snapshot);
+    res.json({
+      version: '1.0',
+      type: 'rich',
+      provider_name: SITE_NAME,
+      provider_url: publicBaseUrl(req),
+      title,
+      width,
+      height,
+      html: `<iframe src="${urls.embed}?width=${width}&amp;height=${height}&amp;theme=${theme}" width="${width}" height="${height}" frameborder="0" style="border:0" loading="lazy" title="${escapeHtml(title)}"></iframe>`,
+      thumbnail_url: urls.image,
+      thumbnail_width: OG_IMAGE_WIDTH,
+      thumbnail_height: OG_IMAGE_HEIGHT,
+      ...(snapshot.expires_at ? {} : { cache_age: 300 })
+    });
+  } catch (error) {
+    if (error.message === 'Share password required') {
+      res.setHeader('Cache-Control', 'no-store');
+      return res.status(401).json({ error: 'Password-protected links can\'t be embedded' });
+    }
+    console.error('Error building oEmbed response:', error);
+    sendError(res, error, 'Failed to build oEmbed response');
+  }
+});
+
+// Landing page with Open Graph tags, for unfurling share links
+router.get('/:shareId', sharePasswordLimiter, async (req, res) => {
+  try {
+    const { shareId } = req.params;
+    const snapshot = await chartDataService.getSharedChart(shareId, { password: sharePassword(req) });
+    const { title, description } = shareMetadata(snapshot);
+    shareAnalyticsService.recordView(shareId, req);
+
+    setCaching(req, res, snapshot, { countsViews: true });
+    res.type('html').send(renderLandingPage({
+      title,
+      description,
+      chart: await chartMarkup(snapshot, title),
+      urls: shareUrls(req, shareId)
+    }));
+  } catch (error) {
+    console.error('Error rendering share page:', error);
+    sendError(res, error, 'Failed to render shared chart');
+  }
+});
+
+// og:image / oEmbed thumbnail
+router.get('/:shareId/preview.png', sharePasswordLimiter, async (req, res) => {
+  try {
+    const snapshot = await chartDataService.getSharedChart(req.params.shareId, { password: sharePassword(req) });
+    const rendered = await chartRenderService.renderChart(chartOf(snapshot), {
+      format: 'png',
+      width: OG_IMAGE_WIDTH,
+      height: OG_IMAGE_HEIGHT
+    });
+
+    res.setHeader('Content-Type', rendered.contentType);
+    setCaching(req, res, snapshot);
+    res.send(rendered.buffer);
+  } catch (error) {
+    console.error('Error rendering share preview:', error);
+    sendError(res, error, 'Failed to render shared chart');
+  }
+});
+
+// Iframe-embeddable chart
+// Query: width, height (pixels, default 800x500), theme=light|dark
+router.get('/:shareId/embed', sharePasswordLimiter, async (req, res) => {
+  try {
+    const { width, height, theme = 'light' } = req.query;
+    const snapshot = await chartDataService.getSharedChart(req.params.shareId, { password: sharePassword(req) });
+    const { title } = shareMetadata(snapshot);
+    const chart = await chartMarkup(snapshot, title, { width, height, theme });
+    shareAnalyticsService.recordView(req.params.shareId, req);
+
+    // helmet forbids framing by default; embeds opt back in
+    res.removeHeader('X-Frame-Options');
+    res.setHeader('Content-Security-Policy', EMBED_CSP);
+    setCaching(req, res, snapshot, { countsViews: true });
+    res.type('html').send(renderEmbedPage({ title, chart, theme }));
+  } catch (error) {
+    console.error('Error rendering share embed:', error);
+    sendError(res, error, 'Failed to render shared chart');
+  }
+});
+
+export default router;
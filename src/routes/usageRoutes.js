@@ -0,0 +1,24 @@
+import express from 'express';
+import usageService from '../services/usageService.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/usage
+ * AI credits, tokens and estimated cost for the current user.
+ * Optional ?month=YYYY-MM (defaults to the current month, UTC)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const report = await usageService.getUsageReport(req.user, req.query.month || null);
+    res.json(report);
+  } catch (error) {
+    console.error('Error fetching usage:', error);
+    if (error.message.startsWith('Invalid month')) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to fetch usage', details: error.message });
+  }
+});
+
+export default router;
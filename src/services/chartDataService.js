@@ -1,4 +1,42 @@
+import { scrypt, randomBytes, timingSafeEqual } from 'node:crypto';
+import { promisify } from 'node:util';
 import { supabaseAdminClient } from '../supabase/client.js';
+import thumbnailService from './thumbnailService.js';
+import searchService from './searchService.js';
+import providerRegistry from './providerRegistry.js';
+import chartStylePresetService from './chartStylePresetService.js';
+import { extractStoragePaths } from '../utils/storagePaths.js';
+import { diffSnapshots } from '../utils/chartDiff.js';
+import { parseColor, MAX_PALETTE_COLORS } from '../utils/projectStyle.js';
+
+const scryptAsync = promisify(scrypt);
+
+export const SHARE_SCOPES = ['data', 'image'];
+
+// Messages thrown by getSharedChart and the HTTP status each maps to
+export const SHARE_ACCESS_ERRORS = {
+  'Shared chart not found': 404,
+  'Share link has been revoked': 410,
+  'Share link has expired': 410,
+  'Share password required': 401,
+  'Invalid share password': 403
+};
+
+const DEFAULT_CONVERSATION_PAGE = 50;
+const MAX_CONVERSATION_PAGE = 200;
+const DEFAULT_MESSAGE_PAGE = 100;
+const MAX_MESSAGE_PAGE = 500;
+const CONVERSATION_SORTS = ['updated_at', 'created_at', 'title'];
+
+// Things a project can hold, by request key
+const PROJECT_ITEM_TABLES = {
+  conversations: 'conversations',
+  templates: 'user_templates',
+  formats: 'format_blueprints'
+};
+const MAX_PROJECT_ITEMS = 500;
+
+const SHARE_COLUMNS = 'id, share_id, snapshot_id, scope, password_hash, expires_at, revoked_at, created_at';
 
 class ChartDataService {
 
@@ -6,8 +44,10 @@ class ChartDataService {
   // CONVERSATION MANAGEMENT
   // =============================================
 
-  async createConversation(userId, title, description = null) {
+  async createConversation(userId, title, description = null, projectId = null) {
     try {
+      if (projectId) await this.requireProject(projectId, userId);
+
       // First, ensure user has a profile (fix for missing profiles)
       const { data: existingProfile, error: profileCheckError } = await supabaseAdminClient
         .from('profiles')
@@ -28,6 +68,7 @@ class ChartDataService {
           user_id: userId,
           title,
           description,
+          project_id: projectId,
           is_active: true
         })
         .select('*')
@@ -50,71 +91,92 @@ class ChartDataService {
     }
   }
 
-  async getUserConversations(userId, limit = 50) {
+  /**
+   * One page of the user's conversations, with the current chart's type, mode and size
+   * @param {string} userId - User ID
+   * @param {Object} options - { cursor, limit (default 50, max 200), sort: 'updated_at'|'created_at'|'title',
+   *   order: 'asc'|'desc', project (ID or 'none'), from, to (ISO dates, on dateField: 'updated_at'|'created_at'),
+   *   chartType (of the current chart), archived: 'false'|'true'|'all' }
+   * @returns {Promise<Object>} - { items, total, nextCursor }
+   */
+  async getUserConversations(userId, options = {}) {
     try {
-      const { data, error } = await supabaseAdminClient
-        .rpc('get_user_conversations', {
-          user_uuid: userId,
-          limit_count: limit
-        });
-
-      if (error) {
-        console.error('RPC error, trying direct query:', error);
-        // Fallback to direct query if RPC doesn't exist
-        // First, get conversations without join to avoid excluding those without snapshots
-        const { data: directData, error: directError } = await supabaseAdminClient
-          .from('conversations')
-          .select('*')
-          .eq('user_id', userId)
-          .eq('is_active', true)
-          .order('updated_at', { ascending: false })
-          .limit(limit);
-
-        if (directError) {
-          console.error('Direct query also failed:', directError);
-          throw directError;
+      const {
+        cursor = null,
+        limit = DEFAULT_CONVERSATION_PAGE,
+        sort = 'updated_at',
+        order = sort === 'title' ? 'asc' : 'desc',
+        project = null,
+        from = null,
+        to = null,
+        dateField = 'updated_at',
+        chartType = null,
+        archived = 'false'
+      } = options;
+
+      const pageSize = parsePageSize(limit, MAX_CONVERSATION_PAGE);
+      if (!CONVERSATION_SORTS.includes(sort)) {
+        throw new Error(`Invalid list options: sort must be one of ${CONVERSATION_SORTS.join(', ')}`);
+      }
+      if (!['asc', 'desc'].includes(order)) throw new Error("Invalid list options: order must be 'asc' or 'desc'");
+      if (!['created_at', 'updated_at'].includes(dateField)) {
+        throw new Error("Invalid list options: dateField must be 'created_at' or 'updated_at'");
+      }
+      if (!['true', 'false', 'all'].includes(String(archived))) {
+        throw new Error("Invalid list options: archived must be 'true', 'false' or 'all'");
+      }
+      const range = { from: parseDateFilter(from, 'from'), to: parseDateFilter(to, 'to') };
+      const after = cursor ? decodeCursor(cursor) : null;
+
+      // Same filters for the page and the total
+      const filtered = (query) => {
+        query = query.eq('user_id', userId);
+        if (String(archived) !== 'all') query = query.eq('is_active', String(archived) === 'false');
+        if (project === 'none') query = query.is('project_id', null);
+        else if (project) query = query.eq('project_id', project);
+        if (range.from) query = query.gte(dateField, range.from);
+        if (range.to) query = query.lte(dateField, range.to);
+        if (chartType) {
+          query = query
+            .eq('chart_snapshots.is_current', true)
+            .eq('chart_snapshots.chart_type', chartType);
         }
-
-        // Fetch snapshot metadata separately — extract only mode via JSON path, NOT the full chart_data blob
-        if (directData && directData.length > 0) {
-          const conversationIds = directData.map(c => c.id);
-
-          // Use Postgres JSON path to extract datasets[0].mode server-side (~10 bytes vs 5KB-2MB per row)
-          const { data: snapshotData } = await supabaseAdminClient
-            .from('chart_snapshots')
-            .select('conversation_id, is_template_mode, chart_type, mode:chart_data->datasets->0->mode, width_config:chart_config->width, height_config:chart_config->height, width_temp_dim:template_structure->dimensions->width, height_temp_dim:template_structure->dimensions->height, width_temp:template_structure->width, height_temp:template_structure->height')
-            .in('conversation_id', conversationIds)
-            .eq('is_current', true);
-
-          // Create a map for quick lookup
-          const snapshotMap = new Map();
-          (snapshotData || []).forEach(s => {
-            snapshotMap.set(s.conversation_id, s);
-          });
-
-          // Transform to include mode info and dimensions at top level
-          return directData.map(conv => {
-            const snapshot = snapshotMap.get(conv.id);
-            const rawWidth = snapshot?.width_temp_dim || snapshot?.width_temp || snapshot?.width_config || null;
-            const rawHeight = snapshot?.height_temp_dim || snapshot?.height_temp || snapshot?.height_config || null;
-            
-            return {
-              ...conv,
-              is_template_mode: snapshot?.is_template_mode || false,
-              chart_mode: snapshot?.mode || 'single',
-              current_chart_type: snapshot?.chart_type || null,
-              width: rawWidth ? String(rawWidth) : null,
-              height: rawHeight ? String(rawHeight) : null
-            };
-          });
+        return query;
+      };
+      const join = chartType ? ', chart_snapshots!inner(chart_type)' : '';
+
+      let page = filtered(supabaseAdminClient.from('conversations').select(`*${join}`));
+      if (after) {
+        // Keyset: rows after the cursor in sort order, ties broken by id. Untitled conversations
+        // sort last either way, so a null cursor value only has more nulls after it.
+        const op = order === 'desc' ? 'lt' : 'gt';
+        const id = quoteFilterValue(after.id);
+        if (after.value === null) {
+          page = page.or(`and(${sort}.is.null,id.${op}.${id})`);
+        } else {
+          const value = quoteFilterValue(after.value);
+          page = page.or(`${sort}.${op}.${value},and(${sort}.eq.${value},id.${op}.${id}),${sort}.is.null`);
         }
-
-        return directData || [];
       }
-
-      // RPC now returns is_template_mode and chart_mode directly - no second query needed!
-      // The RPC function extracts chart_mode from JSONB in the database, avoiding large data transfer
-      return data || [];
+      page = page
+        .order(sort, { ascending: order === 'asc', nullsFirst: false })
+        .order('id', { ascending: order === 'asc' })
+        .limit(pageSize + 1);
+
+      const [{ data, error }, { count, error: countError }] = await Promise.all([
+        page,
+        filtered(supabaseAdminClient.from('conversations').select(`id${join}`, { count: 'exact', head: true }))
+      ]);
+      if (error) throw error;
+      if (countError) throw countError;
+
+      const rows = (data || []).slice(0, pageSize).map(({ chart_snapshots, ...conversation }) => conversation);
+      const last = rows.at(-1);
+      return {
+        items: await this.withCurrentChartInfo(rows),
+        total: count ?? rows.length,
+        nextCursor: data?.length > pageSize && last ? encodeCursor({ value: last[sort], id: last.id }) : null
+      };
     } catch (error) {
       console.error('Error fetching conversations:', error);
       console.error('Error details:', {
@@ -127,6 +189,41 @@ class ChartDataService {
     }
   }
 
+  // Adds the current snapshot's template mode, chart mode, chart type and dimensions to each conversation
+  async withCurrentChartInfo(conversations) {
+    if (conversations.length === 0) return [];
+    const conversationIds = conversations.map(c => c.id);
+
+    // Use Postgres JSON path to extract datasets[0].mode server-side (~10 bytes vs 5KB-2MB per row)
+    const { data: snapshotData } = await supabaseAdminClient
+      .from('chart_snapshots')
+      .select('conversation_id, is_template_mode, chart_type, mode:chart_data->datasets->0->mode, width_config:chart_config->width, height_config:chart_config->height, width_temp_dim:template_structure->dimensions->width, height_temp_dim:template_structure->dimensions->height, width_temp:template_structure->width, height_temp:template_structure->height')
+      .in('conversation_id', conversationIds)
+      .eq('is_current', true);
+
+    // Create a map for quick lookup
+    const snapshotMap = new Map();
+    (snapshotData || []).forEach(s => {
+      snapshotMap.set(s.conversation_id, s);
+    });
+
+    // Transform to include mode info and dimensions at top level
+    return conversations.map(conv => {
+      const snapshot = snapshotMap.get(conv.id);
+      const rawWidth = snapshot?.width_temp_dim || snapshot?.width_temp || snapshot?.width_config || null;
+      const rawHeight = snapshot?.height_temp_dim || snapshot?.height_temp || snapshot?.height_config || null;
+
+      return {
+        ...conv,
+        is_template_mode: snapshot?.is_template_mode || false,
+        chart_mode: snapshot?.mode || 'single',
+        current_chart_type: snapshot?.chart_type || null,
+        width: rawWidth ? String(rawWidth) : null,
+        height: rawHeight ? String(rawHeight) : null
+      };
+    });
+  }
+
   async getConversationById(conversationId, userId) {
     try {
       const { data, error } = await supabaseAdminClient
@@ -174,7 +271,7 @@ class ChartDataService {
       // 1. Fetch all snapshots for this conversation before deletion
       const { data: snapshots } = await supabaseAdminClient
         .from('chart_snapshots')
-        .select('chart_config, template_structure')
+        .select('chart_config, template_structure, thumbnail_url')
         .eq('conversation_id', conversationId);
 
       // 2. Extract image paths
@@ -205,6 +302,9 @@ class ChartDataService {
           if (snap.template_structure && snap.template_structure.decorations) {
             checkShapes(snap.template_structure.decorations);
           }
+          extractStoragePaths(snap.thumbnail_url).forEach(path => {
+            if (!paths.includes(path)) paths.push(path);
+          });
         });
 
         // 3. Delete files from Supabase Storage (Asynchronously in background)
@@ -245,7 +345,7 @@ class ChartDataService {
       // 1. Fetch all snapshots for all user's conversations
       const { data: snapshots } = await supabaseAdminClient
         .from('chart_snapshots')
-        .select('chart_config, template_structure, conversations!inner(user_id)')
+        .select('chart_config, template_structure, thumbnail_url, conversations!inner(user_id)')
         .eq('conversations.user_id', userId);
 
       // 2. Extract image paths
@@ -276,6 +376,9 @@ class ChartDataService {
           if (snap.template_structure && snap.template_structure.decorations) {
             checkShapes(snap.template_structure.decorations);
           }
+          extractStoragePaths(snap.thumbnail_url).forEach(path => {
+            if (!paths.includes(path)) paths.push(path);
+          });
         });
 
         // 3. Delete files from Supabase Storage (Asynchronously in background)
@@ -314,8 +417,22 @@ class ChartDataService {
   // CHART SNAPSHOT MANAGEMENT
   // =============================================
 
-  async saveChartSnapshot(conversationId, chartType, chartData, chartConfig, templateStructure = null, templateContent = null, snapshotId = null) {
+  async saveChartSnapshot(conversationId, chartType, chartData, chartConfig, templateStructure = null, templateContent = null, snapshotId = null, promptVersion = null) {
     try {
+      // A new snapshot follows the current one (and stays on its branch); remember which,
+      // so undo and branching can walk the lineage
+      let parent = null;
+      if (!snapshotId) {
+        const { data: current, error: currentError } = await supabaseAdminClient
+          .from('chart_snapshots')
+          .select('id, branch_name')
+          .eq('conversation_id', conversationId)
+          .eq('is_current', true)
+          .single();
+        if (currentError && currentError.code !== 'PGRST116') console.error('Error fetching current snapshot:', currentError);
+        parent = current || null;
+      }
+
       // Always pass all parameters including snapshot_id_val (even if null)
       // This avoids function overload ambiguity
       const { data, error } = await supabaseAdminClient
@@ -335,6 +452,30 @@ class ChartDataService {
         throw error;
       }
 
+      // Record which prompt version (e.g. "chart_generation@2") produced this chart,
+      // and the snapshot it was made from
+      const details = {};
+      if (promptVersion) details.prompt_version = promptVersion;
+      if (parent && parent.id !== data) {
+        details.parent_snapshot_id = parent.id;
+        details.branch_name = parent.branch_name || null;
+      }
+      if (data && Object.keys(details).length > 0) {
+        const { error: detailsError } = await supabaseAdminClient
+          .from('chart_snapshots')
+          .update(details)
+          .eq('id', data);
+        if (detailsError) console.error('Error recording snapshot details:', detailsError);
+      }
+
+      // Refresh the preview and search embedding in the background so saving never waits on them
+      if (data && chartData) {
+        thumbnailService.generateSnapshotThumbnail(data, { chartType, chartData, chartConfig })
+          .catch(err => console.error('[Thumbnail] Failed to generate snapshot thumbnail:', err.message));
+        searchService.indexSnapshot(data, { chartType, chartData, chartConfig })
+          .catch(err => console.error('[Search] Failed to index snapshot:', err.message));
+      }
+
       return data;
     } catch (error) {
       console.error('Error saving chart snapshot:', error);
@@ -359,12 +500,22 @@ class ChartDataService {
     }
   }
 
-  async getChartHistory(conversationId, limit = 10) {
+  /**
+   * @param {string} conversationId - Conversation ID
+   * @param {number} limit - Max snapshots, newest first
+   * @param {string|null} branch - Only this branch ('main' for the main line); null for all
+   */
+  async getChartHistory(conversationId, limit = 10, branch = null) {
     try {
-      const { data, error } = await supabaseAdminClient
+      let query = supabaseAdminClient
         .from('chart_snapshots')
         .select('*')
-        .eq('conversation_id', conversationId)
+        .eq('conversation_id', conversationId);
+
+      if (branch === 'main') query = query.is('branch_name', null);
+      else if (branch) query = query.eq('branch_name', branch);
+
+      const { data, error } = await query
         .order('created_at', { ascending: false })
         .limit(limit);
 
@@ -376,62 +527,393 @@ class ChartDataService {
     }
   }
 
+  /**
+   * Undo / redo: move the conversation's current snapshot one step back or forward through
+   * its history. Undo goes to the snapshot the current one was made from; redo to the newest
+   * snapshot made from the current one on the same branch. Snapshots saved before lineage was
+   * recorded fall back to creation order. The next modification then starts from the restored chart.
+   * @param {string} conversationId - Conversation ID
+   * @param {string} userId - User ID
+   * @param {string} direction - 'undo' | 'redo'
+   * @returns {Promise<Object>} { action, snapshot, previous_snapshot_id, can_undo, can_redo }
+   */
+  async stepChartHistory(conversationId, userId, direction) {
+    try {
+      const { data: conversation, error: conversationError } = await supabaseAdminClient
+        .from('conversations')
+        .select('id')
+        .eq('id', conversationId)
+        .eq('user_id', userId)
+        .single();
+
+      if (conversationError && conversationError.code !== 'PGRST116') throw conversationError;
+      if (!conversation) throw new Error('Conversation not found or unauthorized');
+
+      const { data: snapshots, error: snapshotsError } = await supabaseAdminClient
+        .from('chart_snapshots')
+        .select('id, parent_snapshot_id, branch_name, is_current, created_at')
+        .eq('conversation_id', conversationId)
+        .order('created_at', { ascending: true });
+      if (snapshotsError) throw snapshotsError;
+
+      const current = snapshots.find(s => s.is_current);
+      if (!current) throw new Error(`Nothing to ${direction}`);
+
+      const ids = new Set(snapshots.map(s => s.id));
+      const parentOf = (snapshot) => {
+        if (snapshot.parent_snapshot_id) {
+          return ids.has(snapshot.parent_snapshot_id) ? snapshot.parent_snapshot_id : null;
+        }
+        // No recorded lineage: the snapshot saved just before it on the same branch
+        const index = snapshots.indexOf(snapshot);
+        const previous = snapshots.slice(0, index).findLast(s => s.branch_name === snapshot.branch_name);
+        return previous?.id || null;
+      };
+      const childOf = (snapshot) => snapshots
+        .findLast(s => s.branch_name === snapshot.branch_name && parentOf(s) === snapshot.id)?.id || null;
+
+      const targetId = direction === 'undo' ? parentOf(current) : childOf(current);
+      if (!targetId) throw new Error(`Nothing to ${direction}`);
+
+      const { error: moveError } = await supabaseAdminClient
+        .rpc('set_current_chart_snapshot', {
+          p_conversation_id: conversationId,
+          p_snapshot_id: targetId
+        });
+      if (moveError) throw moveError;
+
+      const { data: snapshot, error: snapshotError } = await supabaseAdminClient
+        .from('chart_snapshots')
+        .select('*')
+        .eq('id', targetId)
+        .single();
+      if (snapshotError) throw snapshotError;
+
+      const label = new Date(snapshot.created_at).toISOString().slice(0, 16).replace('T', ' ');
+      await this.addMessage(conversationId, 'system',
+        direction === 'undo'
+          ? `Undid the last change: restored the chart of ${label} UTC.`
+          : `Redid a change: restored the chart of ${label} UTC.`,
+        targetId, direction, null);
+
+      const target = snapshots.find(s => s.id === targetId);
+      return {
+        action: direction,
+        snapshot,
+        previous_snapshot_id: current.id,
+        can_undo: !!parentOf(target),
+        can_redo: !!childOf(target)
+      };
+    } catch (error) {
+      console.error(`Error during chart ${direction}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Structural diff between two snapshots the user owns (any conversations)
+   * @param {string} fromId - Older snapshot
+   * @param {string} toId - Newer snapshot
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { from, to, ...diffSnapshots() }
+   */
+  async getSnapshotDiff(fromId, toId, userId) {
+    try {
+      const { data, error } = await supabaseAdminClient
+        .from('chart_snapshots')
+        .select('id, conversation_id, created_at, chart_type, chart_data, chart_config, template_content, conversations!inner(user_id)')
+        .in('id', [fromId, toId])
+        .eq('conversations.user_id', userId);
+
+      if (error) throw error;
+      const from = data?.find(s => s.id === fromId);
+      const to = data?.find(s => s.id === toId);
+      if (!from || !to) throw new Error('Snapshot not found or unauthorized');
+
+      const describe = ({ id, conversation_id, created_at, chart_type }) => ({ id, conversation_id, created_at, chart_type });
+      return { from: describe(from), to: describe(to), ...diffSnapshots(from, to) };
+    } catch (error) {
+      console.error('Error diffing snapshots:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Branch from a past snapshot. The original line of work is left untouched.
+   * - mode 'conversation': a new conversation seeded with the snapshot and the messages up to it
+   * - mode 'branch': a named branch in the same conversation; a copy of the snapshot becomes current
+   * @param {string} snapshotId - Snapshot to branch from
+   * @param {string} userId - User ID
+   * @param {Object} options - { mode: 'conversation'|'branch', name }
+   * @returns {Promise<Object>} { mode, conversation, snapshot_id, branch_name, messages_copied }
+   */
+  async branchFromSnapshot(snapshotId, userId, { mode = 'conversation', name = null } = {}) {
+    try {
+      if (!['conversation', 'branch'].includes(mode)) {
+        throw new Error("Invalid branch options: mode must be 'conversation' or 'branch'");
+      }
+      const branchName = typeof name === 'string' ? name.trim() : '';
+      if (mode === 'branch' && !branchName) {
+        throw new Error('Invalid branch options: name is required for a branch');
+      }
+      if (branchName.length > 100) {
+        throw new Error('Invalid branch options: name must be at most 100 characters');
+      }
+
+      const { data: source, error: sourceError } = await supabaseAdminClient
+        .from('chart_snapshots')
+        .select('*, conversations!inner(id, user_id, title, description, project_id)')
+        .eq('id', snapshotId)
+        .eq('conversations.user_id', userId)
+        .single();
+
+      if (sourceError && sourceError.code !== 'PGRST116') throw sourceError;
+      if (!source) throw new Error('Snapshot not found or unauthorized');
+
+      const sourceConversation = source.conversations;
+      const saveCopy = (conversationId) => this.saveChartSnapshot(
+        conversationId,
+        source.chart_type,
+        source.chart_data,
+        source.chart_config,
+        source.template_structure,
+        source.template_content,
+        null,
+        source.prompt_version || null
+      );
+      const label = new Date(source.created_at).toISOString().slice(0, 16).replace('T', ' ');
+
+      if (mode === 'branch') {
+        const copyId = await saveCopy(sourceConversation.id);
+        const { error: lineageError } = await supabaseAdminClient
+          .from('chart_snapshots')
+          .update({ parent_snapshot_id: source.id, branch_name: branchName })
+          .eq('id', copyId);
+        if (lineageError) throw lineageError;
+
+        await this.addMessage(sourceConversation.id, 'system',
+          `Started branch "${branchName}" from the chart of ${label} UTC.`,
+          copyId, 'branch', null);
+
+        return { mode, conversation: sourceConversation, snapshot_id: copyId, branch_name: branchName, messages_copied: 0 };
+      }
+
+      // Messages up to the one that delivered this chart (or, failing that, up to when it was saved)
+      const { data: messages, error: messagesError } = await supabaseAdminClient
+        .from('chat_messages')
+        .select('*')
+        .eq('conversation_id', sourceConversation.id)
+        .order('message_order', { ascending: true });
+      if (messagesError) throw messagesError;
+
+      const deliveredAt = messages.findLastIndex(m => m.chart_snapshot_id === source.id);
+      const history = deliveredAt !== -1
+        ? messages.slice(0, deliveredAt + 1)
+        : messages.filter(m => new Date(m.created_at) <= new Date(source.created_at));
+
+      const { data: conversation, error: conversationError } = await supabaseAdminClient
+        .from('conversations')
+        .insert({
+          user_id: userId,
+          title: branchName || `${sourceConversation.title || 'Untitled'} (branch)`,
+          description: sourceConversation.description,
+          project_id: sourceConversation.project_id || null,
+          is_active: true,
+          parent_conversation_id: sourceConversation.id,
+          branched_from_snapshot_id: source.id
+        })
+        .select('*')
+        .single();
+      if (conversationError) throw conversationError;
+
+      const copyId = await saveCopy(conversation.id);
+
+      // Only the branch point is carried over, so links to earlier snapshots are dropped
+      if (history.length > 0) {
+        const { error: copyError } = await supabaseAdminClient
+          .from('chat_messages')
+          .insert(history.map((m, i) => ({
+            conversation_id: conversation.id,
+            chart_snapshot_id: m.chart_snapshot_id === source.id ? copyId : null,
+            role: m.role,
+            content: m.content,
+            action: m.action,
+            changes: m.changes,
+            message_order: i + 1
+          })));
+        if (copyError) throw copyError;
+      }
+
+      await this.addMessage(conversation.id, 'system',
+        `Branched from "${sourceConversation.title || 'Untitled'}" at the chart of ${label} UTC.`,
+        copyId, 'branch', null);
+
+      return { mode, conversation, snapshot_id: copyId, branch_name: null, messages_copied: history.length };
+    } catch (error) {
+      console.error('Error branching from snapshot:', error);
+      throw error;
+    }
+  }
+
   // =============================================
   // CHART SHARING MANAGEMENT
   // =============================================
 
-  async generateShareLink(snapshotId, userId) {
+  /**
+   * Issue a share link for a snapshot the user owns
+   * @param {string} snapshotId - Snapshot ID
+   * @param {string} userId - User ID
+   * @param {Object} options - { scope: 'data'|'image', password, expiresAt (ISO date), expiresIn (seconds) }
+   * @returns {Promise<Object>} Share record (see formatShare)
+   */
+  async generateShareLink(snapshotId, userId, options = {}) {
     try {
+      const { scope = 'data', password = null, expiresAt = null, expiresIn = null } = options;
+      if (!SHARE_SCOPES.includes(scope)) {
+        throw new Error(`Invalid share options: scope must be one of ${SHARE_SCOPES.join(', ')}`);
+      }
+      if (password !== null && (typeof password !== 'string' || password.length < 4 || password.length > 128)) {
+        throw new Error('Invalid share options: password must be 4-128 characters');
+      }
+      const expiry = parseShareExpiry(expiresAt, expiresIn);
+
       // First, verify the snapshot exists and belongs to a conversation owned by the user
       const { data: snapshot, error: snapshotError } = await supabaseAdminClient
         .from('chart_snapshots')
         .select(`
           id,
-          share_id,
           conversations!inner(user_id)
         `)
         .eq('id', snapshotId)
         .eq('conversations.user_id', userId)
         .single();
 
-      if (snapshotError) throw snapshotError;
+      if (snapshotError && snapshotError.code !== 'PGRST116') throw snapshotError;
       if (!snapshot) throw new Error('Snapshot not found or unauthorized');
 
-      // If it already has a share_id, just return it instead of creating a new one
-      if (snapshot.share_id) {
-        return { share_id: snapshot.share_id };
+      // A plain link is reused rather than creating a new one on every "share" click
+      if (scope === 'data' && !password && !expiry) {
+        const { data: existing, error: existingError } = await supabaseAdminClient
+          .from('chart_shares')
+          .select(SHARE_COLUMNS)
+          .eq('snapshot_id', snapshotId)
+          .eq('user_id', userId)
+          .eq('scope', 'data')
+          .is('password_hash', null)
+          .is('expires_at', null)
+          .is('revoked_at', null)
+          .order('created_at', { ascending: false })
+          .limit(1);
+
+        if (existingError) throw existingError;
+        if (existing?.length) return formatShare(existing[0]);
       }
 
-      // Generate a new share_id and save it
-      const newShareId = crypto.randomUUID();
-      const { data: updatedSnapshot, error: updateError } = await supabaseAdminClient
-        .from('chart_snapshots')
-        .update({ share_id: newShareId })
-        .eq('id', snapshotId)
-        .select('share_id')
+      const { data: share, error: insertError } = await supabaseAdminClient
+        .from('chart_shares')
+        .insert({
+          share_id: crypto.randomUUID(),
+          snapshot_id: snapshotId,
+          user_id: userId,
+          scope,
+          password_hash: password ? await hashSharePassword(password) : null,
+          expires_at: expiry
+        })
+        .select(SHARE_COLUMNS)
         .single();
 
-      if (updateError) throw updateError;
-      return { share_id: updatedSnapshot.share_id };
+      if (insertError) throw insertError;
+      return formatShare(share);
     } catch (error) {
       console.error('Error generating share link:', error);
       throw error;
     }
   }
 
-  async getSharedChart(shareId) {
+  /**
+   * List the user's active (not revoked, not expired) share links
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Share records with their snapshot's chart type and conversation
+   */
+  async getUserShares(userId) {
     try {
-      // Query the snapshot explicitly by share_id. No user authentication required.
       const { data, error } = await supabaseAdminClient
-        .from('chart_snapshots')
-        .select('chart_data, chart_config, chart_type, created_at, template_structure, template_content')
+        .from('chart_shares')
+        .select(`${SHARE_COLUMNS}, chart_snapshots(conversation_id, chart_type)`)
+        .eq('user_id', userId)
+        .is('revoked_at', null)
+        .or(`expires_at.is.null,expires_at.gt.${new Date().toISOString()}`)
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+      return (data || []).map(share => ({
+        ...formatShare(share),
+        conversation_id: share.chart_snapshots?.conversation_id || null,
+        chart_type: share.chart_snapshots?.chart_type || null
+      }));
+    } catch (error) {
+      console.error('Error fetching share links:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke one of the user's share links; the URL stops working immediately
+   * @param {string} shareRecordId - chart_shares.id
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Revoked share record
+   */
+  async revokeShare(shareRecordId, userId) {
+    try {
+      const { data, error } = await supabaseAdminClient
+        .from('chart_shares')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('id', shareRecordId)
+        .eq('user_id', userId)
+        .is('revoked_at', null)
+        .select(SHARE_COLUMNS);
+
+      if (error) throw error;
+      if (!data || data.length === 0) throw new Error('Share link not found');
+      return formatShare(data[0]);
+    } catch (error) {
+      console.error('Error revoking share link:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve a public share link
+   * @param {string} shareId - Token from the share URL
+   * @param {Object} options - { password } for protected links
+   * @returns {Promise<Object>} Snapshot fields plus share_id and scope; callers must hide
+   *   chart_data/template_content when scope is 'image'
+   */
+  async getSharedChart(shareId, { password = null } = {}) {
+    try {
+      // Query the link explicitly by share_id. No user authentication required.
+      const { data: share, error } = await supabaseAdminClient
+        .from('chart_shares')
+        .select('share_id, scope, password_hash, expires_at, revoked_at, chart_snapshots(chart_data, chart_config, chart_type, created_at, template_structure, template_content)')
         .eq('share_id', shareId)
         .single();
 
       if (error && error.code !== 'PGRST116') throw error;
-      if (!data) throw new Error('Shared chart not found');
-      
-      return data;
+      if (!share || !share.chart_snapshots) throw new Error('Shared chart not found');
+      if (share.revoked_at) throw new Error('Share link has been revoked');
+      if (share.expires_at && new Date(share.expires_at) <= new Date()) throw new Error('Share link has expired');
+      if (share.password_hash) {
+        if (!password) throw new Error('Share password required');
+        if (!(await verifySharePassword(String(password), share.password_hash))) throw new Error('Invalid share password');
+      }
+
+      return {
+        ...share.chart_snapshots,
+        share_id: share.share_id,
+        scope: share.scope,
+        has_password: Boolean(share.password_hash),
+        expires_at: share.expires_at
+      };
     } catch (error) {
       console.error('Error fetching shared chart:', error);
       throw error;
@@ -505,22 +987,47 @@ class ChartDataService {
     return data;
   }
 
-  async getConversationMessages(conversationId, limit = 100) {
+  /**
+   * One page of a conversation's messages in message order
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} options - { cursor, limit (default 100, max 500), order: 'asc' (oldest first) | 'desc', role }
+   * @returns {Promise<Object>} - { items, total, nextCursor }
+   */
+  async getConversationMessages(conversationId, options = {}) {
     try {
-      // Fetch messages without join - chart snapshot data is fetched separately
-      // The join fails because Supabase schema cache doesn't recognize the relationship
-      const { data, error } = await supabaseAdminClient
-        .from('chat_messages')
-        .select('*')
-        .eq('conversation_id', conversationId)
-        .order('created_at', { ascending: true })
-        .limit(limit);
+      const { cursor = null, limit = DEFAULT_MESSAGE_PAGE, order = 'asc', role = null } = options;
+      const pageSize = parsePageSize(limit, MAX_MESSAGE_PAGE);
+      if (!['asc', 'desc'].includes(order)) throw new Error("Invalid list options: order must be 'asc' or 'desc'");
+      const after = cursor ? decodeCursor(cursor) : null;
+      if (after && !Number.isInteger(after.value)) throw new Error('Invalid list options: malformed cursor');
 
-      if (error) {
-        throw error;
-      }
+      const filtered = (query) => {
+        query = query.eq('conversation_id', conversationId);
+        return role ? query.eq('role', role) : query;
+      };
 
-      return data || [];
+      // Fetch messages without join - chart snapshot data is fetched separately
+      // The join fails because Supabase schema cache doesn't recognize the relationship
+      let page = filtered(supabaseAdminClient.from('chat_messages').select('*'));
+      if (after) page = order === 'asc' ? page.gt('message_order', after.value) : page.lt('message_order', after.value);
+      page = page
+        .order('message_order', { ascending: order === 'asc' })
+        .limit(pageSize + 1);
+
+      const [{ data, error }, { count, error: countError }] = await Promise.all([
+        page,
+        filtered(supabaseAdminClient.from('chat_messages').select('id', { count: 'exact', head: true }))
+      ]);
+      if (error) throw error;
+      if (countError) throw countError;
+
+      const items = (data || []).slice(0, pageSize);
+      const last = items.at(-1);
+      return {
+        items,
+        total: count ?? items.length,
+        nextCursor: data?.length > pageSize && last ? encodeCursor({ value: last.message_order, id: last.id }) : null
+      };
     } catch (error) {
       console.error('Error fetching messages:', error.message);
       throw error;
@@ -572,14 +1079,22 @@ class ChartDataService {
   // PROJECT MANAGEMENT
   // =============================================
 
-  async createProject(userId, name, description = null) {
+  /**
+   * @param {string} userId - User ID
+   * @param {string} name - Project name
+   * @param {string|null} description - Project description
+   * @param {Object} settings - { defaultProvider, defaultModel, stylePresetId, brandPalette }
+   * @returns {Promise<Object>} Created project
+   */
+  async createProject(userId, name, description = null, settings = {}) {
     try {
       const { data, error } = await supabaseAdminClient
         .from('projects')
         .insert({
           user_id: userId,
           name,
-          description
+          description,
+          ...(await this.projectSettings(userId, settings))
         })
         .select('*')
         .single();
@@ -592,16 +1107,31 @@ class ChartDataService {
     }
   }
 
-  async getUserProjects(userId) {
+  /**
+   * @param {string} userId - User ID
+   * @param {Object} options - { archived: 'false' (default) | 'true' | 'all' }
+   * @returns {Promise<Array>} Projects with conversation, template and format counts
+   */
+  async getUserProjects(userId, { archived = 'false' } = {}) {
     try {
-      const { data, error } = await supabaseAdminClient
+      if (!['true', 'false', 'all'].includes(String(archived))) {
+        throw new Error("Invalid project: archived must be 'true', 'false' or 'all'");
+      }
+
+      let query = supabaseAdminClient
         .from('projects')
         .select(`
           *,
-          conversations(count)
+          conversations(count),
+          user_templates(count),
+          format_blueprints(count)
         `)
-        .eq('user_id', userId)
-        .order('updated_at', { ascending: false });
+        .eq('user_id', userId);
+
+      if (String(archived) === 'false') query = query.is('archived_at', null);
+      else if (String(archived) === 'true') query = query.not('archived_at', 'is', null);
+
+      const { data, error } = await query.order('updated_at', { ascending: false });
 
       if (error) throw error;
       return data;
@@ -610,6 +1140,352 @@ class ChartDataService {
       throw error;
     }
   }
+
+  /**
+   * A project with what's in it
+   * @param {string} projectId - Project ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Project with conversations, templates and formats (summary fields)
+   */
+  async getProjectById(projectId, userId) {
+    try {
+      const { data, error } = await supabaseAdminClient
+        .from('projects')
+        .select(`
+          *,
+          conversations(id, title, is_active, updated_at),
+          user_templates(id, name, thumbnail_url, updated_at),
+          format_blueprints(id, name, thumbnail_url, updated_at)
+        `)
+        .eq('id', projectId)
+        .eq('user_id', userId)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      if (!data) throw new Error('Project not found');
+
+      const { conversations, user_templates, format_blueprints, ...project } = data;
+      return { ...project, conversations, templates: user_templates, formats: format_blueprints };
+    } catch (error) {
+      console.error('Error fetching project:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * @param {string} projectId - Project ID
+   * @param {string} userId - User ID
+   * @param {Object} updates - { name, description, archived, defaultProvider, defaultModel, stylePresetId, brandPalette }
+   * @returns {Promise<Object>} Updated project
+   */
+  async updateProject(projectId, userId, updates) {
+    try {
+      const changes = { updated_at: new Date().toISOString() };
+      if (updates.name !== undefined) {
+        if (typeof updates.name !== 'string' || !updates.name.trim()) throw new Error('Invalid project: name must be a non-empty string');
+        changes.name = updates.name.trim();
+      }
+      if (updates.description !== undefined) changes.description = updates.description || null;
+      if (updates.archived !== undefined) changes.archived_at = updates.archived ? new Date().toISOString() : null;
+      Object.assign(changes, await this.projectSettings(userId, updates));
+
+      const { data, error } = await supabaseAdminClient
+        .from('projects')
+        .update(changes)
+        .eq('id', projectId)
+        .eq('user_id', userId)
+        .select('*')
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      if (!data) throw new Error('Project not found');
+      return data;
+    } catch (error) {
+      console.error('Error updating project:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a project; its conversations, templates and formats stay, outside any project
+   * @param {string} projectId - Project ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { conversations, templates, formats } counts released
+   */
+  async deleteProject(projectId, userId) {
+    try {
+      await this.requireProject(projectId, userId);
+      const released = await this.assignToProject(null, userId, {}, projectId);
+
+      const { error } = await supabaseAdminClient
+        .from('projects')
+        .delete()
+        .eq('id', projectId)
+        .eq('user_id', userId);
+
+      if (error) throw error;
+      return released;
+    } catch (error) {
+      console.error('Error deleting project:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move the user's conversations, templates and formats into a project
+   * @param {string} projectId - Project ID
+   * @param {string} userId - User ID
+   * @param {Object} items - { conversations: [ids], templates: [ids], formats: [ids] }
+   * @returns {Promise<Object>} { conversations, templates, formats } counts moved
+   */
+  async moveToProject(projectId, userId, items) {
+    try {
+      await this.requireProject(projectId, userId);
+      return await this.assignToProject(projectId, userId, parseProjectItems(items));
+    } catch (error) {
+      console.error('Error moving items to project:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Take items out of a project (all of them when no lists are given)
+   * @param {string} projectId - Project ID
+   * @param {string} userId - User ID
+   * @param {Object} items - { conversations, templates, formats } ID lists
+   * @returns {Promise<Object>} { conversations, templates, formats } counts removed
+   */
+  async removeFromProject(projectId, userId, items = {}) {
+    try {
+      await this.requireProject(projectId, userId);
+      const lists = parseProjectItems(items, { allowEmpty: true });
+      return await this.assignToProject(null, userId, Object.values(lists).some(Boolean) ? lists : {}, projectId);
+    } catch (error) {
+      console.error('Error removing items from project:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Defaults for a chart request made in a project — the explicit projectId, or the conversation's
+   * @param {string} userId - User ID
+   * @param {Object} options - { projectId, conversationId }
+   * @returns {Promise<Object|null>} { project_id, provider, model, style: { palette, preset } | null }
+   */
+  async getProjectDefaults(userId, { projectId = null, conversationId = null } = {}) {
+    try {
+      let id = projectId;
+      if (!id && conversationId) {
+        const { data: conversation } = await supabaseAdminClient
+          .from('conversations')
+          .select('project_id')
+          .eq('id', conversationId)
+          .eq('user_id', userId)
+          .maybeSingle();
+        id = conversation?.project_id || null;
+      }
+      if (!id) return null;
+
+      const { data: project, error } = await supabaseAdminClient
+        .from('projects')
+        .select('id, default_provider, default_model, style_preset_id, brand_palette, chart_style_presets(*)')
+        .eq('id', id)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!project) {
+        if (projectId) throw new Error('Project not found');
+        return null;
+      }
+
+      const palette = Array.isArray(project.brand_palette) ? project.brand_palette : [];
+      const preset = project.chart_style_presets || null;
+      return {
+        project_id: project.id,
+        provider: project.default_provider || null,
+        model: project.default_model || null,
+        style: palette.length > 0 || preset ? { palette, preset } : null
+      };
+    } catch (error) {
+      console.error('Error fetching project defaults:', error);
+      throw error;
+    }
+  }
+
+  // Validated project columns for the defaults present in a create/update payload
+  async projectSettings(userId, { defaultProvider, defaultModel, stylePresetId, brandPalette }) {
+    const settings = {};
+    if (defaultProvider !== undefined) {
+      if (defaultProvider !== null && !providerRegistry.has(defaultProvider)) {
+        throw new Error(`Invalid project: unknown provider '${defaultProvider}'`);
+      }
+      settings.default_provider = defaultProvider;
+    }
+    if (defaultModel !== undefined) {
+      if (defaultModel !== null && (typeof defaultModel !== 'string' || !defaultModel.trim())) {
+        throw new Error('Invalid project: defaultModel must be a model name or null');
+      }
+      settings.default_model = defaultModel?.trim() || null;
+    }
+    if (stylePresetId !== undefined) {
+      if (stylePresetId !== null) {
+        await chartStylePresetService.getPresetById(stylePresetId, userId).catch(() => {
+          throw new Error('Invalid project: style preset not found');
+        });
+      }
+      settings.style_preset_id = stylePresetId;
+    }
+    if (brandPalette !== undefined) {
+      const palette = brandPalette ?? [];
+      if (!Array.isArray(palette) || palette.length > MAX_PALETTE_COLORS || !palette.every(parseColor)) {
+        throw new Error(`Invalid project: brandPalette must be a list of up to ${MAX_PALETTE_COLORS} colors (#rgb, #rrggbb, rgb() or rgba())`);
+      }
+      settings.brand_palette = palette.map(color => color.trim());
+    }
+    return settings;
+  }
+
+  async requireProject(projectId, userId) {
+    const { data, error } = await supabaseAdminClient
+      .from('projects')
+      .select('id')
+      .eq('id', projectId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw new Error('Project not found');
+    return data;
+  }
+
+  /**
+   * Set project_id on the user's items. With fromProjectId, only items currently in that
+   * project are touched, and empty lists mean "all of them".
+   */
+  async assignToProject(projectId, userId, lists, fromProjectId = null) {
+    const counts = {};
+    for (const [key, table] of Object.entries(PROJECT_ITEM_TABLES)) {
+      const ids = lists[key];
+      if (!ids && !fromProjectId) {
+        counts[key] = 0;
+        continue;
+      }
+      let query = supabaseAdminClient
+        .from(table)
+        .update({ project_id: projectId })
+        .eq('user_id', userId);
+      if (ids) query = query.in('id', ids);
+      if (fromProjectId) query = query.eq('project_id', fromProjectId);
+
+      const { data, error } = await query.select('id');
+      if (error) throw error;
+      counts[key] = data?.length || 0;
+    }
+    return counts;
+  }
+}
+
+// =============================================
+// PAGINATION HELPERS
+// =============================================
+
+// Cursors are opaque to clients: base64url of the last row's sort value and id
+function encodeCursor({ value, id }) {
+  return Buffer.from(JSON.stringify([value, id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [value, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (id === undefined) throw new Error('missing id');
+    return { value, id };
+  } catch {
+    throw new Error('Invalid list options: malformed cursor');
+  }
+}
+
+function parsePageSize(limit, max) {
+  const size = Number(limit);
+  if (!Number.isInteger(size) || size < 1 || size > max) {
+    throw new Error(`Invalid list options: limit must be an integer between 1 and ${max}`);
+  }
+  return size;
+}
+
+function parseDateFilter(value, name) {
+  if (value === null || value === undefined || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new Error(`Invalid list options: ${name} must be an ISO date`);
+  return date.toISOString();
+}
+
+// Values inside a PostgREST or() filter are quoted so commas, dots and parentheses survive
+function quoteFilterValue(value) {
+  return `"${String(value ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+// { conversations, templates, formats } → ID lists (undefined when a list isn't given)
+function parseProjectItems(items, { allowEmpty = false } = {}) {
+  const lists = {};
+  for (const key of Object.keys(PROJECT_ITEM_TABLES)) {
+    const ids = items?.[key];
+    if (ids === undefined || ids === null) continue;
+    if (!Array.isArray(ids) || !ids.every(id => typeof id === 'string' && id)) {
+      throw new Error(`Invalid project: ${key} must be a list of IDs`);
+    }
+    if (ids.length > 0) lists[key] = [...new Set(ids)];
+  }
+  const total = Object.values(lists).reduce((sum, ids) => sum + ids.length, 0);
+  if (total === 0 && !allowEmpty) {
+    throw new Error(`Invalid project: give conversations, templates or formats to move`);
+  }
+  if (total > MAX_PROJECT_ITEMS) throw new Error(`Invalid project: at most ${MAX_PROJECT_ITEMS} items at a time`);
+  return lists;
+}
+
+// =============================================
+// SHARE LINK HELPERS
+// =============================================
+
+// Never expose the password hash, only whether there is one
+function formatShare({ password_hash, chart_snapshots, ...share }) {
+  return { ...share, has_password: Boolean(password_hash) };
+}
+
+function parseShareExpiry(expiresAt, expiresIn) {
+  if (expiresAt && expiresIn) {
+    throw new Error('Invalid share options: pass expiresAt or expiresIn, not both');
+  }
+  if (expiresIn !== null && expiresIn !== undefined) {
+    const seconds = Number(expiresIn);
+    if (!Number.isFinite(seconds) || seconds <= 0) {
+      throw new Error('Invalid share options: expiresIn must be a positive number of seconds');
+    }
+    return new Date(Date.now() + seconds * 1000).toISOString();
+  }
+  if (expiresAt) {
+    const date = new Date(expiresAt);
+    if (Number.isNaN(date.getTime()) || date <= new Date()) {
+      throw new Error('Invalid share options: expiresAt must be a future date');
+    }
+    return date.toISOString();
+  }
+  return null;
+}
+
+async function hashSharePassword(password) {
+  const salt = randomBytes(16).toString('hex');
+  const hash = await scryptAsync(password, salt, 64);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+async function verifySharePassword(password, stored) {
+  const [scheme, salt, hex] = stored.split('$');
+  if (scheme !== 'scrypt' || !salt || !hex) return false;
+  const expected = Buffer.from(hex, 'hex');
+  const actual = await scryptAsync(password, salt, expected.length);
+  return timingSafeEqual(actual, expected);
 }
 
 export default new ChartDataService();
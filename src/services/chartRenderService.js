@@ -0,0 +1,164 @@
+import sharp from 'sharp';
+import { supabaseAdminClient } from '../supabase/client.js';
+import { renderChartSVG, DEFAULT_WIDTH, DEFAULT_HEIGHT, THEMES } from '../utils/chartRenderer.js';
+import { imageToPdf } from '../utils/pdfWriter.js';
+import { fetchPublicUrl } from '../utils/publicFetch.js';
+
+export const RENDER_FORMATS = {
+  png: 'image/png',
+  svg: 'image/svg+xml',
+  pdf: 'application/pdf'
+};
+
+const MIN_SIZE = 100;
+const MAX_SIZE = 4000;
+
+// PDFs are rasterized at 2x so they stay sharp when printed or zoomed, unless that
+// would exceed MAX_PDF_PIXELS; large pages fall back toward 1x (72 dpi)
+const PDF_DENSITY = 144;
+const MAX_PDF_PIXELS = 4000 * 4000;
+
+const IMAGE_TIMEOUT_MS = 5000;
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const MAX_POINT_IMAGES = 100;
+const POINT_IMAGE_SIZE = 128;
+
+/**
+ * Chart Render Service
+ * Server-side PNG / SVG / PDF rendering of chart snapshots (no browser needed).
+ * Charts are drawn as SVG by utils/chartRenderer and rasterized with sharp.
+ */
+class ChartRenderService {
+
+  /**
+   * Render a snapshot the user owns
+   * @param {string} snapshotId - Snapshot ID
+   * @param {string} userId - Requesting user
+   * @param {Object} options - { format, width, height, theme }
+   * @returns {Promise<Object>} - { buffer, contentType, format, width, height }
+   */
+  async renderSnapshot(snapshotId, userId, options = {}) {
+    try {
+      const { data: snapshot, error } = await supabaseAdminClient
+        .from('chart_snapshots')
+        .select('id, chart_type, chart_data, chart_config, conversations!inner(user_id)')
+        .eq('id', snapshotId)
+        .eq('conversations.user_id', userId)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      if (!snapshot) throw new Error('Snapshot not found or unauthorized');
+
+      return await this.renderChart({
+        chartType: snapshot.chart_type,
+        chartData: snapshot.chart_data,
+        chartConfig: snapshot.chart_config
+      }, options);
+    } catch (error) {
+      console.error('Error rendering chart snapshot:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Render chart data directly
+   * @param {Object} chart - { chartType, chartData, chartConfig }
+   * @param {Object} options - { format: 'png'|'svg'|'pdf', width, height, theme: 'light'|'dark' }
+   * @returns {Promise<Object>} - { buffer, contentType, format, width, height }
+   */
+  async renderChart(chart, { format = 'png', width, height, theme = 'light' } = {}) {
+    const contentType = RENDER_FORMATS[format];
+    if (!contentType) {
+      throw new Error(`Invalid render format: use ${Object.keys(RENDER_FORMATS).join(', ')}`);
+    }
+    if (!Object.hasOwn(THEMES, theme)) {
+      throw new Error(`Invalid render theme: use ${Object.keys(THEMES).join(', ')}`);
+    }
+    const size = {
+      width: this.parseSize(width, DEFAULT_WIDTH),
+      height: this.parseSize(height, DEFAULT_HEIGHT)
+    };
+
+    const images = await this.loadPointImages(chart.chartData);
+    const svg = renderChartSVG(chart, { ...size, images, theme });
+
+    let buffer;
+    if (format === 'svg') {
+      buffer = Buffer.from(svg);
+    } else if (format === 'png') {
+      buffer = await sharp(Buffer.from(svg)).png().toBuffer();
+    } else {
+      const { data, info } = await sharp(Buffer.from(svg), { density: this.pdfDensity(size) })
+        .flatten({ background: THEMES[theme].background })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+      buffer = await imageToPdf(data, info.width, info.height, { pageWidth: size.width, pageHeight: size.height });
+    }
+
+    return { buffer, contentType, format, ...size };
+  }
+
+  // ========== PRIVATE HELPERS ==========
+
+  pdfDensity({ width, height }) {
+    const scale = Math.min(PDF_DENSITY / 72, Math.sqrt(MAX_PDF_PIXELS / (width * height)));
+    return Math.max(72, Math.floor(72 * scale));
+  }
+
+  parseSize(value, fallback) {
+    if (value === undefined || value === null || value === '') return fallback;
+    const size = Number(value);
+    if (!Number.isInteger(size) || size < MIN_SIZE || size > MAX_SIZE) {
+      throw new Error(`Invalid render size: width and height must be integers between ${MIN_SIZE} and ${MAX_SIZE}`);
+    }
+    return size;
+  }
+
+  /**
+   * Download every pointImages URL once and inline it as a small PNG data URI.
+   * Images that can't be fetched are left out rather than failing the render.
+   * @param {Object} chartData - Chart data
+   * @returns {Promise<Map<string, string>>} - url → data URI
+   */
+  async loadPointImages(chartData) {
+    const urls = [...new Set((chartData?.datasets || []).flatMap(ds => ds.pointImages || []).filter(Boolean))]
+      .slice(0, MAX_POINT_IMAGES);
+
+    const entries = await Promise.all(urls.map(async (url) => {
+      try {
+        return [url, await this.fetchImageAsDataUri(url)];
+      } catch (error) {
+        console.warn(`[ChartRender] Skipping point image ${url}: ${error.message}`);
+        return [url, null];
+      }
+    }));
+    return new Map(entries.filter(([, dataUri]) => dataUri));
+  }
+
+  async fetchImageAsDataUri(url) {
+    let input;
+    const dataMatch = /^data:image\/[^;,]+;base64,(.+)$/s.exec(url);
+    if (dataMatch) {
+      input = Buffer.from(dataMatch[1], 'base64');
+    } else {
+      // Point images come from chart data, which public share renders also reach
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), IMAGE_TIMEOUT_MS);
+      try {
+        const response = await fetchPublicUrl(url, { signal: controller.signal, size: MAX_IMAGE_BYTES });
+        if (!response.ok) throw new Error(`Upstream responded with ${response.status}`);
+        input = Buffer.from(await response.arrayBuffer());
+      } finally {
+        clearTimeout(timeoutId);
+      }
+    }
+
+    const png = await sharp(input)
+      .resize(POINT_IMAGE_SIZE, POINT_IMAGE_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .png()
+      .toBuffer();
+    return `data:image/png;base64,${png.toString('base64')}`;
+  }
+}
+
+export default new ChartRenderService();
@@ -0,0 +1,338 @@
+import path from 'node:path';
+import { supabaseAdminClient } from '../supabase/client.js';
+import thumbnailService, { THUMBNAIL_PREFIX } from './thumbnailService.js';
+import searchService from './searchService.js';
+import chartDataService from './chartDataService.js';
+import { createZip, readZip } from '../utils/zipArchive.js';
+
+export const BUNDLE_FORMAT = 'chart-generator/conversation';
+export const BUNDLE_VERSION = 1;
+
+const BUCKET = 'format-assets';
+const MANIFEST = 'conversation.json';
+
+// Snapshot columns carried in a bundle; ids, links, thumbnails and search columns are rebuilt on import
+const SNAPSHOT_FIELDS = ['chart_type', 'chart_data', 'chart_config', 'template_structure', 'template_content', 'is_template_mode', 'version', 'prompt_version', 'branch_name', 'created_at'];
+const MESSAGE_FIELDS = ['role', 'content', 'action', 'changes', 'message_order', 'created_at'];
+const ROLES = ['user', 'assistant', 'system'];
+
+// Any public format-assets URL (or bare /storage/... reference) inside a string
+const ASSET_URL = /(?:https?:\/\/[^\s"'()<>]*)?\/storage\/v1\/object\/public\/format-assets\/([^\s"'()<>?#]+)(?:\?[^\s"'()<>#]*)?/g;
+
+const CONTENT_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml'
+};
+
+/**
+ * Conversation Bundle Service
+ * Exports a conversation as a zip that stands on its own — conversation.json (metadata,
+ * messages, every snapshot with its template/format content) plus assets/ holding the
+ * format-assets images the snapshots reference — and imports such a zip into the caller's
+ * account, uploading the images afresh and pointing every URL at the new copies.
+ */
+class ConversationBundleService {
+
+  /**
+   * @param {string} conversationId - Conversation ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - { filename, buffer, manifest }
+   */
+  async exportConversation(conversationId, userId) {
+    try {
+      const { data: conversation, error: conversationError } = await supabaseAdminClient
+        .from('conversations')
+        .select('id, title, description, created_at, updated_at')
+        .eq('id', conversationId)
+        .eq('user_id', userId)
+        .single();
+
+      if (conversationError && conversationError.code !== 'PGRST116') throw conversationError;
+      if (!conversation) throw new Error('Conversation not found or unauthorized');
+
+      const [{ data: snapshots, error: snapshotsError }, { data: messages, error: messagesError }] = await Promise.all([
+        supabaseAdminClient
+          .from('chart_snapshots')
+          .select('*')
+          .eq('conversation_id', conversationId)
+          .order('created_at', { ascending: true }),
+        supabaseAdminClient
+          .from('chat_messages')
+          .select('*')
+          .eq('conversation_id', conversationId)
+          .order('message_order', { ascending: true })
+      ]);
+      if (snapshotsError) throw snapshotsError;
+      if (messagesError) throw messagesError;
+
+      // Images the charts use; generated thumbnails are left out and re-rendered on import
+      const paths = [...collectAssetPaths(snapshots.map(s => pick(s, SNAPSHOT_FIELDS)))]
+        .filter(p => !p.startsWith(`${THUMBNAIL_PREFIX}/`));
+
+      const assets = [];
+      const missing = [];
+      const files = [];
+      for (const assetPath of paths) {
+        const { data: blob, error } = await supabaseAdminClient.storage.from(BUCKET).download(assetPath);
+        if (error || !blob) {
+          console.warn(`[Bundle] Could not download ${assetPath}:`, error?.message);
+          missing.push(assetPath);
+          continue;
+        }
+        const buffer = Buffer.from(await blob.arrayBuffer());
+        const file = `assets/${assetPath}`;
+        assets.push({ path: assetPath, file, content_type: blob.type || contentTypeOf(assetPath), size: buffer.length });
+        files.push({ name: file, data: buffer });
+      }
+
+      const manifest = {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        exported_at: new Date().toISOString(),
+        conversation: pick(conversation, ['title', 'description', 'created_at', 'updated_at']),
+        snapshots: snapshots.map(s => ({
+          ref: s.id,
+          parent_ref: s.parent_snapshot_id || null,
+          is_current: !!s.is_current,
+          ...pick(s, SNAPSHOT_FIELDS)
+        })),
+        messages: messages.map(m => ({
+          ...pick(m, MESSAGE_FIELDS),
+          snapshot_ref: m.chart_snapshot_id || null
+        })),
+        assets,
+        missing_assets: missing
+      };
+
+      const buffer = createZip([{ name: MANIFEST, data: JSON.stringify(manifest, null, 2) }, ...files]);
+      const slug = (conversation.title || 'conversation').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'conversation';
+      return { filename: `${slug}.chartbundle.zip`, buffer, manifest };
+    } catch (error) {
+      console.error('Error exporting conversation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Recreate a bundled conversation under the user's account
+   * @param {Buffer} buffer - Zip produced by exportConversation
+   * @param {string} userId - User ID
+   * @param {Object} options - { title } to override the bundled title
+   * @returns {Promise<Object>} - { conversation, snapshots, messages, assets, missing_assets }
+   */
+  async importConversation(buffer, userId, { title = null } = {}) {
+    const uploaded = [];
+    let conversation = null;
+    try {
+      const { manifest, zip } = this.openBundle(buffer);
+
+      // Upload the images under the user's own folder and map old storage paths to the new URLs
+      const urlMap = new Map();
+      if (manifest.assets.length > 0) await thumbnailService.ensureBucket();
+      const stamp = Date.now();
+      for (const [i, asset] of manifest.assets.entries()) {
+        const data = zip.read(asset.file);
+        if (!data) throw new Error(`Invalid bundle: ${asset.file} is missing from the archive`);
+        const name = path.posix.basename(asset.path).replace(/[^a-zA-Z0-9._-]/g, '_');
+        const target = `presets/${userId}/imported-${stamp}-${i}-${name}`;
+        const contentType = asset.content_type || contentTypeOf(asset.path);
+
+        const { error: uploadError } = await supabaseAdminClient.storage
+          .from(BUCKET)
+          .upload(target, data, { contentType, upsert: false });
+        if (uploadError) throw uploadError;
+        uploaded.push(target);
+
+        const { data: { publicUrl } } = supabaseAdminClient.storage.from(BUCKET).getPublicUrl(target);
+        urlMap.set(asset.path, publicUrl);
+
+        const { error: trackError } = await supabaseAdminClient
+          .from('user_uploaded_images')
+          .insert({ user_id: userId, image_path: target, image_url: publicUrl, filename: name });
+        if (trackError) console.error('[Bundle] Failed to record imported image:', trackError.message);
+      }
+      const rewrite = (value) => rewriteAssetUrls(value, urlMap);
+
+      const { data: created, error: conversationError } = await supabaseAdminClient
+        .from('conversations')
+        .insert({
+          user_id: userId,
+          title: (typeof title === 'string' && title.trim()) || manifest.conversation.title || 'Imported conversation',
+          description: manifest.conversation.description ?? null,
+          is_active: true
+        })
+        .select('*')
+        .single();
+      if (conversationError) throw conversationError;
+      conversation = created;
+
+      // One current snapshot: the bundle's, or the newest
+      const currentRef = manifest.snapshots.find(s => s.is_current)?.ref ?? manifest.snapshots.at(-1)?.ref;
+      const snapshotIds = new Map();
+      if (manifest.snapshots.length > 0) {
+        const { data: inserted, error: snapshotsError } = await supabaseAdminClient
+          .from('chart_snapshots')
+          .insert(manifest.snapshots.map(s => ({
+            ...rewrite(pick(s, SNAPSHOT_FIELDS)),
+            conversation_id: conversation.id,
+            is_current: s.ref === currentRef
+          })))
+          .select('id');
+        if (snapshotsError) throw snapshotsError;
+        manifest.snapshots.forEach((s, i) => snapshotIds.set(s.ref, inserted[i].id));
+
+        // Lineage points at rows that only exist now
+        for (const s of manifest.snapshots.filter(s => s.parent_ref && snapshotIds.has(s.parent_ref))) {
+          const { error: lineageError } = await supabaseAdminClient
+            .from('chart_snapshots')
+            .update({ parent_snapshot_id: snapshotIds.get(s.parent_ref) })
+            .eq('id', snapshotIds.get(s.ref));
+          if (lineageError) throw lineageError;
+        }
+      }
+
+      if (manifest.messages.length > 0) {
+        const { error: messagesError } = await supabaseAdminClient
+          .from('chat_messages')
+          .insert(manifest.messages.map((m, i) => ({
+            ...rewrite(pick(m, MESSAGE_FIELDS)),
+            message_order: Number.isInteger(m.message_order) ? m.message_order : i + 1,
+            conversation_id: conversation.id,
+            chart_snapshot_id: snapshotIds.get(m.snapshot_ref) ?? null
+          })));
+        if (messagesError) throw messagesError;
+      }
+
+      await chartDataService.addMessage(conversation.id, 'system',
+        `Imported from a conversation bundle${manifest.exported_at ? ` exported ${String(manifest.exported_at).slice(0, 16).replace('T', ' ')} UTC` : ''}.`,
+        snapshotIds.get(currentRef) ?? null, 'import', null);
+
+      this.refreshPreviews(manifest.snapshots.map(s => ({ id: snapshotIds.get(s.ref), current: s.ref === currentRef, ...rewrite(pick(s, SNAPSHOT_FIELDS)) })));
+
+      return {
+        conversation,
+        snapshots: snapshotIds.size,
+        messages: manifest.messages.length,
+        assets: uploaded.length,
+        missing_assets: manifest.missing_assets || []
+      };
+    } catch (error) {
+      console.error('Error importing conversation:', error);
+      await this.rollback(conversation, uploaded);
+      throw error;
+    }
+  }
+
+  // ========== PRIVATE HELPERS ==========
+
+  openBundle(buffer) {
+    const zip = readZip(buffer, 'bundle');
+    const text = zip.readText(MANIFEST);
+    if (text === null) throw new Error(`Invalid bundle: ${MANIFEST} not found`);
+
+    let manifest;
+    try {
+      manifest = JSON.parse(text);
+    } catch {
+      throw new Error(`Invalid bundle: ${MANIFEST} is not valid JSON`);
+    }
+    if (manifest?.format !== BUNDLE_FORMAT) throw new Error('Invalid bundle: not a conversation bundle');
+    if (manifest.version !== BUNDLE_VERSION) throw new Error(`Invalid bundle: unsupported version ${manifest.version}`);
+    if (!isPlainObject(manifest.conversation)) throw new Error('Invalid bundle: conversation is missing');
+
+    for (const key of ['snapshots', 'messages', 'assets']) {
+      if (manifest[key] === undefined) manifest[key] = [];
+      if (!Array.isArray(manifest[key])) throw new Error(`Invalid bundle: ${key} must be an array`);
+      if (!manifest[key].every(isPlainObject)) throw new Error(`Invalid bundle: every entry in ${key} must be an object`);
+    }
+    // Everything is checked before anything is inserted
+    const refs = new Set(manifest.snapshots.map(s => s.ref));
+    if (manifest.snapshots.some(s => typeof s.ref !== 'string' || !s.ref) || refs.size !== manifest.snapshots.length) {
+      throw new Error('Invalid bundle: every snapshot needs a unique ref');
+    }
+    if (manifest.snapshots.some(s => typeof s.chart_type !== 'string' || (s.chart_data != null && !isPlainObject(s.chart_data)))) {
+      throw new Error('Invalid bundle: every snapshot needs a chart_type, and chart_data must be an object');
+    }
+    if (manifest.messages.some(m => !ROLES.includes(m?.role) || typeof m.content !== 'string')) {
+      throw new Error(`Invalid bundle: every message needs a role (${ROLES.join(', ')}) and text content`);
+    }
+    if (manifest.assets.some(a => typeof a?.path !== 'string' || typeof a.file !== 'string')) {
+      throw new Error('Invalid bundle: every asset needs a path and a file');
+    }
+    return { manifest, zip };
+  }
+
+  // Thumbnails and search embeddings, in the background and one at a time
+  refreshPreviews(snapshots) {
+    (async () => {
+      for (const s of snapshots) {
+        if (!s.id || !s.chart_data) continue;
+        const chart = { chartType: s.chart_type, chartData: s.chart_data, chartConfig: s.chart_config };
+        await thumbnailService.generateSnapshotThumbnail(s.id, chart)
+          .catch(err => console.error('[Thumbnail] Failed to generate snapshot thumbnail:', err.message));
+        if (s.current) {
+          await searchService.indexSnapshot(s.id, chart)
+            .catch(err => console.error('[Search] Failed to index snapshot:', err.message));
+        }
+      }
+    })();
+  }
+
+  // A failed import leaves nothing behind
+  async rollback(conversation, uploaded) {
+    try {
+      if (conversation) {
+        await supabaseAdminClient.from('conversations').delete().eq('id', conversation.id);
+      }
+      if (uploaded.length > 0) {
+        await supabaseAdminClient.storage.from(BUCKET).remove(uploaded);
+        await supabaseAdminClient.from('user_uploaded_images').delete().in('image_path', uploaded);
+      }
+    } catch (error) {
+      console.error('[Bundle] Failed to clean up after import error:', error);
+    }
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function pick(row, fields) {
+  return Object.fromEntries(fields.filter(f => row[f] !== undefined).map(f => [f, row[f]]));
+}
+
+function contentTypeOf(assetPath) {
+  return CONTENT_TYPES[path.posix.extname(assetPath).toLowerCase()] || 'application/octet-stream';
+}
+
+// Storage paths of every format-assets URL in a value (URLs may sit inside HTML or CSS text)
+function collectAssetPaths(value, paths = new Set()) {
+  if (typeof value === 'string') {
+    for (const [, assetPath] of value.matchAll(ASSET_URL)) paths.add(assetPath);
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(item => collectAssetPaths(item, paths));
+  }
+  return paths;
+}
+
+// Point every format-assets URL that has an uploaded copy at that copy (whatever host it was on)
+function rewriteAssetUrls(value, urlMap) {
+  if (urlMap.size === 0 || value == null) return value;
+  if (typeof value === 'string') {
+    return value.includes('/storage/v1/object/public/format-assets/')
+      ? value.replace(ASSET_URL, (match, assetPath) => urlMap.get(assetPath) ?? match)
+      : value;
+  }
+  if (Array.isArray(value)) return value.map(item => rewriteAssetUrls(item, urlMap));
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, rewriteAssetUrls(item, urlMap)]));
+  }
+  return value;
+}
+
+export default new ConversationBundleService();
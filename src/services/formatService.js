@@ -1,4 +1,6 @@
 import { supabaseAdminClient } from '../supabase/client.js';
+import thumbnailService from './thumbnailService.js';
+import { extractStoragePaths } from '../utils/storagePaths.js';
 
 class FormatService {
 
@@ -143,7 +145,8 @@ class FormatService {
         .single();
 
       if (error) throw error;
-      return data;
+      // Generate a preview unless the user uploaded their own
+      return thumbnailUrl ? data : await this.withThumbnail(data);
     } catch (error) {
       console.error('Error creating format:', error);
       throw error;
@@ -199,6 +202,12 @@ class FormatService {
       if (error) throw error;
       if (!data) throw new Error('Format not found or access denied');
 
+      // Refresh generated previews when the layout changes; uploaded thumbnails are left alone
+      const layoutChanged = ['name', 'skeleton', 'dimensions'].some(key => updates[key] !== undefined);
+      if (!data.thumbnail_url || (layoutChanged && thumbnailService.isGenerated(data.thumbnail_url))) {
+        return await this.withThumbnail(data);
+      }
+
       return data;
     } catch (error) {
       console.error('Error updating format:', error);
@@ -330,44 +339,25 @@ class FormatService {
       throw error;
     }
   }
-}
 
-/**
- * Recursively extracts Supabase storage file paths from any object or string
- * @param {any} obj - Object, array, or string to scan
- * @param {Set<string>} paths - Set to collect paths in
- * @returns {Set<string>} Set of extracted paths
- */
-function extractStoragePaths(obj, paths = new Set()) {
-  if (!obj) return paths;
-
-  if (typeof obj === 'string') {
-    const marker = '/storage/v1/object/public/format-assets/';
-    const index = obj.indexOf(marker);
-    if (index !== -1) {
-      let path = obj.substring(index + marker.length);
-      // Strip query parameters or hashes if present
-      const queryIndex = path.indexOf('?');
-      if (queryIndex !== -1) path = path.substring(0, queryIndex);
-      const hashIndex = path.indexOf('#');
-      if (hashIndex !== -1) path = path.substring(0, hashIndex);
-      
-      if (path) {
-        paths.add(path);
-      }
-    }
-  } else if (Array.isArray(obj)) {
-    for (const item of obj) {
-      extractStoragePaths(item, paths);
-    }
-  } else if (typeof obj === 'object') {
-    for (const key in obj) {
-      if (Object.prototype.hasOwnProperty.call(obj, key)) {
-        extractStoragePaths(obj[key], paths);
-      }
+  // =============================================
+  // HELPERS
+  // =============================================
+
+  /**
+   * Regenerate a format's thumbnail; a failed render never fails the save
+   * @param {Object} format - format_blueprints row
+   * @returns {Promise<Object>} Format with its current thumbnail_url
+   */
+  async withThumbnail(format) {
+    try {
+      const thumbnailUrl = await thumbnailService.generateFormatThumbnail(format);
+      return { ...format, thumbnail_url: thumbnailUrl };
+    } catch (error) {
+      console.error(`[Thumbnail] Failed to generate thumbnail for format ${format.id}:`, error.message);
+      return format;
     }
   }
-  return paths;
 }
 
 export default new FormatService();
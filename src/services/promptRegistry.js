@@ -0,0 +1,334 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { supabaseAdminClient } from '../supabase/client.js';
+
+/**
+ * Prompt Registry
+ * Named, versioned prompt templates. Built-in versions ship as src/prompts/<name>/v<N>.txt;
+ * admins add new versions and roll them out through the prompt_templates / prompt_rollouts
+ * tables. Stored versions and rollouts are re-read every PROMPT_CACHE_TTL_MS (default 30s)
+ * and immediately after an admin change, so switching versions needs no redeploy.
+ *
+ * Templates use {{variable}} placeholders. Per-chart-type sections are appended at
+ * {{chart_type_sections}} (or at the end) for the chart types the request is about.
+ */
+
+const __filename = fileURLToPath(import.meta.url);
+const PROMPTS_DIR = path.resolve(path.dirname(__filename), '..', 'prompts');
+
+export const PROMPTS = {
+  GENERATION: 'chart_generation',
+  MODIFICATION: 'chart_modification'
+};
+
+const DEFAULT_CACHE_TTL_MS = 30 * 1000;
+const SECTIONS_PLACEHOLDER = '{{chart_type_sections}}';
+
+class PromptRegistry {
+  constructor() {
+    this.builtins = null; // Map<name, Map<version, template>>
+    this.stored = null;   // { templates, rollouts, expiresAt }
+  }
+
+  // =============================================
+  // RESOLUTION
+  // =============================================
+
+  /**
+   * Pick and render the prompt for one request
+   * @param {string} name - Prompt name (see PROMPTS)
+   * @param {Object} options
+   * @param {string} options.bucketKey - Stable key (user id) so a user stays on one A/B variant
+   * @param {Object} options.variables - Values for {{placeholders}} (override template defaults)
+   * @param {Array<string>} options.chartTypes - Chart types whose sections should be included
+   * @returns {Promise<Object>} - { text, name, version, variant: 'active'|'candidate' }
+   */
+  async getPrompt(name, { bucketKey = null, variables = {}, chartTypes = [] } = {}) {
+    const { template, variant } = await this.select(name, bucketKey);
+    return {
+      text: this.render(template, { variables, chartTypes }),
+      name,
+      version: template.version,
+      variant
+    };
+  }
+
+  /**
+   * Choose the active or candidate version according to the rollout
+   * @param {string} name - Prompt name
+   * @param {string|null} bucketKey - Stable A/B key; random assignment without one
+   * @returns {Promise<Object>} - { template, variant }
+   */
+  async select(name, bucketKey = null) {
+    const versions = await this.getVersions(name);
+    if (versions.size === 0) throw new Error(`Unknown prompt: ${name}`);
+
+    const rollout = await this.getRollout(name);
+    const active = versions.get(rollout.active_version) || versions.get(Math.max(...versions.keys()));
+    const candidate = rollout.candidate_version ? versions.get(rollout.candidate_version) : null;
+
+    if (candidate && rollout.candidate_percentage > 0 && this.bucket(name, bucketKey) < rollout.candidate_percentage) {
+      return { template: candidate, variant: 'candidate' };
+    }
+    return { template: active, variant: 'active' };
+  }
+
+  /**
+   * Fill {{placeholders}} and splice in per-chart-type sections
+   * @param {Object} template - { content, sections, variables }
+   * @param {Object} options - { variables, chartTypes }
+   * @returns {string}
+   */
+  render(template, { variables = {}, chartTypes = [] } = {}) {
+    const sections = [...new Set(chartTypes)]
+      .map(type => template.sections?.[type])
+      .filter(Boolean)
+      .join('\n\n');
+
+    let text = template.content;
+    if (text.includes(SECTIONS_PLACEHOLDER)) {
+      text = text.replace(SECTIONS_PLACEHOLDER, sections);
+    } else if (sections) {
+      text = `${text}\n\n${sections}`;
+    }
+
+    const values = { ...template.variables, ...variables };
+    // Unknown placeholders are left as-is so literal braces in examples survive
+    return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (values[key] !== undefined ? String(values[key]) : match));
+  }
+
+  // =============================================
+  // ADMIN
+  // =============================================
+
+  /**
+   * All prompts with their versions and rollout
+   * @returns {Promise<Array>}
+   */
+  async listPrompts() {
+    const builtins = await this.loadBuiltins();
+    const { templates } = await this.loadStored();
+    const names = [...new Set([...builtins.keys(), ...templates.map(t => t.name)])].sort();
+
+    const prompts = [];
+    for (const name of names) {
+      const versions = await this.getVersions(name);
+      prompts.push({
+        name,
+        versions: [...versions.values()].map(({ content, sections, variables, ...info }) => ({
+          ...info,
+          section_types: Object.keys(sections || {}),
+          variables: Object.keys(variables || {})
+        })),
+        rollout: await this.getRollout(name)
+      });
+    }
+    return prompts;
+  }
+
+  /**
+   * @param {string} name - Prompt name
+   * @param {number} version - Version number
+   * @returns {Promise<Object|null>} - Full template or null
+   */
+  async getVersion(name, version) {
+    const versions = await this.getVersions(name);
+    return versions.get(Number(version)) || null;
+  }
+
+  /**
+   * Store a new version (next number after the highest existing one). It takes no traffic until a rollout names it.
+   * @param {string} name - Prompt name
+   * @param {Object} data - { content, sections, variables, notes }
+   * @param {string} userId - Admin creating it
+   * @returns {Promise<Object>} - Created template
+   */
+  async createVersion(name, { content, sections = {}, variables = {}, notes = null }, userId) {
+    try {
+      const versions = await this.getVersions(name);
+      if (versions.size === 0) throw new Error(`Unknown prompt: ${name}`);
+      if (!content || typeof content !== 'string') throw new Error('Prompt content is required');
+
+      const { data, error } = await supabaseAdminClient
+        .from('prompt_templates')
+        .insert([{
+          name,
+          version: Math.max(...versions.keys()) + 1,
+          content,
+          sections,
+          variables,
+          notes,
+          created_by: userId
+        }])
+        .select()
+        .single();
+
+      if (error) throw error;
+      this.invalidate();
+      return { ...data, source: 'database' };
+    } catch (error) {
+      console.error('Error creating prompt version:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set the active version and an optional candidate with its traffic share
+   * @param {string} name - Prompt name
+   * @param {Object} rollout - { activeVersion, candidateVersion, candidatePercentage }
+   * @param {string} userId - Admin making the change
+   * @returns {Promise<Object>} - Saved rollout
+   */
+  async updateRollout(name, { activeVersion, candidateVersion = null, candidatePercentage = 0 }, userId) {
+    try {
+      const versions = await this.getVersions(name);
+      if (versions.size === 0) throw new Error(`Unknown prompt: ${name}`);
+      if (!versions.has(Number(activeVersion))) throw new Error(`Unknown prompt version: ${name}@${activeVersion}`);
+      if (candidateVersion != null && !versions.has(Number(candidateVersion))) {
+        throw new Error(`Unknown prompt version: ${name}@${candidateVersion}`);
+      }
+      const percentage = Number(candidatePercentage) || 0;
+      if (percentage < 0 || percentage > 100) throw new Error('candidatePercentage must be between 0 and 100');
+
+      const { data, error } = await supabaseAdminClient
+        .from('prompt_rollouts')
+        .upsert({
+          name,
+          active_version: Number(activeVersion),
+          candidate_version: candidateVersion != null ? Number(candidateVersion) : null,
+          candidate_percentage: candidateVersion != null ? percentage : 0,
+          updated_by: userId,
+          updated_at: new Date().toISOString()
+        }, { onConflict: 'name' })
+        .select()
+        .single();
+
+      if (error) throw error;
+      this.invalidate();
+      return data;
+    } catch (error) {
+      console.error('Error updating prompt rollout:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Drop cached stored versions/rollouts so the next request re-reads them
+   */
+  invalidate() {
+    this.stored = null;
+  }
+
+  // ========== PRIVATE HELPERS ==========
+
+  /**
+   * Built-in and stored versions of a prompt (stored ones win on a version clash)
+   * @param {string} name - Prompt name
+   * @returns {Promise<Map<number, Object>>}
+   */
+  async getVersions(name) {
+    const builtins = await this.loadBuiltins();
+    const { templates } = await this.loadStored();
+
+    const versions = new Map(builtins.get(name) || []);
+    for (const t of templates.filter(t => t.name === name)) {
+      versions.set(t.version, {
+        name: t.name,
+        version: t.version,
+        content: t.content,
+        sections: t.sections || {},
+        variables: t.variables || {},
+        notes: t.notes,
+        source: 'database',
+        created_at: t.created_at
+      });
+    }
+    return new Map([...versions.entries()].sort((a, b) => a[0] - b[0]));
+  }
+
+  /**
+   * Stored rollout, or the highest built-in version with no candidate
+   * @param {string} name - Prompt name
+   * @returns {Promise<Object>}
+   */
+  async getRollout(name) {
+    const { rollouts } = await this.loadStored();
+    const stored = rollouts.find(r => r.name === name);
+    if (stored) return stored;
+
+    const builtinVersions = (await this.loadBuiltins()).get(name);
+    return {
+      name,
+      active_version: builtinVersions ? Math.max(...builtinVersions.keys()) : 1,
+      candidate_version: null,
+      candidate_percentage: 0
+    };
+  }
+
+  /**
+   * Stable 0-99 bucket for a key; random when there is no key
+   */
+  bucket(name, bucketKey) {
+    if (!bucketKey) return Math.floor(Math.random() * 100);
+    const hash = crypto.createHash('sha256').update(`${name}:${bucketKey}`).digest();
+    return hash.readUInt32BE(0) % 100;
+  }
+
+  /**
+   * Read src/prompts/<name>/v<N>.txt once — they only change with a deploy
+   */
+  async loadBuiltins() {
+    if (this.builtins) return this.builtins;
+
+    const builtins = new Map();
+    for (const name of await fs.readdir(PROMPTS_DIR)) {
+      const versions = new Map();
+      for (const file of await fs.readdir(path.join(PROMPTS_DIR, name))) {
+        const match = /^v(\d+)\.txt$/.exec(file);
+        if (!match) continue;
+        versions.set(Number(match[1]), {
+          name,
+          version: Number(match[1]),
+          content: await fs.readFile(path.join(PROMPTS_DIR, name, file), 'utf-8'),
+          sections: {},
+          variables: {},
+          notes: null,
+          source: 'builtin',
+          created_at: null
+        });
+      }
+      if (versions.size > 0) builtins.set(name, versions);
+    }
+
+    this.builtins = builtins;
+    return builtins;
+  }
+
+  /**
+   * Stored versions and rollouts, cached for PROMPT_CACHE_TTL_MS.
+   * When the tables are unreachable, built-in prompts keep working.
+   */
+  async loadStored() {
+    if (this.stored && Date.now() < this.stored.expiresAt) return this.stored;
+
+    const ttl = parseInt(process.env.PROMPT_CACHE_TTL_MS, 10) || DEFAULT_CACHE_TTL_MS;
+    try {
+      const [templatesResult, rolloutsResult] = await Promise.all([
+        supabaseAdminClient.from('prompt_templates').select('*').order('version', { ascending: true }),
+        supabaseAdminClient.from('prompt_rollouts').select('*')
+      ]);
+      if (templatesResult.error) throw templatesResult.error;
+      if (rolloutsResult.error) throw rolloutsResult.error;
+
+      this.stored = { templates: templatesResult.data || [], rollouts: rolloutsResult.data || [], expiresAt: Date.now() + ttl };
+    } catch (error) {
+      console.error('Error loading stored prompts, using built-in versions:', error.message);
+      this.stored = { templates: [], rollouts: [], expiresAt: Date.now() + ttl };
+    }
+    return this.stored;
+  }
+}
+
+export default new PromptRegistry();
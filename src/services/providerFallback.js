@@ -0,0 +1,117 @@
+import { ChartValidationError } from '../utils/chartSchema.js';
+
+/**
+ * Provider fallback chain
+ * Runs a chart request against an ordered list of AI providers and moves on to the
+ * next one when a provider is rate-limited, down, too slow, or keeps returning broken JSON.
+ */
+
+// Reasons a provider is skipped in favour of the next one in the chain
+export const FALLBACK_REASONS = {
+  NOT_CONFIGURED: 'not_configured',
+  RATE_LIMITED: 'rate_limited',
+  SERVER_ERROR: 'server_error',
+  TIMEOUT: 'timeout',
+  INVALID_JSON: 'invalid_json'
+};
+
+/**
+ * Decide whether an error should hand the request to the next provider
+ * Adapters re-wrap SDK errors, so both the status/cause chain and the message are checked.
+ * @param {Error} error - Error thrown while generating
+ * @returns {string|null} - One of FALLBACK_REASONS, or null for errors another provider won't fix
+ */
+export function classifyProviderError(error) {
+  for (let err = error, depth = 0; err && depth < 5; err = err.cause, depth++) {
+    if (err.code === FALLBACK_REASONS.NOT_CONFIGURED) return FALLBACK_REASONS.NOT_CONFIGURED;
+    if (err instanceof ChartValidationError) return FALLBACK_REASONS.INVALID_JSON;
+    if (err.status === 429) return FALLBACK_REASONS.RATE_LIMITED;
+    if (err.status >= 500) return FALLBACK_REASONS.SERVER_ERROR;
+    if (['AbortError', 'TimeoutError', 'APIUserAbortError', 'APIConnectionTimeoutError'].includes(err.name)) {
+      return FALLBACK_REASONS.TIMEOUT;
+    }
+  }
+
+  const message = error?.message || '';
+  if (/rate limit/i.test(message)) return FALLBACK_REASONS.RATE_LIMITED;
+  if (/server error/i.test(message)) return FALLBACK_REASONS.SERVER_ERROR;
+  if (/timed out|timeout|aborted/i.test(message)) return FALLBACK_REASONS.TIMEOUT;
+  if (/valid JSON|invalid chart/i.test(message)) return FALLBACK_REASONS.INVALID_JSON;
+  return null;
+}
+
+/**
+ * Error for a provider in the chain whose API key isn't set
+ * @param {string} service - Service name
+ * @param {string} apiKey - Env var holding the key
+ * @returns {Error}
+ */
+export function notConfiguredError(service, apiKey) {
+  const error = new Error(`API key for '${service}' is not configured. Set ${apiKey} in .env`);
+  error.code = FALLBACK_REASONS.NOT_CONFIGURED;
+  return error;
+}
+
+/**
+ * Build the ordered provider chain for a request
+ * @param {string} service - Primary service
+ * @param {string} model - Model for the primary service
+ * @param {Array|boolean|undefined} fallback - Per-request chain: array of names or { service, model },
+ *   false to disable, undefined to use the AI_FALLBACK_CHAIN env var
+ * @param {Function} isKnown - Whether a service name exists in the registry
+ * @returns {Array<{service: string, model: string|undefined}>}
+ */
+export function resolveProviderChain(service, model, fallback, isKnown) {
+  let fallbacks = [];
+  if (Array.isArray(fallback)) {
+    fallbacks = fallback;
+  } else if (fallback !== false && process.env.AI_FALLBACK_CHAIN) {
+    fallbacks = process.env.AI_FALLBACK_CHAIN.split(',').map(s => s.trim()).filter(Boolean);
+  }
+
+  const chain = [{ service, model }];
+  for (const entry of fallbacks) {
+    const step = typeof entry === 'string' ? { service: entry, model: undefined } : { service: entry?.service, model: entry?.model };
+    if (!step.service || !isKnown(step.service)) continue;
+    if (chain.some(s => s.service === step.service)) continue;
+    chain.push(step);
+  }
+  return chain;
+}
+
+/**
+ * Run a request through the provider chain
+ * @param {Array<{service, model}>} chain - Ordered providers
+ * @param {Function} invoke - async ({ service, model }) => result
+ * @param {Object} options - { onFallback } called as onFallback(skippedEntry, nextStep), and a
+ *   signal that stops the chain (no further providers are tried once it aborts)
+ * @returns {Promise<Object>} - { result, service, model, skipped }
+ * @throws {Error} - The last provider's error, or the first non-recoverable one (with .skipped attached)
+ */
+export async function runWithFallback(chain, invoke, { onFallback = null, signal = null } = {}) {
+  const skipped = [];
+
+  for (let i = 0; i < chain.length; i++) {
+    const step = chain[i];
+    try {
+      signal?.throwIfAborted();
+      const result = await invoke(step);
+      return { result, service: step.service, model: step.model, skipped };
+    } catch (error) {
+      if (signal?.aborted) throw signal.reason;
+      const reason = classifyProviderError(error);
+      const next = chain[i + 1];
+      if (!reason || !next) {
+        error.skipped = skipped;
+        throw error;
+      }
+
+      const entry = { service: step.service, model: step.model || null, reason, error: error.message };
+      skipped.push(entry);
+      console.warn(`⚠️ ${step.service} failed (${reason}), falling back to ${next.service}`);
+      onFallback?.(entry, next);
+    }
+  }
+
+  throw new Error('Provider chain is empty');
+}
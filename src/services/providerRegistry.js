@@ -0,0 +1,150 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { createChartProcessor } from '../utils/chartProcessor.js';
+
+/**
+ * Provider Registry
+ * Discovers every adapter in src/adapters and wires it to a ChartProcessor.
+ * An adapter class opts in by declaring a static `provider` descriptor:
+ *
+ *   static provider = {
+ *     name: 'deepseek',                 // URL segment + `service` value in requests
+ *     label: 'DeepSeek',
+ *     envKey: 'DEEPSEEK_API_KEY',       // Env var that must hold a real key
+ *     defaultModel: 'deepseek-chat',
+ *     capabilities: { streaming, jsonMode, structuredOutput, webSearch, vision }
+ *   };
+ *
+ * Model list and health check come from the adapter's getAvailableModels()
+ * and healthCheck() / validateApiKey(). Adding a provider = adding one adapter file.
+ */
+
+const __filename = fileURLToPath(import.meta.url);
+const ADAPTERS_DIR = path.resolve(path.dirname(__filename), '..', 'adapters');
+
+const DEFAULT_CAPABILITIES = { streaming: false, jsonMode: false, structuredOutput: false, webSearch: false, vision: false };
+
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  /**
+   * Register an adapter class
+   * @param {Function} AdapterClass - Adapter class with a static `provider` descriptor
+   */
+  register(AdapterClass) {
+    const descriptor = AdapterClass.provider;
+    if (!descriptor?.name) {
+      throw new Error(`Adapter ${AdapterClass.name} is missing a static provider descriptor`);
+    }
+    if (this.providers.has(descriptor.name)) {
+      throw new Error(`Provider '${descriptor.name}' is already registered`);
+    }
+
+    const adapter = new AdapterClass();
+    this.providers.set(descriptor.name, {
+      name: descriptor.name,
+      label: descriptor.label || descriptor.name,
+      envKey: descriptor.envKey || null,
+      defaultModel: descriptor.defaultModel || null,
+      capabilities: { ...DEFAULT_CAPABILITIES, ...descriptor.capabilities },
+      adapter,
+      processor: createChartProcessor(adapter)
+    });
+  }
+
+  /**
+   * Import every *Adapter.js file and register the classes that declare a provider
+   */
+  async discover() {
+    const files = (await fs.readdir(ADAPTERS_DIR)).filter(f => f.endsWith('Adapter.js')).sort();
+    for (const file of files) {
+      const module = await import(pathToFileURL(path.join(ADAPTERS_DIR, file)).href);
+      for (const exported of Object.values(module)) {
+        if (typeof exported === 'function' && exported.provider) {
+          this.register(exported);
+        }
+      }
+    }
+    console.log(`🔌 Registered AI providers: ${[...this.providers.keys()].join(', ')}`);
+  }
+
+  /**
+   * @param {string} name - Provider name
+   * @returns {Object|null} - Registered provider entry
+   */
+  get(name) {
+    return this.providers.get(name) || null;
+  }
+
+  has(name) {
+    return this.providers.has(name);
+  }
+
+  /**
+   * @returns {Array<Object>} - All registered provider entries
+   */
+  list() {
+    return [...this.providers.values()];
+  }
+
+  /**
+   * Whether the provider's API key is set to something other than a placeholder
+   * @param {string} name - Provider name
+   * @returns {boolean}
+   */
+  isConfigured(name) {
+    const provider = this.get(name);
+    if (!provider) return false;
+    if (!provider.envKey) return true; // Providers that need no key (e.g. local servers)
+    const value = process.env[provider.envKey];
+    return !(!value || value.startsWith('your_') || value === '');
+  }
+
+  /**
+   * Models offered by a provider (adapters may discover them dynamically)
+   * @param {string} name - Provider name
+   * @returns {Promise<Array>}
+   */
+  async getModels(name) {
+    const provider = this.get(name);
+    return provider ? await provider.adapter.getAvailableModels() : [];
+  }
+
+  /**
+   * Run the adapter's health check and time it
+   * @param {string} name - Provider name
+   * @returns {Promise<Object>} - { healthy, latency_ms }
+   */
+  async checkHealth(name) {
+    const provider = this.get(name);
+    const started = Date.now();
+    const healthy = typeof provider.adapter.healthCheck === 'function'
+      ? await provider.adapter.healthCheck()
+      : await provider.processor.validateApiKey();
+    return { healthy: !!healthy, latency_ms: Date.now() - started };
+  }
+
+  /**
+   * Public description of a provider (no adapter internals)
+   * @param {string} name - Provider name
+   * @returns {Object}
+   */
+  describe(name) {
+    const provider = this.get(name);
+    return {
+      name: provider.name,
+      label: provider.label,
+      configured: this.isConfigured(name),
+      default_model: provider.defaultModel,
+      capabilities: provider.capabilities
+    };
+  }
+}
+
+const providerRegistry = new ProviderRegistry();
+await providerRegistry.discover();
+
+export default providerRegistry;
@@ -0,0 +1,239 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { supabaseAdminClient } from '../supabase/client.js';
+import providerRegistry from './providerRegistry.js';
+
+export const SEARCH_TYPES = ['conversation', 'message', 'chart'];
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const MAX_QUERY_LENGTH = 200;
+
+// 768-dimension embeddings, matching chart_snapshots.embedding
+const EMBEDDING_MODEL = 'text-embedding-004';
+
+// Current charts without an embedding yet are indexed on demand, a batch per similarity search
+const BACKFILL_BATCH = 25;
+
+// ts_headline markers set by search_user_content
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_END = '\u0003';
+
+/**
+ * Search Service
+ * - text: ranked full-text search over conversation titles, message content and chart text
+ *   (title, subtitle, labels, dataset names) through the search_user_content RPC
+ * - similar: the user's current charts nearest to a chart (or to a description), by embedding
+ */
+class SearchService {
+  constructor() {
+    this._genAI = null; // lazy-initialized on first use
+  }
+
+  get genAI() {
+    if (!this._genAI) {
+      this._genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+    }
+    return this._genAI;
+  }
+
+  /**
+   * @param {string} userId - User ID
+   * @param {Object} options - { q, types, limit, mode: 'text'|'similar', like (snapshot ID) }
+   * @returns {Promise<Object>} - { mode, query, like, results }
+   */
+  async search(userId, { q = '', types = SEARCH_TYPES, limit = DEFAULT_LIMIT, mode = 'text', like = null } = {}) {
+    try {
+      const query = typeof q === 'string' ? q.trim() : '';
+      const count = Number(limit);
+      if (!['text', 'similar'].includes(mode)) {
+        throw new Error("Invalid search: mode must be 'text' or 'similar'");
+      }
+      if (!Number.isInteger(count) || count < 1 || count > MAX_LIMIT) {
+        throw new Error(`Invalid search: limit must be an integer between 1 and ${MAX_LIMIT}`);
+      }
+      if (query.length > MAX_QUERY_LENGTH) {
+        throw new Error(`Invalid search: q must be at most ${MAX_QUERY_LENGTH} characters`);
+      }
+
+      if (mode === 'similar') {
+        if (!like && !query) throw new Error('Invalid search: similar mode needs like (a snapshot ID) or q');
+        return { mode, query: query || null, like, results: await this.similarCharts(userId, { query, like, limit: count }) };
+      }
+
+      if (!query) throw new Error('Invalid search: q is required');
+      const kinds = [...new Set(types)];
+      const unknown = kinds.filter(type => !SEARCH_TYPES.includes(type));
+      if (kinds.length === 0 || unknown.length > 0) {
+        throw new Error(`Invalid search: types must be any of ${SEARCH_TYPES.join(', ')}`);
+      }
+
+      const { data, error } = await supabaseAdminClient.rpc('search_user_content', {
+        p_user_id: userId,
+        p_query: query,
+        p_types: kinds,
+        p_limit: count
+      });
+      if (error) throw error;
+
+      return {
+        mode,
+        query,
+        like: null,
+        results: (data || []).map(row => ({
+          type: row.kind,
+          id: row.id,
+          conversation_id: row.conversation_id,
+          conversation_title: row.title,
+          ...this.parseHeadline(row.headline || ''),
+          rank: row.rank,
+          created_at: row.created_at
+        }))
+      };
+    } catch (error) {
+      console.error('Error searching:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store the embedding of a snapshot's chart (fire-and-forget from saveChartSnapshot)
+   * @param {string} snapshotId - Snapshot ID
+   * @param {Object} chart - { chartType, chartData, chartConfig }
+   */
+  async indexSnapshot(snapshotId, chart) {
+    if (!this.isConfigured()) return;
+    const [embedding] = await this.embed([this.chartText(chart)]);
+    const { error } = await supabaseAdminClient
+      .from('chart_snapshots')
+      .update({ embedding })
+      .eq('id', snapshotId);
+    if (error) throw error;
+  }
+
+  isConfigured() {
+    return providerRegistry.isConfigured('gemini');
+  }
+
+  // ========== PRIVATE HELPERS ==========
+
+  async similarCharts(userId, { query, like, limit }) {
+    if (!this.isConfigured()) throw new Error('Semantic search is not configured');
+
+    let embedding;
+    let excludeConversation = null;
+    if (like) {
+      const { data: source, error: sourceError } = await supabaseAdminClient
+        .from('chart_snapshots')
+        .select('id, conversation_id, chart_type, chart_data, chart_config, embedding, conversations!inner(user_id)')
+        .eq('id', like)
+        .eq('conversations.user_id', userId)
+        .single();
+
+      if (sourceError && sourceError.code !== 'PGRST116') throw sourceError;
+      if (!source) throw new Error('Snapshot not found or unauthorized');
+
+      embedding = source.embedding
+        ? this.parseVector(source.embedding)
+        : (await this.embed([this.chartText({ chartType: source.chart_type, chartData: source.chart_data, chartConfig: source.chart_config })]))[0];
+      // Other versions of the same chart would crowd out everything else
+      excludeConversation = source.conversation_id;
+    } else {
+      embedding = (await this.embed([query]))[0];
+    }
+
+    await this.backfill(userId);
+
+    const { data, error } = await supabaseAdminClient.rpc('match_chart_snapshots', {
+      p_user_id: userId,
+      p_embedding: embedding,
+      p_exclude_conversation: excludeConversation,
+      p_limit: limit
+    });
+    if (error) throw error;
+
+    return (data || []).map(row => ({
+      type: 'chart',
+      id: row.id,
+      conversation_id: row.conversation_id,
+      conversation_title: row.title,
+      chart_type: row.chart_type,
+      thumbnail_url: row.thumbnail_url,
+      similarity: Math.round(row.similarity * 1000) / 1000,
+      created_at: row.created_at
+    }));
+  }
+
+  // Embed a batch of the user's current charts saved before embeddings were recorded
+  async backfill(userId) {
+    const { data, error } = await supabaseAdminClient
+      .from('chart_snapshots')
+      .select('id, chart_type, chart_data, chart_config, conversations!inner(user_id)')
+      .eq('conversations.user_id', userId)
+      .eq('is_current', true)
+      .is('embedding', null)
+      .limit(BACKFILL_BATCH);
+
+    if (error) throw error;
+    if (!data?.length) return;
+
+    const embeddings = await this.embed(data.map(s => this.chartText({ chartType: s.chart_type, chartData: s.chart_data, chartConfig: s.chart_config })));
+    await Promise.all(data.map(async (snapshot, i) => {
+      const { error: updateError } = await supabaseAdminClient
+        .from('chart_snapshots')
+        .update({ embedding: embeddings[i] })
+        .eq('id', snapshot.id);
+      if (updateError) console.error('[Search] Failed to store embedding:', updateError.message);
+    }));
+  }
+
+  async embed(texts) {
+    const model = this.genAI.getGenerativeModel({ model: EMBEDDING_MODEL });
+    const { embeddings } = await model.batchEmbedContents({
+      requests: texts.map(text => ({ content: { role: 'user', parts: [{ text }] } }))
+    });
+    return embeddings.map(e => e.values);
+  }
+
+  // What a chart is about, in words: type, title, axes, series and categories
+  chartText({ chartType, chartData, chartConfig }) {
+    const text = (value) => (Array.isArray(value) ? value.join(' ') : value ? String(value) : '');
+    const plugins = chartConfig?.plugins || {};
+    const scales = chartConfig?.scales || {};
+    const series = (chartData?.datasets || []).map(ds => ds?.label).filter(Boolean);
+    const categories = (chartData?.labels || []).slice(0, 50).map(String);
+    const lines = [
+      `${chartType || 'bar'} chart`,
+      text(plugins.title?.text),
+      text(plugins.subtitle?.text),
+      Object.values(scales).map(scale => text(scale?.title?.text)).filter(Boolean).join(', '),
+      series.length ? `Series: ${series.join(', ')}` : '',
+      categories.length ? `Categories: ${categories.join(', ')}` : ''
+    ];
+    return lines.filter(Boolean).join('\n');
+  }
+
+  // pgvector comes back from PostgREST as the string "[0.1,0.2,...]"
+  parseVector(value) {
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  }
+
+  // Headline with markers → { snippet, highlights: [[start, end], ...] } (offsets into snippet)
+  parseHeadline(headline) {
+    let snippet = '';
+    const highlights = [];
+    let start = null;
+    for (const char of headline) {
+      if (char === HIGHLIGHT_START) {
+        start = snippet.length;
+      } else if (char === HIGHLIGHT_END) {
+        if (start !== null) highlights.push([start, snippet.length]);
+        start = null;
+      } else {
+        snippet += char;
+      }
+    }
+    return { snippet, highlights };
+  }
+}
+
+export default new SearchService();
@@ -0,0 +1,139 @@
+import { createHash } from 'node:crypto';
+import { supabaseAdminClient } from '../supabase/client.js';
+
+// Crawlers, link unfurlers, monitors and scripted clients
+const BOT_PATTERN = /bot|crawl|spider|slurp|scrape|preview|facebookexternalhit|embedly|whatsapp|telegram|skype|vkshare|pinterest|bitly|quora link|outbrain|nuzzel|google-inspectiontool|lighthouse|pagespeed|headless|phantomjs|puppeteer|playwright|curl|wget|python-|httpclient|okhttp|java\/|go-http|node-fetch|axios|postman|insomnia|monitor|uptime|pingdom/i;
+
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 365;
+
+// Without it views aren't counted: a generated salt would count the same visitor again
+// after every restart and on every instance
+const SALT = process.env.SHARE_VIEW_SALT;
+if (!SALT) {
+  console.warn('⚠️ SHARE_VIEW_SALT is not set; share link views will not be counted.');
+}
+
+/**
+ * Share Analytics Service
+ * Privacy-respecting view counts for share links: no IP address or user agent is stored,
+ * only a hash of both with a fixed secret salt and the date (so unique visitors can be counted
+ * per day but not followed across days) and the referrer's host. Bots and prefetches are ignored.
+ * The IP is req.ip, so forwarded headers only count when TRUST_PROXY says to trust them.
+ */
+class ShareAnalyticsService {
+
+  /**
+   * Record a view of a share link (fire-and-forget; never throws). No-op without SHARE_VIEW_SALT.
+   * @param {string} shareId - Share token that was opened
+   * @param {Object} req - Express request
+   */
+  recordView(shareId, req) {
+    if (!SALT || this.isBot(req)) return;
+
+    const day = new Date().toISOString().slice(0, 10);
+    supabaseAdminClient
+      .from('share_views')
+      .insert({
+        share_id: shareId,
+        viewed_on: day,
+        visitor_hash: this.visitorHash(req, day),
+        referrer_host: this.referrerHost(req)
+      })
+      .then(({ error }) => {
+        if (error) console.error('[ShareAnalytics] Failed to record view:', error.message);
+      })
+      .catch(err => console.error('[ShareAnalytics] Failed to record view:', err.message));
+  }
+
+  /**
+   * View stats across every share link of a snapshot the user owns
+   * @param {string} snapshotId - Snapshot ID
+   * @param {string} userId - User ID
+   * @param {Object} options - { days } window (default 30, max 365)
+   * @returns {Promise<Object>} - { snapshot_id, since, total_views, unique_visitors, daily, referrers, shares }
+   */
+  async getSnapshotStats(snapshotId, userId, { days = DEFAULT_DAYS } = {}) {
+    try {
+      const windowDays = Number(days);
+      if (!Number.isInteger(windowDays) || windowDays < 1 || windowDays > MAX_DAYS) {
+        throw new Error(`Invalid stats window: days must be an integer between 1 and ${MAX_DAYS}`);
+      }
+
+      const { data: snapshot, error: snapshotError } = await supabaseAdminClient
+        .from('chart_snapshots')
+        .select('id, conversations!inner(user_id)')
+        .eq('id', snapshotId)
+        .eq('conversations.user_id', userId)
+        .single();
+
+      if (snapshotError && snapshotError.code !== 'PGRST116') throw snapshotError;
+      if (!snapshot) throw new Error('Snapshot not found or unauthorized');
+
+      const start = new Date();
+      start.setUTCDate(start.getUTCDate() - (windowDays - 1));
+      const since = start.toISOString().slice(0, 10);
+
+      const { data, error } = await supabaseAdminClient.rpc('get_share_view_stats', {
+        p_snapshot_id: snapshotId,
+        p_since: since
+      });
+      if (error) throw error;
+
+      const stats = data || {};
+      return {
+        snapshot_id: snapshotId,
+        since,
+        total_views: Number(stats.total_views) || 0,
+        unique_visitors: Number(stats.unique_visitors) || 0,
+        daily: this.fillDays(stats.daily || [], since, windowDays),
+        referrers: (stats.referrers || []).map(r => ({ host: r.host || 'direct', views: r.views })),
+        shares: stats.shares || []
+      };
+    } catch (error) {
+      console.error('Error fetching share stats:', error);
+      throw error;
+    }
+  }
+
+  // ========== PRIVATE HELPERS ==========
+
+  isBot(req) {
+    const userAgent = req.get('user-agent');
+    if (!userAgent || BOT_PATTERN.test(userAgent)) return true;
+    // Browser prefetch/prerender isn't a view
+    const purpose = req.get('sec-purpose') || req.get('purpose') || req.get('x-purpose') || '';
+    return /prefetch|prerender|preview/i.test(purpose);
+  }
+
+  visitorHash(req, day) {
+    const ip = req.ip || 'unknown';
+    return createHash('sha256')
+      .update(`${SALT}:${day}:${ip}:${req.get('user-agent') || ''}`)
+      .digest('hex')
+      .slice(0, 32);
+  }
+
+  referrerHost(req) {
+    const referrer = req.get('referer');
+    if (!referrer) return null;
+    try {
+      return new URL(referrer).hostname.toLowerCase() || null;
+    } catch {
+      return null;
+    }
+  }
+
+  // Zero-fill the time series so every day in the window is present
+  fillDays(daily, since, windowDays) {
+    const byDate = new Map(daily.map(d => [d.date, d]));
+    const start = new Date(`${since}T00:00:00Z`);
+    return Array.from({ length: windowDays }, (_, i) => {
+      const date = new Date(start.getTime() + i * 86400000).toISOString().slice(0, 10);
+      const day = byDate.get(date);
+      return { date, views: day?.views || 0, unique_visitors: day?.unique_visitors || 0 };
+    });
+  }
+}
+
+export default new ShareAnalyticsService();
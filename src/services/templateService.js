@@ -1,4 +1,6 @@
 import { supabaseAdminClient } from '../supabase/client.js';
+import thumbnailService from './thumbnailService.js';
+import { extractStoragePaths } from '../utils/storagePaths.js';
 
 class TemplateService {
   
@@ -91,7 +93,7 @@ class TemplateService {
         .single();
       
       if (fetchError) throw fetchError;
-      return template;
+      return await this.withThumbnail(template);
     } catch (error) {
       console.error('Error creating template:', error);
       throw error;
@@ -135,7 +137,7 @@ class TemplateService {
         .single();
       
       if (fetchError) throw fetchError;
-      return template;
+      return await this.withThumbnail(template);
     } catch (error) {
       console.error('Error updating template:', error);
       throw error;
@@ -162,7 +164,7 @@ class TemplateService {
       // Check if template exists
       const { data: existingTemplate, error: fetchError } = await supabaseAdminClient
         .from('user_templates')
-        .select('id, user_id, name')
+        .select('id, user_id, name, thumbnail_url')
         .eq('id', templateId)
         .single();
       
@@ -191,6 +193,17 @@ class TemplateService {
       if (error) {
         throw error;
       }
+
+      // Remove the generated thumbnail from storage
+      const pathsToDelete = Array.from(extractStoragePaths(existingTemplate.thumbnail_url));
+      if (pathsToDelete.length > 0) {
+        const { error: storageError } = await supabaseAdminClient.storage
+          .from('format-assets')
+          .remove(pathsToDelete);
+        if (storageError) {
+          console.error(`Failed to delete thumbnail from storage for template ${templateId}:`, storageError);
+        }
+      }
       
       return data;
     } catch (error) {
@@ -253,6 +266,25 @@ class TemplateService {
       throw error;
     }
   }
+
+  // =============================================
+  // HELPERS
+  // =============================================
+
+  /**
+   * Regenerate a template's thumbnail; a failed render never fails the save
+   * @param {Object} template - user_templates row
+   * @returns {Promise<Object>} Template with its current thumbnail_url
+   */
+  async withThumbnail(template) {
+    try {
+      const thumbnailUrl = await thumbnailService.generateTemplateThumbnail(template);
+      return { ...template, thumbnail_url: thumbnailUrl };
+    } catch (error) {
+      console.error(`[Thumbnail] Failed to generate thumbnail for template ${template.id}:`, error.message);
+      return template;
+    }
+  }
 }
 
 export default new TemplateService();
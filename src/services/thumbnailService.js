@@ -0,0 +1,190 @@
+import sharp from 'sharp';
+import { supabaseAdminClient } from '../supabase/client.js';
+import chartRenderService from './chartRenderService.js';
+import { renderLayoutSVG } from '../utils/chartRenderer.js';
+import { extractStoragePaths } from '../utils/storagePaths.js';
+
+const BUCKET = 'format-assets';
+export const THUMBNAIL_PREFIX = 'thumbnails';
+
+const THUMBNAIL_WIDTH = 400;
+const CHART_THUMBNAIL_HEIGHT = 250;
+const MIN_THUMBNAIL_HEIGHT = 120;
+const MAX_THUMBNAIL_HEIGHT = 600;
+const WEBP_QUALITY = 80;
+
+// Storage folder and table for each kind of owner
+const OWNERS = {
+  snapshot: { folder: 'snapshots', table: 'chart_snapshots' },
+  template: { folder: 'templates', table: 'user_templates' },
+  format: { folder: 'formats', table: 'format_blueprints' }
+};
+
+/**
+ * Thumbnail Service
+ * Generates preview images for chart snapshots, templates and formats and stores them in the
+ * format-assets bucket under thumbnails/<kind>/<id>.webp. Each save overwrites the same object,
+ * and the stored URL carries a ?v= timestamp so clients never show a stale preview.
+ * Because the thumbnail lives in format-assets, extractStoragePaths() picks it up when the
+ * owning row is deleted.
+ */
+class ThumbnailService {
+  constructor() {
+    this.bucketReady = null;
+  }
+
+  /**
+   * Render and store a chart snapshot thumbnail
+   * @param {string} snapshotId - Snapshot ID
+   * @param {Object} chart - { chartType, chartData, chartConfig }
+   * @returns {Promise<string>} - Public thumbnail URL
+   */
+  async generateSnapshotThumbnail(snapshotId, chart) {
+    try {
+      const { buffer } = await chartRenderService.renderChart(chart, {
+        format: 'svg',
+        width: THUMBNAIL_WIDTH,
+        height: CHART_THUMBNAIL_HEIGHT
+      });
+      return await this.store('snapshot', snapshotId, buffer);
+    } catch (error) {
+      console.error('Error generating snapshot thumbnail:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Render and store a template thumbnail (wireframe of its sections)
+   * @param {Object} template - user_templates row
+   * @returns {Promise<string>} - Public thumbnail URL
+   */
+  async generateTemplateThumbnail(template) {
+    try {
+      const structure = template.template_structure || {};
+      const blocks = (structure.sections || []).map(section => ({ ...section, ...boxOf(section) }));
+      // Older templates only describe the chart through chartArea
+      if (!blocks.some(block => block.type === 'chart') && structure.chartArea) {
+        blocks.unshift({ type: 'chart', name: 'Chart', ...boxOf(structure.chartArea) });
+      }
+
+      return await this.storeLayout('template', template.id, {
+        width: structure.width,
+        height: structure.height,
+        background: structure.backgroundColor || structure.background?.color,
+        blocks
+      });
+    } catch (error) {
+      console.error('Error generating template thumbnail:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Render and store a format thumbnail (wireframe of its skeleton zones)
+   * @param {Object} format - format_blueprints row
+   * @returns {Promise<string>} - Public thumbnail URL
+   */
+  async generateFormatThumbnail(format) {
+    try {
+      const skeleton = format.skeleton || {};
+      const dimensions = format.dimensions || {};
+      const blocks = (skeleton.zones || []).map(zone => ({
+        type: zone.type,
+        name: zone.role || zone.name || zone.type,
+        ...boxOf(zone)
+      }));
+
+      return await this.storeLayout('format', format.id, {
+        width: dimensions.width,
+        height: dimensions.height,
+        background: skeleton.backgroundColor || skeleton.background?.color,
+        blocks
+      });
+    } catch (error) {
+      console.error('Error generating format thumbnail:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Whether a thumbnail URL points at a generated thumbnail (as opposed to a user upload)
+   * @param {string|null} url - Thumbnail URL
+   * @returns {boolean}
+   */
+  isGenerated(url) {
+    const [path] = extractStoragePaths(url);
+    return Boolean(path && path.startsWith(`${THUMBNAIL_PREFIX}/`));
+  }
+
+  // ========== PRIVATE HELPERS ==========
+
+  async storeLayout(kind, id, layout) {
+    const height = layout.width > 0 && layout.height > 0
+      ? Math.min(MAX_THUMBNAIL_HEIGHT, Math.max(MIN_THUMBNAIL_HEIGHT, Math.round(THUMBNAIL_WIDTH * layout.height / layout.width)))
+      : CHART_THUMBNAIL_HEIGHT;
+    const svg = renderLayoutSVG(layout, { width: THUMBNAIL_WIDTH, height });
+    return this.store(kind, id, Buffer.from(svg));
+  }
+
+  /**
+   * Rasterize an SVG to webp, upload it over the previous thumbnail and save the URL on the row
+   */
+  async store(kind, id, svgBuffer) {
+    const { folder, table } = OWNERS[kind];
+    const path = `${THUMBNAIL_PREFIX}/${folder}/${id}.webp`;
+    const webp = await sharp(svgBuffer).webp({ quality: WEBP_QUALITY }).toBuffer();
+
+    await this.ensureBucket();
+    const { error: uploadError } = await supabaseAdminClient.storage
+      .from(BUCKET)
+      .upload(path, webp, { contentType: 'image/webp', upsert: true });
+    if (uploadError) throw uploadError;
+
+    const { data: { publicUrl } } = supabaseAdminClient.storage
+      .from(BUCKET)
+      .getPublicUrl(path);
+    const thumbnailUrl = `${publicUrl}?v=${Date.now()}`;
+
+    const { error: updateError } = await supabaseAdminClient
+      .from(table)
+      .update({ thumbnail_url: thumbnailUrl })
+      .eq('id', id);
+    if (updateError) throw updateError;
+
+    return thumbnailUrl;
+  }
+
+  // Same lazy bucket creation as the image upload route, checked once per process
+  ensureBucket() {
+    if (!this.bucketReady) {
+      this.bucketReady = (async () => {
+        const { data: buckets } = await supabaseAdminClient.storage.listBuckets();
+        if (buckets?.some(b => b.name === BUCKET)) return;
+        const { error } = await supabaseAdminClient.storage.createBucket(BUCKET, {
+          public: true,
+          allowedMimeTypes: ['image/png', 'image/jpeg', 'image/jpg', 'image/webp', 'image/gif', 'image/svg+xml']
+        });
+        if (error) console.error(`Error creating storage bucket ${BUCKET}:`, error);
+      })().catch(error => {
+        this.bucketReady = null;
+        throw error;
+      });
+    }
+    return this.bucketReady;
+  }
+}
+
+/**
+ * Position and size of a section/zone, accepting flat { x, y, width, height } or
+ * nested { position: { x, y }, size: { width, height } } shapes
+ */
+function boxOf(item) {
+  return {
+    x: Number(item.x ?? item.position?.x),
+    y: Number(item.y ?? item.position?.y),
+    width: Number(item.width ?? item.size?.width),
+    height: Number(item.height ?? item.size?.height)
+  };
+}
+
+export default new ThumbnailService();
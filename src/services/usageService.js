@@ -0,0 +1,321 @@
+import { supabaseAdminClient } from '../supabase/client.js';
+
+// USD per 1M tokens [prompt, completion]. Unknown models get no cost estimate.
+const MODEL_PRICING = {
+  'deepseek-chat': [0.27, 1.10],
+  'deepseek-reasoner': [0.55, 2.19],
+  'gemini-2.5-flash': [0.30, 2.50],
+  'gemini-2.5-pro': [1.25, 10.00],
+  'gemini-2.0-flash': [0.10, 0.40],
+  'sonar': [1.00, 1.00],
+  'sonar-pro': [3.00, 15.00],
+  'sonar-reasoning': [1.00, 5.00],
+  'sonar-reasoning-pro': [2.00, 8.00]
+};
+
+// Providers that never cost anything
+const FREE_PROVIDERS = ['local', 'mock'];
+
+const DEFAULT_TOKENS_PER_CREDIT = 1000;
+
+// Credits held by reserve_ai_credits while a request runs (a successful chart costs at least one)
+const RESERVED_CREDITS = 1;
+const RECENT_LIMIT = 20;
+
+class UsageService {
+
+  // =============================================
+  // RECORDING
+  // =============================================
+
+  /**
+   * Run a chart call and write its ledger entry, whether it succeeds or fails.
+   * The entry is written before the call returns, so it's counted by the time the
+   * request's credit reservation is released. Recording errors never fail the request.
+   * @param {Object} context - { userId, provider, model, operation: 'generate'|'modify', conversationId }
+   * @param {Function} call - async () => chart response from ChartProcessor
+   * @returns {Promise<Object>} - The chart response
+   */
+  async track(context, call) {
+    try {
+      const result = await call();
+      // Cache hits never reached a provider
+      if (!result._metadata?.cached) {
+        await this.recordUsage({ ...context, status: 'success', metadata: result._metadata });
+      }
+      return result;
+    } catch (error) {
+      await this.recordUsage({ ...context, status: 'error', metadata: { attempts: error.attempts } });
+      throw error;
+    }
+  }
+
+  /**
+   * Insert one ledger row; failures are logged, never thrown
+   * @param {Object} entry - { userId, provider, model, operation, conversationId, status, metadata }
+   * @returns {Promise<void>}
+   */
+  async recordUsage({ userId, provider, model, operation, conversationId = null, status, metadata = {} }) {
+    if (!userId) return;
+
+    const attempts = metadata?.attempts || [];
+    const sum = (key) => attempts.some(a => a[key] != null)
+      ? attempts.reduce((total, a) => total + (a[key] || 0), 0)
+      : null;
+
+    const promptTokens = sum('prompt_tokens');
+    const completionTokens = sum('completion_tokens');
+    const totalTokens = sum('tokens_used') ?? metadata?.tokens_used ?? null;
+    const resolvedModel = metadata?.model_used || metadata?.model_full_name || model || null;
+
+    const row = {
+      user_id: userId,
+      conversation_id: conversationId || null,
+      provider,
+      model: resolvedModel,
+      operation,
+      status,
+      attempts: attempts.length || 1,
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: totalTokens,
+      estimated_cost_usd: this.estimateCost(provider, resolvedModel, { promptTokens, completionTokens, totalTokens }),
+      credits: this.calculateCredits(totalTokens, status)
+    };
+
+    try {
+      const { error } = await supabaseAdminClient
+        .from('ai_usage_ledger')
+        .insert([row]);
+      if (error) throw error;
+    } catch (error) {
+      console.error('Error recording AI usage:', error.message);
+    }
+  }
+
+  /**
+   * Estimated USD cost of a call
+   * @param {string} provider - Provider name
+   * @param {string} model - Model actually used
+   * @param {Object} tokens - { promptTokens, completionTokens, totalTokens }
+   * @returns {number|null}
+   */
+  estimateCost(provider, model, { promptTokens, completionTokens, totalTokens }) {
+    if (FREE_PROVIDERS.includes(provider) || model?.endsWith(':free')) return 0;
+
+    // OpenRouter model ids are vendor-prefixed (deepseek/deepseek-chat-v3-0324)
+    const key = Object.keys(MODEL_PRICING).find(name => model === name || model?.split('/').pop() === name);
+    if (!key || totalTokens == null) return null;
+
+    const [promptPrice, completionPrice] = MODEL_PRICING[key];
+    const cost = (promptTokens != null && completionTokens != null)
+      ? promptTokens * promptPrice + completionTokens * completionPrice
+      : totalTokens * (promptPrice + completionPrice) / 2; // No split reported — assume half and half
+    return Number((cost / 1_000_000).toFixed(6));
+  }
+
+  /**
+   * Credits charged for a call: one per AI_TOKENS_PER_CREDIT tokens (default 1000), minimum one
+   * for a successful answer. Failed calls only pay for tokens the provider reported.
+   * @param {number|null} totalTokens - Tokens used across all attempts
+   * @param {string} status - 'success' | 'error'
+   * @returns {number}
+   */
+  calculateCredits(totalTokens, status) {
+    const tokensPerCredit = parseInt(process.env.AI_TOKENS_PER_CREDIT, 10) || DEFAULT_TOKENS_PER_CREDIT;
+    const credits = Math.ceil((totalTokens || 0) / tokensPerCredit);
+    return status === 'success' ? Math.max(1, credits) : credits;
+  }
+
+  // =============================================
+  // QUOTAS
+  // =============================================
+
+  /**
+   * Monthly credit limit for a user: per-user override, then plan, then AI_DEFAULT_MONTHLY_CREDITS
+   * @param {Object} user - req.user
+   * @returns {Promise<Object>} - { plan, limit } (limit null = unlimited)
+   */
+  async getQuota(user) {
+    try {
+      if (user.is_admin) return { plan: 'admin', limit: null };
+
+      const { data: profile, error } = await supabaseAdminClient
+        .from('profiles')
+        .select('plan, monthly_credit_limit, ai_plans(monthly_credits)')
+        .eq('id', user.id)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+
+      const envDefault = parseInt(process.env.AI_DEFAULT_MONTHLY_CREDITS, 10);
+      const planLimit = profile?.ai_plans ? profile.ai_plans.monthly_credits : undefined;
+      const limit = profile?.monthly_credit_limit
+        ?? (planLimit !== undefined ? planLimit : (Number.isNaN(envDefault) ? null : envDefault));
+
+      return { plan: profile?.plan || 'free', limit };
+    } catch (error) {
+      console.error('Error fetching AI credit quota:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Hold credits for one request if the user still has some this month. The check and the
+   * hold are one transaction (reserve_ai_credits), so concurrent requests can't overshoot.
+   * Release the hold with releaseReservation() once the call's ledger rows are written.
+   * @param {Object} user - req.user
+   * @param {Object} options - { operation: 'generate'|'modify' }
+   * @returns {Promise<Object>} - { allowed, plan, limit, used, remaining, resets_at, reservationId }
+   */
+  async reserveCredits(user, { operation = 'generate' } = {}) {
+    const { start, end } = this.getPeriod();
+    const { plan, limit } = await this.getQuota(user);
+    if (limit === null) {
+      return { allowed: true, plan, limit, used: null, remaining: null, resets_at: end.toISOString(), reservationId: null };
+    }
+
+    const { data, error } = await supabaseAdminClient.rpc('reserve_ai_credits', {
+      p_user_id: user.id,
+      p_limit: limit,
+      p_since: start.toISOString(),
+      p_until: end.toISOString(),
+      p_operation: operation,
+      p_credits: RESERVED_CREDITS
+    });
+    if (error) throw error;
+
+    const [{ reservation_id: reservationId = null, used = 0 } = {}] = data || [];
+    return {
+      allowed: !!reservationId,
+      plan,
+      limit,
+      used: Number(used),
+      remaining: Math.max(0, limit - Number(used)),
+      resets_at: end.toISOString(),
+      reservationId
+    };
+  }
+
+  /**
+   * Drop a request's credit hold (its real ledger rows now count instead)
+   * @param {string} reservationId - From reserveCredits
+   */
+  async releaseReservation(reservationId) {
+    const { error } = await supabaseAdminClient
+      .from('ai_usage_ledger')
+      .delete()
+      .eq('id', reservationId)
+      .eq('status', 'pending');
+    if (error) {
+      // Stale holds are cleared by the next reservation after 10 minutes
+      console.error('Error releasing AI credit reservation:', error.message);
+    }
+  }
+
+  // =============================================
+  // REPORTING
+  // =============================================
+
+  /**
+   * Usage report for GET /api/usage
+   * @param {Object} user - req.user
+   * @param {string} month - Optional 'YYYY-MM' (defaults to the current month)
+   * @returns {Promise<Object>}
+   */
+  async getUsageReport(user, month = null) {
+    try {
+      const { start, end } = this.getPeriod(month);
+      const [{ plan, limit }, rows, recent] = await Promise.all([
+        this.getQuota(user),
+        this.getSummaryRows(user.id, start, end),
+        this.getRecentEntries(user.id, start, end)
+      ]);
+
+      const totals = rows.reduce((acc, r) => ({
+        requests: acc.requests + Number(r.requests),
+        failed: acc.failed + Number(r.failed),
+        total_tokens: acc.total_tokens + Number(r.total_tokens),
+        credits: acc.credits + Number(r.credits),
+        estimated_cost_usd: acc.estimated_cost_usd + Number(r.estimated_cost_usd)
+      }), { requests: 0, failed: 0, total_tokens: 0, credits: 0, estimated_cost_usd: 0 });
+      totals.estimated_cost_usd = Number(totals.estimated_cost_usd.toFixed(6));
+
+      return {
+        period: { start: start.toISOString(), end: end.toISOString() },
+        plan,
+        credits: {
+          limit,
+          used: totals.credits,
+          remaining: limit === null ? null : Math.max(0, limit - totals.credits)
+        },
+        totals,
+        by_model: rows.map(r => ({
+          provider: r.provider,
+          model: r.model,
+          requests: Number(r.requests),
+          failed: Number(r.failed),
+          prompt_tokens: Number(r.prompt_tokens),
+          completion_tokens: Number(r.completion_tokens),
+          total_tokens: Number(r.total_tokens),
+          credits: Number(r.credits),
+          estimated_cost_usd: Number(r.estimated_cost_usd)
+        })),
+        recent
+      };
+    } catch (error) {
+      console.error('Error building usage report:', error);
+      throw error;
+    }
+  }
+
+  // ========== PRIVATE HELPERS ==========
+
+  /**
+   * Calendar month (UTC) containing `month`, or the current one
+   * @param {string|null} month - 'YYYY-MM'
+   * @returns {{ start: Date, end: Date }}
+   */
+  getPeriod(month = null) {
+    let year, monthIndex;
+    if (month) {
+      const match = /^(\d{4})-(\d{2})$/.exec(month);
+      if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) {
+        throw new Error('Invalid month, expected YYYY-MM');
+      }
+      year = Number(match[1]);
+      monthIndex = Number(match[2]) - 1;
+    } else {
+      const now = new Date();
+      year = now.getUTCFullYear();
+      monthIndex = now.getUTCMonth();
+    }
+    return { start: new Date(Date.UTC(year, monthIndex, 1)), end: new Date(Date.UTC(year, monthIndex + 1, 1)) };
+  }
+
+  async getSummaryRows(userId, start, end) {
+    const { data, error } = await supabaseAdminClient.rpc('get_ai_usage_summary', {
+      p_user_id: userId,
+      p_since: start.toISOString(),
+      p_until: end.toISOString()
+    });
+    if (error) throw error;
+    return data || [];
+  }
+
+  async getRecentEntries(userId, start, end) {
+    const { data, error } = await supabaseAdminClient
+      .from('ai_usage_ledger')
+      .select('id, conversation_id, provider, model, operation, status, attempts, total_tokens, estimated_cost_usd, credits, created_at')
+      .eq('user_id', userId)
+      .neq('status', 'pending')
+      .gte('created_at', start.toISOString())
+      .lt('created_at', end.toISOString())
+      .order('created_at', { ascending: false })
+      .limit(RECENT_LIMIT);
+    if (error) throw error;
+    return data || [];
+  }
+}
+
+export default new UsageService();
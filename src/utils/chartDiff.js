@@ -0,0 +1,233 @@
+/**
+ * Structural chart diff
+ * Compares two stored snapshots field by field, so "what changed" panels can show what
+ * actually changed rather than the model's own summary. Labels and datasets are matched by
+ * name; a name that disappears at the same position another one appears is a rename.
+ * Values are compared per label (per point for label-less scatter/bubble data), colors per
+ * dataset and per point, and everything else in chart_config / template content by path.
+ */
+
+// Keep responses bounded when a whole dataset is replaced
+const MAX_ENTRIES = 500;
+
+const COLOR_KEY = /color/i;
+
+// Dataset keys reported elsewhere (label, data) or not worth a line of their own
+const SKIPPED_DATASET_KEYS = new Set(['label', 'data']);
+
+// ========== HELPERS ==========
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== typeof b || a === null || b === null || typeof a !== 'object') return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  for (const key of keys) {
+    if (!isEqual(a[key], b[key])) return false;
+  }
+  return true;
+}
+
+function childPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  if (/^[A-Za-z_$][\w$]*$/.test(key)) return path ? `${path}.${key}` : key;
+  return `${path}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Deep diff of two JSON values as a list of { path, change, from, to }.
+ * Objects are compared key by key; arrays index by index when their lengths match,
+ * otherwise as a whole.
+ */
+function diffValues(from, to, path, out, skip = () => false) {
+  if (isEqual(from, to)) return out;
+  if (isPlainObject(from) && isPlainObject(to)) {
+    const keys = [...new Set([...Object.keys(from), ...Object.keys(to)])];
+    for (const key of keys) {
+      if (skip(key, path)) continue;
+      diffValues(from[key], to[key], childPath(path, key), out, skip);
+    }
+    return out;
+  }
+  if (Array.isArray(from) && Array.isArray(to) && from.length === to.length) {
+    from.forEach((item, i) => diffValues(item, to[i], childPath(path, i), out, skip));
+    return out;
+  }
+  const change = from === undefined ? 'added' : to === undefined ? 'removed' : 'changed';
+  out.push({ path, change, from: from ?? null, to: to ?? null });
+  return out;
+}
+
+/**
+ * Match two lists of names: { added, removed, renamed: [{ index, from, to }], map: old → new }
+ */
+function matchNames(before, after) {
+  const afterSet = new Set(after);
+  const beforeSet = new Set(before);
+  const removed = before.filter(name => !afterSet.has(name));
+  const added = after.filter(name => !beforeSet.has(name));
+
+  const renamed = [];
+  const length = Math.min(before.length, after.length);
+  for (let i = 0; i < length; i++) {
+    const removedAt = removed.indexOf(before[i]);
+    const addedAt = added.indexOf(after[i]);
+    if (removedAt !== -1 && addedAt !== -1) {
+      renamed.push({ index: i, from: before[i], to: after[i] });
+      removed.splice(removedAt, 1);
+      added.splice(addedAt, 1);
+    }
+  }
+
+  const map = new Map(before.filter(name => afterSet.has(name)).map(name => [name, name]));
+  renamed.forEach(r => map.set(r.from, r.to));
+  return { added, removed, renamed, map };
+}
+
+function pointValue(value) {
+  if (isPlainObject(value)) return value;
+  return typeof value === 'number' || value === null ? value : Number(value);
+}
+
+// ========== SECTIONS ==========
+
+function datasetName(dataset, index) {
+  return dataset?.label ? String(dataset.label) : `Dataset ${index + 1}`;
+}
+
+function diffData(fromData = {}, toData = {}) {
+  const fromLabels = (fromData.labels || []).map(String);
+  const toLabels = (toData.labels || []).map(String);
+  const labels = matchNames(fromLabels, toLabels);
+
+  const fromSets = fromData.datasets || [];
+  const toSets = toData.datasets || [];
+  const datasets = matchNames(fromSets.map(datasetName), toSets.map(datasetName));
+
+  const values = [];
+  const colors = [];
+  const options = [];
+  const toIndexByName = new Map(toSets.map((ds, i) => [datasetName(ds, i), i]));
+  const toLabelIndex = new Map(toLabels.map((label, i) => [label, i]));
+  const byLabel = fromLabels.length > 0 && toLabels.length > 0;
+
+  fromSets.forEach((fromSet, i) => {
+    const name = datasets.map.get(datasetName(fromSet, i));
+    if (name === undefined) return;
+    const toSet = toSets[toIndexByName.get(name)];
+
+    // Pairs of point indexes (before, after) to compare
+    const pairs = byLabel
+      ? fromLabels.map((label, fi) => [fi, toLabelIndex.get(labels.map.get(label))]).filter(([, ti]) => ti !== undefined)
+      : Array.from({ length: Math.min(fromSet.data?.length || 0, toSet.data?.length || 0) }, (_, k) => [k, k]);
+
+    for (const [fi, ti] of pairs) {
+      const before = pointValue(fromSet.data?.[fi]);
+      const after = pointValue(toSet.data?.[ti]);
+      if (!isEqual(before, after)) {
+        values.push({ dataset: name, label: byLabel ? toLabels[ti] : null, index: ti, from: before ?? null, to: after ?? null });
+      }
+    }
+
+    const keys = [...new Set([...Object.keys(fromSet), ...Object.keys(toSet)])].filter(key => !SKIPPED_DATASET_KEYS.has(key));
+    for (const key of keys) {
+      const before = fromSet[key];
+      const after = toSet[key];
+      if (isEqual(before, after)) continue;
+
+      if (!COLOR_KEY.test(key)) {
+        diffValues(before, after, `chartData.datasets[${JSON.stringify(name)}].${key}`, options);
+      } else if (Array.isArray(before) && Array.isArray(after) && byLabel) {
+        // Per-point colors: report the points whose color changed
+        for (const [fi, ti] of pairs) {
+          if (!isEqual(before[fi], after[ti])) {
+            colors.push({ dataset: name, property: key, label: toLabels[ti], index: ti, from: before[fi] ?? null, to: after[ti] ?? null });
+          }
+        }
+      } else {
+        colors.push({ dataset: name, property: key, from: before ?? null, to: after ?? null });
+      }
+    }
+  });
+
+  return {
+    labels: { added: labels.added, removed: labels.removed, renamed: labels.renamed },
+    datasets: { added: datasets.added, removed: datasets.removed, renamed: datasets.renamed },
+    values,
+    colors,
+    options
+  };
+}
+
+function formatContentOf(snapshot) {
+  return snapshot.chart_config?.formatContent ?? snapshot.template_content?.formatContent ?? null;
+}
+
+function summarize(diff) {
+  const lines = [];
+  const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+  const list = (items) => items.map(item => `"${item}"`).join(', ');
+
+  if (diff.chart_type) lines.push(`Chart type changed from ${diff.chart_type.from} to ${diff.chart_type.to}`);
+  if (diff.labels.added.length) lines.push(`Added ${plural(diff.labels.added.length, 'label')}: ${list(diff.labels.added)}`);
+  if (diff.labels.removed.length) lines.push(`Removed ${plural(diff.labels.removed.length, 'label')}: ${list(diff.labels.removed)}`);
+  diff.labels.renamed.forEach(r => lines.push(`Renamed label "${r.from}" to "${r.to}"`));
+  if (diff.datasets.added.length) lines.push(`Added ${plural(diff.datasets.added.length, 'dataset')}: ${list(diff.datasets.added)}`);
+  if (diff.datasets.removed.length) lines.push(`Removed ${plural(diff.datasets.removed.length, 'dataset')}: ${list(diff.datasets.removed)}`);
+  diff.datasets.renamed.forEach(r => lines.push(`Renamed dataset "${r.from}" to "${r.to}"`));
+  if (diff.values.length) {
+    lines.push(diff.values.length === 1
+      ? `Changed ${diff.values[0].dataset}${diff.values[0].label ? ` for "${diff.values[0].label}"` : ''} from ${JSON.stringify(diff.values[0].from)} to ${JSON.stringify(diff.values[0].to)}`
+      : `Changed ${plural(diff.values.length, 'value')}`);
+  }
+  if (diff.colors.length) lines.push(`Changed ${plural(diff.colors.length, 'color')}`);
+  if (diff.config.length) {
+    const areas = new Set(diff.config.map(c => (c.path.startsWith('chartData.') ? 'datasets' : c.path.split(/[.[]/)[0])));
+    lines.push(`Changed ${plural(diff.config.length, 'setting')}: ${[...areas].slice(0, 5).join(', ')}`);
+  }
+  if (diff.content.template.length) lines.push(`Updated template text: ${[...new Set(diff.content.template.map(c => c.path.split(/[.[]/)[0]))].join(', ')}`);
+  if (diff.content.format.length) lines.push(`Updated format text: ${[...new Set(diff.content.format.map(c => c.path.split(/[.[]/)[0]))].join(', ')}`);
+  return lines;
+}
+
+function cap(list, state) {
+  if (list.length <= MAX_ENTRIES) return list;
+  state.truncated = true;
+  return list.slice(0, MAX_ENTRIES);
+}
+
+/**
+ * Diff two snapshot rows
+ * @param {Object} from - Older snapshot (chart_type, chart_data, chart_config, template_content)
+ * @param {Object} to - Newer snapshot
+ * @returns {Object} - { changed, chart_type, labels, datasets, values, colors, config, content: { template, format }, summary, truncated }
+ */
+export function diffSnapshots(from, to) {
+  const data = diffData(from.chart_data || {}, to.chart_data || {});
+
+  // Format text can ride along in chart_config or template_content; it gets its own section
+  const skipFormatContent = (key, path) => path === '' && key === 'formatContent';
+  const config = diffValues(from.chart_config || {}, to.chart_config || {}, '', [], skipFormatContent);
+  const content = {
+    template: diffValues(from.template_content || {}, to.template_content || {}, '', [], skipFormatContent),
+    format: diffValues(formatContentOf(from) || {}, formatContentOf(to) || {}, '', [])
+  };
+
+  const state = { truncated: false };
+  const diff = {
+    chart_type: from.chart_type !== to.chart_type ? { from: from.chart_type ?? null, to: to.chart_type ?? null } : null,
+    labels: data.labels,
+    datasets: data.datasets,
+    values: cap(data.values, state),
+    colors: cap(data.colors, state),
+    config: cap([...data.options, ...config], state),
+    content: { template: cap(content.template, state), format: cap(content.format, state) }
+  };
+
+  const summary = summarize({ ...diff, values: data.values, colors: data.colors, config: [...data.options, ...config] });
+  return { changed: summary.length > 0, ...diff, summary, truncated: state.truncated };
+}
@@ -1,22 +1,26 @@
-import fs from 'node:fs/promises';
-import path from 'node:path';
-import { fileURLToPath } from 'node:url';
+import promptRegistry, { PROMPTS } from '../services/promptRegistry.js';
+import { buildCacheKey, getResponseCache } from './responseCache.js';
+import { validateChartResponse, ChartValidationError, MODIFICATION_CHART_TYPES, SEVERITY, getChartResponseJSONSchema } from './chartSchema.js';
+import { enforceLockedData } from './datasetLock.js';
+import { applyProjectStyle } from './projectStyle.js';
 
-// Resolve paths relative to THIS file, not the working directory.
-// This fixes "ENOENT" errors on Vercel/serverless where cwd differs from local dev.
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const SRC_DIR = path.resolve(__dirname, '..');
+// How many follow-up "please fix this JSON" turns to allow after an invalid answer
+const DEFAULT_CORRECTION_RETRIES = 1;
 
 /**
  * Generic Chart Processing Engine
  * Handles common operations while delegating service-specific logic to adapters
  */
 export class ChartProcessor {
-  constructor(adapter) {
+  constructor(adapter, options = {}) {
     this.adapter = adapter;
-    this.aiContextCache = null;
-    this.modificationContextCache = null;
+
+    const envRetries = parseInt(process.env.AI_CORRECTION_RETRIES, 10);
+    this.maxCorrectionRetries = options.maxCorrectionRetries
+      ?? (Number.isNaN(envRetries) ? DEFAULT_CORRECTION_RETRIES : Math.max(0, envRetries));
+
+    // Response cache backend; undefined = the shared cache configured by AI_CACHE_* env vars, null = off
+    this.cache = options.cache;
   }
 
   /**
@@ -24,39 +28,69 @@ export class ChartProcessor {
    * @param {string} inputText - User's chart request
    * @param {string} model - Model to use
    * @param {Object} templateStructure - Template structure metadata for generating template text content
+   * @param {Object} formatStructure - Format structure metadata for generating format zone content
+   * @param {Object} options - { onEvent, maxRetries, fresh, promptBucketKey, lockedData, projectStyle, signal } progress callback (onEvent(type, data)),
+   *   correction retry override, fresh=true to bypass (and refresh) the response cache, the
+   *   stable key (user id) that assigns the prompt A/B variant and scopes cached answers
+   *   (no key, no caching), user-supplied data from
+   *   lockDataset() — the AI then only styles and narrates it, and the values can't drift —
+   *   the project's { palette, preset } to style the result with (see applyProjectStyle), and a
+   *   signal whose abort stops the provider call and any correction turns
    * @returns {Promise<Object>} - Generated chart configuration
    */
-  async generateChart(inputText, model, templateStructure = null, formatStructure = null) {
+  async generateChart(inputText, model, templateStructure = null, formatStructure = null, options = {}) {
+    const { projectStyle = null } = options;
+    const chart = await this.generateUnstyledChart(inputText, model, templateStructure, formatStructure, options);
+    // Applied after the cache, so cached answers are shared across projects
+    return projectStyle ? applyProjectStyle(chart, projectStyle) : chart;
+  }
+
+  async generateUnstyledChart(inputText, model, templateStructure, formatStructure, options) {
+    const { onEvent = null, maxRetries, fresh = false, promptBucketKey = null, lockedData = null, signal = null } = options;
     try {
-      // Get AI context (with caching)
-      const aiContext = await this.getAIContext();
+      // Versioned prompt from the registry (A/B variant is sticky per bucket key)
+      const prompt = await this.getAIContext({ bucketKey: promptBucketKey, chartTypes: this.detectChartTypes(inputText) });
+
+      // Cached answers are per user — without one there's nothing to scope them to
+      const cache = promptBucketKey ? (this.cache === undefined ? getResponseCache() : this.cache) : null;
+      const cacheKey = cache && buildCacheKey({
+        scope: promptBucketKey,
+        input: inputText,
+        provider: this.adapter.serviceName,
+        model,
+        templateStructure,
+        formatStructure,
+        promptVersion: `${prompt.name}@${prompt.version}`,
+        dataset: lockedData && { labels: lockedData.labels, datasets: lockedData.datasets }
+      });
+
+      if (cache && !fresh) {
+        const cached = await this.readCache(cache, cacheKey);
+        if (cached) {
+          this.emitPhase(onEvent, 'cache_hit');
+          return cached;
+        }
+      }
 
       // Construct prompts
-      const systemPrompt = this.buildSystemPrompt(aiContext, templateStructure, formatStructure);
-      const userPrompt = this.buildUserPrompt(inputText, templateStructure);
+      const systemPrompt = this.buildSystemPrompt(prompt.text, templateStructure, formatStructure);
+      let userPrompt = this.buildUserPrompt(inputText, templateStructure);
+      if (lockedData) {
+        userPrompt += this.buildLockedDataPrompt(lockedData);
+      }
+      this.emitPhase(onEvent, 'prompt_built');
 
-      // Make service-specific API call
-      const response = await this.adapter.generateContent({
+      // Make service-specific API call(s) — parse, validate and self-correct
+      const { chartData, response, validation, attempts, dataLock } = await this.requestChart({
         systemPrompt,
         userPrompt,
         model,
-        maxTokens: 2500,  // Tuned: typical chart JSON is 500-1500 tokens
+        // Tuned: typical chart JSON is 500-1500 tokens; locked data is echoed back, so budget for it
+        maxTokens: 2500 + (lockedData ? Math.ceil(JSON.stringify(lockedData.datasets).length / 2) : 0),
         temperature: 0.2,
-        topP: 0.85
-      });
-
-      // Process response
-      const cleanedResponse = this.cleanResponse(response.content);
-      const chartData = this.parseJSON(cleanedResponse, this.adapter.serviceName);
-
-      // Validate required fields in chart data
-      if (!chartData.chartType) {
-        throw new Error('AI response missing chartType field');
-      }
-
-      if (!chartData.data && !chartData.chartData) {
-        throw new Error('AI response missing chart data');
-      }
+        topP: 0.85,
+        responseSchema: getChartResponseJSONSchema(this.getContentKeys(templateStructure, formatStructure))
+      }, lockedData ? { allowedTypes: lockedData.allowedTypes } : {}, { onEvent, maxRetries, lockedData, signal });
 
       // Ensure user_message exists
       if (!chartData.user_message) {
@@ -64,11 +98,17 @@ export class ChartProcessor {
       }
 
       // Add metadata
-      chartData._metadata = this.buildMetadata(response, model);
+      chartData._metadata = this.buildMetadata(response, model, { validation, attempts, prompt, dataLock });
+
+      if (cache) {
+        await this.writeCache(cache, cacheKey, chartData);
+      }
 
       return chartData;
 
     } catch (error) {
+      // Nobody is waiting for the answer any more; not a provider failure
+      if (signal?.aborted) throw signal.reason;
       console.error(`Error generating chart with ${this.adapter.serviceName}:`, error);
       throw this.enhanceError(error);
     }
@@ -81,46 +121,203 @@ export class ChartProcessor {
    * @param {Array} messageHistory - Conversation history
    * @param {string} model - Model to use
    * @param {Object} templateStructure - Template structure metadata for generating template text content
+   * @param {Object} formatStructure - Format structure metadata for generating format zone content
+   * @param {Object} options - { onEvent, maxRetries, promptBucketKey, signal } progress callback (onEvent(type, data)),
+   *   correction retry override, the prompt A/B key and an abort signal
    * @returns {Promise<Object>} - Modified chart configuration
    */
-  async modifyChart(inputText, currentChartState, messageHistory = [], model, templateStructure = null, formatStructure = null) {
+  async modifyChart(inputText, currentChartState, messageHistory = [], model, templateStructure = null, formatStructure = null, options = {}) {
+    const { onEvent = null, maxRetries, promptBucketKey = null, signal = null } = options;
     try {
-      // Get modification context (with caching)
-      const modificationContext = await this.getModificationContext();
+      // Versioned modification prompt — sections for the current chart type plus any type the user asks for
+      const prompt = await this.getModificationContext({
+        bucketKey: promptBucketKey,
+        chartTypes: [currentChartState?.chartType, ...this.detectChartTypes(inputText)].filter(Boolean)
+      });
 
       // Build modification prompt
       const contextPrompt = this.buildModificationPrompt(
-        modificationContext,
+        prompt.text,
         currentChartState,
         messageHistory,
         inputText,
         templateStructure,
         formatStructure
       );
+      this.emitPhase(onEvent, 'prompt_built');
 
-      // Make service-specific API call with higher tokens for modifications
-      const response = await this.adapter.generateContent({
+      // Make service-specific API call(s) with higher tokens for modifications.
+      // Clarification responses carry no chart; otherwise the chart type may be omitted (kept from current state)
+      const { chartData, response, validation, attempts } = await this.requestChart({
         userPrompt: contextPrompt,
         model,
         maxTokens: 3500,  // Tuned: modifications rarely exceed 2000 tokens
-        temperature: 0.2
-      });
-
-      // Process response
-      const cleanedResponse = this.cleanResponse(response.content);
-      const chartData = this.parseJSON(cleanedResponse, this.adapter.serviceName);
+        temperature: 0.2,
+        responseSchema: getChartResponseJSONSchema({ modification: true, ...this.getContentKeys(templateStructure, formatStructure) })
+      }, {
+        allowedTypes: MODIFICATION_CHART_TYPES,
+        requireChart: false,
+        fallbackChartType: currentChartState?.chartType
+      }, { onEvent, maxRetries, signal });
 
       // Add metadata
-      chartData._metadata = this.buildMetadata(response, model);
+      chartData._metadata = this.buildMetadata(response, model, { validation, attempts, prompt });
 
       return chartData;
 
     } catch (error) {
+      if (signal?.aborted) throw signal.reason;
       console.error(`Error modifying chart with ${this.adapter.serviceName}:`, error);
       throw this.enhanceError(error);
     }
   }
 
+  /**
+   * Call the adapter and turn its answer into validated chart JSON.
+   * When the answer can't be parsed or breaks the schema, the model gets a follow-up
+   * turn with its own output and the exact errors, up to maxRetries times.
+   * Adapters that enforced `responseSchema` natively report `structuredOutput` on the
+   * response; heuristic JSON repair is skipped for those.
+   * With lockedData, a valid answer's labels and values are checked against the supplied
+   * data and any drift is overwritten with the real values.
+   * @param {Object} request - Adapter generateContent params (prompts, model, sampling, responseSchema)
+   * @param {Object} validationOptions - Options forwarded to validateChartResponse
+   * @param {Object} options - { onEvent, maxRetries, lockedData, signal }
+   * @returns {Promise<Object>} - { chartData, response, validation, attempts, dataLock }
+   */
+  async requestChart(request, validationOptions = {}, { onEvent = null, maxRetries, lockedData = null, signal = null } = {}) {
+    const retries = maxRetries ?? this.maxCorrectionRetries;
+    const attempts = [];
+    let followUpMessages = [];
+
+    for (let attempt = 1; ; attempt++) {
+      signal?.throwIfAborted();
+      this.emitPhase(onEvent, 'model_streaming', { service: this.adapter.serviceName, model: request.model || null, attempt });
+      const response = await this.adapter.generateContent({
+        ...request,
+        followUpMessages,
+        signal,
+        onToken: onEvent ? (delta) => onEvent('token', { delta, attempt }) : undefined
+      });
+
+      const record = {
+        attempt,
+        tokens_used: response.tokensUsed || null,
+        ...this.extractTokenBreakdown(response),
+        structured_output: response.structuredOutput || null
+      };
+      attempts.push(record);
+
+      let problems;
+      try {
+        const cleanedResponse = this.cleanResponse(response.content);
+        const chartData = this.parseJSON(cleanedResponse, this.adapter.serviceName, onEvent, { repair: !response.structuredOutput });
+        this.emitPhase(onEvent, 'json_parsed');
+
+        // Validate against the chart schema — fatal violations never reach the frontend
+        let validation = this.validateChart(chartData, validationOptions);
+        this.emitPhase(onEvent, 'validated', { violations: validation.violations.length });
+
+        // Hybrid mode: the model may restyle the user's data but never change it
+        const dataLock = lockedData ? enforceLockedData(chartData, lockedData) : null;
+        if (dataLock?.repaired) {
+          console.warn(`${this.adapter.serviceName} changed ${dataLock.drift_count} locked value(s); restored the supplied data`);
+          record.data_drift = dataLock.drift_count;
+          this.emitPhase(onEvent, 'data_restored', { drift: dataLock.drift_count });
+          // Report on the chart that is actually returned, not the model's version
+          validation = validateChartResponse(chartData, validationOptions);
+        }
+
+        record.outcome = 'success';
+        return { chartData, response, validation, attempts, dataLock };
+      } catch (error) {
+        const isSchemaError = error instanceof ChartValidationError;
+        problems = isSchemaError
+          ? error.violations.filter(v => v.severity === SEVERITY.FATAL).map(v => `${v.path || '(root)'}: ${v.message}`)
+          : [error.message];
+        record.outcome = isSchemaError ? 'schema_error' : 'parse_error';
+        record.errors = problems;
+
+        if (attempt > retries) {
+          error.attempts = attempts;
+          throw error;
+        }
+      }
+
+      // Only the latest bad answer is replayed — older ones just burn tokens
+      console.warn(`${this.adapter.serviceName} returned unusable chart JSON (attempt ${attempt}), requesting a correction`);
+      this.emitPhase(onEvent, 'correcting', { attempt: attempt + 1, errors: problems });
+      followUpMessages = [
+        { role: 'assistant', content: response.content || '' },
+        { role: 'user', content: this.buildCorrectionPrompt(problems) }
+      ];
+    }
+  }
+
+  /**
+   * templateContent / formatContent fields the response schema should ask for
+   * @param {Object} templateStructure - Template structure metadata
+   * @param {Object} formatStructure - Format structure metadata
+   * @returns {Object} - { templateKeys, formatKeys }
+   */
+  getContentKeys(templateStructure = null, formatStructure = null) {
+    const templateKeys = templateStructure?.sections
+      ? [...new Set(templateStructure.sections.filter(s => s.type !== 'chart').map(s => s.type))]
+      : null;
+    const formatKeys = formatStructure?.zones
+      ? [...new Set(formatStructure.zones.filter(z => z.type !== 'chart').map(z => z.role || z.type))]
+      : null;
+    return { templateKeys, formatKeys };
+  }
+
+  /**
+   * Look up a cached generation. Cache failures are treated as misses.
+   * @param {Object} cache - Cache backend
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} - Copy of the cached chart with `_metadata.cached: true`
+   */
+  async readCache(cache, key) {
+    try {
+      const entry = await cache.get(key);
+      if (!entry) return null;
+      const chartData = structuredClone(entry.chartData);
+      chartData._metadata = { ...chartData._metadata, cached: true, cached_at: entry.cachedAt };
+      return chartData;
+    } catch (error) {
+      console.error('Response cache read failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Store a fresh generation
+   * @param {Object} cache - Cache backend
+   * @param {string} key - Cache key
+   * @param {Object} chartData - Generated chart (with metadata)
+   */
+  async writeCache(cache, key, chartData) {
+    try {
+      await cache.set(key, { chartData: structuredClone(chartData), cachedAt: new Date().toISOString() });
+    } catch (error) {
+      console.error('Response cache write failed:', error.message);
+    }
+  }
+
+  /**
+   * Build the follow-up turn asking the model to fix its previous answer
+   * @param {Array<string>} problems - Parse or validation errors
+   * @returns {string} - Correction prompt
+   */
+  buildCorrectionPrompt(problems) {
+    return `Your previous response could not be used as chart data.
+
+Problems found:
+${problems.map(p => `- ${p}`).join('\n')}
+
+Return the complete, corrected JSON object only. Fix exactly these problems and keep everything else unchanged.
+Do not include markdown, code fences or any explanation — start with { and end with }.`;
+  }
+
   /**
    * Validate service API key
    * @returns {Promise<boolean>} - Whether the API key is valid
@@ -137,25 +334,46 @@ export class ChartProcessor {
   // ========== PRIVATE HELPER METHODS ==========
 
   /**
-   * Get AI context with caching
-   * @returns {Promise<string>} - AI context content
+   * Get the generation prompt from the prompt registry
+   * @param {Object} options - { bucketKey, chartTypes } A/B key and chart types whose sections to include
+   * @returns {Promise<Object>} - { text, name, version, variant }
    */
-  async getAIContext() {
-    if (!this.aiContextCache) {
-      this.aiContextCache = await fs.readFile(path.join(SRC_DIR, 'AI_Inform.txt'), 'utf-8');
-    }
-    return this.aiContextCache;
+  async getAIContext(options = {}) {
+    return await promptRegistry.getPrompt(PROMPTS.GENERATION, options);
   }
 
   /**
-   * Get modification context with caching
-   * @returns {Promise<string>} - Modification context content
+   * Get the modification prompt from the prompt registry
+   * @param {Object} options - { bucketKey, chartTypes } A/B key and chart types whose sections to include
+   * @returns {Promise<Object>} - { text, name, version, variant }
    */
-  async getModificationContext() {
-    if (!this.modificationContextCache) {
-      this.modificationContextCache = await fs.readFile(path.join(SRC_DIR, 'AI_Modification_Inform.txt'), 'utf-8');
-    }
-    return this.modificationContextCache;
+  async getModificationContext(options = {}) {
+    return await promptRegistry.getPrompt(PROMPTS.MODIFICATION, options);
+  }
+
+  /**
+   * Chart types named in a request ("3D pie", "donut", "polar area", ...)
+   * @param {string} inputText - User's request
+   * @returns {Array<string>}
+   */
+  detectChartTypes(inputText = '') {
+    const text = String(inputText).toLowerCase();
+    const patterns = {
+      pie3d: /\b3d\s+pie\b/,
+      doughnut3d: /\b3d\s+(doughnut|donut)\b/,
+      horizontalBar: /\bhorizontal\s+bar/,
+      stackedBar: /\bstacked\s+bar/,
+      polarArea: /\bpolar\s*area\b/,
+      bar: /\bbar\b|\bcolumn\b/,
+      line: /\bline\b/,
+      area: /\barea\s+chart\b/,
+      pie: /\bpie\b/,
+      doughnut: /\b(doughnut|donut)\b/,
+      scatter: /\bscatter\b/,
+      bubble: /\bbubble\b/,
+      radar: /\b(radar|spider)\b/
+    };
+    return Object.entries(patterns).filter(([, pattern]) => pattern.test(text)).map(([type]) => type);
   }
 
   /**
@@ -305,6 +523,24 @@ Generate contextually relevant content for each section based on the chart topic
     return prompt;
   }
 
+  /**
+   * Instructions for hybrid mode: present the user's data, don't invent or alter it
+   * @param {Object} lockedData - Result of lockDataset()
+   * @returns {string} - Text appended to the user prompt
+   */
+  buildLockedDataPrompt(lockedData) {
+    const data = { labels: lockedData.labels, datasets: lockedData.datasets };
+    return `
+
+USER-SUPPLIED DATA (LOCKED):
+The user provided the exact data to chart. Do NOT invent, estimate, add, remove, reorder or round any value.
+Copy "labels" and every dataset's "label" and "data" below into chartData exactly as given.
+Your job is only the presentation: choose the chartType, title, subtitle, xAxisTitle, yAxisTitle, colors (backgroundColor/borderColor), templateContent/formatContent if requested, and a user_message describing what the data shows.
+Allowed chart types for this data: ${lockedData.allowedTypes.join(', ')} (suggested: ${lockedData.chartType})
+
+${JSON.stringify(data)}`;
+  }
+
   /**
    * Build modification prompt
    * @param {string} modificationContext - Modification instructions
@@ -330,7 +566,7 @@ Generate contextually relevant content for each section based on the chart topic
     const slimData = this.slimChartData(currentChartState.chartData);
     const slimConfig = this.slimChartConfig(currentChartState.chartConfig);
 
-    // F3: AI_Modification_Inform.txt (modificationContext) already covers all instructions
+    // F3: the chart_modification prompt (modificationContext) already covers all instructions
     // — no duplicate inline instructions needed here
     let prompt = `${modificationContext}
 
@@ -430,9 +666,11 @@ USER'S CURRENT REQUEST: ${inputText}`;
    * Parse JSON with enhanced error handling and auto-repair
    * @param {string} jsonText - JSON text to parse
    * @param {string} serviceName - Service name for error context
+   * @param {Function} onEvent - Optional progress callback (emits the 'repaired' phase)
+   * @param {Object} options - { repair } false skips heuristic repair (native structured output)
    * @returns {Object} - Parsed JSON object
    */
-  parseJSON(jsonText, serviceName) {
+  parseJSON(jsonText, serviceName, onEvent = null, { repair = true } = {}) {
     try {
       return JSON.parse(jsonText);
     } catch (parseError) {
@@ -440,13 +678,15 @@ USER'S CURRENT REQUEST: ${inputText}`;
       console.error('Raw response length:', jsonText.length);
       console.error('Raw response preview:', jsonText.substring(0, 500) + (jsonText.length > 500 ? '...' : ''));
 
-      // Try to repair common JSON issues
-      let repairedJson = this.attemptJSONRepair(jsonText);
+      // Try to repair common JSON issues (schema-constrained output only breaks when truncated — leave that to a correction turn)
+      let repairedJson = repair ? this.attemptJSONRepair(jsonText) : null;
       if (repairedJson) {
         try {
           console.log('Attempting to parse repaired JSON...');
           console.log('Repaired JSON preview:', repairedJson.substring(0, 300) + (repairedJson.length > 300 ? '...' : ''));
-          return JSON.parse(repairedJson);
+          const repaired = JSON.parse(repairedJson);
+          this.emitPhase(onEvent, 'repaired');
+          return repaired;
         } catch (repairError) {
           console.error('Repaired JSON still invalid:', repairError.message);
         }
@@ -699,13 +939,49 @@ USER'S CURRENT REQUEST: ${inputText}`;
     return fixed;
   }
 
+  /**
+   * Validate a parsed response against the chart schema
+   * @param {Object} chartData - Parsed AI response
+   * @param {Object} options - Options forwarded to validateChartResponse
+   * @returns {Object} - { valid, violations } (only returned when there are no fatal violations)
+   * @throws {ChartValidationError} - When the response has fatal violations
+   */
+  validateChart(chartData, options = {}) {
+    const validation = validateChartResponse(chartData, options);
+    if (!validation.valid) {
+      throw new ChartValidationError(validation.violations, this.adapter.serviceName);
+    }
+    if (validation.violations.length > 0) {
+      console.warn(`${this.adapter.serviceName} chart response has ${validation.violations.length} schema warning(s)`);
+    }
+    return validation;
+  }
+
+  /**
+   * Emit a progress phase event if a listener is attached
+   * @param {Function|null} onEvent - Progress callback
+   * @param {string} phase - Phase name
+   * @param {Object} details - Extra event data
+   */
+  emitPhase(onEvent, phase, details = {}) {
+    if (!onEvent) return;
+    try {
+      onEvent('phase', { phase, ...details });
+    } catch (error) {
+      // A broken listener (e.g. a closed SSE socket) must never fail the generation
+      console.error(`Progress listener failed on phase "${phase}":`, error.message);
+    }
+  }
+
   /**
    * Build metadata object
    * @param {Object} response - API response
    * @param {string} model - Model used
+   * @param {Object} extras - { validation, attempts, prompt, dataLock } schema report, per-attempt log,
+   *   prompt version used and the locked-data drift report
    * @returns {Object} - Metadata object
    */
-  buildMetadata(response, model) {
+  buildMetadata(response, model, { validation = null, attempts = null, prompt = null, dataLock = null } = {}) {
     const baseMetadata = {
       service: this.adapter.serviceName,
       model: model,
@@ -713,23 +989,73 @@ USER'S CURRENT REQUEST: ${inputText}`;
       tokens_used: response.tokensUsed || null
     };
 
+    if (validation) {
+      baseMetadata.schema_violations = validation.violations;
+    }
+
+    // Which prompt version produced this answer (saved with the snapshot as prompt_version)
+    if (prompt) {
+      baseMetadata.prompt = { name: prompt.name, version: prompt.version, variant: prompt.variant };
+      baseMetadata.prompt_version = `${prompt.name}@${prompt.version}`;
+    }
+
+    // User-supplied data: whether the model's values had to be restored
+    if (dataLock) {
+      baseMetadata.data_lock = dataLock;
+    }
+
+    // Every call to the model, including self-correction turns
+    if (attempts) {
+      baseMetadata.attempts = attempts;
+      baseMetadata.total_tokens_used = attempts.some(a => a.tokens_used)
+        ? attempts.reduce((sum, a) => sum + (a.tokens_used || 0), 0)
+        : null;
+    }
+
     // Add service-specific metadata
     return { ...baseMetadata, ...this.adapter.getAdditionalMetadata(response, model) };
   }
 
+  /**
+   * Prompt/completion split of an adapter response (OpenAI-style `usage` or Gemini `usageMetadata`)
+   * @param {Object} response - Adapter response
+   * @returns {Object} - { prompt_tokens, completion_tokens }, null where the provider doesn't say
+   */
+  extractTokenBreakdown(response) {
+    const usage = response.rawResponse?.usage;
+    const geminiUsage = response.rawResponse?.response?.usageMetadata;
+    return {
+      prompt_tokens: usage?.prompt_tokens ?? geminiUsage?.promptTokenCount ?? null,
+      completion_tokens: usage?.completion_tokens ?? geminiUsage?.candidatesTokenCount ?? null
+    };
+  }
+
   /**
    * Enhance errors with service-specific context
    * @param {Error} error - Original error
    * @returns {Error} - Enhanced error
    */
   enhanceError(error) {
+    // Schema violations are already descriptive and carry the structured report
+    if (error instanceof ChartValidationError) {
+      return error;
+    }
+
     // Check for common error patterns
     if (error.message?.includes('JSON')) {
-      return new Error(`Failed to parse ${this.adapter.serviceName} response as valid JSON`);
+      const parseError = new Error(`Failed to parse ${this.adapter.serviceName} response as valid JSON`);
+      parseError.attempts = error.attempts;
+      return parseError;
     }
 
-    // Delegate to adapter for service-specific error handling
-    return this.adapter.enhanceError(error);
+    // Delegate to adapter for service-specific error handling.
+    // Keep the HTTP status and original error so callers (e.g. the fallback chain) can classify it
+    const enhanced = this.adapter.enhanceError(error);
+    if (enhanced !== error) {
+      enhanced.status ??= error.status;
+      enhanced.cause ??= error;
+    }
+    return enhanced;
   }
 
   /**
@@ -772,11 +1098,10 @@ USER'S CURRENT REQUEST: ${inputText}`;
   }
 
   /**
-   * Clear all caches (useful for testing or memory management)
+   * Clear all caches (useful for testing). Prompt changes made through the admin API apply without it.
    */
   clearCache() {
-    this.aiContextCache = null;
-    this.modificationContextCache = null;
+    promptRegistry.invalidate();
   }
 
   /**
@@ -871,8 +1196,9 @@ USER'S CURRENT REQUEST: ${inputText}`;
 /**
  * Factory function to create chart processor with adapter
  * @param {Object} adapter - Service-specific adapter
+ * @param {Object} options - { maxCorrectionRetries } (defaults to AI_CORRECTION_RETRIES env or 1)
  * @returns {ChartProcessor} - Configured chart processor
  */
-export function createChartProcessor(adapter) {
-  return new ChartProcessor(adapter);
+export function createChartProcessor(adapter, options = {}) {
+  return new ChartProcessor(adapter, options);
 } 
\ No newline at end of file
@@ -0,0 +1,709 @@
+import { paletteColor, PER_POINT_COLOR_TYPES } from './dataImport.js';
+
+/**
+ * Chart SVG renderer
+ * Draws a stored chart (chartType + Chart.js-style chartData/chartConfig) as a standalone SVG,
+ * so the server can produce previews without a browser. Covers every chart type the prompts
+ * allow — including the horizontalBar/stackedBar/area aliases and the pie3d/doughnut3d types —
+ * and reads the chartConfig options that affect the picture: title, subtitle, legend, axis
+ * titles, stacking, indexAxis, beginAtZero and cutout.
+ * Point images must be passed in as data URIs (see chartRenderService), since the rasterizer
+ * never fetches remote URLs.
+ * renderLayoutSVG draws a wireframe of a template or format layout for thumbnails.
+ */
+
+export const DEFAULT_WIDTH = 800;
+export const DEFAULT_HEIGHT = 500;
+
+const FONT_FAMILY = 'Helvetica, Arial, sans-serif';
+const TEXT_COLOR = '#333';
+const GRID_COLOR = '#e5e5e5';
+const AXIS_COLOR = '#999';
+const PADDING = 16;
+const TICK_COUNT = 5;
+
+const POINT_TYPES = ['scatter', 'bubble'];
+
+// Dark mode restyles text, grid and axis lines through CSS, which overrides the presentation attributes
+export const THEMES = {
+  light: { background: '#fff', style: '' },
+  dark: { background: '#1e1e1e', style: 'text{fill:#e6e6e6}.grid{stroke:#3a3a3a}.axis{stroke:#777}' }
+};
+
+// 3D pies: vertical squash of the top face and wall height, relative to the radius
+const TILT = 0.55;
+const DEPTH = 0.16;
+
+// ========== SVG HELPERS ==========
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const round = (n) => Math.round(n * 100) / 100;
+
+function text(x, y, content, { size = 12, anchor = 'middle', weight = 'normal', color = TEXT_COLOR, rotate = null, baseline = 'middle' } = {}) {
+  const transform = rotate !== null ? ` transform="rotate(${rotate} ${round(x)} ${round(y)})"` : '';
+  return `<text x="${round(x)}" y="${round(y)}" font-family="${FONT_FAMILY}" font-size="${size}" font-weight="${weight}" fill="${color}" text-anchor="${anchor}" dominant-baseline="${baseline}"${transform}>${escapeXml(content)}</text>`;
+}
+
+// Rough text width — good enough for layout without font metrics
+const textWidth = (content, size = 12) => String(content ?? '').length * size * 0.55;
+
+function formatNumber(value) {
+  if (value === null || value === undefined || Number.isNaN(value)) return '';
+  const abs = Math.abs(value);
+  if (abs >= 1e9) return `${round(value / 1e9)}B`;
+  if (abs >= 1e6) return `${round(value / 1e6)}M`;
+  if (abs >= 1e4) return `${round(value / 1e3)}k`;
+  return String(round(value));
+}
+
+/**
+ * Color for point i of a dataset: arrays cycle, strings apply to every point
+ */
+function colorAt(value, index, fallback) {
+  if (Array.isArray(value)) return value.length > 0 ? value[index % value.length] : fallback;
+  return typeof value === 'string' ? value : fallback;
+}
+
+/**
+ * Round axis bounds and a step that gives roughly TICK_COUNT ticks
+ */
+function niceScale(min, max) {
+  if (min === max) {
+    min -= 1;
+    max += 1;
+  }
+  const rough = (max - min) / TICK_COUNT;
+  const magnitude = 10 ** Math.floor(Math.log10(rough));
+  const step = [1, 2, 2.5, 5, 10].map(m => m * magnitude).find(s => s >= rough);
+  return { min: Math.floor(min / step) * step, max: Math.ceil(max / step) * step, step };
+}
+
+function ticks({ min, max, step }) {
+  const values = [];
+  for (let v = min; v <= max + step / 2; v += step) values.push(round(v));
+  return values;
+}
+
+// ========== CONFIG ==========
+
+function pluginText(config, name) {
+  const plugin = config?.plugins?.[name];
+  if (!plugin || plugin.display === false) return null;
+  const value = Array.isArray(plugin.text) ? plugin.text.join(' ') : plugin.text;
+  return value ? String(value) : null;
+}
+
+function axisTitle(config, axis) {
+  const title = config?.scales?.[axis]?.title;
+  if (!title || title.display === false || !title.text) return null;
+  return Array.isArray(title.text) ? title.text.join(' ') : String(title.text);
+}
+
+function numeric(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) return Number(value);
+  return null;
+}
+
+// ========== LAYOUT: TITLE & LEGEND ==========
+
+function renderHeader(config, width, top) {
+  const parts = [];
+  let y = top;
+  const title = pluginText(config, 'title');
+  if (title) {
+    parts.push(text(width / 2, y + 10, title, { size: 18, weight: 'bold' }));
+    y += 28;
+  }
+  const subtitle = pluginText(config, 'subtitle');
+  if (subtitle) {
+    parts.push(text(width / 2, y + 7, subtitle, { size: 13, color: '#666' }));
+    y += 22;
+  }
+  return { svg: parts.join(''), bottom: y };
+}
+
+function renderLegend(items, width, top) {
+  if (items.length === 0) return { svg: '', bottom: top };
+
+  // Wrap items into centered rows
+  const rows = [[]];
+  let rowWidth = 0;
+  for (const item of items) {
+    const itemWidth = 18 + textWidth(item.label) + 16;
+    if (rowWidth + itemWidth > width - 2 * PADDING && rows[rows.length - 1].length > 0) {
+      rows.push([]);
+      rowWidth = 0;
+    }
+    rows[rows.length - 1].push({ ...item, itemWidth });
+    rowWidth += itemWidth;
+  }
+
+  const parts = rows.map((row, r) => {
+    const total = row.reduce((sum, item) => sum + item.itemWidth, 0);
+    let x = (width - total) / 2;
+    const y = top + r * 20 + 8;
+    return row.map(item => {
+      const swatch = `<rect x="${round(x)}" y="${round(y - 6)}" width="12" height="12" fill="${escapeXml(item.fill)}" stroke="${escapeXml(item.stroke || item.fill)}"/>`;
+      const label = text(x + 18, y, item.label, { anchor: 'start' });
+      x += item.itemWidth;
+      return swatch + label;
+    }).join('');
+  });
+
+  return { svg: parts.join(''), bottom: top + rows.length * 20 + 4 };
+}
+
+function legendItems(chartType, chartData, config) {
+  const legend = config?.plugins?.legend;
+  if (legend?.display === false) return [];
+
+  if (PER_POINT_COLOR_TYPES.includes(chartType)) {
+    const dataset = chartData.datasets[0] || {};
+    return (chartData.labels || []).map((label, i) => ({
+      label,
+      fill: colorAt(dataset.backgroundColor, i, paletteColor(i, 0.7)),
+      stroke: colorAt(dataset.borderColor, i, paletteColor(i, 1))
+    }));
+  }
+  return chartData.datasets.map((ds, d) => ({
+    label: ds.label || `Dataset ${d + 1}`,
+    fill: colorAt(ds.backgroundColor, 0, paletteColor(d, 0.7)),
+    stroke: colorAt(ds.borderColor, 0, paletteColor(d, 1))
+  }));
+}
+
+// ========== POINT IMAGES ==========
+
+function pointImage(dataset, index, x, y, images, { above = false } = {}) {
+  const url = dataset.pointImages?.[index];
+  const href = url && images.get(url);
+  if (!href) return '';
+
+  const config = dataset.pointImageConfig?.[index] || {};
+  const size = Number(config.size) || 24;
+  const cx = x;
+  const cy = above && config.position !== 'center' ? y - size / 2 - 4 : y;
+  const clipId = `point-image-${index}-${Math.round(cx)}-${Math.round(cy)}`;
+  const clip = config.type === 'circle'
+    ? `<clipPath id="${clipId}"><circle cx="${round(cx)}" cy="${round(cy)}" r="${round(size / 2)}"/></clipPath>`
+    : '';
+  return `${clip}<image href="${escapeXml(href)}" x="${round(cx - size / 2)}" y="${round(cy - size / 2)}" width="${size}" height="${size}" preserveAspectRatio="xMidYMid slice"${clip ? ` clip-path="url(#${clipId})"` : ''}/>`;
+}
+
+// ========== CARTESIAN CHARTS ==========
+
+function renderCartesian(chartType, chartData, config, area, images) {
+  const isPoint = POINT_TYPES.includes(chartType);
+  const horizontal = chartType === 'horizontalBar' || config?.indexAxis === 'y';
+  const isBar = ['bar', 'horizontalBar', 'stackedBar'].includes(chartType);
+  const stacked = chartType === 'stackedBar' || !!(config?.scales?.x?.stacked || config?.scales?.y?.stacked);
+  const labels = chartData.labels || [];
+  const datasets = chartData.datasets;
+  const parts = [];
+
+  // Value range (and the x range for point charts)
+  let values = [];
+  let xValues = [];
+  if (isPoint) {
+    datasets.forEach(ds => ds.data.forEach((p, i) => {
+      values.push(numeric(p?.y));
+      xValues.push(numeric(p?.x) ?? i);
+    }));
+  } else if (stacked) {
+    labels.forEach((_, i) => {
+      let positive = 0;
+      let negative = 0;
+      datasets.forEach(ds => {
+        const v = numeric(ds.data[i]) ?? 0;
+        if (v >= 0) positive += v; else negative += v;
+      });
+      values.push(positive, negative);
+    });
+  } else {
+    values = datasets.flatMap(ds => ds.data.map(numeric));
+  }
+  values = values.filter(v => v !== null);
+  if (values.length === 0) values = [0, 1];
+  if (isPoint && xValues.length === 0) xValues = [0, 1];
+  const valueAxis = horizontal ? 'x' : 'y';
+  const beginAtZero = isBar || config?.scales?.[valueAxis]?.beginAtZero === true;
+  // Pad point charts so markers and bubbles at the extremes aren't cut by the axes
+  const padded = (list) => {
+    const span = (Math.max(...list) - Math.min(...list)) || 1;
+    return [Math.min(...list) - span * 0.08, Math.max(...list) + span * 0.08];
+  };
+  const scale = isPoint && !beginAtZero
+    ? niceScale(...padded(values))
+    : niceScale(
+      Math.min(...values, ...(beginAtZero ? [0] : [])),
+      Math.max(...values, ...(beginAtZero ? [0] : []))
+    );
+  const xScale = isPoint ? niceScale(...padded(xValues)) : null;
+
+  // Reserve room for tick labels and axis titles
+  const xTitle = axisTitle(config, 'x');
+  const yTitle = axisTitle(config, 'y');
+  const categoryLabelWidth = Math.min(120, Math.max(0, ...labels.map(l => textWidth(l))));
+  const valueTickWidth = Math.max(...ticks(scale).map(t => textWidth(formatNumber(t)))) + 10;
+  const left = area.x + (yTitle ? 22 : 0) + (horizontal ? categoryLabelWidth + 10 : valueTickWidth);
+  const bandWidth = (area.x + area.width - left) / Math.max(1, labels.length);
+  const rotateLabels = !horizontal && !isPoint && labels.some(l => textWidth(l) > bandWidth - 4);
+  const bottomLabelHeight = rotateLabels ? Math.min(90, categoryLabelWidth * 0.75 + 10) : 20;
+  const plot = {
+    x: left,
+    y: area.y + 8,
+    width: area.x + area.width - left - 8,
+    height: area.y + area.height - (xTitle ? 22 : 0) - bottomLabelHeight - area.y - 8
+  };
+
+  const valueToPx = (v) => (horizontal
+    ? plot.x + (v - scale.min) / (scale.max - scale.min) * plot.width
+    : plot.y + plot.height - (v - scale.min) / (scale.max - scale.min) * plot.height);
+  const xToPx = (v) => plot.x + (v - xScale.min) / (xScale.max - xScale.min) * plot.width;
+  const band = (horizontal ? plot.height : plot.width) / Math.max(1, labels.length);
+  const categoryCenter = (i) => (horizontal ? plot.y : plot.x) + band * (i + 0.5);
+
+  // Grid and value ticks
+  for (const t of ticks(scale)) {
+    const p = valueToPx(t);
+    parts.push(horizontal
+      ? `<line x1="${round(p)}" y1="${plot.y}" x2="${round(p)}" y2="${plot.y + plot.height}" class="grid" stroke="${GRID_COLOR}"/>` + text(p, plot.y + plot.height + 12, formatNumber(t), { size: 11 })
+      : `<line x1="${plot.x}" y1="${round(p)}" x2="${plot.x + plot.width}" y2="${round(p)}" class="grid" stroke="${GRID_COLOR}"/>` + text(plot.x - 6, p, formatNumber(t), { size: 11, anchor: 'end' }));
+  }
+  if (isPoint) {
+    for (const t of ticks(xScale)) {
+      const p = xToPx(t);
+      parts.push(`<line x1="${round(p)}" y1="${plot.y}" x2="${round(p)}" y2="${plot.y + plot.height}" class="grid" stroke="${GRID_COLOR}"/>` + text(p, plot.y + plot.height + 12, formatNumber(t), { size: 11 }));
+    }
+  } else {
+    labels.forEach((label, i) => {
+      const c = categoryCenter(i);
+      parts.push(horizontal
+        ? text(plot.x - 6, c, label, { size: 11, anchor: 'end' })
+        : rotateLabels
+          ? text(c, plot.y + plot.height + 8, label, { size: 11, anchor: 'end', rotate: -45 })
+          : text(c, plot.y + plot.height + 12, label, { size: 11 }));
+    });
+  }
+  parts.push(`<line x1="${plot.x}" y1="${plot.y + plot.height}" x2="${plot.x + plot.width}" y2="${plot.y + plot.height}" class="axis" stroke="${AXIS_COLOR}"/>`);
+  parts.push(`<line x1="${plot.x}" y1="${plot.y}" x2="${plot.x}" y2="${plot.y + plot.height}" class="axis" stroke="${AXIS_COLOR}"/>`);
+
+  if (xTitle) parts.push(text(plot.x + plot.width / 2, area.y + area.height - 8, xTitle, { size: 13, weight: 'bold' }));
+  if (yTitle) parts.push(text(area.x + 8, plot.y + plot.height / 2, yTitle, { size: 13, weight: 'bold', rotate: -90 }));
+
+  const zero = valueToPx(Math.max(scale.min, Math.min(0, scale.max)));
+
+  if (isBar) {
+    const groupWidth = band * 0.8;
+    const barWidth = stacked ? groupWidth : groupWidth / datasets.length;
+    const positiveStack = labels.map(() => 0);
+    const negativeStack = labels.map(() => 0);
+
+    datasets.forEach((ds, d) => {
+      ds.data.forEach((raw, i) => {
+        const v = numeric(raw);
+        if (v === null) return;
+        let from = 0;
+        if (stacked) {
+          from = v >= 0 ? positiveStack[i] : negativeStack[i];
+          if (v >= 0) positiveStack[i] += v; else negativeStack[i] += v;
+        }
+        const start = valueToPx(from);
+        const end = valueToPx(from + v);
+        const offset = categoryCenter(i) - groupWidth / 2 + (stacked ? 0 : d * barWidth);
+        const fill = escapeXml(colorAt(ds.backgroundColor, i, paletteColor(d, 0.7)));
+        const stroke = escapeXml(colorAt(ds.borderColor, i, paletteColor(d, 1)));
+        const strokeWidth = Number(ds.borderWidth) || 1;
+        parts.push(horizontal
+          ? `<rect x="${round(Math.min(start, end))}" y="${round(offset)}" width="${round(Math.abs(end - start))}" height="${round(barWidth)}" fill="${fill}" stroke="${stroke}" stroke-width="${strokeWidth}"/>`
+          : `<rect x="${round(offset)}" y="${round(Math.min(start, end))}" width="${round(barWidth)}" height="${round(Math.abs(end - start))}" fill="${fill}" stroke="${stroke}" stroke-width="${strokeWidth}"/>`);
+        parts.push(horizontal
+          ? pointImage(ds, i, end + 16, offset + barWidth / 2, images)
+          : pointImage(ds, i, offset + barWidth / 2, end, images, { above: true }));
+      });
+    });
+  } else if (isPoint) {
+    datasets.forEach((ds, d) => {
+      ds.data.forEach((p, i) => {
+        const x = numeric(p?.x) ?? i;
+        const y = numeric(p?.y);
+        if (y === null) return;
+        const r = chartType === 'bubble' ? Math.max(1, numeric(p?.r) ?? 4) : (Number(ds.pointRadius) || 4);
+        const cx = xToPx(x);
+        const cy = valueToPx(y);
+        parts.push(`<circle cx="${round(cx)}" cy="${round(cy)}" r="${round(r)}" fill="${escapeXml(colorAt(ds.backgroundColor, i, paletteColor(d, 0.6)))}" stroke="${escapeXml(colorAt(ds.borderColor, i, paletteColor(d, 1)))}"/>`);
+        parts.push(pointImage(ds, i, cx, cy, images));
+      });
+    });
+  } else {
+    // line / area
+    datasets.forEach((ds, d) => {
+      const stroke = colorAt(ds.borderColor, 0, paletteColor(d, 1));
+      const points = ds.data.map((raw, i) => {
+        const v = numeric(raw);
+        return v === null ? null : [categoryCenter(i), valueToPx(v)];
+      });
+
+      // Gaps (null values) split the line into segments
+      const segments = [[]];
+      points.forEach(p => {
+        if (p) segments[segments.length - 1].push(p);
+        else if (segments[segments.length - 1].length > 0) segments.push([]);
+      });
+
+      const fill = chartType === 'area' || (ds.fill !== undefined && ds.fill !== false);
+      for (const segment of segments.filter(s => s.length > 0)) {
+        const path = segment.map(([x, y], i) => `${i === 0 ? 'M' : 'L'}${round(x)} ${round(y)}`).join(' ');
+        if (fill) {
+          const last = segment[segment.length - 1];
+          parts.push(`<path d="${path} L${round(last[0])} ${round(zero)} L${round(segment[0][0])} ${round(zero)} Z" fill="${escapeXml(colorAt(ds.backgroundColor, 0, paletteColor(d, 0.2)))}" stroke="none"/>`);
+        }
+        parts.push(`<path d="${path}" fill="none" stroke="${escapeXml(stroke)}" stroke-width="${Number(ds.borderWidth) || 2}"/>`);
+      }
+
+      const radius = ds.pointRadius ?? 3;
+      points.forEach((p, i) => {
+        if (!p) return;
+        if (radius > 0) {
+          parts.push(`<circle cx="${round(p[0])}" cy="${round(p[1])}" r="${radius}" fill="${escapeXml(colorAt(ds.pointBackgroundColor ?? ds.borderColor, i, stroke))}"/>`);
+        }
+        parts.push(pointImage(ds, i, p[0], p[1], images, { above: true }));
+      });
+    });
+  }
+
+  return parts.join('');
+}
+
+// ========== RADIAL CHARTS ==========
+
+const polar = (cx, cy, rx, ry, angle) => [cx + rx * Math.cos(angle), cy + ry * Math.sin(angle)];
+
+/**
+ * Closed path for a ring sector between two angles (inner radius 0 = pie slice)
+ */
+function sectorPath(cx, cy, outer, inner, start, end, squash = 1) {
+  // A full circle can't be drawn as one arc — split it in two halves
+  if (end - start >= Math.PI * 2 - 1e-6) {
+    const mid = start + Math.PI;
+    return sectorPath(cx, cy, outer, inner, start, mid, squash) + ' ' + sectorPath(cx, cy, outer, inner, mid, end, squash);
+  }
+  const large = end - start > Math.PI ? 1 : 0;
+  const [x1, y1] = polar(cx, cy, outer, outer * squash, start);
+  const [x2, y2] = polar(cx, cy, outer, outer * squash, end);
+  let d = `M${round(x1)} ${round(y1)} A${round(outer)} ${round(outer * squash)} 0 ${large} 1 ${round(x2)} ${round(y2)}`;
+  if (inner > 0) {
+    const [x3, y3] = polar(cx, cy, inner, inner * squash, end);
+    const [x4, y4] = polar(cx, cy, inner, inner * squash, start);
+    d += ` L${round(x3)} ${round(y3)} A${round(inner)} ${round(inner * squash)} 0 ${large} 0 ${round(x4)} ${round(y4)} Z`;
+  } else {
+    d += ` L${round(cx)} ${round(cy)} Z`;
+  }
+  return d;
+}
+
+/**
+ * Side wall of a 3D slice along an elliptical edge between two angles
+ */
+function wallPath(cx, cy, rx, ry, depth, start, end) {
+  const large = end - start > Math.PI ? 1 : 0;
+  const [x1, y1] = polar(cx, cy, rx, ry, start);
+  const [x2, y2] = polar(cx, cy, rx, ry, end);
+  return `M${round(x1)} ${round(y1)} A${round(rx)} ${round(ry)} 0 ${large} 1 ${round(x2)} ${round(y2)} ` +
+    `L${round(x2)} ${round(y2 + depth)} A${round(rx)} ${round(ry)} 0 ${large} 0 ${round(x1)} ${round(y1 + depth)} Z`;
+}
+
+// Overlap of [start, end] with [from, to]
+function clipRange(start, end, from, to) {
+  const s = Math.max(start, from);
+  const e = Math.min(end, to);
+  return e > s ? [s, e] : null;
+}
+
+function parseCutout(cutout, fallback) {
+  if (typeof cutout === 'number') return Math.min(0.95, cutout / 100);
+  const match = /^(\d+(?:\.\d+)?)%$/.exec(String(cutout ?? ''));
+  return match ? Math.min(0.95, Number(match[1]) / 100) : fallback;
+}
+
+function renderPie(chartType, chartData, config, area, images) {
+  const parts = [];
+  const is3d = chartType.endsWith('3d');
+  const isDoughnut = chartType.startsWith('doughnut');
+  const cx = area.x + area.width / 2;
+  const squash = is3d ? TILT : 1;
+  const radius = Math.max(10, Math.min(area.width / 2, (area.height / 2) / (is3d ? TILT + DEPTH : 1)) - 8);
+  const cy = area.y + area.height / 2 - (is3d ? radius * DEPTH / 2 : 0);
+  const cutout = isDoughnut ? parseCutout(config?.cutout, 0.5) : 0;
+
+  // 2D charts draw every dataset as a ring (Chart.js behaviour); 3D charts show the first one
+  const datasets = is3d ? chartData.datasets.slice(0, 1) : chartData.datasets;
+  const ringWidth = radius * (1 - cutout) / datasets.length;
+
+  datasets.forEach((ds, d) => {
+    const outer = radius - d * ringWidth;
+    const inner = outer - ringWidth;
+    const values = ds.data.map(v => Math.max(0, numeric(v) ?? 0));
+    const total = values.reduce((a, b) => a + b, 0) || 1;
+
+    let angle = -Math.PI / 2;
+    const slices = values.map((v, i) => {
+      const start = angle;
+      angle += (v / total) * Math.PI * 2;
+      return {
+        i, start, end: angle,
+        fill: escapeXml(colorAt(ds.backgroundColor, i, paletteColor(i, 0.7))),
+        stroke: escapeXml(colorAt(ds.borderColor, i, '#fff'))
+      };
+    }).filter(s => s.end > s.start);
+
+    if (is3d) {
+      const depth = radius * DEPTH;
+      // Inner walls of the back half show through a doughnut's hole; outer walls of the front half face the viewer
+      const walls = [];
+      for (const s of slices) {
+        if (inner > 0) {
+          for (const [from, to] of [[-Math.PI / 2, 0], [Math.PI, Math.PI * 1.5]]) {
+            const range = clipRange(s.start, s.end, from, to);
+            if (range) walls.push({ path: wallPath(cx, cy, inner, inner * TILT, depth, ...range), fill: s.fill });
+          }
+        }
+        const front = clipRange(s.start, s.end, 0, Math.PI);
+        if (front) walls.push({ path: wallPath(cx, cy, outer, outer * TILT, depth, ...front), fill: s.fill });
+      }
+      for (const { path, fill } of walls) {
+        // Darken the side by overlaying translucent black on the slice color
+        parts.push(`<path d="${path}" fill="${fill}"/><path d="${path}" fill="#000" fill-opacity="0.28"/>`);
+      }
+    }
+
+    for (const s of slices) {
+      parts.push(`<path d="${sectorPath(cx, cy, outer, inner > 0 ? inner : 0, s.start, s.end, squash)}" fill="${s.fill}" stroke="${s.stroke}" stroke-width="${Number(ds.borderWidth) || 1}"/>`);
+    }
+    for (const s of slices) {
+      const mid = (s.start + s.end) / 2;
+      const r = inner > 0 ? (outer + inner) / 2 : outer * 0.65;
+      const [x, y] = polar(cx, cy, r, r * squash, mid);
+      parts.push(pointImage(ds, s.i, x, y, images));
+    }
+  });
+
+  return parts.join('');
+}
+
+function renderPolarArea(chartData, area, images) {
+  const parts = [];
+  const ds = chartData.datasets[0] || { data: [] };
+  const cx = area.x + area.width / 2;
+  const cy = area.y + area.height / 2;
+  const radius = Math.max(10, Math.min(area.width, area.height) / 2 - 8);
+  const values = ds.data.map(v => Math.max(0, numeric(v) ?? 0));
+  const scale = niceScale(0, Math.max(...values, 1));
+
+  for (const t of ticks(scale).slice(1)) {
+    parts.push(`<circle cx="${round(cx)}" cy="${round(cy)}" r="${round(t / scale.max * radius)}" fill="none" class="grid" stroke="${GRID_COLOR}"/>`);
+  }
+
+  const step = (Math.PI * 2) / Math.max(1, values.length);
+  values.forEach((v, i) => {
+    const start = -Math.PI / 2 + i * step;
+    const r = (v / scale.max) * radius;
+    if (r <= 0) return;
+    parts.push(`<path d="${sectorPath(cx, cy, r, 0, start, start + step)}" fill="${escapeXml(colorAt(ds.backgroundColor, i, paletteColor(i, 0.6)))}" stroke="${escapeXml(colorAt(ds.borderColor, i, '#fff'))}"/>`);
+    const [x, y] = polar(cx, cy, r * 0.65, r * 0.65, start + step / 2);
+    parts.push(pointImage(ds, i, x, y, images));
+  });
+  return parts.join('');
+}
+
+function renderRadar(chartData, area, images) {
+  const parts = [];
+  const labels = chartData.labels || [];
+  const count = Math.max(3, labels.length);
+  const cx = area.x + area.width / 2;
+  const cy = area.y + area.height / 2;
+  const labelRoom = Math.min(120, Math.max(0, ...labels.map(l => textWidth(l, 11)))) + 10;
+  const radius = Math.max(10, Math.min(area.width / 2 - labelRoom, area.height / 2 - 20));
+  const values = chartData.datasets.flatMap(ds => ds.data.map(numeric)).filter(v => v !== null);
+  const scale = niceScale(Math.min(0, ...values), Math.max(...values, 1));
+  const angle = (i) => -Math.PI / 2 + (i / count) * Math.PI * 2;
+  const toPoint = (v, i) => polar(cx, cy, ((v - scale.min) / (scale.max - scale.min)) * radius, ((v - scale.min) / (scale.max - scale.min)) * radius, angle(i));
+
+  // Web: one polygon per tick, one spoke per label
+  for (const t of ticks(scale).slice(1)) {
+    const ring = Array.from({ length: count }, (_, i) => toPoint(t, i).map(round).join(',')).join(' ');
+    parts.push(`<polygon points="${ring}" fill="none" class="grid" stroke="${GRID_COLOR}"/>`);
+  }
+  labels.forEach((label, i) => {
+    const [x, y] = polar(cx, cy, radius, radius, angle(i));
+    const [lx, ly] = polar(cx, cy, radius + 12, radius + 12, angle(i));
+    const anchor = Math.abs(lx - cx) < 4 ? 'middle' : (lx > cx ? 'start' : 'end');
+    parts.push(`<line x1="${round(cx)}" y1="${round(cy)}" x2="${round(x)}" y2="${round(y)}" class="grid" stroke="${GRID_COLOR}"/>`);
+    parts.push(text(lx, ly, label, { size: 11, anchor }));
+  });
+
+  chartData.datasets.forEach((ds, d) => {
+    const points = ds.data.map((v, i) => toPoint(numeric(v) ?? scale.min, i));
+    const stroke = escapeXml(colorAt(ds.borderColor, 0, paletteColor(d, 1)));
+    parts.push(`<polygon points="${points.map(p => p.map(round).join(',')).join(' ')}" fill="${escapeXml(colorAt(ds.backgroundColor, 0, paletteColor(d, 0.2)))}" stroke="${stroke}" stroke-width="${Number(ds.borderWidth) || 2}"/>`);
+    points.forEach(([x, y], i) => {
+      parts.push(`<circle cx="${round(x)}" cy="${round(y)}" r="3" fill="${stroke}"/>`);
+      parts.push(pointImage(ds, i, x, y, images));
+    });
+  });
+
+  return parts.join('');
+}
+
+// ========== ENTRY POINT ==========
+
+/**
+ * Render a chart as an SVG document
+ * @param {Object} chart - { chartType, chartData, chartConfig }
+ * @param {Object} options - { width, height, images: Map<url, dataUri>, theme: 'light'|'dark', background }
+ * @returns {string} - SVG markup
+ */
+export function renderChartSVG({ chartType, chartData, chartConfig = null }, { width = DEFAULT_WIDTH, height = DEFAULT_HEIGHT, images = new Map(), theme = 'light', background } = {}) {
+  if (!chartData || !Array.isArray(chartData.datasets)) {
+    throw new Error('Chart has no data to render');
+  }
+  const palette = Object.hasOwn(THEMES, theme) ? THEMES[theme] : THEMES.light;
+  const fill = background === undefined ? palette.background : background;
+  const config = chartConfig || {};
+  const type = chartType || 'bar';
+
+  const header = renderHeader(config, width, PADDING);
+  const legend = renderLegend(legendItems(type, chartData, config), width, header.bottom + (header.bottom > PADDING ? 4 : 0));
+  const area = {
+    x: PADDING,
+    y: legend.bottom + 4,
+    width: width - 2 * PADDING,
+    height: height - legend.bottom - 4 - PADDING
+  };
+
+  let body = '';
+  if (chartData.datasets.length > 0 && area.height > 20) {
+    if (['pie', 'doughnut', 'pie3d', 'doughnut3d'].includes(type)) body = renderPie(type, chartData, config, area, images);
+    else if (type === 'polarArea') body = renderPolarArea(chartData, area, images);
+    else if (type === 'radar') body = renderRadar(chartData, area, images);
+    else body = renderCartesian(type, chartData, config, area, images);
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+    (palette.style ? `<style>${palette.style}</style>` : '') +
+    (fill ? `<rect width="100%" height="100%" fill="${escapeXml(fill)}"/>` : '') +
+    header.svg + legend.svg + body +
+    '</svg>';
+}
+
+
+// ========== LAYOUT PREVIEW ==========
+
+const BLOCK_STYLES = {
+  chart: { fill: '#e3f0fb', stroke: '#36a2eb' },
+  image: { fill: '#f1ebfb', stroke: '#9966ff' },
+  text: { fill: '#f4f4f4', stroke: '#c9c9c9' }
+};
+
+// Blocks without a position are stacked top to bottom; a chart takes four text rows
+const STACK_WEIGHT = { chart: 4, image: 2, text: 1 };
+
+function blockKind(type) {
+  if (type === 'chart') return 'chart';
+  if (/image|logo|icon|photo/i.test(type || '')) return 'image';
+  return 'text';
+}
+
+function hasBox(block) {
+  return ['x', 'y', 'width', 'height'].every(key => Number.isFinite(block[key])) && block.width > 0 && block.height > 0;
+}
+
+function layoutGlyph(kind, x, y, w, h, stroke) {
+  if (kind === 'chart') {
+    const bars = [0.45, 0.8, 0.6, 0.95];
+    const gap = w / (bars.length * 2 + 1);
+    return bars.map((v, i) => {
+      const bh = (h - 2 * gap) * v;
+      return `<rect x="${round(x + gap * (i * 2 + 1))}" y="${round(y + h - gap - bh)}" width="${round(gap)}" height="${round(bh)}" fill="${stroke}" opacity="0.6"/>`;
+    }).join('');
+  }
+  if (kind === 'image') {
+    const r = Math.min(w, h) * 0.15;
+    return `<circle cx="${round(x + w / 2)}" cy="${round(y + h / 2)}" r="${round(r)}" fill="${stroke}" opacity="0.5"/>`;
+  }
+  // Placeholder lines for text
+  const lineHeight = Math.max(3, Math.min(8, h / 4));
+  const lines = Math.max(1, Math.min(3, Math.floor((h - lineHeight) / (lineHeight * 1.8))));
+  return Array.from({ length: lines }, (_, i) => {
+    const lw = (w - 2 * lineHeight) * (i === lines - 1 && lines > 1 ? 0.6 : 1);
+    return `<rect x="${round(x + lineHeight)}" y="${round(y + lineHeight + i * lineHeight * 1.8)}" width="${round(Math.max(0, lw))}" height="${round(lineHeight)}" rx="${round(lineHeight / 2)}" fill="${stroke}" opacity="0.5"/>`;
+  }).join('');
+}
+
+/**
+ * Render a wireframe of a template or format layout as an SVG document
+ * @param {Object} layout - { width, height, background, blocks: [{ type, name, x?, y?, width?, height? }] } in layout pixels
+ * @param {Object} options - { width, height } of the preview
+ * @returns {string} - SVG markup
+ */
+export function renderLayoutSVG(layout, { width = DEFAULT_WIDTH, height = DEFAULT_HEIGHT } = {}) {
+  const pageWidth = layout.width > 0 ? layout.width : DEFAULT_WIDTH;
+  const pageHeight = layout.height > 0 ? layout.height : DEFAULT_HEIGHT;
+  const inset = 8;
+  const scale = Math.min((width - 2 * inset) / pageWidth, (height - 2 * inset) / pageHeight);
+  const page = {
+    x: (width - pageWidth * scale) / 2,
+    y: (height - pageHeight * scale) / 2,
+    width: pageWidth * scale,
+    height: pageHeight * scale
+  };
+
+  const blocks = (layout.blocks || []).map(block => ({ ...block, kind: blockKind(block.type) }));
+  const placed = blocks.filter(hasBox).map(block => ({
+    ...block,
+    x: page.x + block.x * scale,
+    y: page.y + block.y * scale,
+    width: block.width * scale,
+    height: block.height * scale
+  }));
+
+  const stacked = blocks.filter(block => !hasBox(block));
+  const totalWeight = stacked.reduce((n, block) => n + STACK_WEIGHT[block.kind], 0);
+  let cursor = page.y + inset;
+  const rowUnit = totalWeight > 0 ? (page.height - inset * (stacked.length + 1)) / totalWeight : 0;
+  for (const block of stacked) {
+    const blockHeight = rowUnit * STACK_WEIGHT[block.kind];
+    placed.push({ ...block, x: page.x + inset, y: cursor, width: page.width - 2 * inset, height: blockHeight });
+    cursor += blockHeight + inset;
+  }
+
+  const parts = placed.filter(block => block.width >= 2 && block.height >= 2).map(block => {
+    const { fill, stroke } = BLOCK_STYLES[block.kind];
+    let svg = `<rect x="${round(block.x)}" y="${round(block.y)}" width="${round(block.width)}" height="${round(block.height)}" rx="3" fill="${fill}" stroke="${stroke}"/>`;
+    svg += layoutGlyph(block.kind, block.x, block.y, block.width, block.height, stroke);
+    const label = block.name || block.type;
+    if (label && block.height >= 24 && block.kind !== 'text') {
+      const size = Math.min(11, block.height / 4);
+      const maxChars = Math.floor((block.width - 8) / (size * 0.55));
+      if (maxChars >= 3) {
+        const shown = label.length > maxChars ? `${label.slice(0, maxChars - 1)}…` : label;
+        svg += text(block.x + 4, block.y + size, shown, { size, anchor: 'start', color: '#666' });
+      }
+    }
+    return svg;
+  });
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+    '<rect width="100%" height="100%" fill="#eceff1"/>' +
+    `<rect x="${round(page.x)}" y="${round(page.y)}" width="${round(page.width)}" height="${round(page.height)}" fill="${escapeXml(layout.background || '#fff')}" stroke="#cfd8dc"/>` +
+    parts.join('') +
+    '</svg>';
+}
@@ -0,0 +1,349 @@
+import { z } from 'zod';
+
+/**
+ * Chart response schema
+ * Validates the JSON returned by the AI against the contract in the chart_generation prompt:
+ * allowed chart types, dataset shapes per type, and equal-length arrays.
+ */
+
+// Types the generation prompt allows (src/prompts/chart_generation)
+export const CHART_TYPES = [
+  'bar', 'line', 'pie', 'doughnut', 'scatter', 'bubble', 'polarArea', 'radar', 'pie3d', 'doughnut3d'
+];
+
+// The modification prompt additionally allows these aliases (src/prompts/chart_modification)
+export const MODIFICATION_CHART_TYPES = [...CHART_TYPES, 'horizontalBar', 'stackedBar', 'area'];
+
+const POINT_CHART_TYPES = ['scatter', 'bubble'];
+
+export const SEVERITY = {
+  FATAL: 'fatal',
+  WARNING: 'warning'
+};
+
+/**
+ * Raised when an AI chart response has fatal schema violations
+ */
+export class ChartValidationError extends Error {
+  constructor(violations, serviceName = 'AI') {
+    const fatal = violations.filter(v => v.severity === SEVERITY.FATAL);
+    const summary = fatal.slice(0, 3).map(v => `${v.path || '(root)'}: ${v.message}`).join('; ');
+    super(`${serviceName} returned an invalid chart: ${summary}${fatal.length > 3 ? ` (+${fatal.length - 3} more)` : ''}`);
+    this.name = 'ChartValidationError';
+    this.violations = violations;
+  }
+}
+
+// ========== SCHEMAS ==========
+
+const colorSchema = z.union([z.string(), z.array(z.string())]);
+
+const datasetBaseSchema = z.object({
+  label: z.string().optional(),
+  backgroundColor: colorSchema.optional(),
+  borderColor: colorSchema.optional(),
+  pointImages: z.array(z.string().nullable()).optional(),
+  pointImageConfig: z.array(z.object({}).passthrough().nullable()).optional(),
+}).passthrough();
+
+// Category charts: one number per label (null allowed for gaps in line charts)
+const categoryDatasetSchema = datasetBaseSchema.extend({
+  data: z.array(z.number().finite().nullable(), { invalid_type_error: 'data must be an array of numbers' }),
+});
+
+const scatterPointSchema = z.object({
+  x: z.union([z.number().finite(), z.string()]),
+  y: z.number().finite(),
+}).passthrough();
+
+const bubblePointSchema = scatterPointSchema.extend({
+  r: z.number().finite().nonnegative(),
+});
+
+const scatterDatasetSchema = datasetBaseSchema.extend({
+  data: z.array(scatterPointSchema, { invalid_type_error: 'data must be an array of {x, y} points' }),
+});
+
+const bubbleDatasetSchema = datasetBaseSchema.extend({
+  data: z.array(bubblePointSchema, { invalid_type_error: 'data must be an array of {x, y, r} points' }),
+});
+
+const labelsSchema = z.array(z.union([z.string(), z.number()]));
+
+const categoryDataSchema = z.object({
+  labels: labelsSchema,
+  datasets: z.array(categoryDatasetSchema).min(1, 'At least one dataset is required'),
+}).passthrough();
+
+const pointDataSchema = (datasetSchema) => z.object({
+  labels: labelsSchema.optional(),
+  datasets: z.array(datasetSchema).min(1, 'At least one dataset is required'),
+}).passthrough();
+
+/**
+ * Schema for the chart data block of a given chart type
+ * @param {string} chartType - Chart type
+ * @returns {z.ZodTypeAny}
+ */
+export function getChartDataSchema(chartType) {
+  if (chartType === 'scatter') return pointDataSchema(scatterDatasetSchema);
+  if (chartType === 'bubble') return pointDataSchema(bubbleDatasetSchema);
+  return categoryDataSchema;
+}
+
+// ========== VALIDATION ==========
+
+function formatPath(path) {
+  return path.reduce((acc, key) => (
+    typeof key === 'number' ? `${acc}[${key}]` : (acc ? `${acc}.${key}` : String(key))
+  ), '');
+}
+
+function fromZodIssues(issues, prefix) {
+  return issues.map(issue => ({
+    path: formatPath([...prefix, ...issue.path]),
+    code: issue.code,
+    message: issue.message,
+    severity: SEVERITY.FATAL,
+  }));
+}
+
+/**
+ * Cross-field checks zod can't express per field: every per-point array must match labels
+ */
+function checkArrayLengths(chartType, chartData, dataKey) {
+  const violations = [];
+  const isPointChart = POINT_CHART_TYPES.includes(chartType);
+  const labelCount = chartData.labels?.length;
+
+  chartData.datasets.forEach((ds, i) => {
+    const base = `${dataKey}.datasets[${i}]`;
+    const expected = isPointChart ? ds.data.length : labelCount;
+
+    if (!isPointChart && ds.data.length !== labelCount) {
+      violations.push({
+        path: `${base}.data`,
+        code: 'length_mismatch',
+        message: `Expected ${labelCount} values (one per label), got ${ds.data.length}`,
+        severity: SEVERITY.FATAL,
+      });
+    }
+
+    // A single color string applies to every point; arrays must line up with the data
+    for (const key of ['backgroundColor', 'borderColor', 'pointImages', 'pointImageConfig']) {
+      const value = ds[key];
+      if (Array.isArray(value) && value.length > 1 && value.length !== expected) {
+        violations.push({
+          path: `${base}.${key}`,
+          code: 'length_mismatch',
+          message: `Expected ${expected} entries, got ${value.length}`,
+          severity: SEVERITY.WARNING,
+        });
+      }
+    }
+  });
+
+  if (isPointChart && labelCount !== undefined) {
+    const pointCount = chartData.datasets[0].data.length;
+    if (labelCount > 0 && labelCount !== pointCount) {
+      violations.push({
+        path: `${dataKey}.labels`,
+        code: 'length_mismatch',
+        message: `Expected ${pointCount} labels (one per point), got ${labelCount}`,
+        severity: SEVERITY.WARNING,
+      });
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Validate a parsed AI chart response
+ * @param {Object} response - Parsed AI response
+ * @param {Object} options - { allowedTypes, requireChart, fallbackChartType }
+ *   requireChart=false lets clarification-only responses (no chartType/chartData) through
+ * @returns {{ valid: boolean, violations: Array<{path, code, message, severity}> }}
+ */
+export function validateChartResponse(response, options = {}) {
+  const {
+    allowedTypes = CHART_TYPES,
+    requireChart = true,
+    fallbackChartType = null,
+  } = options;
+
+  const dataKey = response?.chartData ? 'chartData' : 'data';
+  const chartData = response?.[dataKey];
+  const chartType = response?.chartType ?? (chartData ? fallbackChartType : null);
+
+  if (!requireChart && !response?.chartType && !chartData) {
+    return { valid: true, violations: [] };
+  }
+
+  const violations = [];
+
+  const typeResult = z.enum(allowedTypes, {
+    errorMap: () => ({ message: `chartType must be one of: ${allowedTypes.join(', ')}` }),
+  }).safeParse(chartType);
+  if (!typeResult.success) {
+    violations.push(...fromZodIssues(typeResult.error.issues, ['chartType']));
+  }
+
+  if (chartData === undefined || chartData === null) {
+    violations.push({ path: dataKey, code: 'missing', message: 'Chart data is required', severity: SEVERITY.FATAL });
+    return { valid: false, violations };
+  }
+
+  const dataResult = getChartDataSchema(chartType).safeParse(chartData);
+  if (!dataResult.success) {
+    violations.push(...fromZodIssues(dataResult.error.issues, [dataKey]));
+  } else {
+    violations.push(...checkArrayLengths(chartType, dataResult.data, dataKey));
+  }
+
+  return {
+    valid: !violations.some(v => v.severity === SEVERITY.FATAL),
+    violations,
+  };
+}
+
+// ========== STRUCTURED OUTPUT ==========
+// One JSON Schema for the chart response, translated per provider: OpenAI-style
+// `response_format: json_schema`, Gemini `responseSchema`. Non-strict on purpose —
+// the zod schema above stays the source of truth and runs on every answer.
+
+const stringArray = { type: 'array', items: { type: 'string' } };
+
+const colorJSONSchema = { anyOf: [{ type: 'string' }, stringArray] };
+
+const pointJSONSchema = {
+  type: 'object',
+  properties: { x: { anyOf: [{ type: 'number' }, { type: 'string' }] }, y: { type: 'number' }, r: { type: 'number' } },
+  required: ['x', 'y'],
+};
+
+const pointImageConfigJSONSchema = {
+  type: 'object',
+  properties: {
+    type: { type: 'string' },
+    size: { type: 'number' },
+    position: { type: 'string' },
+    arrow: { type: 'boolean' },
+  },
+};
+
+const datasetJSONSchema = {
+  type: 'object',
+  properties: {
+    label: { type: 'string' },
+    data: { type: 'array', items: { anyOf: [{ type: 'number' }, pointJSONSchema, { type: 'null' }] } },
+    backgroundColor: colorJSONSchema,
+    borderColor: colorJSONSchema,
+    borderWidth: { type: 'number' },
+    pointImages: stringArray,
+    pointImageConfig: { type: 'array', items: pointImageConfigJSONSchema },
+  },
+  required: ['label', 'data'],
+};
+
+const chartDataJSONSchema = {
+  type: 'object',
+  properties: {
+    labels: { type: 'array', items: { anyOf: [{ type: 'string' }, { type: 'number' }] } },
+    datasets: { type: 'array', items: datasetJSONSchema },
+  },
+  required: ['labels', 'datasets'],
+};
+
+function textFieldsJSONSchema(keys) {
+  return {
+    type: 'object',
+    properties: Object.fromEntries(keys.map(key => [key, { type: 'string' }])),
+  };
+}
+
+/**
+ * JSON Schema for a chart response, as requested by the chart_generation / chart_modification prompts
+ * @param {Object} options
+ * @param {boolean} options.modification - Modification responses use `chartData`, may carry a partial
+ *   `chartConfig` and may omit the chart entirely (clarification questions)
+ * @param {Array<string>} options.templateKeys - templateContent fields to request (template active)
+ * @param {Array<string>} options.formatKeys - formatContent zones to request (format active)
+ * @returns {Object} - JSON Schema
+ */
+export function getChartResponseJSONSchema({ modification = false, templateKeys = null, formatKeys = null } = {}) {
+  const properties = {
+    chartType: { type: 'string', enum: modification ? MODIFICATION_CHART_TYPES : CHART_TYPES },
+  };
+
+  if (modification) {
+    properties.action = { type: 'string' };
+    properties.chartData = chartDataJSONSchema;
+    properties.chartConfig = { type: 'object' }; // Partial Chart.js options, merged by the frontend
+    properties.changes = stringArray;
+  } else {
+    properties.title = { type: 'string' };
+    properties.subtitle = { type: 'string' };
+    properties.xAxisTitle = { type: 'string' };
+    properties.yAxisTitle = { type: 'string' };
+    properties.data = chartDataJSONSchema;
+  }
+
+  properties.user_message = { type: 'string' };
+  if (templateKeys?.length) properties.templateContent = textFieldsJSONSchema(templateKeys);
+  if (formatKeys?.length) properties.formatContent = textFieldsJSONSchema(formatKeys);
+
+  return {
+    type: 'object',
+    properties,
+    required: modification ? ['action', 'user_message'] : ['chartType', 'data', 'user_message'],
+  };
+}
+
+/**
+ * OpenAI-compatible `response_format` for a JSON Schema
+ * @param {Object} schema - JSON Schema
+ * @returns {Object}
+ */
+export function toOpenAIResponseFormat(schema) {
+  return { type: 'json_schema', json_schema: { name: 'chart_response', strict: false, schema } };
+}
+
+/**
+ * Translate a JSON Schema to Gemini's OpenAPI subset: upper-case types, `nullable` instead of
+ * a null type, and no free-form objects (Gemini rejects objects without properties).
+ * @param {Object} schema - JSON Schema
+ * @returns {Object|null} - Gemini schema, or null when the schema can't be expressed
+ */
+export function toGeminiResponseSchema(schema) {
+  if (schema.anyOf) {
+    const nullable = schema.anyOf.some(s => s.type === 'null');
+    const options = schema.anyOf.filter(s => s.type !== 'null').map(toGeminiResponseSchema);
+    if (options.includes(null)) return null;
+    const converted = options.length === 1 ? options[0] : { anyOf: options };
+    return nullable ? { ...converted, nullable: true } : converted;
+  }
+
+  const converted = { type: schema.type.toUpperCase() };
+  if (schema.enum) Object.assign(converted, { format: 'enum', enum: schema.enum });
+
+  if (schema.type === 'array') {
+    const items = toGeminiResponseSchema(schema.items);
+    if (!items) return null;
+    converted.items = items;
+  }
+
+  if (schema.type === 'object') {
+    const entries = Object.entries(schema.properties || {});
+    if (entries.length === 0) return null;
+    converted.properties = {};
+    for (const [key, value] of entries) {
+      const property = toGeminiResponseSchema(value);
+      if (!property) return null;
+      converted.properties[key] = property;
+    }
+    if (schema.required) converted.required = schema.required;
+  }
+
+  return converted;
+}
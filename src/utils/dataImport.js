@@ -0,0 +1,411 @@
+import { CHART_TYPES, validateChartResponse, SEVERITY } from './chartSchema.js';
+import { readXlsx } from './xlsxReader.js';
+
+/**
+ * Data import
+ * Turns an uploaded CSV / TSV / XLSX / JSON table into the same { chartType, chartData }
+ * structure the AI endpoints return, without calling a model: parse → infer column types →
+ * pick label and value columns → suggest a chart type from the data's shape → build datasets.
+ */
+
+export const IMPORT_FORMATS = ['csv', 'tsv', 'xlsx', 'json'];
+
+const MAX_ROWS = 5000;
+const PIE_MAX_SLICES = 6;
+const LINE_MIN_POINTS = 13;
+const TIME_COLUMN_PATTERN = /\b(year|date|month|quarter|period)\b/i;
+
+// Chart types that color each point rather than each dataset
+export const PER_POINT_COLOR_TYPES = ['pie', 'doughnut', 'polarArea', 'pie3d', 'doughnut3d'];
+
+const PALETTE = [
+  [54, 162, 235], [255, 99, 132], [255, 206, 86], [75, 192, 192], [153, 102, 255],
+  [255, 159, 64], [46, 204, 113], [231, 76, 60], [52, 73, 94], [241, 196, 15]
+];
+
+/**
+ * Default palette color for a series/point index
+ */
+export const paletteColor = (index, alpha) => `rgba(${PALETTE[index % PALETTE.length].join(', ')}, ${alpha})`;
+
+// ========== PARSING ==========
+
+/**
+ * Detect the file format from an explicit format, the filename or a data URI mime type
+ */
+function detectFormat({ format, filename, mimeType }) {
+  const candidate = (format || filename?.split('.').pop() || '').toLowerCase();
+  if (IMPORT_FORMATS.includes(candidate)) return candidate;
+  if (candidate === 'xls' || candidate === 'ods') {
+    throw new Error('Unsupported file format: only .xlsx spreadsheets are supported');
+  }
+  if (mimeType?.includes('spreadsheetml')) return 'xlsx';
+  if (mimeType === 'text/tab-separated-values') return 'tsv';
+  if (mimeType === 'text/csv') return 'csv';
+  if (mimeType === 'application/json') return 'json';
+  return null;
+}
+
+/**
+ * RFC 4180 CSV: quoted fields may contain delimiters, doubled quotes and newlines
+ */
+function parseDelimited(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// Comma unless the header line clearly uses semicolons (European Excel exports) or tabs
+function sniffDelimiter(text) {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const count = (ch) => firstLine.split(ch).length - 1;
+  if (count('\t') > count(',')) return '\t';
+  if (count(';') > count(',')) return ';';
+  return ',';
+}
+
+/**
+ * JSON arrays of objects (keys become columns) or of arrays (first row is the header)
+ */
+function parseJSONRows(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON file: ${error.message}`);
+  }
+  if (!Array.isArray(parsed)) {
+    // Accept { data: [...] } / { rows: [...] } wrappers
+    parsed = parsed?.data ?? parsed?.rows;
+    if (!Array.isArray(parsed)) throw new Error('Invalid JSON file: expected an array of rows');
+  }
+  if (parsed.length === 0) return { header: [], rows: [] };
+
+  if (Array.isArray(parsed[0])) {
+    return { header: parsed[0].map(String), rows: parsed.slice(1) };
+  }
+  if (typeof parsed[0] !== 'object' || parsed[0] === null) {
+    throw new Error('Invalid JSON file: expected an array of objects or arrays');
+  }
+
+  const header = [...new Set(parsed.flatMap(item => Object.keys(item || {})))];
+  return { header, rows: parsed.map(item => header.map(key => item?.[key] ?? null)) };
+}
+
+/**
+ * Decode the upload and split it into a header and data rows
+ * @param {Object} file - { base64Data | content, filename, format, sheet }
+ * @returns {{ format: string, header: Array<string>, rows: Array<Array>, sheet: string|null, sheets: Array<string> }}
+ */
+export function parseTable({ base64Data = null, content = null, filename = null, format = null, sheet = null }) {
+  let buffer;
+  let mimeType = null;
+  if (base64Data) {
+    const match = /^data:([^;,]+)?(?:;[^,]*)?,(.*)$/s.exec(base64Data);
+    mimeType = match?.[1] || null;
+    buffer = Buffer.from(match ? match[2] : base64Data, 'base64');
+  } else if (typeof content === 'string') {
+    buffer = Buffer.from(content, 'utf8');
+  } else if (Array.isArray(content)) {
+    // JSON rows sent inline in the request body
+    buffer = Buffer.from(JSON.stringify(content), 'utf8');
+    format = format || 'json';
+  } else {
+    throw new Error('Missing file: send base64Data or content');
+  }
+
+  const detected = detectFormat({ format, filename, mimeType })
+    // Zip signature → spreadsheet; leading [ or { → JSON; otherwise delimited text
+    || (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50 ? 'xlsx' : null)
+    || (/^\s*[[{]/.test(buffer.toString('utf8', 0, 64)) ? 'json' : 'csv');
+
+  if (detected === 'xlsx') {
+    const { rows, sheet: sheetName, sheets } = readXlsx(buffer, { sheet });
+    const [header = [], ...dataRows] = rows.filter(r => r.some(v => v !== null && v !== ''));
+    return { format: detected, header: header.map(h => (h === null ? '' : String(h))), rows: dataRows, sheet: sheetName, sheets };
+  }
+
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+  if (detected === 'json') {
+    return { format: detected, ...parseJSONRows(text), sheet: null, sheets: [] };
+  }
+
+  const delimiter = detected === 'tsv' ? '\t' : sniffDelimiter(text);
+  const [header = [], ...rows] = parseDelimited(text, delimiter).filter(r => r.some(v => v.trim() !== ''));
+  if (delimiter === ';') {
+    // Semicolon files come from locales that write 1.234,5 — read those numbers here, as a spreadsheet would
+    return { format: detected, header, rows: rows.map(r => r.map(readDecimalComma)), sheet: null, sheets: [] };
+  }
+  return { format: detected, header, rows, sheet: null, sheets: [] };
+}
+
+// ========== TYPE INFERENCE ==========
+
+/**
+ * Parse spreadsheet-style numbers: "1,234.5", "$12", "45%", "-3.2e4". Returns null otherwise.
+ * With decimalComma, the separators swap: "1.234,5", "1 234,5 €", "12,5%".
+ */
+export function parseNumber(value, { decimalComma = false } = {}) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+
+  const text = value.trim().replace(/^[$€£¥]\s?|\s?[$€£¥]$/g, '').replace(/%$/, '');
+  const pattern = decimalComma
+    ? /^[-+]?(\d{1,3}([. \u00a0\u202f]\d{3})+|\d+)?(,\d+)?([eE][-+]?\d+)?$/
+    : /^[-+]?(\d{1,3}(,\d{3})+|\d+)?(\.\d+)?([eE][-+]?\d+)?$/;
+  if (!pattern.test(text) || !/\d/.test(text)) return null;
+  const number = Number(decimalComma ? text.replace(/[. \u00a0\u202f]/g, '').replace(',', '.') : text.replace(/,/g, ''));
+  return Number.isFinite(number) ? number : null;
+}
+
+// Cell of a semicolon-delimited file: its number when it reads as one with a decimal comma
+function readDecimalComma(cell) {
+  const number = parseNumber(cell, { decimalComma: true });
+  return number === null ? cell : number;
+}
+
+const DATE_PATTERN = /^(\d{4}[-/]\d{1,2}([-/]\d{1,2})?([T ]\d{1,2}:\d{2}.*)?|\d{1,2}[-/]\d{1,2}[-/]\d{2,4}|[A-Za-z]{3,9}\.? \d{1,2},? \d{4}|\d{1,2} [A-Za-z]{3,9}\.? \d{4}|[A-Za-z]{3,9}\.? \d{4})$/;
+
+function isDate(value) {
+  return typeof value === 'string' && DATE_PATTERN.test(value.trim()) && !Number.isNaN(Date.parse(value.trim()));
+}
+
+const isEmpty = (value) => value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+
+/**
+ * Column type from its non-empty values: 'number', 'date', 'boolean', 'string' or 'empty'
+ */
+function inferType(values) {
+  const present = values.filter(v => !isEmpty(v));
+  if (present.length === 0) return 'empty';
+  if (present.every(v => parseNumber(v) !== null)) return 'number';
+  if (present.every(isDate)) return 'date';
+  if (present.every(v => typeof v === 'boolean' || /^(true|false)$/i.test(String(v).trim()))) return 'boolean';
+  return 'string';
+}
+
+/**
+ * Describe every column of the table
+ * @returns {Array<{ name, index, type, distinct }>}
+ */
+export function inferColumns(header, rows) {
+  const width = Math.max(header.length, ...rows.map(r => r.length));
+  return Array.from({ length: width }, (_, index) => {
+    const values = rows.map(r => r[index]);
+    return {
+      name: String(header[index] ?? '').trim() || `Column ${index + 1}`,
+      index,
+      type: inferType(values),
+      distinct: new Set(values.filter(v => !isEmpty(v)).map(String)).size
+    };
+  });
+}
+
+// ========== COLUMN & CHART SELECTION ==========
+
+function findColumn(columns, ref) {
+  if (ref === null || ref === undefined || ref === '') return null;
+  const column = typeof ref === 'number'
+    ? columns[ref]
+    : columns.find(c => c.name === ref) || columns.find(c => c.name.toLowerCase() === String(ref).toLowerCase());
+  if (!column) throw new Error(`Unknown column: ${ref}`);
+  return column;
+}
+
+/**
+ * Label column: requested, else the first text/date column; value columns: requested, else every
+ * other numeric column. A first column of distinct integers (years, IDs) works as labels when
+ * there are other numeric columns to plot.
+ */
+function selectColumns(columns, { labelColumn, valueColumns }) {
+  let label = findColumn(columns, labelColumn);
+  if (!label && labelColumn === undefined) {
+    label = columns.find(c => c.type === 'string' || c.type === 'date') || null;
+  }
+
+  let values;
+  if (Array.isArray(valueColumns) && valueColumns.length > 0) {
+    values = valueColumns.map(ref => findColumn(columns, ref));
+    const nonNumeric = values.find(c => c.type !== 'number');
+    if (nonNumeric) throw new Error(`Invalid value column: '${nonNumeric.name}' is not numeric`);
+  } else {
+    values = columns.filter(c => c.type === 'number' && c !== label);
+    if (!label && labelColumn === undefined && values.length > 1 && (TIME_COLUMN_PATTERN.test(values[0].name) || /\bid\b/i.test(values[0].name))) {
+      label = values.shift();
+    }
+  }
+
+  if (values.length === 0) throw new Error('No numeric columns found to chart');
+  return { label, values };
+}
+
+/**
+ * Suggest a chart type from the shape of the data
+ *  - no label column, 2 numeric columns → scatter; 3 → bubble
+ *  - dates (or a numeric year/month/period label), or many points → line
+ *  - a single non-negative series with few categories → pie
+ *  - otherwise → bar
+ */
+export function suggestChartType({ label, values, rowCount, rows }) {
+  if (!label && values.length === 2) return 'scatter';
+  if (!label && values.length === 3) return 'bubble';
+  const isTimeLabel = label?.type === 'date' || (label?.type === 'number' && TIME_COLUMN_PATTERN.test(label.name));
+  if (isTimeLabel || rowCount >= LINE_MIN_POINTS) return 'line';
+
+  if (values.length === 1 && rowCount >= 2 && rowCount <= PIE_MAX_SLICES) {
+    const series = rows.map(r => parseNumber(r[values[0].index]));
+    if (series.every(v => v !== null && v >= 0)) return 'pie';
+  }
+  return 'bar';
+}
+
+// ========== CHART DATA ==========
+
+const labelText = (value) => (isEmpty(value) ? '' : (typeof value === 'number' ? value : String(value).trim()));
+
+function buildCategoryData(chartType, label, values, rows) {
+  const perPoint = PER_POINT_COLOR_TYPES.includes(chartType);
+  const labels = rows.map((r, i) => (label ? labelText(r[label.index]) : `Row ${i + 1}`));
+
+  return {
+    labels,
+    datasets: values.map((column, d) => ({
+      label: column.name,
+      data: rows.map(r => parseNumber(r[column.index])),
+      backgroundColor: perPoint ? labels.map((_, i) => paletteColor(i, 0.7)) : paletteColor(d, chartType === 'line' || chartType === 'radar' ? 0.2 : 0.7),
+      borderColor: perPoint ? labels.map((_, i) => paletteColor(i, 1)) : paletteColor(d, 1)
+    }))
+  };
+}
+
+function buildPointData(chartType, label, values, rows) {
+  const needed = chartType === 'bubble' ? 3 : 2;
+  if (values.length < needed) {
+    throw new Error(`${chartType} charts need at least ${needed} numeric columns`);
+  }
+  const [xCol, yCol, rCol] = values;
+
+  const points = [];
+  const labels = [];
+  rows.forEach((r, i) => {
+    const x = parseNumber(r[xCol.index]);
+    const y = parseNumber(r[yCol.index]);
+    if (x === null || y === null) return;
+    points.push({ x, y, raw: rCol ? parseNumber(r[rCol.index]) ?? 0 : null });
+    labels.push(label ? String(labelText(r[label.index])) : `Row ${i + 1}`);
+  });
+
+  // Bubble radii are scaled to 4-20px so a column of revenue figures doesn't fill the canvas
+  if (chartType === 'bubble') {
+    const raws = points.map(p => p.raw);
+    const min = Math.min(...raws);
+    const span = Math.max(...raws) - min || 1;
+    points.forEach(p => { p.r = Number((4 + 16 * (p.raw - min) / span).toFixed(2)); });
+  }
+
+  return {
+    labels,
+    datasets: [{
+      label: chartType === 'bubble' ? `${yCol.name} vs ${xCol.name} (size: ${rCol.name})` : `${yCol.name} vs ${xCol.name}`,
+      data: points.map(({ raw, ...point }) => point),
+      backgroundColor: paletteColor(0, 0.6),
+      borderColor: paletteColor(0, 1)
+    }]
+  };
+}
+
+/**
+ * Import a table as chart data
+ * @param {Object} file - { base64Data | content, filename, format, sheet }
+ * @param {Object} options - { labelColumn, valueColumns, chartType } (all optional; inferred when omitted, labelColumn: null = none)
+ * @returns {Object} - { chartType, chartData, title, xAxisTitle, yAxisTitle, columns, labelColumn, valueColumns, warnings, _metadata }
+ */
+export function importChartData(file, { labelColumn, valueColumns, chartType = null } = {}) {
+  if (chartType && !CHART_TYPES.includes(chartType)) {
+    throw new Error(`Invalid chartType: must be one of ${CHART_TYPES.join(', ')}`);
+  }
+
+  const { format, header, rows: allRows, sheet, sheets } = parseTable(file);
+  if (allRows.length === 0) throw new Error('No data rows found');
+
+  const warnings = [];
+  const rows = allRows.slice(0, MAX_ROWS);
+  if (allRows.length > MAX_ROWS) {
+    warnings.push(`Only the first ${MAX_ROWS} of ${allRows.length} rows were imported`);
+  }
+
+  const columns = inferColumns(header, rows);
+  const { label, values } = selectColumns(columns, { labelColumn, valueColumns });
+  const resolvedType = chartType || suggestChartType({ label, values, rowCount: rows.length, rows });
+
+  const chartData = ['scatter', 'bubble'].includes(resolvedType)
+    ? buildPointData(resolvedType, label, values, rows)
+    : buildCategoryData(resolvedType, label, values, rows);
+
+  const skipped = rows.length - (chartData.datasets[0].data.length);
+  if (skipped > 0) warnings.push(`${skipped} rows without numeric x/y values were skipped`);
+  const gaps = chartData.datasets.reduce((n, ds) => n + ds.data.filter(v => v === null).length, 0);
+  if (gaps > 0) warnings.push(`${gaps} empty or non-numeric cells were left as gaps`);
+
+  // Same contract as AI responses, so the result can go straight to saveChartSnapshot
+  const { violations } = validateChartResponse({ chartType: resolvedType, chartData });
+  const fatal = violations.filter(v => v.severity === SEVERITY.FATAL);
+  if (fatal.length > 0) {
+    throw new Error(`Invalid chart data: ${fatal.map(v => `${v.path}: ${v.message}`).join('; ')}`);
+  }
+
+  const isPointChart = ['scatter', 'bubble'].includes(resolvedType);
+  return {
+    chartType: resolvedType,
+    chartData,
+    chartConfig: null,
+    title: file.filename ? file.filename.replace(/\.[^.]+$/, '') : null,
+    xAxisTitle: isPointChart ? values[0].name : (label?.name || null),
+    yAxisTitle: isPointChart ? values[1].name : (values.length === 1 ? values[0].name : null),
+    columns: columns.map(({ name, type }) => ({ name, type })),
+    labelColumn: label?.name || null,
+    valueColumns: values.map(c => c.name),
+    warnings,
+    _metadata: {
+      source: 'import',
+      format,
+      sheet,
+      sheets,
+      row_count: rows.length,
+      suggested_chart_type: chartType ? null : resolvedType
+    }
+  };
+}
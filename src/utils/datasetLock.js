@@ -0,0 +1,153 @@
+import { CHART_TYPES } from './chartSchema.js';
+import { importChartData, paletteColor, PER_POINT_COLOR_TYPES } from './dataImport.js';
+
+/**
+ * Locked datasets (hybrid mode)
+ * When the user supplies their own numbers, the AI only styles and narrates the chart:
+ * the labels, series and values are fixed. The model is asked to echo them unchanged;
+ * whatever it returns is compared against the supplied data and any drift is overwritten
+ * with the real values (and reported), so invented or rounded numbers never reach the chart.
+ */
+
+const POINT_CHART_TYPES = ['scatter', 'bubble'];
+
+// Every value is echoed back by the model, so keep the prompt and answer a sensible size
+const MAX_LOCKED_VALUES = 2000;
+const MAX_DRIFT_DETAILS = 20;
+
+/**
+ * Turn a request `dataset` into locked chart data
+ * @param {Object|Array} dataset - { columns, rows, labelColumn?, valueColumns?, chartType? } or an array of row objects
+ * @returns {Object} - { kind: 'category'|'point', chartType, allowedTypes, labels, datasets: [{ label, data }], columns }
+ */
+export function lockDataset(dataset) {
+  let content;
+  let options = {};
+  if (Array.isArray(dataset)) {
+    content = dataset;
+  } else if (dataset && Array.isArray(dataset.rows)) {
+    const { columns, rows, labelColumn, valueColumns, chartType } = dataset;
+    if (rows.length > 0 && Array.isArray(rows[0]) && !Array.isArray(columns)) {
+      throw new Error('Invalid dataset: columns are required when rows are arrays');
+    }
+    content = Array.isArray(columns) ? [columns, ...rows] : rows;
+    options = { labelColumn, valueColumns, chartType };
+  } else {
+    throw new Error('Invalid dataset: expected { columns, rows } or an array of row objects');
+  }
+
+  let imported;
+  try {
+    imported = importChartData({ content, format: 'json' }, options);
+  } catch (error) {
+    throw new Error(`Invalid dataset: ${error.message}`);
+  }
+
+  const { chartType, chartData, columns } = imported;
+  const valueCount = chartData.datasets.reduce((n, ds) => n + ds.data.length, 0);
+  if (valueCount > MAX_LOCKED_VALUES) {
+    throw new Error(`Invalid dataset: at most ${MAX_LOCKED_VALUES} values can be charted in hybrid mode (got ${valueCount})`);
+  }
+
+  const kind = POINT_CHART_TYPES.includes(chartType) ? 'point' : 'category';
+  return {
+    kind,
+    chartType,
+    // Point data only fits its own type (bubble needs r); category data fits every category chart
+    allowedTypes: kind === 'point' ? [chartType] : CHART_TYPES.filter(t => !POINT_CHART_TYPES.includes(t)),
+    labels: chartData.labels,
+    datasets: chartData.datasets.map(({ label, data }) => ({ label, data })),
+    columns
+  };
+}
+
+// ========== VERIFICATION ==========
+
+function sameValue(a, b) {
+  if (a && typeof a === 'object' && b && typeof b === 'object') {
+    return ['x', 'y', 'r'].every(key => a[key] === b[key]);
+  }
+  return a === b;
+}
+
+// Per-point arrays must line up with the locked data; repeat or trim the model's choices
+function fitArray(value, length) {
+  if (!Array.isArray(value) || value.length <= 1 || value.length === length) return value;
+  return Array.from({ length }, (_, i) => value[i % value.length]);
+}
+
+function fitStyling(dataset, index, length, chartType) {
+  const perPoint = PER_POINT_COLOR_TYPES.includes(chartType);
+  const styled = { ...dataset };
+
+  if (styled.backgroundColor === undefined) {
+    styled.backgroundColor = perPoint ? Array.from({ length }, (_, i) => paletteColor(i, 0.7)) : paletteColor(index, 0.7);
+  }
+  if (styled.borderColor === undefined) {
+    styled.borderColor = perPoint ? Array.from({ length }, (_, i) => paletteColor(i, 1)) : paletteColor(index, 1);
+  }
+  styled.backgroundColor = fitArray(styled.backgroundColor, length);
+  styled.borderColor = fitArray(styled.borderColor, length);
+
+  // Images belong to specific points, so pad with "no image" rather than repeating
+  for (const key of ['pointImages', 'pointImageConfig']) {
+    if (Array.isArray(styled[key]) && styled[key].length !== length) {
+      styled[key] = Array.from({ length }, (_, i) => styled[key][i] ?? null);
+    }
+  }
+  return styled;
+}
+
+/**
+ * Compare a parsed AI response with the locked data and overwrite any drift in place
+ * @param {Object} response - Parsed (and schema-validated) AI response
+ * @param {Object} locked - Result of lockDataset()
+ * @returns {Object} - { locked: true, repaired, drift_count, drift: [{ path, expected, received }] }
+ */
+export function enforceLockedData(response, locked) {
+  const dataKey = response.chartData ? 'chartData' : 'data';
+  const received = response[dataKey] || {};
+  const drift = [];
+  let driftCount = 0;
+  const note = (path, expected, actual) => {
+    driftCount++;
+    if (drift.length < MAX_DRIFT_DETAILS) drift.push({ path, expected, received: actual === undefined ? null : actual });
+  };
+
+  const compareArrays = (path, expected, actual) => {
+    if (!Array.isArray(actual)) {
+      note(path, expected, actual);
+      return;
+    }
+    if (actual.length !== expected.length) {
+      note(`${path}.length`, expected.length, actual.length);
+    }
+    expected.forEach((value, i) => {
+      if (i < actual.length && !sameValue(value, actual[i])) note(`${path}[${i}]`, value, actual[i]);
+    });
+  };
+
+  compareArrays(`${dataKey}.labels`, locked.labels, received.labels);
+
+  const aiDatasets = Array.isArray(received.datasets) ? received.datasets : [];
+  if (aiDatasets.length !== locked.datasets.length) {
+    note(`${dataKey}.datasets.length`, locked.datasets.length, aiDatasets.length);
+  }
+
+  const datasets = locked.datasets.map((lockedDataset, i) => {
+    const base = `${dataKey}.datasets[${i}]`;
+    const aiDataset = aiDatasets[i] || {};
+    if (aiDataset.label !== lockedDataset.label) note(`${base}.label`, lockedDataset.label, aiDataset.label);
+    compareArrays(`${base}.data`, lockedDataset.data, aiDataset.data);
+
+    return fitStyling({
+      ...aiDataset,
+      label: lockedDataset.label,
+      data: structuredClone(lockedDataset.data)
+    }, i, lockedDataset.data.length, response.chartType);
+  });
+
+  response[dataKey] = { ...received, labels: [...locked.labels], datasets };
+
+  return { locked: true, repaired: driftCount > 0, drift_count: driftCount, drift };
+}
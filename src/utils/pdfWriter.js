@@ -0,0 +1,64 @@
+import { promisify } from 'node:util';
+import zlib from 'node:zlib';
+
+const deflate = promisify(zlib.deflate);
+
+/**
+ * Minimal PDF writer
+ * Wraps one raster image in a single-page PDF (page size = image size at 72 dpi, or the
+ * given page size). Enough for exporting a rendered chart without a PDF library.
+ */
+
+/**
+ * @param {Buffer} pixels - Raw 8-bit RGB pixels (no alpha), row-major
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {Object} options - { pageWidth, pageHeight } in points (defaults to the pixel size)
+ * @returns {Promise<Buffer>} - PDF document
+ */
+export async function imageToPdf(pixels, width, height, { pageWidth = width, pageHeight = height } = {}) {
+  // Compressed on the libuv threadpool: a full-size raster takes a while
+  const image = await deflate(pixels);
+  const content = Buffer.from(`q ${pageWidth} 0 0 ${pageHeight} 0 0 cm /Im0 Do Q`);
+
+  const objects = [
+    Buffer.from('<< /Type /Catalog /Pages 2 0 R >>'),
+    Buffer.from('<< /Type /Pages /Kids [3 0 R] /Count 1 >>'),
+    Buffer.from(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] /Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R >>`),
+    Buffer.concat([
+      Buffer.from(`<< /Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /FlateDecode /Length ${image.length} >>\nstream\n`),
+      image,
+      Buffer.from('\nendstream')
+    ]),
+    Buffer.concat([
+      Buffer.from(`<< /Length ${content.length} >>\nstream\n`),
+      content,
+      Buffer.from('\nendstream')
+    ])
+  ];
+
+  const chunks = [Buffer.from('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n', 'latin1')];
+  let offset = chunks[0].length;
+  const offsets = objects.map((body, i) => {
+    const chunk = Buffer.concat([Buffer.from(`${i + 1} 0 obj\n`), body, Buffer.from('\nendobj\n')]);
+    chunks.push(chunk);
+    const start = offset;
+    offset += chunk.length;
+    return start;
+  });
+
+  const xref = [
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map(o => `${String(o).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} /Root 1 0 R >>`,
+    'startxref',
+    String(offset),
+    '%%EOF'
+  ].join('\n');
+  chunks.push(Buffer.from(`${xref}\n`));
+
+  return Buffer.concat(chunks);
+}
@@ -0,0 +1,86 @@
+import { PER_POINT_COLOR_TYPES } from './dataImport.js';
+
+/**
+ * Project styles
+ * New charts made in a project pick up its look: the brand palette (or, without one, the
+ * style preset's base colors) colors the series — per slice for pie-like charts — and the
+ * preset's dataset style (border width, tension, point radius, ...) is applied to every
+ * dataset. The preset's chart config is returned as `styleConfig` when it was made for the
+ * same chart type, for the client to lay over its defaults.
+ */
+
+export const MAX_PALETTE_COLORS = 20;
+
+const HEX_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+const RGB_COLOR = /^rgba?\(\s*(\d{1,3})\s*,\s*(\d{1,3})\s*,\s*(\d{1,3})\s*(?:,\s*(?:0|1|0?\.\d+)\s*)?\)$/i;
+
+// Area-like series are filled with a faint tint of their color (same alphas as imported data)
+const TINTED_TYPES = ['line', 'radar', 'area'];
+
+/**
+ * @param {string} color - #rgb, #rrggbb, rgb() or rgba()
+ * @returns {number[]|null} - [r, g, b], or null if it isn't a color we accept
+ */
+export function parseColor(color) {
+  if (typeof color !== 'string') return null;
+  const value = color.trim();
+  const hex = HEX_COLOR.exec(value);
+  if (hex) {
+    const digits = hex[1].length === 3 ? [...hex[1]].map(d => d + d).join('') : hex[1];
+    return [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16));
+  }
+  const rgb = RGB_COLOR.exec(value);
+  if (rgb) {
+    const channels = rgb.slice(1, 4).map(Number);
+    return channels.every(c => c <= 255) ? channels : null;
+  }
+  return null;
+}
+
+const rgba = ([r, g, b], alpha) => `rgba(${r}, ${g}, ${b}, ${alpha})`;
+
+/**
+ * Apply a project's style to a generated chart
+ * @param {Object} chart - Generator result ({ chartType, chartData, ... })
+ * @param {Object} style - { palette: string[], preset: chart_style_presets row | null }
+ * @returns {Object} - A styled copy of the chart, with `styleConfig` (or null)
+ */
+export function applyProjectStyle(chart, { palette = [], preset = null } = {}) {
+  const styled = structuredClone(chart);
+  const chartType = styled.chartType;
+  const chartData = styled.chartData || styled.data;
+  const datasets = Array.isArray(chartData?.datasets) ? chartData.datasets : [];
+
+  const brand = palette.map(parseColor).filter(Boolean);
+  const strategy = preset?.color_strategy || {};
+  const presetColors = (strategy.mode === 'single' && strategy.singleColor ? [strategy.singleColor] : strategy.baseColors || [])
+    .map(parseColor)
+    .filter(Boolean);
+  const colors = brand.length > 0 ? brand : presetColors;
+
+  const datasetStyle = preset?.dataset_style && typeof preset.dataset_style === 'object' ? preset.dataset_style : {};
+  const perPoint = PER_POINT_COLOR_TYPES.includes(chartType) || (brand.length === 0 && strategy.mode === 'slice' && datasets.length === 1);
+  const fillAlpha = TINTED_TYPES.includes(chartType) ? 0.2 : 0.7;
+
+  datasets.forEach((dataset, d) => {
+    // Preset-only keys like datasetPattern aren't Chart.js options
+    for (const [key, value] of Object.entries(datasetStyle)) {
+      if (key !== 'datasetPattern') dataset[key] = value;
+    }
+    if (colors.length === 0) return;
+    if (perPoint) {
+      const count = Array.isArray(dataset.data) ? dataset.data.length : 0;
+      dataset.backgroundColor = Array.from({ length: count }, (_, i) => rgba(colors[i % colors.length], fillAlpha));
+      dataset.borderColor = Array.from({ length: count }, (_, i) => rgba(colors[i % colors.length], 1));
+    } else {
+      const color = colors[d % colors.length];
+      dataset.backgroundColor = rgba(color, fillAlpha);
+      dataset.borderColor = rgba(color, 1);
+    }
+  });
+
+  styled.styleConfig = preset && preset.chart_type === chartType && preset.config_snapshot
+    ? structuredClone(preset.config_snapshot)
+    : null;
+  return styled;
+}
@@ -0,0 +1,88 @@
+import dns from 'node:dns';
+import http from 'node:http';
+import https from 'node:https';
+import net from 'node:net';
+import fetch from 'node-fetch';
+
+/**
+ * Fetch for user-supplied URLs (SSRF guard)
+ * Only http(s) URLs whose host resolves to a public address are fetched. The address
+ * is checked in the agent's DNS lookup, i.e. on the IP actually connected to, so a
+ * host can't resolve to something public for the check and private for the request.
+ * Redirects are followed by hand and each hop goes through the same check.
+ */
+
+const MAX_REDIRECTS = 3;
+
+// Loopback, private, link-local (cloud metadata), CGNAT, multicast and reserved ranges.
+// IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) are matched against the IPv4 rules.
+const BLOCKED = new net.BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) BLOCKED.addSubnet(prefix, bits, 'ipv4');
+for (const [prefix, bits] of [
+  ['::', 127], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['2002::', 16],
+  ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]
+]) BLOCKED.addSubnet(prefix, bits, 'ipv6');
+
+/**
+ * Whether an IP address is safe to connect to on behalf of a user
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+export function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !BLOCKED.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function localNetworkError() {
+  return new Error('Local network addresses are not allowed');
+}
+
+// dns.lookup that refuses to hand a blocked address to the socket
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (!addresses.length || addresses.some(entry => !isPublicAddress(entry.address))) {
+      return callback(localNetworkError());
+    }
+    callback(null, address, family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: publicLookup });
+const httpsAgent = new https.Agent({ lookup: publicLookup });
+
+// Sockets skip the lookup for IP literals (including the decimal/hex forms URL normalizes), so check those here
+function checkUrl(url) {
+  if (!['http:', 'https:'].includes(url.protocol)) throw new Error('Only http(s) URLs are allowed');
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && !isPublicAddress(host)) throw localNetworkError();
+}
+
+/**
+ * Fetch a user-supplied URL, refusing anything on the local network
+ * @param {string} url - URL to fetch
+ * @param {Object} options - node-fetch options (redirect and agent are set here)
+ * @returns {Promise<Response>}
+ */
+export async function fetchPublicUrl(url, options = {}) {
+  let target = new URL(url);
+  for (let hop = 0; ; hop++) {
+    checkUrl(target);
+    const response = await fetch(target.href, {
+      ...options,
+      redirect: 'manual',
+      agent: target.protocol === 'https:' ? httpsAgent : httpAgent
+    });
+
+    const location = response.headers.get('location');
+    if (response.status < 300 || response.status >= 400 || !location) return response;
+    if (hop >= MAX_REDIRECTS) throw new Error('Too many redirects');
+    target = new URL(location, target);
+  }
+}
@@ -0,0 +1,124 @@
+import crypto from 'node:crypto';
+
+/**
+ * Chart response cache
+ * Opt-in (AI_CACHE_ENABLED=true) cache for generateChart results, so regenerating the
+ * same prompt with the same provider/model/template/format doesn't pay for another LLM call.
+ * Entries are scoped to one user: prompts can carry private data, so answers are never
+ * shared between accounts.
+ *
+ * A backend is any object with async get(key), set(key, value, ttlMs), delete(key) and clear().
+ * The in-process LRU below is the default; a shared store (Redis, Supabase, ...) registers
+ * itself with registerCacheBackend('redis', options => backend) and is selected by AI_CACHE_BACKEND.
+ */
+
+const DEFAULT_TTL_SECONDS = 3600;
+const DEFAULT_MAX_ENTRIES = 500;
+
+/**
+ * In-process LRU with per-entry TTL. Map insertion order doubles as recency order.
+ */
+export class MemoryLRUCache {
+  constructor({ maxEntries = DEFAULT_MAX_ENTRIES, ttlMs = DEFAULT_TTL_SECONDS * 1000 } = {}) {
+    this.maxEntries = maxEntries;
+    this.ttlMs = ttlMs;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (Date.now() > entry.expiresAt) {
+      this.entries.delete(key);
+      return null;
+    }
+    // Move to the most-recently-used end
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, ttlMs = this.ttlMs) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+const backends = new Map([
+  ['memory', (options) => new MemoryLRUCache(options)]
+]);
+
+/**
+ * Make a cache backend selectable through AI_CACHE_BACKEND
+ * @param {string} name - Backend name
+ * @param {Function} factory - ({ maxEntries, ttlMs }) => backend
+ */
+export function registerCacheBackend(name, factory) {
+  backends.set(name, factory);
+}
+
+// JSON with sorted object keys, so equal structures always hash the same
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Cache key for a generation request. Input is normalized (case, whitespace) so trivial
+ * retyping still hits; template/format structures are compared structurally.
+ * @param {Object} request - { scope (user ID), input, provider, model, templateStructure, formatStructure, promptVersion, dataset }
+ * @returns {string}
+ */
+export function buildCacheKey({ scope, input, provider, model, templateStructure = null, formatStructure = null, promptVersion = null, dataset = null }) {
+  if (!scope) throw new Error('Cache keys need a scope (user ID)');
+  const normalizedInput = String(input || '').trim().replace(/\s+/g, ' ').toLowerCase();
+  const payload = stableStringify({ scope, input: normalizedInput, provider, model: model || null, templateStructure, formatStructure, promptVersion, dataset });
+  return `chart:${crypto.createHash('sha256').update(payload).digest('hex')}`;
+}
+
+let sharedCache;
+
+/**
+ * The process-wide response cache, or null when caching is off
+ * @returns {Object|null} - Cache backend (with ttlMs)
+ */
+export function getResponseCache() {
+  if (sharedCache !== undefined) return sharedCache;
+
+  if (process.env.AI_CACHE_ENABLED !== 'true') {
+    sharedCache = null;
+    return sharedCache;
+  }
+
+  const name = process.env.AI_CACHE_BACKEND || 'memory';
+  const factory = backends.get(name);
+  if (!factory) {
+    console.warn(`Unknown AI_CACHE_BACKEND '${name}', response caching disabled`);
+    sharedCache = null;
+    return sharedCache;
+  }
+
+  const ttlMs = (parseInt(process.env.AI_CACHE_TTL_SECONDS, 10) || DEFAULT_TTL_SECONDS) * 1000;
+  const maxEntries = parseInt(process.env.AI_CACHE_MAX_ENTRIES, 10) || DEFAULT_MAX_ENTRIES;
+  sharedCache = factory({ maxEntries, ttlMs });
+  console.log(`🗄️ AI response cache enabled (${name}, ttl ${ttlMs / 1000}s)`);
+  return sharedCache;
+}
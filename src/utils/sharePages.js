@@ -0,0 +1,155 @@
+/**
+ * Public share pages
+ * HTML for the share landing page (Open Graph / Twitter card tags plus oEmbed discovery, so
+ * links unfurl in Slack, Notion or a CMS) and for the iframe embed page. Both inline the chart
+ * (SVG, or a PNG for image-only links); unfurlers get the og:image PNG instead.
+ */
+
+export const OG_IMAGE_WIDTH = 1200;
+export const OG_IMAGE_HEIGHT = 630;
+
+export const SITE_NAME = 'Chart Generator';
+
+/**
+ * Public origin of this server, for absolute URLs in meta tags and oEmbed responses
+ * @param {Object} req - Express request
+ * @returns {string}
+ */
+export function publicBaseUrl(req) {
+  return (process.env.SERVER_PUBLIC_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+}
+
+/**
+ * Password for a protected share link, sent as X-Share-Password. Never read from the query
+ * string, where it would end up in logs, history and Referer headers.
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+export function sharePassword(req) {
+  const password = req.get('X-Share-Password');
+  return typeof password === 'string' && password ? password : null;
+}
+
+/**
+ * Cache-Control for a shared chart response. Only open links without an expiry may sit in
+ * shared caches for a few minutes; anything behind a password must not be stored, and
+ * expiring links must stop working on time. Responses that count views are revalidated on
+ * every request instead, since a cache hit never reaches the counter. Send with
+ * Vary: X-Share-Password.
+ * @param {Object} req - Express request
+ * @param {Object} snapshot - getSharedChart result
+ * @param {Object} options - { countsViews }
+ * @returns {string}
+ */
+export function shareCacheControl(req, snapshot, { countsViews = false } = {}) {
+  if (snapshot.has_password || snapshot.expires_at || sharePassword(req)) return 'private, no-store';
+  return countsViews ? 'public, no-cache' : 'public, max-age=300';
+}
+
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function pluginText(config, name) {
+  const value = config?.plugins?.[name]?.text;
+  const joined = Array.isArray(value) ? value.join(' ') : value;
+  return joined ? String(joined).trim() : '';
+}
+
+/**
+ * Title and description for a shared snapshot, from its chart title/subtitle
+ * @param {Object} snapshot - Row returned by getSharedChart()
+ * @returns {{ title: string, description: string }}
+ */
+export function shareMetadata(snapshot) {
+  const config = snapshot.chart_config || {};
+  const content = snapshot.template_content || {};
+  const title = pluginText(config, 'title') || content.title || 'Shared chart';
+
+  let description = pluginText(config, 'subtitle') || content.subtitle || '';
+  if (!description) {
+    const series = (snapshot.chart_data?.datasets || []).map(ds => ds.label).filter(Boolean);
+    description = `${snapshot.chart_type || 'bar'} chart` + (series.length ? ` of ${series.slice(0, 3).join(', ')}` : '');
+    description = description.charAt(0).toUpperCase() + description.slice(1);
+  }
+  return { title: String(title), description: String(description) };
+}
+
+/**
+ * Landing page for /share/:shareId
+ * @param {Object} options - { title, description, chart (SVG or <img> markup), urls: { page, image, embed, oembed } }
+ * @returns {string} - HTML document
+ */
+export function renderLandingPage({ title, description, chart, urls }) {
+  const meta = [
+    ['og:type', 'website'],
+    ['og:site_name', SITE_NAME],
+    ['og:title', title],
+    ['og:description', description],
+    ['og:url', urls.page],
+    ['og:image', urls.image],
+    ['og:image:type', 'image/png'],
+    ['og:image:width', OG_IMAGE_WIDTH],
+    ['og:image:height', OG_IMAGE_HEIGHT]
+  ].map(([property, content]) => `<meta property="${property}" content="${escapeHtml(content)}">`);
+  const twitter = [
+    ['twitter:card', 'summary_large_image'],
+    ['twitter:title', title],
+    ['twitter:description', description],
+    ['twitter:image', urls.image]
+  ].map(([name, content]) => `<meta name="${name}" content="${escapeHtml(content)}">`);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<meta name="description" content="${escapeHtml(description)}">
+${[...meta, ...twitter].join('\n')}
+<link rel="canonical" href="${escapeHtml(urls.page)}">
+<link rel="alternate" type="application/json+oembed" href="${escapeHtml(urls.oembed)}" title="${escapeHtml(title)}">
+<style>
+body{margin:0;padding:32px 16px;background:#f5f6f8;font-family:Helvetica,Arial,sans-serif;color:#333}
+main{max-width:900px;margin:0 auto}
+h1{font-size:22px;margin:0 0 4px}
+p{margin:0 0 16px;color:#666}
+figure{margin:0;background:#fff;border-radius:8px;box-shadow:0 1px 3px rgba(0,0,0,.12);overflow:hidden}
+figure svg,figure img{display:block;width:100%;height:auto}
+</style>
+</head>
+<body>
+<main>
+<h1>${escapeHtml(title)}</h1>
+<p>${escapeHtml(description)}</p>
+<figure>${chart}</figure>
+</main>
+</body>
+</html>`;
+}
+
+/**
+ * Iframe page for /share/:shareId/embed
+ * @param {Object} options - { title, chart (SVG or <img> markup), theme }
+ * @returns {string} - HTML document
+ */
+export function renderEmbedPage({ title, chart, theme }) {
+  const background = theme === 'dark' ? '#1e1e1e' : '#fff';
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+html,body{margin:0;height:100%;background:${background};overflow:hidden}
+svg,img{display:block;width:100%;height:100%;object-fit:contain}
+</style>
+</head>
+<body>${chart}</body>
+</html>`;
+}
@@ -0,0 +1,37 @@
+/**
+ * Recursively extracts Supabase storage file paths from any object or string
+ * @param {any} obj - Object, array, or string to scan
+ * @param {Set<string>} paths - Set to collect paths in
+ * @returns {Set<string>} Set of extracted paths
+ */
+export function extractStoragePaths(obj, paths = new Set()) {
+  if (!obj) return paths;
+
+  if (typeof obj === 'string') {
+    const marker = '/storage/v1/object/public/format-assets/';
+    const index = obj.indexOf(marker);
+    if (index !== -1) {
+      let path = obj.substring(index + marker.length);
+      // Strip query parameters or hashes if present
+      const queryIndex = path.indexOf('?');
+      if (queryIndex !== -1) path = path.substring(0, queryIndex);
+      const hashIndex = path.indexOf('#');
+      if (hashIndex !== -1) path = path.substring(0, hashIndex);
+      
+      if (path) {
+        paths.add(path);
+      }
+    }
+  } else if (Array.isArray(obj)) {
+    for (const item of obj) {
+      extractStoragePaths(item, paths);
+    }
+  } else if (typeof obj === 'object') {
+    for (const key in obj) {
+      if (Object.prototype.hasOwnProperty.call(obj, key)) {
+        extractStoragePaths(obj[key], paths);
+      }
+    }
+  }
+  return paths;
+}
@@ -0,0 +1,127 @@
+/**
+ * Streaming helpers shared by the AI adapters and the SSE endpoints.
+ * Adapters use the collectors to turn a provider stream into the same
+ * { content, tokensUsed, rawResponse } shape returned by non-streaming calls.
+ */
+
+/**
+ * Drain an OpenAI-compatible chat completion stream
+ * @param {AsyncIterable<Object>} stream - Stream returned by chat.completions.create({ stream: true })
+ * @param {Function} onToken - Called with each content delta
+ * @returns {Promise<Object>} - { content, tokensUsed, rawResponse }
+ */
+export async function collectChatCompletionStream(stream, onToken) {
+  let content = '';
+  let finishReason = null;
+  let usage = null;
+  let lastChunk = null;
+
+  for await (const chunk of stream) {
+    lastChunk = chunk;
+    const choice = chunk.choices?.[0];
+    const delta = choice?.delta?.content;
+    if (delta) {
+      content += delta;
+      onToken(delta);
+    }
+    if (choice?.finish_reason) finishReason = choice.finish_reason;
+    if (chunk.usage) usage = chunk.usage;
+  }
+
+  // Shape the raw response like a non-streamed completion so getAdditionalMetadata keeps working
+  const rawResponse = {
+    id: lastChunk?.id || null,
+    model: lastChunk?.model || null,
+    choices: [{ message: { role: 'assistant', content }, finish_reason: finishReason }],
+    usage,
+    citations: lastChunk?.citations || null
+  };
+
+  return {
+    content,
+    tokensUsed: usage?.total_tokens || null,
+    rawResponse
+  };
+}
+
+/**
+ * Drain a Gemini generateContentStream result
+ * @param {Object} result - Result of genModel.generateContentStream()
+ * @param {Function} onToken - Called with each text delta
+ * @returns {Promise<Object>} - { content, response } where response is the aggregated Gemini response
+ */
+export async function collectGeminiStream(result, onToken) {
+  let content = '';
+
+  for await (const chunk of result.stream) {
+    const delta = chunk.text();
+    if (delta) {
+      content += delta;
+      onToken(delta);
+    }
+  }
+
+  return { content, response: await result.response };
+}
+
+/**
+ * Signal for one provider call: aborts after the timeout, or as soon as the caller's signal does
+ * @param {number} timeoutMs - Request timeout
+ * @param {AbortSignal|null} signal - Caller's signal (client disconnected)
+ * @returns {AbortSignal}
+ */
+export function requestSignal(timeoutMs, signal = null) {
+  const timeout = AbortSignal.timeout(timeoutMs);
+  return signal ? AbortSignal.any([timeout, signal]) : timeout;
+}
+
+/**
+ * Signal that aborts when the client goes away before the response is complete, so work done
+ * on its behalf (provider calls, fallbacks, correction turns) can stop
+ * @param {Object} res - Express response
+ * @returns {AbortSignal}
+ */
+export function abortOnDisconnect(res) {
+  const controller = new AbortController();
+  res.once('close', () => {
+    if (!res.writableFinished) controller.abort(new DOMException('Client disconnected', 'AbortError'));
+  });
+  return controller.signal;
+}
+
+// ========== SERVER-SENT EVENTS ==========
+
+/**
+ * Switch an Express response into Server-Sent Events mode
+ * @param {Object} res - Express response
+ */
+export function initSSE(res) {
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no'); // Disable proxy buffering (nginx)
+  res.flushHeaders();
+}
+
+/**
+ * Write a single SSE event
+ * @param {Object} res - Express response
+ * @param {string} event - Event name
+ * @param {Object} data - JSON-serializable payload
+ */
+export function sendSSE(res, event, data) {
+  if (res.writableEnded || res.destroyed) return;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  // compression() buffers writes — push each event out immediately
+  if (typeof res.flush === 'function') res.flush();
+}
+
+/**
+ * Whether the client asked for a streamed response
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+export function wantsEventStream(req) {
+  return req.body?.stream === true || (req.headers.accept || '').includes('text/event-stream');
+}
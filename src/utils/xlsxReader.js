@@ -0,0 +1,158 @@
+import { readZip } from './zipArchive.js';
+
+/**
+ * Minimal XLSX reader
+ * An .xlsx file is a zip of XML parts; this reads the zip directory, inflates the parts it
+ * needs and turns one worksheet into an array of rows (arrays of cell values).
+ * Supports shared/inline strings, numbers, booleans and date-formatted cells (returned as
+ * YYYY-MM-DD strings). Formulas yield their cached value.
+ */
+
+// Built-in number formats that display a date (ECMA-376 18.8.30)
+const BUILTIN_DATE_FORMATS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+
+// Days between the Excel epoch (1899-12-30, accounting for the 1900 leap-year bug) and 1970-01-01
+const EXCEL_EPOCH_OFFSET = 25569;
+
+// ========== XML HELPERS ==========
+
+function decodeXml(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function attr(tag, name) {
+  const match = new RegExp(`\\s${name}="([^"]*)"`).exec(tag);
+  return match ? decodeXml(match[1]) : null;
+}
+
+// Text of every <t> run (rich text splits one string into several)
+function textRuns(xml) {
+  return [...xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map(m => decodeXml(m[1])).join('');
+}
+
+// "AB12" → 27 (zero-based column index)
+function columnIndex(ref) {
+  const letters = /^[A-Z]+/.exec(ref)?.[0] || 'A';
+  return [...letters].reduce((n, ch) => n * 26 + (ch.charCodeAt(0) - 64), 0) - 1;
+}
+
+// ========== WORKBOOK PARTS ==========
+
+function readSharedStrings(zip) {
+  const xml = zip.readText('xl/sharedStrings.xml');
+  if (!xml) return [];
+  return [...xml.matchAll(/<si>([\s\S]*?)<\/si>/g)].map(m => textRuns(m[1]));
+}
+
+// Style indexes (cellXfs position) whose number format is a date
+function readDateStyles(zip) {
+  const xml = zip.readText('xl/styles.xml');
+  if (!xml) return new Set();
+
+  const customDateFormats = new Set();
+  for (const [tag] of xml.matchAll(/<numFmt\s[^>]*>/g)) {
+    // Strip quoted literals and [color]/[locale] blocks before looking for date tokens
+    const code = (attr(tag, 'formatCode') || '').replace(/"[^"]*"|\[[^\]]*\]/g, '');
+    if (/[dmyhs]/i.test(code)) customDateFormats.add(Number(attr(tag, 'numFmtId')));
+  }
+
+  const dateStyles = new Set();
+  const cellXfs = /<cellXfs[^>]*>([\s\S]*?)<\/cellXfs>/.exec(xml)?.[1] || '';
+  [...cellXfs.matchAll(/<xf\s[^>]*>/g)].forEach(([tag], index) => {
+    const id = Number(attr(tag, 'numFmtId'));
+    if (BUILTIN_DATE_FORMATS.has(id) || customDateFormats.has(id)) dateStyles.add(index);
+  });
+  return dateStyles;
+}
+
+/**
+ * Workbook sheets in tab order with their part paths
+ */
+function readSheets(zip) {
+  const workbook = zip.readText('xl/workbook.xml') || '';
+  const rels = zip.readText('xl/_rels/workbook.xml.rels') || '';
+
+  const targets = new Map();
+  for (const [tag] of rels.matchAll(/<Relationship\s[^>]*>/g)) {
+    const target = attr(tag, 'Target') || '';
+    targets.set(attr(tag, 'Id'), target.startsWith('/') ? target.slice(1) : `xl/${target}`);
+  }
+
+  return [...workbook.matchAll(/<sheet\s[^>]*>/g)].map(([tag]) => ({
+    name: attr(tag, 'name'),
+    path: targets.get(attr(tag, 'r:id'))
+  })).filter(sheet => sheet.path && zip.has(sheet.path));
+}
+
+function excelSerialToDate(serial) {
+  return new Date(Math.round((serial - EXCEL_EPOCH_OFFSET) * 86400000)).toISOString().slice(0, 10);
+}
+
+function cellValue(attrs, body, sharedStrings, dateStyles) {
+  const type = attr(attrs, 't');
+  if (type === 'inlineStr') return textRuns(body);
+
+  const raw = /<v>([\s\S]*?)<\/v>/.exec(body)?.[1];
+  if (raw === undefined) return null;
+  const value = decodeXml(raw);
+
+  switch (type) {
+    case 's': return sharedStrings[Number(value)] ?? null;
+    case 'b': return value === '1';
+    case 'str':
+    case 'e': return value;
+    default: {
+      const number = Number(value);
+      if (!Number.isFinite(number)) return value;
+      return dateStyles.has(Number(attr(attrs, 's'))) ? excelSerialToDate(number) : number;
+    }
+  }
+}
+
+/**
+ * Read one worksheet of an .xlsx file
+ * @param {Buffer} buffer - File contents
+ * @param {Object} options - { sheet: sheet name or zero-based index (defaults to the first) }
+ * @returns {{ sheet: string, sheets: Array<string>, rows: Array<Array> }}
+ */
+export function readXlsx(buffer, { sheet = null } = {}) {
+  const zip = readZip(buffer, 'XLSX');
+  const sheets = readSheets(zip);
+  if (sheets.length === 0) throw new Error('Invalid XLSX file: no worksheets found');
+
+  const selected = sheet === null || sheet === undefined
+    ? sheets[0]
+    : (sheets.find(s => s.name === sheet) || sheets[Number(sheet)]);
+  if (!selected) throw new Error(`Invalid XLSX file: sheet '${sheet}' not found`);
+
+  const sharedStrings = readSharedStrings(zip);
+  const dateStyles = readDateStyles(zip);
+  const xml = zip.readText(selected.path);
+
+  const rows = [];
+  for (const [, rowAttrs, rowBody] of xml.matchAll(/<row\b([^>]*)>([\s\S]*?)<\/row>/g)) {
+    const rowNumber = Number(attr(rowAttrs, 'r'));
+    const rowIndex = rowNumber > 0 ? rowNumber - 1 : rows.length;
+    const row = [];
+    for (const [, cellAttrs, cellBody = ''] of rowBody.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const ref = attr(cellAttrs, 'r');
+      const index = ref ? columnIndex(ref) : row.length;
+      row[index] = cellValue(cellAttrs, cellBody, sharedStrings, dateStyles);
+    }
+    // Keep blank rows in place so row positions match the sheet
+    rows[rowIndex] = Array.from(row, v => v ?? null);
+  }
+
+  return {
+    sheet: selected.name,
+    sheets: sheets.map(s => s.name),
+    rows: Array.from(rows, r => r || [])
+  };
+}
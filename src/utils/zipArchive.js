@@ -0,0 +1,179 @@
+import zlib from 'node:zlib';
+
+/**
+ * Minimal zip reader/writer
+ * Reads the central directory of an archive (stored or deflated entries; no zip64 or
+ * encryption) and writes archives with deflated entries. Used for .xlsx uploads and
+ * conversation bundles.
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+// Bit 11: file names are UTF-8
+const UTF8_FLAG = 0x0800;
+
+// Uncompressed size limits, so a small upload can't inflate into gigabytes (zip bomb)
+export const MAX_ENTRY_BYTES = 64 * 1024 * 1024;
+export const MAX_TOTAL_BYTES = 128 * 1024 * 1024;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date/time fields
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Open a zip archive
+ * Entries are checked against the size limits by their declared sizes up front, and each
+ * entry's inflated output is capped at (and must match) its declared size.
+ * @param {Buffer} buffer - Archive bytes
+ * @param {string} label - File kind named in error messages ("Invalid <label> file: ...")
+ * @param {Object} options - { maxEntryBytes, maxTotalBytes } uncompressed size limits
+ * @returns {Object} - { names(), has(name), read(name) → Buffer|null, readText(name) → string|null }
+ */
+export function readZip(buffer, label = 'zip', { maxEntryBytes = MAX_ENTRY_BYTES, maxTotalBytes = MAX_TOTAL_BYTES } = {}) {
+  if (buffer.length < 22) throw new Error(`Invalid ${label} file: not a zip archive`);
+
+  // End of central directory: last 22 bytes plus an optional comment of up to 64KB
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw new Error(`Invalid ${label} file: not a zip archive`);
+
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  const entries = new Map();
+  let totalSize = 0;
+
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) {
+      throw new Error(`Invalid ${label} file: corrupt zip directory`);
+    }
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    if (size > maxEntryBytes) throw new Error(`Invalid ${label} file: ${name} is too large to unpack`);
+    totalSize += size;
+    if (totalSize > maxTotalBytes) throw new Error(`Invalid ${label} file: contents are too large to unpack`);
+    entries.set(name, { method, compressedSize, size, localOffset });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  const read = (name) => {
+    const entry = entries.get(name);
+    if (!entry) return null;
+    const { method, compressedSize, size, localOffset } = entry;
+    if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== LOCAL_SIGNATURE) {
+      throw new Error(`Invalid ${label} file: corrupt zip entry`);
+    }
+    const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(start, start + compressedSize);
+    if (method !== 0 && method !== 8) throw new Error(`Invalid ${label} file: unsupported compression method ${method}`);
+
+    let output = data;
+    if (method === 8) {
+      try {
+        // One byte over the declared size is enough to tell that it lied
+        output = zlib.inflateRawSync(data, { maxOutputLength: size + 1 });
+      } catch {
+        throw new Error(`Invalid ${label} file: corrupt zip entry ${name}`);
+      }
+    }
+    if (output.length !== size) throw new Error(`Invalid ${label} file: ${name} does not match its declared size`);
+    return output;
+  };
+
+  return {
+    names: () => [...entries.keys()],
+    has: (name) => entries.has(name),
+    read,
+    readText: (name) => read(name)?.toString('utf8') ?? null
+  };
+}
+
+/**
+ * Build a zip archive
+ * @param {Array<{ name: string, data: Buffer|string }>} files - Entries in order
+ * @param {Object} options - { date } modification time for every entry (default now)
+ * @returns {Buffer}
+ */
+export function createZip(files, { date = new Date() } = {}) {
+  const { time, date: day } = dosDateTime(date);
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = Buffer.from(file.name, 'utf8');
+    const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(file.data, 'utf8');
+    const deflated = zlib.deflateRawSync(data);
+    // Already-compressed images don't shrink; store those as they are
+    const [method, body] = deflated.length < data.length ? [8, deflated] : [0, data];
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_SIGNATURE, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(UTF8_FLAG, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(day, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    locals.push(local, name, body);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_SIGNATURE, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(UTF8_FLAG, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(day, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, name);
+
+    offset += local.length + name.length + body.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(EOCD_SIGNATURE, 0);
+  eocd.writeUInt16LE(files.length, 8);
+  eocd.writeUInt16LE(files.length, 10);
+  eocd.writeUInt32LE(directory.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, eocd]);
+}
@@ -0,0 +1,18 @@
+-- =============================================
+-- Snapshot lineage and branches
+-- Every new snapshot records the snapshot it was made from, so history is a
+-- tree rather than a line: branching from an old snapshot (or undoing and
+-- then modifying) starts a new line without losing the original one.
+-- A branch can also be split off into a conversation of its own.
+-- =============================================
+
+ALTER TABLE chart_snapshots
+  ADD COLUMN IF NOT EXISTS parent_snapshot_id UUID REFERENCES chart_snapshots(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS branch_name TEXT;  -- NULL = main line
+
+CREATE INDEX IF NOT EXISTS idx_chart_snapshots_parent
+  ON chart_snapshots (parent_snapshot_id);
+
+ALTER TABLE conversations
+  ADD COLUMN IF NOT EXISTS parent_conversation_id UUID REFERENCES conversations(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS branched_from_snapshot_id UUID REFERENCES chart_snapshots(id) ON DELETE SET NULL;
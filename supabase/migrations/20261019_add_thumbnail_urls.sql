@@ -0,0 +1,9 @@
+-- =============================================
+-- Generated thumbnails
+-- Snapshots and templates get a preview image like format_blueprints already
+-- has. Files live in the format-assets bucket under thumbnails/<kind>/<id>.webp
+-- and are written by the server (src/services/thumbnailService.js)
+-- =============================================
+
+ALTER TABLE chart_snapshots ADD COLUMN IF NOT EXISTS thumbnail_url TEXT;
+ALTER TABLE user_templates ADD COLUMN IF NOT EXISTS thumbnail_url TEXT;
@@ -0,0 +1,102 @@
+-- =============================================
+-- AI Usage Ledger & Credit Quotas
+-- One row per generateChart/modifyChart call; monthly credit quotas per plan,
+-- overridable per user on profiles.monthly_credit_limit
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS ai_plans (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+
+  -- NULL = unlimited
+  monthly_credits INT,
+
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+INSERT INTO ai_plans (id, name, monthly_credits) VALUES
+  ('free', 'Free', 200),
+  ('pro', 'Pro', 5000),
+  ('unlimited', 'Unlimited', NULL)
+ON CONFLICT (id) DO NOTHING;
+
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS plan TEXT DEFAULT 'free' REFERENCES ai_plans(id);
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS monthly_credit_limit INT; -- Per-user override of the plan quota
+
+CREATE TABLE IF NOT EXISTS ai_usage_ledger (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  conversation_id UUID REFERENCES conversations(id) ON DELETE SET NULL,
+
+  -- What was called
+  provider TEXT NOT NULL,
+  model TEXT,
+  operation TEXT NOT NULL CHECK (operation IN ('generate', 'modify')),
+  status TEXT NOT NULL CHECK (status IN ('success', 'error')),
+  attempts INT DEFAULT 1,
+
+  -- What it cost (tokens summed over self-correction attempts)
+  prompt_tokens INT,
+  completion_tokens INT,
+  total_tokens INT,
+  estimated_cost_usd NUMERIC(12, 6),
+  credits INT NOT NULL DEFAULT 0,
+
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+-- =============================================
+-- Indexes
+-- =============================================
+
+CREATE INDEX IF NOT EXISTS idx_ai_usage_ledger_user_created
+  ON ai_usage_ledger (user_id, created_at DESC);
+
+-- =============================================
+-- Monthly summary (used for quota checks and GET /api/usage)
+-- =============================================
+
+CREATE OR REPLACE FUNCTION get_ai_usage_summary(p_user_id UUID, p_since TIMESTAMPTZ, p_until TIMESTAMPTZ)
+RETURNS TABLE (
+  provider TEXT,
+  model TEXT,
+  requests BIGINT,
+  failed BIGINT,
+  prompt_tokens BIGINT,
+  completion_tokens BIGINT,
+  total_tokens BIGINT,
+  credits BIGINT,
+  estimated_cost_usd NUMERIC
+) AS $$
+  SELECT
+    l.provider,
+    l.model,
+    COUNT(*) AS requests,
+    COUNT(*) FILTER (WHERE l.status = 'error') AS failed,
+    COALESCE(SUM(l.prompt_tokens), 0) AS prompt_tokens,
+    COALESCE(SUM(l.completion_tokens), 0) AS completion_tokens,
+    COALESCE(SUM(l.total_tokens), 0) AS total_tokens,
+    COALESCE(SUM(l.credits), 0) AS credits,
+    COALESCE(SUM(l.estimated_cost_usd), 0) AS estimated_cost_usd
+  FROM ai_usage_ledger l
+  WHERE l.user_id = p_user_id
+    AND l.created_at >= p_since
+    AND l.created_at < p_until
+  GROUP BY l.provider, l.model
+  ORDER BY credits DESC;
+$$ LANGUAGE sql STABLE;
+
+-- =============================================
+-- Row Level Security (RLS)
+-- =============================================
+
+ALTER TABLE ai_usage_ledger ENABLE ROW LEVEL SECURITY;
+ALTER TABLE ai_plans ENABLE ROW LEVEL SECURITY;
+
+-- Users can read their own usage (writes go through the service role only)
+CREATE POLICY "read_own_usage" ON ai_usage_ledger
+  FOR SELECT USING (user_id = auth.uid());
+
+-- Plans are public
+CREATE POLICY "read_plans" ON ai_plans
+  FOR SELECT USING (true);
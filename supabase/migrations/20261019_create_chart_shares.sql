@@ -0,0 +1,44 @@
+-- =============================================
+-- Chart Shares
+-- Share links as records of their own: a snapshot can have several links, each
+-- with an optional expiry and password, a scope and a revocation time.
+-- Replaces chart_snapshots.share_id (existing links are copied over below)
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS chart_shares (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  share_id TEXT NOT NULL UNIQUE,  -- Token in the public URL
+  snapshot_id UUID NOT NULL REFERENCES chart_snapshots(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+
+  -- 'data': chart data and template content are readable; 'image': rendered picture only
+  scope TEXT NOT NULL DEFAULT 'data' CHECK (scope IN ('data', 'image')),
+  password_hash TEXT,             -- scrypt$<salt>$<hash>, NULL = no password
+  expires_at TIMESTAMPTZ,         -- NULL = never expires
+  revoked_at TIMESTAMPTZ,
+
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_chart_shares_user_created
+  ON chart_shares (user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_chart_shares_snapshot
+  ON chart_shares (snapshot_id);
+
+-- Keep links issued before this migration working
+INSERT INTO chart_shares (share_id, snapshot_id, user_id, scope)
+SELECT s.share_id::text, s.id, c.user_id, 'data'
+FROM chart_snapshots s
+JOIN conversations c ON c.id = s.conversation_id
+WHERE s.share_id IS NOT NULL
+ON CONFLICT (share_id) DO NOTHING;
+
+-- =============================================
+-- Row Level Security (RLS)
+-- =============================================
+
+ALTER TABLE chart_shares ENABLE ROW LEVEL SECURITY;
+
+-- Users can read their own links (public access goes through the API with the service role)
+CREATE POLICY "read_own_shares" ON chart_shares
+  FOR SELECT USING (user_id = auth.uid());
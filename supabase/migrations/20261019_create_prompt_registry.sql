@@ -0,0 +1,44 @@
+-- =============================================
+-- Prompt Registry
+-- Versions of the system prompts added by admins (built-in versions ship in
+-- src/prompts/<name>/v<N>.txt) and the rollout that picks which one is served
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS prompt_templates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,       -- 'chart_generation', 'chart_modification'
+  version INT NOT NULL,
+
+  content TEXT NOT NULL,
+  sections JSONB DEFAULT '{}'::jsonb,  -- { "<chart type>": "extra instructions" }
+  variables JSONB DEFAULT '{}'::jsonb, -- Default values for {{placeholders}}
+  notes TEXT,
+
+  created_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT now(),
+
+  UNIQUE (name, version)
+);
+
+CREATE TABLE IF NOT EXISTS prompt_rollouts (
+  name TEXT PRIMARY KEY,
+  active_version INT NOT NULL,
+
+  -- A/B test: share of users (by stable hash of user id) served the candidate
+  candidate_version INT,
+  candidate_percentage INT NOT NULL DEFAULT 0 CHECK (candidate_percentage BETWEEN 0 AND 100),
+
+  updated_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+-- Which prompt version (e.g. 'chart_generation@2') produced a snapshot
+ALTER TABLE chart_snapshots ADD COLUMN IF NOT EXISTS prompt_version TEXT;
+
+-- =============================================
+-- Row Level Security (RLS)
+-- =============================================
+
+-- No policies: only the service role (backend) reads or writes prompts
+ALTER TABLE prompt_templates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE prompt_rollouts ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,137 @@
+-- =============================================
+-- Search
+-- Full-text search over conversation titles/descriptions, message content and
+-- chart text (title, subtitle, labels, dataset names), plus embeddings of the
+-- current charts for "charts like this one" (GET /api/data/search)
+-- =============================================
+
+CREATE EXTENSION IF NOT EXISTS vector;
+
+-- Chart title and subtitle (plugins.*.text may be a string or an array of lines)
+CREATE OR REPLACE FUNCTION chart_title_text(p_chart_config JSONB)
+RETURNS TEXT AS $$
+  SELECT concat_ws(' ',
+    CASE jsonb_typeof(p_chart_config #> '{plugins,title,text}')
+      WHEN 'array' THEN (SELECT string_agg(t, ' ') FROM jsonb_array_elements_text(p_chart_config #> '{plugins,title,text}') t)
+      ELSE p_chart_config #>> '{plugins,title,text}'
+    END,
+    CASE jsonb_typeof(p_chart_config #> '{plugins,subtitle,text}')
+      WHEN 'array' THEN (SELECT string_agg(t, ' ') FROM jsonb_array_elements_text(p_chart_config #> '{plugins,subtitle,text}') t)
+      ELSE p_chart_config #>> '{plugins,subtitle,text}'
+    END
+  );
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Category labels and dataset names
+CREATE OR REPLACE FUNCTION chart_labels_text(p_chart_data JSONB)
+RETURNS TEXT AS $$
+  SELECT concat_ws(' ',
+    (SELECT string_agg(l, ' ') FROM jsonb_array_elements_text(
+      CASE WHEN jsonb_typeof(p_chart_data -> 'labels') = 'array' THEN p_chart_data -> 'labels' ELSE '[]'::jsonb END) l),
+    (SELECT string_agg(ds ->> 'label', ' ') FROM jsonb_array_elements(
+      CASE WHEN jsonb_typeof(p_chart_data -> 'datasets') = 'array' THEN p_chart_data -> 'datasets' ELSE '[]'::jsonb END) ds)
+  );
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Titles rank above labels, labels above body text
+ALTER TABLE conversations
+  ADD COLUMN IF NOT EXISTS search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(description, '')), 'C')
+  ) STORED;
+
+ALTER TABLE chat_messages
+  ADD COLUMN IF NOT EXISTS search_vector TSVECTOR GENERATED ALWAYS AS (
+    to_tsvector('english', coalesce(content, ''))
+  ) STORED;
+
+ALTER TABLE chart_snapshots
+  ADD COLUMN IF NOT EXISTS search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', chart_title_text(chart_config)), 'A') ||
+    setweight(to_tsvector('english', chart_labels_text(chart_data)), 'B')
+  ) STORED,
+  ADD COLUMN IF NOT EXISTS embedding VECTOR(768);  -- text-embedding-004, written by the API on save
+
+CREATE INDEX IF NOT EXISTS idx_conversations_search ON conversations USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_chat_messages_search ON chat_messages USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_chart_snapshots_search ON chart_snapshots USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_chart_snapshots_embedding
+  ON chart_snapshots USING hnsw (embedding vector_cosine_ops)
+  WHERE is_current;
+
+-- =============================================
+-- Ranked full-text search over one user's conversations
+-- p_types: any of 'conversation', 'message', 'chart'. Charts are one hit per
+-- conversation (the best-matching version, the current one on ties).
+-- Highlights are wrapped in chr(2) / chr(3), turned into offsets by the API
+-- =============================================
+
+CREATE OR REPLACE FUNCTION search_user_content(p_user_id UUID, p_query TEXT, p_types TEXT[], p_limit INT)
+RETURNS TABLE (kind TEXT, id TEXT, conversation_id UUID, title TEXT, headline TEXT, rank REAL, created_at TIMESTAMPTZ) AS $$
+  WITH q AS (
+    SELECT websearch_to_tsquery('english', p_query) AS query
+  ),
+  hits AS (
+    SELECT 'conversation' AS kind, c.id::text AS id, c.id AS conversation_id, c.title,
+      concat_ws(' — ', c.title, c.description) AS body,
+      ts_rank_cd(c.search_vector, q.query) AS rank, c.created_at
+    FROM conversations c, q
+    WHERE 'conversation' = ANY(p_types)
+      AND c.user_id = p_user_id AND c.is_active
+      AND c.search_vector @@ q.query
+
+    UNION ALL
+
+    SELECT 'message', m.id::text, m.conversation_id, c.title,
+      m.content,
+      ts_rank_cd(m.search_vector, q.query), m.created_at
+    FROM chat_messages m
+    JOIN conversations c ON c.id = m.conversation_id, q
+    WHERE 'message' = ANY(p_types)
+      AND c.user_id = p_user_id AND c.is_active
+      AND m.role <> 'system'
+      AND m.search_vector @@ q.query
+
+    UNION ALL
+
+    SELECT * FROM (
+      SELECT DISTINCT ON (s.conversation_id)
+        'chart', s.id::text, s.conversation_id, c.title,
+        concat_ws(' — ', nullif(chart_title_text(s.chart_config), ''), chart_labels_text(s.chart_data)),
+        ts_rank_cd(s.search_vector, q.query) AS rank, s.created_at
+      FROM chart_snapshots s
+      JOIN conversations c ON c.id = s.conversation_id, q
+      WHERE 'chart' = ANY(p_types)
+        AND c.user_id = p_user_id AND c.is_active
+        AND s.search_vector @@ q.query
+      ORDER BY s.conversation_id, rank DESC, s.is_current DESC, s.created_at DESC
+    ) charts
+  ),
+  top AS (
+    SELECT * FROM hits ORDER BY rank DESC, created_at DESC LIMIT p_limit
+  )
+  SELECT top.kind, top.id, top.conversation_id, top.title,
+    ts_headline('english', top.body, q.query,
+      format('StartSel=%s, StopSel=%s, MaxWords=24, MinWords=8, MaxFragments=2, FragmentDelimiter=" … "', chr(2), chr(3))),
+    top.rank, top.created_at
+  FROM top, q
+  ORDER BY top.rank DESC, top.created_at DESC;
+$$ LANGUAGE sql STABLE;
+
+-- =============================================
+-- Nearest current charts by embedding (cosine similarity)
+-- =============================================
+
+CREATE OR REPLACE FUNCTION match_chart_snapshots(p_user_id UUID, p_embedding VECTOR(768), p_exclude_conversation UUID, p_limit INT)
+RETURNS TABLE (id UUID, conversation_id UUID, title TEXT, chart_type TEXT, thumbnail_url TEXT, similarity FLOAT, created_at TIMESTAMPTZ) AS $$
+  SELECT s.id, s.conversation_id, c.title, s.chart_type, s.thumbnail_url,
+    1 - (s.embedding <=> p_embedding) AS similarity, s.created_at
+  FROM chart_snapshots s
+  JOIN conversations c ON c.id = s.conversation_id
+  WHERE c.user_id = p_user_id AND c.is_active
+    AND s.is_current
+    AND s.embedding IS NOT NULL
+    AND (p_exclude_conversation IS NULL OR s.conversation_id <> p_exclude_conversation)
+  ORDER BY s.embedding <=> p_embedding
+  LIMIT p_limit;
+$$ LANGUAGE sql STABLE;
@@ -0,0 +1,26 @@
+-- =============================================
+-- Undo / redo
+-- Moves a conversation's is_current pointer to another of its snapshots in
+-- one statement, so there is never a moment with zero or two current charts.
+-- Used by POST /api/data/conversations/:id/undo and /redo
+-- =============================================
+
+CREATE OR REPLACE FUNCTION set_current_chart_snapshot(p_conversation_id UUID, p_snapshot_id UUID)
+RETURNS BOOLEAN AS $$
+DECLARE
+  v_updated INTEGER;
+BEGIN
+  UPDATE chart_snapshots
+  SET is_current = (id = p_snapshot_id)
+  WHERE conversation_id = p_conversation_id
+    AND (is_current OR id = p_snapshot_id);
+
+  GET DIAGNOSTICS v_updated = ROW_COUNT;
+
+  UPDATE conversations
+  SET last_activity = now(), updated_at = now()
+  WHERE id = p_conversation_id;
+
+  RETURN v_updated > 0;
+END;
+$$ LANGUAGE plpgsql;
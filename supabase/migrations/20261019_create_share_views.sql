@@ -0,0 +1,67 @@
+-- =============================================
+-- Share View Analytics
+-- One row per (non-bot) view of a share link. No IP address or user agent is
+-- stored: visitors are identified by a hash of IP + user agent + a salt that
+-- changes every day, so a visitor can be counted once per day but not tracked
+-- across days. Only the referrer's host is kept.
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS share_views (
+  id BIGSERIAL PRIMARY KEY,
+  share_id TEXT NOT NULL REFERENCES chart_shares(share_id) ON DELETE CASCADE,
+  viewed_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  viewed_on DATE NOT NULL DEFAULT (now() AT TIME ZONE 'utc')::date,
+  visitor_hash TEXT NOT NULL,
+  referrer_host TEXT            -- NULL = direct / no referrer
+);
+
+CREATE INDEX IF NOT EXISTS idx_share_views_share_day
+  ON share_views (share_id, viewed_on);
+
+-- =============================================
+-- Stats for every link of a snapshot (GET /api/data/chart-snapshots/:id/share/stats)
+-- Unique visitors are counted per day and summed, since the visitor hash changes daily
+-- =============================================
+
+CREATE OR REPLACE FUNCTION get_share_view_stats(p_snapshot_id UUID, p_since DATE)
+RETURNS JSONB AS $$
+  WITH views AS (
+    SELECT v.*
+    FROM share_views v
+    JOIN chart_shares s ON s.share_id = v.share_id
+    WHERE s.snapshot_id = p_snapshot_id
+      AND v.viewed_on >= p_since
+  ),
+  daily AS (
+    SELECT viewed_on, COUNT(*) AS views, COUNT(DISTINCT visitor_hash) AS unique_visitors
+    FROM views
+    GROUP BY viewed_on
+  ),
+  referrers AS (
+    SELECT referrer_host, COUNT(*) AS views
+    FROM views
+    GROUP BY referrer_host
+  ),
+  per_share AS (
+    SELECT share_id,
+      COUNT(*) AS views,
+      COUNT(DISTINCT (viewed_on, visitor_hash)) AS unique_visitors,
+      MAX(viewed_at) AS last_viewed_at
+    FROM views
+    GROUP BY share_id
+  )
+  SELECT jsonb_build_object(
+    'total_views', (SELECT COUNT(*) FROM views),
+    'unique_visitors', (SELECT COALESCE(SUM(unique_visitors), 0) FROM daily),
+    'daily', COALESCE((SELECT jsonb_agg(jsonb_build_object('date', viewed_on, 'views', views, 'unique_visitors', unique_visitors) ORDER BY viewed_on) FROM daily), '[]'::jsonb),
+    'referrers', COALESCE((SELECT jsonb_agg(jsonb_build_object('host', referrer_host, 'views', views) ORDER BY views DESC) FROM referrers), '[]'::jsonb),
+    'shares', COALESCE((SELECT jsonb_agg(jsonb_build_object('share_id', share_id, 'views', views, 'unique_visitors', unique_visitors, 'last_viewed_at', last_viewed_at) ORDER BY views DESC) FROM per_share), '[]'::jsonb)
+  );
+$$ LANGUAGE sql STABLE;
+
+-- =============================================
+-- Row Level Security (RLS)
+-- =============================================
+
+-- Written and read through the API with the service role only
+ALTER TABLE share_views ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,25 @@
+-- =============================================
+-- Projects as containers
+-- Conversations, templates and formats can belong to a project. A project can
+-- be archived, and carries defaults for new charts made in it: provider and
+-- model, a chart style preset and a brand color palette.
+-- Deleting a project keeps its contents (they just leave the project).
+-- =============================================
+
+ALTER TABLE projects
+  ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ,           -- NULL = active
+  ADD COLUMN IF NOT EXISTS default_provider TEXT,              -- provider registry name, e.g. 'gemini'
+  ADD COLUMN IF NOT EXISTS default_model TEXT,
+  ADD COLUMN IF NOT EXISTS style_preset_id UUID REFERENCES chart_style_presets(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS brand_palette JSONB NOT NULL DEFAULT '[]';  -- ["#1f3a93", "#f5a623", ...]
+
+ALTER TABLE conversations
+  ADD COLUMN IF NOT EXISTS project_id UUID REFERENCES projects(id) ON DELETE SET NULL;
+ALTER TABLE user_templates
+  ADD COLUMN IF NOT EXISTS project_id UUID REFERENCES projects(id) ON DELETE SET NULL;
+ALTER TABLE format_blueprints
+  ADD COLUMN IF NOT EXISTS project_id UUID REFERENCES projects(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_conversations_project ON conversations (project_id);
+CREATE INDEX IF NOT EXISTS idx_user_templates_project ON user_templates (project_id);
+CREATE INDEX IF NOT EXISTS idx_format_blueprints_project ON format_blueprints (project_id);
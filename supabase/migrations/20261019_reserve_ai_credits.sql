@@ -0,0 +1,85 @@
+-- =============================================
+-- Atomic AI credit reservations
+-- Before a chart call, reserve_ai_credits holds credits with a 'pending' ledger
+-- row, but only while the month's usage (holds included) stays within the
+-- limit. Reservations for one user are serialized, so parallel requests can't
+-- all pass the check at once. The server deletes the hold once the call's real
+-- ledger rows are written; holds older than 10 minutes (a crashed request)
+-- are cleared by the next reservation.
+-- =============================================
+
+ALTER TABLE ai_usage_ledger DROP CONSTRAINT IF EXISTS ai_usage_ledger_status_check;
+ALTER TABLE ai_usage_ledger ADD CONSTRAINT ai_usage_ledger_status_check
+  CHECK (status IN ('success', 'error', 'pending'));
+
+CREATE OR REPLACE FUNCTION reserve_ai_credits(
+  p_user_id UUID,
+  p_limit INT,
+  p_since TIMESTAMPTZ,
+  p_until TIMESTAMPTZ,
+  p_operation TEXT,
+  p_credits INT DEFAULT 1
+)
+RETURNS TABLE (reservation_id UUID, used BIGINT) AS $$
+DECLARE
+  v_used BIGINT;
+  v_id UUID;
+BEGIN
+  -- One reservation at a time per user (released at commit)
+  PERFORM pg_advisory_xact_lock(hashtextextended('ai_credits:' || p_user_id::text, 0));
+
+  DELETE FROM ai_usage_ledger
+  WHERE user_id = p_user_id
+    AND status = 'pending'
+    AND created_at < now() - interval '10 minutes';
+
+  SELECT COALESCE(SUM(l.credits), 0) INTO v_used
+  FROM ai_usage_ledger l
+  WHERE l.user_id = p_user_id
+    AND l.created_at >= p_since
+    AND l.created_at < p_until;
+
+  IF v_used + p_credits > p_limit THEN
+    RETURN QUERY SELECT NULL::UUID, v_used;
+    RETURN;
+  END IF;
+
+  INSERT INTO ai_usage_ledger (user_id, provider, operation, status, credits)
+  VALUES (p_user_id, 'reservation', p_operation, 'pending', p_credits)
+  RETURNING id INTO v_id;
+
+  RETURN QUERY SELECT v_id, v_used;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Reports show settled calls only
+CREATE OR REPLACE FUNCTION get_ai_usage_summary(p_user_id UUID, p_since TIMESTAMPTZ, p_until TIMESTAMPTZ)
+RETURNS TABLE (
+  provider TEXT,
+  model TEXT,
+  requests BIGINT,
+  failed BIGINT,
+  prompt_tokens BIGINT,
+  completion_tokens BIGINT,
+  total_tokens BIGINT,
+  credits BIGINT,
+  estimated_cost_usd NUMERIC
+) AS $$
+  SELECT
+    l.provider,
+    l.model,
+    COUNT(*) AS requests,
+    COUNT(*) FILTER (WHERE l.status = 'error') AS failed,
+    COALESCE(SUM(l.prompt_tokens), 0) AS prompt_tokens,
+    COALESCE(SUM(l.completion_tokens), 0) AS completion_tokens,
+    COALESCE(SUM(l.total_tokens), 0) AS total_tokens,
+    COALESCE(SUM(l.credits), 0) AS credits,
+    COALESCE(SUM(l.estimated_cost_usd), 0) AS estimated_cost_usd
+  FROM ai_usage_ledger l
+  WHERE l.user_id = p_user_id
+    AND l.status <> 'pending'
+    AND l.created_at >= p_since
+    AND l.created_at < p_until
+  GROUP BY l.provider, l.model
+  ORDER BY credits DESC;
+$$ LANGUAGE sql STABLE;
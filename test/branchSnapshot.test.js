@@ -0,0 +1,41 @@
+import './helpers/env.js';
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { fakeSupabase, findOp } from './helpers/fakeSupabase.js';
+import chartDataService from '../src/services/chartDataService.js';
+
+const source = {
+  id: 'snapshot-1',
+  chart_type: 'bar',
+  chart_data: null,
+  chart_config: null,
+  created_at: '2026-10-19T10:00:00Z',
+  conversations: { id: 'conversation-1', user_id: 'user-1', title: 'Revenue', description: null, project_id: 'project-1' }
+};
+
+function handler(table, ops) {
+  if (table === 'chart_snapshots' && findOp(ops, 'eq')?.[2] === 'snapshot-1') return { data: source, error: null };
+  if (table === 'chat_messages') return { data: [], error: null };
+  if (table === 'conversations' && findOp(ops, 'insert')) return { data: { id: 'conversation-2' }, error: null };
+  return { data: null, error: null };
+}
+
+function rpc(name) {
+  return { data: name === 'save_chart_snapshot' ? 'snapshot-2' : null, error: null };
+}
+
+describe('ChartDataService.branchFromSnapshot', () => {
+  const db = fakeSupabase({ handler, rpc });
+  after(() => db.restore());
+
+  it('keeps a new conversation in the source conversation\'s project', async () => {
+    const result = await chartDataService.branchFromSnapshot('snapshot-1', 'user-1');
+    assert.equal(result.snapshot_id, 'snapshot-2');
+
+    const lookup = db.calls.find(call => call.table === 'chart_snapshots');
+    assert.match(findOp(lookup.ops, 'select')[1], /conversations!inner\([^)]*project_id/);
+    const insert = db.calls.find(call => call.table === 'conversations' && findOp(call.ops, 'insert'));
+    assert.equal(findOp(insert.ops, 'insert')[1].project_id, 'project-1');
+    assert.equal(findOp(insert.ops, 'insert')[1].parent_conversation_id, 'conversation-1');
+  });
+});
@@ -0,0 +1,40 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffSnapshots } from '../src/utils/chartDiff.js';
+
+const snapshot = (chartType, labels, datasets, config = {}) => ({
+  chart_type: chartType,
+  chart_data: { labels, datasets },
+  chart_config: config
+});
+
+describe('diffSnapshots', () => {
+  it('reports nothing for identical snapshots', () => {
+    const a = snapshot('bar', ['a'], [{ label: 'S', data: [1] }]);
+    const diff = diffSnapshots(a, structuredClone(a));
+    assert.equal(diff.changed, false);
+    assert.deepEqual(diff.summary, []);
+  });
+
+  it('describes type, label, dataset, value and config changes', () => {
+    const diff = diffSnapshots(
+      snapshot('bar', ['a', 'b'], [{ label: 'S', data: [1, 2] }], { plugins: { title: { text: 'A' } } }),
+      snapshot('line', ['a', 'b', 'c'], [{ label: 'S', data: [1, 3, 4] }, { label: 'T', data: [0, 0, 0] }], { plugins: { title: { text: 'B' } } })
+    );
+    assert.deepEqual(diff.chart_type, { from: 'bar', to: 'line' });
+    assert.deepEqual(diff.labels.added, ['c']);
+    assert.deepEqual(diff.datasets.added, ['T']);
+    assert.deepEqual(diff.values, [{ dataset: 'S', label: 'b', index: 1, from: 2, to: 3 }]);
+    assert.deepEqual(diff.config, [{ path: 'plugins.title.text', change: 'changed', from: 'A', to: 'B' }]);
+    assert.equal(diff.summary[0], 'Chart type changed from bar to line');
+  });
+
+  it('treats a name swapped at the same position as a rename', () => {
+    const diff = diffSnapshots(
+      snapshot('bar', ['a'], [{ label: 'Sales', data: [1] }]),
+      snapshot('bar', ['a'], [{ label: 'Revenue', data: [1] }])
+    );
+    assert.deepEqual(diff.datasets.renamed, [{ index: 0, from: 'Sales', to: 'Revenue' }]);
+    assert.deepEqual(diff.datasets.added, []);
+  });
+});
@@ -0,0 +1,108 @@
+import './helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createChartProcessor } from '../src/utils/chartProcessor.js';
+import { createMockAdapter, MOCK_MODES } from '../src/adapters/mockAdapter.js';
+
+const processor = createChartProcessor(createMockAdapter(), { cache: null });
+
+// Generate with the mock adapter in one failure mode, collecting the progress phases
+async function generate(mode, options = {}) {
+  const phases = [];
+  const chart = await processor.generateChart('Monthly revenue against costs', mode, null, null, {
+    ...options,
+    onEvent: (type, data) => { if (type === 'phase') phases.push(data.phase); }
+  });
+  return { chart, phases };
+}
+
+describe('ChartProcessor with the mock adapter', () => {
+  it('replays the fixture unchanged', async () => {
+    const { chart, phases } = await generate(MOCK_MODES.REPLAY);
+    assert.equal(chart.chartType, 'line');
+    assert.deepEqual(chart.chartData.labels, ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun']);
+    assert.equal(chart._metadata.attempts.length, 1);
+    assert.ok(!phases.includes('repaired'));
+  });
+
+  it('strips markdown fences', async () => {
+    const { chart } = await generate(MOCK_MODES.FENCED, { maxRetries: 0 });
+    assert.equal(chart.chartData.datasets.length, 2);
+  });
+
+  it('escapes raw newlines in HTML template content', async () => {
+    const { chart, phases } = await generate(MOCK_MODES.HTML, { maxRetries: 0 });
+    assert.ok(phases.includes('repaired'));
+    assert.match(chart.templateContent.body, /^<div class="summary">\n {2}<h2>Highlights<\/h2>/);
+  });
+
+  it('fails on truncated JSON without a correction turn', async () => {
+    await assert.rejects(generate(MOCK_MODES.TRUNCATED, { maxRetries: 0 }), /Failed to parse mock response as valid JSON/);
+  });
+
+  it('recovers from truncated JSON with a correction turn', async () => {
+    const { chart, phases } = await generate(MOCK_MODES.TRUNCATED, { maxRetries: 1 });
+    assert.ok(phases.includes('correcting'));
+    assert.equal(chart._metadata.attempts.length, 2);
+    assert.equal(chart._metadata.attempts[0].outcome, 'parse_error');
+  });
+
+  it('surfaces a 429 with its status', async () => {
+    await assert.rejects(generate(MOCK_MODES.RATE_LIMIT), (error) => {
+      assert.equal(error.status, 429);
+      assert.match(error.message, /rate limit/);
+      return true;
+    });
+  });
+
+  it('stops when the caller aborts, without reporting a provider failure', async () => {
+    const controller = new AbortController();
+    const pending = generate(MOCK_MODES.TIMEOUT, { signal: controller.signal });
+    controller.abort(new DOMException('Client disconnected', 'AbortError'));
+    await assert.rejects(pending, { name: 'AbortError', message: 'Client disconnected' });
+  });
+
+  it('surfaces a timeout', async () => {
+    await assert.rejects(generate(MOCK_MODES.TIMEOUT), (error) => {
+      assert.match(error.message, /timed out/);
+      assert.equal(error.cause.name, 'TimeoutError');
+      return true;
+    });
+  });
+});
+
+describe('cleanResponse', () => {
+  it('removes ```json and bare ``` fences', () => {
+    assert.equal(processor.cleanResponse('```json\n{"a":1}\n```'), '{"a":1}');
+    assert.equal(processor.cleanResponse('```\n{"a":1}\n```'), '{"a":1}');
+  });
+
+  it('rejects empty and apology responses', () => {
+    assert.throws(() => processor.cleanResponse(''), /Empty response/);
+    assert.throws(() => processor.cleanResponse("I apologize, but I couldn't generate that"), /could not generate/);
+  });
+});
+
+describe('fixHTMLInJSON', () => {
+  it('escapes newlines and tabs inside strings only', () => {
+    const fixed = processor.fixHTMLInJSON('{\n  "body": "<p>\n\ta</p>"\n}');
+    assert.equal(fixed, '{\n  "body": "<p>\\n\\ta</p>"\n}');
+    assert.deepEqual(JSON.parse(fixed), { body: '<p>\n\ta</p>' });
+  });
+
+  it('leaves escaped quotes alone', () => {
+    const text = '{"body": "say \\"hi\\"\nthere"}';
+    assert.deepEqual(JSON.parse(processor.fixHTMLInJSON(text)), { body: 'say "hi"\nthere' });
+  });
+});
+
+describe('attemptJSONRepair', () => {
+  it('closes unclosed brackets', () => {
+    const repaired = processor.attemptJSONRepair('{"chartType":"bar","chartData":{"labels":["a","b"],"datasets":[{"data":[1,2]}]');
+    assert.equal(JSON.parse(repaired).chartData.datasets[0].data[1], 2);
+  });
+
+  it('returns valid JSON unchanged', () => {
+    assert.equal(processor.attemptJSONRepair('{"a":[1,2]}'), '{"a":[1,2]}');
+  });
+});
@@ -0,0 +1,24 @@
+import './helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import chartRenderService from '../src/services/chartRenderService.js';
+
+const chart = {
+  chartType: 'bar',
+  chartData: { labels: ['a', 'b'], datasets: [{ label: 'Units', data: [1, 2] }] }
+};
+
+describe('ChartRenderService PDF output', () => {
+  it('rasterizes small pages at 2x', async () => {
+    assert.equal(chartRenderService.pdfDensity({ width: 800, height: 600 }), 144);
+    const { buffer, contentType } = await chartRenderService.renderChart(chart, { format: 'pdf', width: 200, height: 100 });
+    assert.equal(contentType, 'application/pdf');
+    assert.match(buffer.toString('latin1'), /\/Width 400 \/Height 200/);
+  });
+
+  it('drops toward 1x for large pages', () => {
+    assert.equal(chartRenderService.pdfDensity({ width: 4000, height: 4000 }), 72);
+    const density = chartRenderService.pdfDensity({ width: 3000, height: 2000 });
+    assert.ok(density < 144 && (3000 * density / 72) * (2000 * density / 72) <= 4000 * 4000);
+  });
+});
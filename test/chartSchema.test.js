@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateChartResponse, getChartResponseJSONSchema, toGeminiResponseSchema, SEVERITY } from '../src/utils/chartSchema.js';
+
+const bar = (data) => ({ chartType: 'bar', chartData: { labels: ['a', 'b'], datasets: [{ label: 'S', data }] } });
+
+describe('validateChartResponse', () => {
+  it('accepts a well-formed chart', () => {
+    assert.deepEqual(validateChartResponse(bar([1, 2])), { valid: true, violations: [] });
+  });
+
+  it('reports non-numeric values with their path', () => {
+    const { valid, violations } = validateChartResponse(bar([1, 'x']));
+    assert.equal(valid, false);
+    assert.equal(violations[0].path, 'chartData.datasets[0].data[1]');
+    assert.equal(violations[0].severity, SEVERITY.FATAL);
+  });
+
+  it('rejects unknown chart types and empty datasets', () => {
+    const { valid, violations } = validateChartResponse({ chartType: 'nope', chartData: { labels: [], datasets: [] } });
+    assert.equal(valid, false);
+    assert.deepEqual(violations.map(v => v.path), ['chartType', 'chartData.datasets']);
+  });
+
+  it('rejects a missing chartData', () => {
+    const { valid, violations } = validateChartResponse({ chartType: 'bar' });
+    assert.equal(valid, false);
+    assert.equal(violations[0].code, 'missing');
+  });
+
+  it('validates point data for scatter charts', () => {
+    assert.equal(validateChartResponse({ chartType: 'scatter', chartData: { datasets: [{ data: [{ x: 1, y: 2 }] }] } }).valid, true);
+  });
+
+  it('lets clarification-only answers through when a chart is not required', () => {
+    assert.equal(validateChartResponse({ user_message: 'Which year?' }, { requireChart: false }).valid, true);
+    assert.equal(validateChartResponse({ user_message: 'Which year?' }).valid, false);
+  });
+
+  it('restricts chart types when asked', () => {
+    assert.equal(validateChartResponse(bar([1, 2]), { allowedTypes: ['line'] }).valid, false);
+  });
+});
+
+describe('getChartResponseJSONSchema', () => {
+  it('asks for template fields only when a template is active', () => {
+    assert.equal(getChartResponseJSONSchema().properties.templateContent, undefined);
+    const schema = getChartResponseJSONSchema({ templateKeys: ['title', 'body'] });
+    assert.deepEqual(Object.keys(schema.properties.templateContent.properties), ['title', 'body']);
+  });
+
+  it('converts to Gemini\'s OpenAPI subset', () => {
+    const schema = toGeminiResponseSchema(getChartResponseJSONSchema());
+    assert.equal(schema.type, 'OBJECT');
+    assert.equal(schema.properties.chartType.type, 'STRING');
+    assert.equal(schema.properties.chartType.format, 'enum');
+    assert.ok(schema.properties.chartType.enum.includes('bar'));
+  });
+});
@@ -0,0 +1,37 @@
+import './helpers/env.js';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { fakeSupabase } from './helpers/fakeSupabase.js';
+import conversationBundleService, { BUNDLE_FORMAT, BUNDLE_VERSION } from '../src/services/conversationBundleService.js';
+import { createZip } from '../src/utils/zipArchive.js';
+
+const bundle = (manifest) => createZip([{
+  name: 'conversation.json',
+  data: JSON.stringify({ format: BUNDLE_FORMAT, version: BUNDLE_VERSION, conversation: { title: 'Sales' }, ...manifest })
+}]);
+
+describe('ConversationBundleService.importConversation', () => {
+  let db;
+
+  before(() => {
+    db = fakeSupabase();
+  });
+
+  after(() => db.restore());
+
+  const rejects = (buffer, pattern) => assert.rejects(conversationBundleService.importConversation(buffer, 'user-1'), pattern);
+
+  it('rejects buffers too short to be a zip', async () => {
+    await rejects(Buffer.from('PK'), /^Error: Invalid bundle file: not a zip archive$/);
+  });
+
+  it('rejects malformed manifest entries before inserting anything', async () => {
+    await rejects(bundle({ snapshots: [null] }), /Invalid bundle: every entry in snapshots must be an object/);
+    await rejects(bundle({ messages: ['hi'] }), /Invalid bundle: every entry in messages must be an object/);
+    await rejects(bundle({ snapshots: [{ chart_type: 'bar', chart_data: {} }] }), /Invalid bundle: every snapshot needs a unique ref/);
+    await rejects(bundle({ snapshots: [{ ref: 'a', chart_type: 'bar' }, { ref: 'a', chart_type: 'line' }] }), /unique ref/);
+    await rejects(bundle({ snapshots: [{ ref: 'a', chart_type: 'bar', chart_data: 'x' }] }), /chart_data must be an object/);
+    await rejects(bundle({ conversation: [] }), /Invalid bundle: conversation is missing/);
+    assert.equal(db.calls.length, 0);
+  });
+});
@@ -0,0 +1,48 @@
+import './helpers/env.js';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { fakeSupabase, findOp } from './helpers/fakeSupabase.js';
+import chartDataService from '../src/services/chartDataService.js';
+
+// Rows the page query returns (one more than the limit means there is a next page)
+let pageRows = [];
+
+function handler(table, ops) {
+  if (table === 'conversations' && findOp(ops, 'limit')) return { data: pageRows, error: null };
+  if (table === 'conversations') return { count: pageRows.length, error: null };
+  return { data: [], error: null };
+}
+
+describe('ChartDataService.getUserConversations sorted by title', () => {
+  let db;
+
+  before(() => {
+    db = fakeSupabase({ handler });
+  });
+
+  after(() => db.restore());
+
+  const pageQuery = () => db.calls.filter(call => call.table === 'conversations').find(call => findOp(call.ops, 'limit')).ops;
+
+  async function listPage(cursor) {
+    db.calls.length = 0;
+    return chartDataService.getUserConversations('user-1', { sort: 'title', limit: 1, cursor });
+  }
+
+  it('sorts untitled conversations last and carries them in the cursor', async () => {
+    pageRows = [{ id: 'b', title: null }, { id: 'c', title: null }];
+    const { nextCursor } = await listPage(null);
+    assert.deepEqual(findOp(pageQuery(), 'order'), ['order', 'title', { ascending: true, nullsFirst: false }]);
+
+    await listPage(nextCursor);
+    assert.deepEqual(findOp(pageQuery(), 'or'), ['or', 'and(title.is.null,id.gt."b")']);
+  });
+
+  it('includes untitled conversations after a titled cursor', async () => {
+    pageRows = [{ id: 'a', title: 'Zebra' }, { id: 'b', title: null }];
+    const { nextCursor } = await listPage(null);
+
+    await listPage(nextCursor);
+    assert.deepEqual(findOp(pageQuery(), 'or'), ['or', 'title.gt."Zebra",and(title.eq."Zebra",id.gt."a"),title.is.null']);
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { importChartData, parseNumber, parseTable } from '../src/utils/dataImport.js';
+import { readXlsx } from '../src/utils/xlsxReader.js';
+import { buildXlsx } from './helpers/xlsx.js';
+
+describe('parseNumber', () => {
+  it('reads spreadsheet-style numbers', () => {
+    assert.deepEqual(['1,234.5', '$12', '45%', '-3.2e4', ' 7 '].map(v => parseNumber(v)), [1234.5, 12, 45, -32000, 7]);
+  });
+
+  it('rejects text and malformed groupings', () => {
+    assert.deepEqual(['abc', '', '1,23', '12,3456'].map(v => parseNumber(v)), [null, null, null, null]);
+  });
+
+  it('reads decimal commas when asked', () => {
+    const values = ['1,5', '1.234,5', '1 234,5 €', '12,5%', '1.5'].map(v => parseNumber(v, { decimalComma: true }));
+    assert.deepEqual(values, [1.5, 1234.5, 1234.5, 12.5, null]);
+  });
+});
+
+describe('importChartData', () => {
+  it('builds a bar chart from a CSV with quoted thousands', () => {
+    const result = importChartData({ content: 'Month,Sales,Cost\nJan,"1,200",5\nFeb,900,7\n', filename: 'sales.csv' });
+    assert.equal(result.chartType, 'bar');
+    assert.deepEqual(result.chartData.labels, ['Jan', 'Feb']);
+    assert.deepEqual(result.chartData.datasets.map(ds => ds.data), [[1200, 900], [5, 7]]);
+    assert.equal(result.title, 'sales');
+    assert.deepEqual(result.valueColumns, ['Sales', 'Cost']);
+  });
+
+  it('sniffs tab-separated text', () => {
+    const { header, rows } = parseTable({ content: 'Region\tValue\nNorth\t3\n' });
+    assert.deepEqual(header, ['Region', 'Value']);
+    assert.deepEqual(rows, [['North', '3']]);
+  });
+
+  it('reads decimal commas in semicolon-separated files', () => {
+    const result = importChartData({ content: 'Region;Value\nNorth;1,5\nSouth;2,25\nEast;1.234,5\n' });
+    assert.deepEqual(result.chartData.labels, ['North', 'South', 'East']);
+    assert.deepEqual(result.chartData.datasets[0].data, [1.5, 2.25, 1234.5]);
+  });
+
+  it('reads JSON rows and keeps empty cells as gaps', () => {
+    const result = importChartData({ content: [{ Year: '2023', Units: 4 }, { Year: '2024', Units: null }] });
+    assert.deepEqual(result.chartData.datasets[0].data, [4, null]);
+    assert.ok(result.warnings.some(w => w.includes('gaps')));
+  });
+
+  it('honours an explicit chart type and columns', () => {
+    const result = importChartData({ content: 'x,y,z\n1,2,3\n4,5,6\n' }, { chartType: 'scatter', labelColumn: null, valueColumns: ['x', 'y'] });
+    assert.deepEqual(result.chartData.datasets[0].data, [{ x: 1, y: 2 }, { x: 4, y: 5 }]);
+  });
+
+  it('explains what is wrong with unusable input', () => {
+    assert.throws(() => importChartData({ content: 'Name,City\nAda,London\n' }), /No numeric columns found/);
+    assert.throws(() => importChartData({ content: 'a,b\n' }), /No data rows found/);
+    assert.throws(() => importChartData({ content: 'a,1\n' }, { chartType: 'nope' }), /Invalid chartType/);
+  });
+});
+
+describe('readXlsx', () => {
+  const workbook = buildXlsx({
+    Summary: [['Quarter', 'Revenue', 'Closed'], ['Q1', 1200, true], ['Q2', 1500.5, false]],
+    Dates: [['Day', 'Visits'], [{ date: 45292 }, 10]]
+  });
+
+  it('reads the first sheet by default', () => {
+    const { sheet, sheets, rows } = readXlsx(workbook);
+    assert.equal(sheet, 'Summary');
+    assert.deepEqual(sheets, ['Summary', 'Dates']);
+    assert.deepEqual(rows[1], ['Q1', 1200, true]);
+  });
+
+  it('selects sheets by name or index and formats dates', () => {
+    assert.deepEqual(readXlsx(workbook, { sheet: 'Dates' }).rows[1], ['2024-01-01', 10]);
+    assert.equal(readXlsx(workbook, { sheet: 1 }).sheet, 'Dates');
+    assert.throws(() => readXlsx(workbook, { sheet: 'Missing' }), /sheet 'Missing' not found/);
+  });
+
+  it('imports a workbook sent as base64', () => {
+    const result = importChartData({ base64Data: workbook.toString('base64'), filename: 'report.xlsx' });
+    assert.equal(result._metadata.format, 'xlsx');
+    assert.deepEqual(result.chartData.datasets[0].data, [1200, 1500.5]);
+  });
+});
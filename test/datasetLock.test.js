@@ -0,0 +1,51 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { lockDataset, enforceLockedData } from '../src/utils/datasetLock.js';
+
+describe('lockDataset', () => {
+  it('locks { columns, rows } as category data', () => {
+    const locked = lockDataset({ columns: ['Month', 'Sales'], rows: [['Jan', 10], ['Feb', 20]], chartType: 'bar' });
+    assert.equal(locked.kind, 'category');
+    assert.deepEqual(locked.labels, ['Jan', 'Feb']);
+    assert.deepEqual(locked.datasets, [{ label: 'Sales', data: [10, 20] }]);
+    assert.ok(locked.allowedTypes.includes('line'));
+    assert.ok(!locked.allowedTypes.includes('scatter'));
+  });
+
+  it('rejects shapes it cannot read', () => {
+    assert.throws(() => lockDataset('1,2,3'), /^Error: Invalid dataset: expected/);
+    assert.throws(() => lockDataset({ rows: [['Jan', 1]] }), /columns are required/);
+    assert.throws(() => lockDataset([{ Name: 'Ada' }]), /Invalid dataset: No numeric columns/);
+  });
+});
+
+describe('enforceLockedData', () => {
+  const locked = lockDataset([{ Month: 'Jan', Sales: 10 }, { Month: 'Feb', Sales: 20 }]);
+
+  it('leaves a faithful answer alone', () => {
+    const response = { chartType: 'line', chartData: { labels: ['Jan', 'Feb'], datasets: [{ label: 'Sales', data: [10, 20] }] } };
+    const result = enforceLockedData(response, locked);
+    assert.equal(result.repaired, false);
+    assert.equal(result.drift_count, 0);
+  });
+
+  it('restores drifted values and keeps the styling', () => {
+    const response = {
+      chartType: 'bar',
+      chartData: { labels: ['Jan', 'Feb'], datasets: [{ label: 'Sales', data: [10, 21], backgroundColor: 'red' }] }
+    };
+    const result = enforceLockedData(response, locked);
+    assert.equal(result.repaired, true);
+    assert.deepEqual(result.drift, [{ path: 'chartData.datasets[0].data[1]', expected: 20, received: 21 }]);
+    assert.deepEqual(response.chartData.datasets[0].data, [10, 20]);
+    assert.equal(response.chartData.datasets[0].backgroundColor, 'red');
+  });
+
+  it('puts back dropped labels and datasets', () => {
+    const response = { chartType: 'bar', chartData: { labels: ['Jan'], datasets: [] } };
+    const result = enforceLockedData(response, locked);
+    assert.ok(result.drift_count >= 2);
+    assert.deepEqual(response.chartData.labels, ['Jan', 'Feb']);
+    assert.deepEqual(response.chartData.datasets[0].data, [10, 20]);
+  });
+});
@@ -0,0 +1,56 @@
+import './helpers/env.js';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGeminiAdapter } from '../src/adapters/geminiAdapter.js';
+import { createGoogleAdapter } from '../src/adapters/googleAdapter.js';
+import { getChartResponseJSONSchema } from '../src/utils/chartSchema.js';
+
+const chart = { chartType: 'bar', chartData: { labels: ['a'], datasets: [{ data: [1] }] } };
+const originalFetch = globalThis.fetch;
+let requests;
+let reply;
+
+describe('Gemini structured output', () => {
+  beforeEach(() => {
+    process.env.GEMINI_API_KEY = 'test-key';
+    requests = [];
+    reply = () => Response.json({
+      candidates: [{ content: { role: 'model', parts: [{ text: JSON.stringify(chart) }] }, finishReason: 'STOP' }],
+      usageMetadata: { promptTokenCount: 10, candidatesTokenCount: 5 }
+    });
+    globalThis.fetch = async (url, init) => {
+      requests.push({ url: String(url), body: JSON.parse(init.body) });
+      return reply();
+    };
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  for (const [name, create] of [['gemini', createGeminiAdapter], ['google', createGoogleAdapter]]) {
+    it(`${name}: sends the schema to the v1beta API`, async () => {
+      const response = await create().generateContent({
+        userPrompt: 'Sales by region',
+        model: 'gemini-2.5-flash',
+        responseSchema: getChartResponseJSONSchema()
+      });
+      assert.equal(requests.length, 1);
+      assert.match(requests[0].url, /\/v1beta\/models\/gemini-2\.5-flash:generateContent/);
+      assert.equal(requests[0].body.generationConfig.responseMimeType, 'application/json');
+      assert.equal(requests[0].body.generationConfig.responseSchema.type, 'OBJECT');
+      assert.equal(response.structuredOutput, 'json_schema');
+      assert.deepEqual(JSON.parse(response.content), chart);
+    });
+
+    it(`${name}: does not retry a rejected request without the schema`, async () => {
+      reply = () => Response.json({ error: { code: 400, message: 'Invalid JSON payload received. Unknown name "response_schema"' } }, { status: 400 });
+      await assert.rejects(create().generateContent({
+        userPrompt: 'Sales by region',
+        model: 'gemini-2.5-flash',
+        responseSchema: getChartResponseJSONSchema()
+      }), (error) => error.status === 400 || /400/.test(error.message));
+      assert.equal(requests.length, 1);
+    });
+  }
+});
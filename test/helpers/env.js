@@ -0,0 +1,15 @@
+// Imported first by every test file: the modules under test read these at import time
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+process.env.SUPABASE_URL ||= 'http://127.0.0.1:9';
+process.env.SUPABASE_ANON_KEY ||= 'test-anon-key';
+process.env.SUPABASE_SERVICE_ROLE_KEY ||= 'test-service-role-key';
+process.env.SHARE_VIEW_SALT ||= 'test-share-view-salt';
+process.env.AI_MOCK_FIXTURES_DIR = path.join(root, 'fixtures', 'ai');
+process.env.AI_MOCK_TIMEOUT_MS = '10';
+delete process.env.AI_MOCK_MODE;
+delete process.env.AI_MOCK_RECORD_FROM;
+delete process.env.AI_CACHE_ENABLED;
@@ -0,0 +1,42 @@
+import { supabaseAdminClient } from '../../src/supabase/client.js';
+
+/**
+ * Swap the admin client's query builder and RPCs for in-memory handlers.
+ * handler(table, ops) and rpc(name, params) return { data, error }; ops is the chain of
+ * builder calls, e.g. [['select', '*'], ['eq', 'id', 'x'], ['single']].
+ * @returns {{ calls: Array, restore: Function }}
+ */
+export function fakeSupabase({ handler = () => ({ data: null, error: null }), rpc = () => ({ data: null, error: null }) } = {}) {
+  const original = { from: supabaseAdminClient.from, rpc: supabaseAdminClient.rpc };
+  const calls = [];
+
+  supabaseAdminClient.from = (table) => {
+    const ops = [];
+    const builder = new Proxy({}, {
+      get: (_, key) => {
+        if (key === 'then') {
+          return (resolve, reject) => {
+            calls.push({ table, ops });
+            return Promise.resolve().then(() => handler(table, ops)).then(resolve, reject);
+          };
+        }
+        return (...args) => {
+          ops.push([key, ...args]);
+          return builder;
+        };
+      }
+    });
+    return builder;
+  };
+  supabaseAdminClient.rpc = async (name, params) => {
+    calls.push({ rpc: name, params });
+    return rpc(name, params);
+  };
+
+  return {
+    calls,
+    restore: () => Object.assign(supabaseAdminClient, original)
+  };
+}
+
+export const findOp = (ops, name) => ops.find(([key]) => key === name);
@@ -0,0 +1,40 @@
+import { createZip } from '../../src/utils/zipArchive.js';
+
+const escape = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+const column = (index) => String.fromCharCode(65 + index);
+
+/**
+ * Smallest .xlsx Excel opens: one sheet per entry, strings inline, numbers as values.
+ * Cells given as { date: serial } get a built-in date format.
+ * @param {Object<string, Array<Array>>} sheets - Sheet name → rows
+ * @returns {Buffer}
+ */
+export function buildXlsx(sheets) {
+  const names = Object.keys(sheets);
+  const cell = (value, ref) => {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') return `<c r="${ref}"><v>${value}</v></c>`;
+    if (typeof value === 'boolean') return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+    if (value.date !== undefined) return `<c r="${ref}" s="1"><v>${value.date}</v></c>`;
+    return `<c r="${ref}" t="inlineStr"><is><t>${escape(value)}</t></is></c>`;
+  };
+  const sheetXml = (rows) => '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>'
+    + rows.map((row, r) => `<row r="${r + 1}">${row.map((value, c) => cell(value, `${column(c)}${r + 1}`)).join('')}</row>`).join('')
+    + '</sheetData></worksheet>';
+
+  return createZip([
+    { name: '[Content_Types].xml', data: '<?xml version="1.0"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"/>' },
+    {
+      name: 'xl/workbook.xml',
+      data: '<workbook xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>'
+        + names.map((name, i) => `<sheet name="${escape(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')
+        + '</sheets></workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: '<Relationships>' + names.map((_, i) => `<Relationship Id="rId${i + 1}" Target="worksheets/sheet${i + 1}.xml"/>`).join('') + '</Relationships>'
+    },
+    { name: 'xl/styles.xml', data: '<styleSheet><cellXfs count="2"><xf numFmtId="0"/><xf numFmtId="14"/></cellXfs></styleSheet>' },
+    ...names.map((name, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, data: sheetXml(sheets[name]) }))
+  ]);
+}
@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyProjectStyle, parseColor } from '../src/utils/projectStyle.js';
+
+const barChart = () => ({
+  chartType: 'bar',
+  chartData: { labels: ['a', 'b'], datasets: [{ label: 'S', data: [1, 2] }, { label: 'T', data: [3, 4] }] }
+});
+
+describe('parseColor', () => {
+  it('accepts hex and rgb() colors', () => {
+    assert.deepEqual(parseColor('#abc'), [170, 187, 204]);
+    assert.deepEqual(parseColor(' #123456 '), [18, 52, 86]);
+    assert.deepEqual(parseColor('rgba(1, 2, 3, 0.5)'), [1, 2, 3]);
+  });
+
+  it('rejects names and out-of-range channels', () => {
+    assert.equal(parseColor('red'), null);
+    assert.equal(parseColor('rgb(256, 0, 0)'), null);
+    assert.equal(parseColor(42), null);
+  });
+});
+
+describe('applyProjectStyle', () => {
+  it('colors each series from the brand palette without touching the original', () => {
+    const chart = barChart();
+    const styled = applyProjectStyle(chart, { palette: ['#ff0000', 'rgb(0, 0, 255)'] });
+    assert.deepEqual(styled.chartData.datasets.map(ds => ds.backgroundColor), ['rgba(255, 0, 0, 0.7)', 'rgba(0, 0, 255, 0.7)']);
+    assert.equal(styled.chartData.datasets[1].borderColor, 'rgba(0, 0, 255, 1)');
+    assert.equal(chart.chartData.datasets[0].backgroundColor, undefined);
+    assert.equal(styled.styleConfig, null);
+  });
+
+  it('colors pie charts per slice', () => {
+    const styled = applyProjectStyle({ chartType: 'pie', chartData: { datasets: [{ data: [1, 2, 3] }] } }, { palette: ['#000', '#fff'] });
+    assert.deepEqual(styled.chartData.datasets[0].backgroundColor, ['rgba(0, 0, 0, 0.7)', 'rgba(255, 255, 255, 0.7)', 'rgba(0, 0, 0, 0.7)']);
+  });
+
+  it('applies a preset\'s dataset style, colors and config', () => {
+    const preset = {
+      chart_type: 'bar',
+      color_strategy: { mode: 'palette', baseColors: ['#00ff00'] },
+      dataset_style: { borderWidth: 3, datasetPattern: 'stripes' },
+      config_snapshot: { plugins: { legend: { display: false } } }
+    };
+    const styled = applyProjectStyle(barChart(), { preset });
+    assert.equal(styled.chartData.datasets[0].borderWidth, 3);
+    assert.equal(styled.chartData.datasets[0].datasetPattern, undefined);
+    assert.equal(styled.chartData.datasets[1].backgroundColor, 'rgba(0, 255, 0, 0.7)');
+    assert.deepEqual(styled.styleConfig, preset.config_snapshot);
+    assert.equal(applyProjectStyle({ ...barChart(), chartType: 'line' }, { preset }).styleConfig, null);
+  });
+
+  it('prefers the brand palette over the preset colors', () => {
+    const preset = { chart_type: 'bar', color_strategy: { mode: 'single', singleColor: '#00ff00' } };
+    const styled = applyProjectStyle(barChart(), { palette: ['#0000ff'], preset });
+    assert.equal(styled.chartData.datasets[0].borderColor, 'rgba(0, 0, 255, 1)');
+  });
+});
@@ -0,0 +1,27 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { runWithFallback } from '../src/services/providerFallback.js';
+
+const chain = [{ service: 'gemini' }, { service: 'openrouter' }];
+
+describe('runWithFallback', () => {
+  it('falls back to the next provider on a timeout', async () => {
+    const { service, skipped } = await runWithFallback(chain, async (step) => {
+      if (step.service === 'gemini') throw new Error('Gemini API request timed out after 30 seconds.');
+      return {};
+    });
+    assert.equal(service, 'openrouter');
+    assert.equal(skipped[0].reason, 'timeout');
+  });
+
+  it('tries no further providers once the signal aborts', async () => {
+    const controller = new AbortController();
+    const tried = [];
+    await assert.rejects(runWithFallback(chain, async (step) => {
+      tried.push(step.service);
+      controller.abort(new DOMException('Client disconnected', 'AbortError'));
+      throw new Error('Gemini API request timed out after 30 seconds.');
+    }, { signal: controller.signal }), /Client disconnected/);
+    assert.deepEqual(tried, ['gemini']);
+  });
+});
@@ -0,0 +1,171 @@
+import './helpers/env.js';
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { fakeSupabase, findOp } from './helpers/fakeSupabase.js';
+import providerRoutes from '../src/routes/providerRoutes.js';
+
+// Credits already used this month, as seen by reserve_ai_credits
+let usedCredits = 0;
+let reservationError = null;
+let db;
+let server;
+let baseUrl;
+
+function handler(table, ops) {
+  if (table === 'profiles') return { data: { plan: 'free', monthly_credit_limit: 10, ai_plans: null }, error: null };
+  return { data: null, error: null };
+}
+
+function rpc(name, params) {
+  if (name === 'reserve_ai_credits') {
+    if (reservationError) return { data: null, error: reservationError };
+    const allowed = usedCredits + params.p_credits <= params.p_limit;
+    return { data: [{ reservation_id: allowed ? 'reservation-1' : null, used: usedCredits }], error: null };
+  }
+  return { data: null, error: null };
+}
+
+// The hold is released once the tracked call has settled
+const released = () => new Promise(resolve => setTimeout(resolve, 20))
+  .then(() => db.calls.some(call => call.table === 'ai_usage_ledger' && findOp(call.ops, 'delete')));
+
+async function processChart(body) {
+  const response = await fetch(`${baseUrl}/api/providers/mock/process-chart`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+describe('POST /api/providers/:name/process-chart', () => {
+  before(async () => {
+    db = fakeSupabase({ handler, rpc });
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { id: 'user-1' };
+      next();
+    });
+    app.use('/api/providers', providerRoutes);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    db.restore();
+  });
+
+  beforeEach(() => {
+    usedCredits = 0;
+    reservationError = null;
+    delete process.env.AI_QUOTA_FAIL_OPEN;
+    db.calls.length = 0;
+  });
+
+  it('returns the replayed chart, records usage and releases the hold', async () => {
+    const { status, body } = await processChart({ input: 'Monthly revenue against costs' });
+    assert.equal(status, 200);
+    assert.equal(body.service, 'mock');
+    assert.equal(body.chartType, 'line');
+    assert.equal(body.action, 'create');
+
+    const reservation = db.calls.find(call => call.rpc === 'reserve_ai_credits');
+    assert.equal(reservation.params.p_limit, 10);
+    assert.equal(reservation.params.p_operation, 'generate');
+    assert.ok(await released());
+
+    // The real ledger row is written before the hold goes
+    const ledger = db.calls.filter(call => call.table === 'ai_usage_ledger');
+    assert.equal(findOp(ledger[0].ops, 'insert')[1][0].status, 'success');
+    assert.deepEqual(findOp(ledger[1].ops, 'eq'), ['eq', 'id', 'reservation-1']);
+  });
+
+  it('keeps the hold until usage is recorded when the client disconnects', async () => {
+    process.env.AI_MOCK_TIMEOUT_MS = '500';
+    try {
+      const controller = new AbortController();
+      const request = fetch(`${baseUrl}/api/providers/mock/process-chart`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ input: 'Monthly revenue', model: 'timeout' }),
+        signal: controller.signal
+      });
+      setTimeout(() => controller.abort(), 50);
+      await assert.rejects(request);
+      assert.ok(await released());
+
+      const ledger = db.calls.filter(call => call.table === 'ai_usage_ledger');
+      assert.equal(findOp(ledger[0].ops, 'insert')[1][0].status, 'error');
+      assert.ok(findOp(ledger[1].ops, 'delete'));
+    } finally {
+      process.env.AI_MOCK_TIMEOUT_MS = '10';
+    }
+  });
+
+  it('rejects a request without input', async () => {
+    const { status } = await processChart({});
+    assert.equal(status, 400);
+  });
+
+  it('reports a provider 429 as a failed request', async () => {
+    const { status, body } = await processChart({ input: 'Monthly revenue', model: 'rate_limit' });
+    assert.equal(status, 500);
+    assert.match(body.details, /rate limit/);
+  });
+
+  it('reports a provider timeout', async () => {
+    const { status, body } = await processChart({ input: 'Monthly revenue', model: 'timeout' });
+    assert.equal(status, 500);
+    assert.match(body.details, /timed out/);
+  });
+
+  it('refuses once the monthly credits are used up', async () => {
+    usedCredits = 10;
+    const { status, body } = await processChart({ input: 'Monthly revenue' });
+    assert.equal(status, 429);
+    assert.equal(body.limit, 10);
+    assert.equal(body.used, 10);
+    assert.equal(await released(), false);
+  });
+
+  it('fails closed when usage cannot be checked', async () => {
+    reservationError = { message: 'function reserve_ai_credits does not exist' };
+    const { status } = await processChart({ input: 'Monthly revenue' });
+    assert.equal(status, 503);
+  });
+
+  it('fails open only when configured to', async () => {
+    reservationError = { message: 'connection refused' };
+    process.env.AI_QUOTA_FAIL_OPEN = 'true';
+    const { status } = await processChart({ input: 'Monthly revenue' });
+    assert.equal(status, 200);
+  });
+
+  it('404s an unknown provider', async () => {
+    const response = await fetch(`${baseUrl}/api/providers/nope/process-chart`, { method: 'POST' });
+    assert.equal(response.status, 404);
+  });
+
+  it('serves the per-provider test endpoint outside production', async () => {
+    const response = await fetch(`${baseUrl}/api/providers/mock/test`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ query: 'Monthly revenue' })
+    });
+    const body = await response.json();
+    assert.equal(response.status, 200);
+    assert.equal(body.test, 'success');
+    assert.equal(body.has_data, true);
+  });
+
+  it('404s account and vendor routes the provider lacks', async () => {
+    const account = await fetch(`${baseUrl}/api/providers/mock/account`);
+    assert.equal(account.status, 404);
+    const vendor = await fetch(`${baseUrl}/api/providers/mock/models/openai`);
+    assert.equal(vendor.status, 404);
+  });
+});
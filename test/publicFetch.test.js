@@ -0,0 +1,39 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { fetchPublicUrl, isPublicAddress } from '../src/utils/publicFetch.js';
+
+describe('isPublicAddress', () => {
+  it('allows public IPv4 and IPv6 addresses', () => {
+    assert.deepEqual(['8.8.8.8', '2606:4700::1111'].map(isPublicAddress), [true, true]);
+  });
+
+  it('blocks private, loopback, link-local and mapped addresses', () => {
+    const blocked = ['127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1', '169.254.169.254',
+      '100.64.0.1', '0.0.0.0', '::1', '::', 'fd00::1', 'fe80::1', '::ffff:10.0.0.1', 'not-an-ip'];
+    assert.deepEqual(blocked.filter(isPublicAddress), []);
+  });
+});
+
+describe('fetchPublicUrl', () => {
+  let server;
+  let port;
+
+  before(async () => {
+    server = http.createServer((req, res) => res.end('secret')).listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    port = server.address().port;
+  });
+
+  after(() => server.close());
+
+  it('refuses loopback hosts however they are written', async () => {
+    for (const host of ['127.0.0.1', 'localhost', '2130706433', '0x7f.1', '[::1]']) {
+      await assert.rejects(fetchPublicUrl(`http://${host}:${port}/`), /Local network addresses are not allowed/, host);
+    }
+  });
+
+  it('refuses non-http URLs', async () => {
+    await assert.rejects(fetchPublicUrl('file:///etc/passwd'), /Only http\(s\) URLs/);
+  });
+});
@@ -0,0 +1,46 @@
+import './helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildCacheKey, MemoryLRUCache } from '../src/utils/responseCache.js';
+import { createChartProcessor } from '../src/utils/chartProcessor.js';
+import { createMockAdapter } from '../src/adapters/mockAdapter.js';
+
+const request = { input: 'Sales  by Region', provider: 'mock', model: 'replay' };
+
+describe('buildCacheKey', () => {
+  it('ignores case and whitespace in the input', () => {
+    assert.equal(
+      buildCacheKey({ ...request, scope: 'user-1' }),
+      buildCacheKey({ ...request, scope: 'user-1', input: ' sales by region ' })
+    );
+  });
+
+  it('keys each user separately', () => {
+    assert.notEqual(buildCacheKey({ ...request, scope: 'user-1' }), buildCacheKey({ ...request, scope: 'user-2' }));
+  });
+
+  it('refuses to build an unscoped key', () => {
+    assert.throws(() => buildCacheKey(request), /scope/);
+  });
+});
+
+describe('ChartProcessor response cache', () => {
+  it('reuses an answer for the same user only', async () => {
+    const processor = createChartProcessor(createMockAdapter(), { cache: new MemoryLRUCache() });
+    const first = await processor.generateChart('Revenue by month', 'replay', null, null, { promptBucketKey: 'user-1' });
+    const again = await processor.generateChart('revenue  by month', 'replay', null, null, { promptBucketKey: 'user-1' });
+    const otherUser = await processor.generateChart('Revenue by month', 'replay', null, null, { promptBucketKey: 'user-2' });
+
+    assert.equal(first._metadata.cached, undefined);
+    assert.equal(again._metadata.cached, true);
+    assert.equal(otherUser._metadata.cached, undefined);
+  });
+
+  it('does not cache requests without a user', async () => {
+    const cache = new MemoryLRUCache();
+    const processor = createChartProcessor(createMockAdapter(), { cache });
+    await processor.generateChart('Revenue by month', 'replay');
+    const again = await processor.generateChart('Revenue by month', 'replay');
+    assert.equal(again._metadata.cached, undefined);
+  });
+});
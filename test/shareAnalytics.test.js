@@ -0,0 +1,49 @@
+import './helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { fakeSupabase } from './helpers/fakeSupabase.js';
+import shareAnalyticsService from '../src/services/shareAnalyticsService.js';
+
+// Minimal Express-like request: req.ip is what Express derives under the trust proxy setting
+function request(ip, headers = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  return { ip, get: (name) => lower[name.toLowerCase()] };
+}
+
+describe('ShareAnalyticsService.visitorHash', () => {
+  const userAgent = { 'User-Agent': 'Mozilla/5.0' };
+
+  it('ignores forwarded headers the server does not trust', () => {
+    const plain = shareAnalyticsService.visitorHash(request('203.0.113.7', userAgent), '2026-10-19');
+    const forged = shareAnalyticsService.visitorHash(request('203.0.113.7', {
+      ...userAgent,
+      'X-Forwarded-For': '198.51.100.1',
+      'X-Real-IP': '198.51.100.2'
+    }), '2026-10-19');
+    assert.equal(forged, plain);
+  });
+
+  it('separates visitors by address and by day', () => {
+    const hash = (ip, day) => shareAnalyticsService.visitorHash(request(ip, userAgent), day);
+    assert.notEqual(hash('203.0.113.7', '2026-10-19'), hash('203.0.113.8', '2026-10-19'));
+    assert.notEqual(hash('203.0.113.7', '2026-10-19'), hash('203.0.113.7', '2026-10-20'));
+  });
+});
+
+describe('ShareAnalyticsService.recordView', () => {
+  it('counts nothing when SHARE_VIEW_SALT is unset', async () => {
+    const salt = process.env.SHARE_VIEW_SALT;
+    delete process.env.SHARE_VIEW_SALT;
+    const db = fakeSupabase();
+    try {
+      // Fresh module instance, since the salt is read at import time
+      const { default: unsalted } = await import('../src/services/shareAnalyticsService.js?unsalted');
+      unsalted.recordView('share-1', request('203.0.113.7', { 'User-Agent': 'Mozilla/5.0' }));
+      await new Promise(resolve => setTimeout(resolve, 10));
+      assert.equal(db.calls.length, 0);
+    } finally {
+      db.restore();
+      process.env.SHARE_VIEW_SALT = salt;
+    }
+  });
+});
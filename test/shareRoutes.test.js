@@ -0,0 +1,105 @@
+import './helpers/env.js';
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomBytes, scryptSync } from 'node:crypto';
+import express from 'express';
+import { fakeSupabase, findOp } from './helpers/fakeSupabase.js';
+import shareRoutes from '../src/routes/shareRoutes.js';
+
+function passwordHash(password) {
+  const salt = randomBytes(16).toString('hex');
+  return `scrypt$${salt}$${scryptSync(password, salt, 64).toString('hex')}`;
+}
+
+const snapshot = {
+  chart_type: 'bar',
+  chart_data: { labels: ['a', 'b'], datasets: [{ label: 'Units', data: [1, 2] }] },
+  chart_config: { plugins: { title: { text: 'Units sold' } } }
+};
+
+const shares = {
+  open: { password_hash: null, expires_at: null },
+  expiring: { password_hash: null, expires_at: new Date(Date.now() + 86400000).toISOString() },
+  locked: { password_hash: passwordHash('hunter2'), expires_at: null }
+};
+
+let db;
+let server;
+let baseUrl;
+
+function handler(table, ops) {
+  if (table !== 'chart_shares') return { data: null, error: null };
+  const shareId = findOp(ops, 'eq')[2];
+  const share = shares[shareId];
+  if (!share) return { data: null, error: { code: 'PGRST116' } };
+  return { data: { share_id: shareId, scope: 'data', revoked_at: null, ...share, chart_snapshots: snapshot }, error: null };
+}
+
+const get = (path, headers = {}) => fetch(`${baseUrl}/share/${path}`, { headers });
+
+describe('share pages', () => {
+  before(async () => {
+    db = fakeSupabase({ handler });
+    const app = express();
+    app.use('/share', shareRoutes);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    db.restore();
+  });
+
+  beforeEach(() => {
+    db.calls.length = 0;
+  });
+
+  it('lets shared caches keep open links briefly', async () => {
+    const response = await get('open/preview.png');
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('cache-control'), 'public, max-age=300');
+    assert.match(response.headers.get('vary'), /X-Share-Password/i);
+  });
+
+  it('revalidates pages that count views', async () => {
+    const response = await get('open');
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('cache-control'), 'public, no-cache');
+  });
+
+  it('keeps protected and expiring links out of caches', async () => {
+    const locked = await get('locked', { 'X-Share-Password': 'hunter2' });
+    assert.equal(locked.status, 200);
+    assert.equal(locked.headers.get('cache-control'), 'private, no-store');
+
+    const expiring = await get('expiring');
+    assert.equal(expiring.headers.get('cache-control'), 'private, no-store');
+  });
+
+  it('ignores a password in the query string', async () => {
+    const response = await get('locked?password=hunter2');
+    assert.equal(response.status, 401);
+    assert.equal(response.headers.get('cache-control'), 'no-store');
+  });
+
+  it('refuses to embed protected links', async () => {
+    const url = encodeURIComponent(`${baseUrl}/share/locked`);
+    const response = await get(`oembed?url=${url}`, { 'X-Share-Password': 'hunter2' });
+    assert.equal(response.status, 401);
+    assert.match((await response.json()).error, /can't be embedded/);
+
+    const open = await get(`oembed?url=${encodeURIComponent(`${baseUrl}/share/open`)}`);
+    assert.equal(open.status, 200);
+  });
+
+  it('limits wrong password attempts per link', async () => {
+    for (let i = 0; i < 10; i++) {
+      assert.equal((await get('locked/embed', { 'X-Share-Password': `guess-${i}` })).status, 403);
+    }
+    assert.equal((await get('locked/embed', { 'X-Share-Password': 'hunter2' })).status, 429);
+    // Other links and requests without a password aren't affected
+    assert.equal((await get('open/embed')).status, 200);
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createZip, readZip } from '../src/utils/zipArchive.js';
+
+describe('zipArchive', () => {
+  const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+  const text = 'chart '.repeat(200);
+  const archive = createZip([
+    { name: 'conversation.json', data: text },
+    { name: 'assets/ünïcode logo.png', data: png }
+  ], { date: new Date(2026, 9, 19, 12, 30) });
+
+  it('round-trips deflated and stored entries', () => {
+    const zip = readZip(archive);
+    assert.deepEqual(zip.names(), ['conversation.json', 'assets/ünïcode logo.png']);
+    assert.equal(zip.readText('conversation.json'), text);
+    assert.deepEqual(zip.read('assets/ünïcode logo.png'), png);
+  });
+
+  it('compresses text and stores what does not shrink', () => {
+    assert.ok(archive.length < text.length);
+    const methodAt = (offset) => archive.readUInt16LE(offset + 8);
+    assert.equal(methodAt(0), 8);
+    const second = 30 + Buffer.byteLength('conversation.json') + archive.readUInt32LE(18);
+    assert.equal(methodAt(second), 0);
+  });
+
+  it('returns null for missing entries', () => {
+    const zip = readZip(archive);
+    assert.equal(zip.has('nope.txt'), false);
+    assert.equal(zip.read('nope.txt'), null);
+    assert.equal(zip.readText('nope.txt'), null);
+  });
+
+  it('names the file kind in errors', () => {
+    assert.throws(() => readZip(Buffer.alloc(64), 'XLSX'), /^Error: Invalid XLSX file: not a zip archive$/);
+    const corrupt = Buffer.from(archive);
+    corrupt.writeUInt32LE(0, corrupt.readUInt32LE(corrupt.length - 6));
+    assert.throws(() => readZip(corrupt, 'bundle'), /Invalid bundle file: corrupt zip directory/);
+  });
+
+  it('rejects archives shorter than the end record', () => {
+    assert.throws(() => readZip(Buffer.from('PK\x05\x06')), /Invalid zip file: not a zip archive/);
+  });
+
+  it('refuses entries that would unpack beyond the limits', () => {
+    assert.throws(() => readZip(archive, 'bundle', { maxEntryBytes: 1000 }), /conversation\.json is too large to unpack/);
+    assert.throws(() => readZip(archive, 'bundle', { maxTotalBytes: text.length }), /contents are too large to unpack/);
+  });
+
+  it('refuses entries that inflate past their declared size', () => {
+    const lying = Buffer.from(archive);
+    const directory = lying.readUInt32LE(lying.length - 6);
+    lying.writeUInt32LE(100, directory + 24);
+    assert.throws(() => readZip(lying, 'bundle').read('conversation.json'), /Invalid bundle file: corrupt zip entry/);
+  });
+});